@@ -0,0 +1,210 @@
+// Invoke the deployed function from other Node.js code.  Unlike the CLI (see ./index.js), nothing here logs to the
+// console, edits process.argv or process.env, or exits the process: results are resolved and problems are rejected.
+
+const aws = require('aws-sdk')
+const BbPromise = require('bluebird')
+const yaml = require('js-yaml')
+
+const funcDef = require('./lambda/funcDef')
+const funcPayload = require('./lambda/funcPayload')
+const funcSign = require('./lambda/funcSign')
+const funcValid = require('./lambda/funcValid')
+const taskDef = require('./lambda/taskDef')
+const taskPlan = require('./lambda/taskPlan')
+const taskValid = require('./lambda/taskValid')
+
+const constants = {
+  /**
+   * The default service, stage, and function names, which together name the deployed function (see
+   * ./lambda/serverless.yml)
+   */
+  DefaultService: 'serverless-artillery',
+  DefaultStage: 'dev',
+  FunctionName: 'loadGenerator',
+  /**
+   * The time to wait for RequestResponse invocations, allowing for the longest possible function execution
+   */
+  HttpTimeoutInMilliseconds: 310000,
+}
+
+const impl = {
+  /**
+   * Obtain a copy of the given script, parsing it if it is a YAML or JSON string.  The given script is never modified.
+   * @param script The script object or the YAML or JSON string of the script
+   * @returns {*} The script object
+   */
+  parseScript: (script) => {
+    let parsed
+    if (typeof script === 'string') {
+      try {
+        parsed = yaml.safeLoad(script)
+      } catch (ex) {
+        throw new funcDef.FunctionError(`The script could not be parsed as YAML or JSON: ${ex.message}`)
+      }
+    } else if (script && typeof script === 'object') {
+      parsed = JSON.parse(JSON.stringify(script))
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new funcDef.FunctionError('The script must be an object or a YAML or JSON string of one')
+    }
+    return parsed
+  },
+  /**
+   * Produce the validated script to send to the function for the given options, identified (by its _genesis
+   * attribute) as the CLI identifies it so that its load test can be stopped (see `slsart stop`) and so that a
+   * redelivered invocation is planned into chunks of the same IDs.
+   * @param options The options given by the caller (see module.exports.invoke)
+   * @returns {*} The script to send to the function
+   */
+  prepareScript: (options) => {
+    const script = impl.parseScript(options.script)
+    if (options.acceptance) {
+      script.mode = taskDef.modes.ACC
+    }
+    if (!('_genesis' in script)) {
+      script._genesis = Date.now() // eslint-disable-line no-underscore-dangle
+    }
+    funcValid(script)
+    const settings = funcDef.getSettings(script)
+    if (options.allowedTargets) {
+      settings.allowedTargets = [].concat(options.allowedTargets).map(target => `${target}`)
+    }
+    taskValid(settings, script)
+    return script
+  },
+  /**
+   * Determine the name of the deployed function to invoke.
+   * @param options The options given by the caller (see module.exports.invoke)
+   * @returns {string} The given function name or the name Serverless gives the function in the given service and stage
+   */
+  functionName: options => options.functionName || `${
+    options.service || constants.DefaultService}-${options.stage || constants.DefaultStage}-${constants.FunctionName}`,
+  /**
+   * Determine whether the result of executing the given script can be waited for, as the CLI does (see
+   * taskPlan.invocationType).
+   * @param script The validated script to determine the invocation type of
+   * @returns {string} 'RequestResponse' if the result can be waited for and 'Event' otherwise
+   */
+  invocationType: script => taskPlan.impl.invocationType(script, taskPlan.impl.waitConstraints(
+    script, funcDef.getSettings(script), constants.HttpTimeoutInMilliseconds / 1000 // eslint-disable-line comma-dangle
+  )),
+  /**
+   * Interpret the response of the function to an invocation.  The function reports the failure of a task as a string
+   * payload and AWS reports the failure of the function itself via the response's FunctionError attribute.
+   * @param response The response of the Lambda service to the invocation
+   * @returns {*} The parsed result or undefined for asynchronous invocations, which do not report results
+   */
+  parseResponse: (response) => {
+    if (!response.Payload || !response.Payload.length) {
+      return undefined
+    }
+    let payload
+    try {
+      payload = JSON.parse(response.Payload.toString())
+    } catch (ex) {
+      throw new Error(`The function's response could not be parsed: ${ex.message}`)
+    }
+    if (response.FunctionError) {
+      throw new Error(`The function failed: ${payload && payload.errorMessage ? payload.errorMessage : response.Payload}`)
+    } else if (typeof payload === 'string') {
+      throw new Error(payload)
+    }
+    return payload
+  },
+  /**
+   * Identify the load test of the given script in the given result of invoking the function with it.
+   * @param script The script the function was invoked with
+   * @param result The parsed result (see impl.parseResponse)
+   * @returns {*} The result with a genesis attribute giving the script's _genesis or, for asynchronous invocations,
+   * which report no result, an object giving only that attribute
+   */
+  identify: (script, result) => Object.assign(
+    result && typeof result === 'object' ? result : {},
+    { genesis: script._genesis } // eslint-disable-line no-underscore-dangle, comma-dangle
+  ),
+  /**
+   * Obtain the event to invoke the function with in place of the given event, storing the event in the function's
+   * payload bucket (see its PAYLOAD_BUCKET environment variable) if it is too large to invoke the function with.
+   * @param options The options given by the caller (see module.exports.invoke)
+   * @param lambda The aws.Lambda client to look up the function's payload bucket with
+   * @param params The parameters of the invocation, which name the function and give the invocation type
+   * @param event The signed script to invoke the function with
+   * @returns {Promise.<*>} A promise resolving to the given event or to the event referring to it
+   */
+  offload: (options, lambda, params, event) => {
+    if (!funcPayload.exceeds(event, params.InvocationType)) {
+      return BbPromise.resolve(event)
+    }
+    return BbPromise.resolve(lambda.getFunctionConfiguration({ FunctionName: params.FunctionName }).promise())
+      .then((configuration) => {
+        const variables = (configuration.Environment && configuration.Environment.Variables) || {}
+        const store = funcPayload.stores.s3(options.s3 || new aws.S3({ region: options.region }))
+        return funcPayload.offload(event, params.InvocationType, variables[funcDef.PAYLOAD_BUCKET_VARIABLE], store)
+      })
+  },
+  /**
+   * Send the given options' script to the deployed function.
+   * @param options The options given by the caller (see module.exports.invoke)
+   * @returns {Promise.<*>} A promise resolving to the function's result
+   */
+  invoke: options => BbPromise.resolve()
+    .then(() => {
+      const opts = options || {}
+      const script = impl.prepareScript(opts)
+      const lambda = opts.lambda || new aws.Lambda({
+        region: opts.region,
+        maxRetries: 0,
+        httpOptions: {
+          timeout: constants.HttpTimeoutInMilliseconds,
+        },
+      })
+      const params = {
+        FunctionName: impl.functionName(opts),
+        InvocationType: impl.invocationType(script),
+      }
+      return impl.offload(opts, lambda, params, funcSign(script, opts.signingSecret))
+        .then((event) => {
+          params.Payload = JSON.stringify(event)
+          return lambda.invoke(params).promise()
+        })
+        .then(response => impl.identify(script, impl.parseResponse(response)))
+    }),
+}
+
+module.exports = {
+  /**
+   * Invoke the deployed function with the given script.
+   * @param options The invocation's options:
+   *   script: The script to execute, either an object (which is not modified) or a YAML or JSON string
+   *   stage: The stage the function was deployed to [default: 'dev']
+   *   region: The region the function was deployed to [default: the AWS SDK's configured region]
+   *   acceptance: Whether to execute the script in acceptance mode
+   *   allowedTargets: The hostnames that the script may target, rejecting scripts that target any other [default: any]
+   *   signingSecret: The shared secret to sign the script with, which the function was deployed with [default: none]
+   *   service: The name of the service the function was deployed as [default: 'serverless-artillery']
+   *   functionName: The full name of the function to invoke, overriding service and stage
+   *   lambda: The aws.Lambda client to invoke the function with (e.g. to supply credentials)
+   *   s3: The aws.S3 client to store scripts too large to invoke the function with in the function's payload bucket
+   * @returns {Promise.<*>} A promise resolving to the result the function reports, its genesis attribute identifying
+   * the load test (e.g. for `slsart stop --genesis`).  Performance mode scripts that run too long to wait for are
+   * invoked asynchronously and resolve to an object giving only the genesis.  Invalid scripts are rejected with a
+   * FunctionError or TaskError and failed invocations with an Error.
+   */
+  invoke: impl.invoke,
+  /**
+   * Sign the given script with the given shared secret, as invoke does, for delivery to the function by other means
+   * (e.g. as the input of a scheduled event).  The function accepts the signed script only within its maximum signature
+   * age (see its EVENT_SIGNATURE_MAX_AGE_IN_SECONDS environment variable) of the time of signing.
+   * @param script The script to sign, either an object (which is not modified) or a YAML or JSON string
+   * @param secret The shared secret that the function was deployed with
+   * @returns {*} A copy of the script carrying its signature
+   */
+  sign: (script, secret) => funcSign(impl.parseScript(script), secret),
+  FunctionError: funcDef.FunctionError,
+  TaskError: taskDef.TaskError,
+}
+
+/* test-code */
+module.exports.constants = constants
+module.exports.impl = impl
+/* end-test-code */
@@ -0,0 +1,148 @@
+// Convert a browser HAR (HTTP Archive) recording into an Artillery scenario.
+// See http://www.softwareishard.com/blog/har-12-spec/
+
+const url = require('url')
+
+const taskDef = require('./lambda/taskDef')
+
+const constants = {
+  /**
+   * The headers that are managed by the HTTP client (or by Artillery's cookie jar) and so are not copied into steps
+   */
+  ManagedHeaders: ['host', 'content-length', 'connection', 'cookie', 'accept-encoding'],
+  /**
+   * The minimum gap, in seconds, between recorded requests that is kept as a `think` step
+   */
+  MinThinkInSeconds: 1,
+}
+
+const impl = {
+  /**
+   * Obtain the origin (e.g. 'https://example.com:8080') of the given URL.
+   * @param parts The parsed URL
+   * @returns {string} The origin of the URL
+   */
+  origin: parts => `${parts.protocol}//${parts.host}`,
+  /**
+   * Determine the origin that the most of the given entries were sent to, which becomes the script's target.
+   * @param entries The HAR entries to determine the most common origin of
+   * @returns {string} The most common origin or undefined if there are no entries
+   */
+  target: (entries) => {
+    const counts = {}
+    let target
+    entries.forEach((entry) => {
+      const origin = impl.origin(url.parse(entry.request.url))
+      counts[origin] = (counts[origin] || 0) + 1
+      if (!target || counts[origin] > counts[target]) {
+        target = origin
+      }
+    })
+    return target
+  },
+  /**
+   * Select the entries of the given HAR that can be replayed, ordered by the time they were started.
+   * @param har The parsed HAR
+   * @returns {Array} The entries of HTTP(S) requests using methods Artillery supports
+   */
+  entries: (har) => {
+    if (!(har && har.log && Array.isArray(har.log.entries))) {
+      throw new Error('The HAR must contain a log.entries array')
+    }
+    return har.log.entries
+      .filter(entry => (
+        entry && entry.request &&
+        /^https?:\/\//i.test(entry.request.url) &&
+        taskDef.METHODS.includes(`${entry.request.method}`.toLowerCase())
+      ))
+      .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime))
+  },
+  /**
+   * Convert the headers of the given HAR request into an Artillery headers hash, dropping the headers that the client
+   * manages and HTTP/2 pseudo headers (e.g. ':authority').
+   * @param request The HAR request
+   * @returns {*} The headers hash or undefined if no headers remain
+   */
+  headers: (request) => {
+    let headers
+    (request.headers || []).forEach((header) => {
+      const name = `${header.name}`
+      if (name[0] !== ':' && !constants.ManagedHeaders.includes(name.toLowerCase())) {
+        headers = headers || {}
+        headers[name] = header.value
+      }
+    })
+    return headers
+  },
+  /**
+   * Convert the HAR request into the attributes of an Artillery request step.  JSON bodies become `json` attributes,
+   * URL encoded form bodies become `form` attributes, and any other bodies are sent as recorded via `body`.
+   * @param request The HAR request
+   * @param target The origin that the script targets
+   * @returns {*} The attributes of the request step
+   */
+  request: (request, target) => {
+    const parts = url.parse(request.url)
+    const step = {
+      url: impl.origin(parts) === target ? parts.path : request.url,
+    }
+    const headers = impl.headers(request)
+    if (headers) {
+      step.headers = headers
+    }
+    const postData = request.postData
+    if (postData) {
+      const mimeType = `${postData.mimeType || ''}`.toLowerCase()
+      if (mimeType.includes('json') && typeof postData.text === 'string') {
+        try {
+          step.json = JSON.parse(postData.text)
+        } catch (ex) {
+          step.body = postData.text
+        }
+      } else if (mimeType.includes('x-www-form-urlencoded') && Array.isArray(postData.params)) {
+        step.form = {}
+        postData.params.forEach((param) => {
+          step.form[param.name] = param.value
+        })
+      } else if (typeof postData.text === 'string') {
+        step.body = postData.text
+      }
+    }
+    return step
+  },
+  /**
+   * Convert the given HAR into an Artillery scenario, one request step per replayable entry.  Gaps between the
+   * completion of a request and the start of the next of at least constants.MinThinkInSeconds are kept as `think`
+   * steps.
+   * @param har The parsed HAR
+   * @returns {{target: string, flow: Array}} The origin the scenario targets and the scenario's flow
+   */
+  toFlow: (har) => {
+    const entries = impl.entries(har)
+    if (!entries.length) {
+      throw new Error('The HAR does not contain any HTTP(S) requests that can be replayed')
+    }
+    const target = impl.target(entries)
+    const flow = []
+    let lastCompleted
+    entries.forEach((entry) => {
+      const started = Date.parse(entry.startedDateTime)
+      if (lastCompleted !== undefined) {
+        const think = Math.round((started - lastCompleted) / 1000)
+        if (think >= constants.MinThinkInSeconds) {
+          flow.push({ think })
+        }
+      }
+      const completed = started + (entry.time > 0 ? entry.time : 0)
+      lastCompleted = lastCompleted === undefined ? completed : Math.max(lastCompleted, completed)
+      flow.push({ [entry.request.method.toLowerCase()]: impl.request(entry.request, target) })
+    })
+    return { target, flow }
+  },
+}
+
+module.exports = impl.toFlow
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
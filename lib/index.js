@@ -11,14 +11,29 @@ const yaml = require('js-yaml')
 
 const func = require('./lambda/func')
 const task = require('./lambda/task')
+const har = require('./har')
 const npm = require('./npm')
+const openapi = require('./openapi')
+const plan = require('./plan')
+const reporters = require('./reporters')
 const Serverless = require('./serverless-fx')
+const validate = require('./validate')
 
 const constants = {
   CompatibleServerlessSemver: '^1.0.3',
   DefaultScriptName: 'script.yml',
-  ServerlessFiles: ['serverless.yml', 'handler.js', 'package.json'],
+  RichScriptOptions: ['method', 'header', 'json', 'body', 'weight', 'phase'],
+  ServerlessFiles: ['serverless.yml', 'handler.js', 'package.json', 'monitoring.yml'],
   TestFunctionName: 'loadGenerator',
+  /**
+   * The default service and stage names of the deployed function (see ./lambda/serverless.yml)
+   */
+  ServiceName: 'serverless-artillery',
+  DefaultStage: 'dev',
+  /**
+   * The environment variable giving the shared secret to sign scripts with when no signingSecret option is given
+   */
+  SigningSecretVariable: 'SLSART_SIGNING_SECRET',
 }
 
 const impl = {
@@ -85,18 +100,57 @@ const impl = {
       }
     }
   },
+  /**
+   * Apply the defaults given by the user's options (e.g. from a `.slsartrc` file) to the given script.  Splitting
+   * settings declared by the script take precedence over the default splitting settings.
+   * @param script The script to apply the defaults to
+   * @param options The options given by the user
+   */
+  applyDefaults: (script, options) => {
+    if (options && options._split && script && typeof script === 'object') { // eslint-disable-line no-underscore-dangle
+      if (!('_split' in script)) {
+        script._split = Object.assign({}, options._split) // eslint-disable-line no-param-reassign, no-underscore-dangle
+      } else if (script._split && typeof script._split === 'object') { // eslint-disable-line no-underscore-dangle
+        script._split = Object.assign({}, options._split, script._split) // eslint-disable-line no-param-reassign, no-underscore-dangle
+      }
+    }
+  },
+  /**
+   * Obtain the settings constraining the given script, restricting its targets to those that the user's options (e.g.
+   * from a `.slsartrc` file) allow, if any.
+   * @param script The script to obtain the settings of
+   * @param options The options given by the user
+   * @returns {*} The settings constraining the script (see func.def.getSettings)
+   */
+  getSettings: (script, options) => {
+    const settings = func.def.getSettings(script)
+    if (options && options.allowedTargets) {
+      settings.allowedTargets = [].concat(options.allowedTargets).map(target => `${target}`)
+    }
+    return settings
+  },
+  /**
+   * Obtain the shared secret to sign scripts with, given by the user's options (e.g. from a `.slsartrc` file) or else
+   * by the SLSART_SIGNING_SECRET environment variable.  Without either, scripts are signed only if the function's own
+   * EVENT_SIGNING_SECRET environment variable is set (see func.sign).
+   * @param options The options given by the user
+   * @returns {string} The shared secret or undefined if none was given
+   */
+  signingSecret: options => (options && options.signingSecret) || process.env[constants.SigningSecretVariable] || undefined,
   /**
    * Parse the given input as either YAML or JSON, passing back the parsed object or failing otherwise.
    * @param input The input to attempt parsing
+   * @param options The options given by the user, the defaults of which are applied to the script
    * @returns {*} The parsed artillery script
    */
-  parseInput: (input) => {
+  parseInput: (input, options) => {
     const script = yaml.safeLoad(input)
     if (typeof script !== 'object') {
       throw new Error('could not parse input to object.')
     }
+    impl.applyDefaults(script, options)
     func.valid(script)
-    const settings = func.def.getSettings(script)
+    const settings = impl.getSettings(script, options)
     task.valid(settings, script)
     return script
   },
@@ -131,11 +185,6 @@ const impl = {
    * @returns {{allowance: number, required: number}}
    */
   scriptConstraints(script) {
-    const networkBuffer = 2 // seconds to allow for network transmission
-    const resultsBuffer = 3 // seconds to allow for processing overhead (validation, decision making, results calculation)
-    const settings = func.def.getSettings(script)
-    const durationInSeconds = task.plan.impl.scriptDurationInSeconds(script)
-    const requestsPerSecond = task.plan.impl.scriptRequestsPerSecond(script)
     let httpTimeout = 120 // default AWS setting
     if (
       aws.config &&
@@ -144,21 +193,12 @@ const impl = {
     ) {
       httpTimeout = Math.floor(aws.config.httpOptions.timeout / 1000) // convert from ms to s
     }
-    const ret = {
-      allowance: Math.min(httpTimeout, settings.maxChunkDurationInSeconds) - networkBuffer,
-      required: durationInSeconds + resultsBuffer,
-    }
-    if (
-      durationInSeconds > settings.maxChunkDurationInSeconds ||
-      requestsPerSecond > settings.maxChunkRequestsPerSecond
-    ) { // if splitting happens, the time requirement is increased by timeBufferInMilliseconds
-      ret.required += Math.ceil(settings.timeBufferInMilliseconds / 1000) // convert from ms to s
-    }
-    return ret
+    return task.plan.impl.waitConstraints(script, func.def.getSettings(script), httpTimeout)
   },
   generateScriptDefaults: (options) => {
     const opts = options || {}
-    opts.endpoint = opts.endpoint || 'http://aws.amazon.com'
+    opts.endpoints = [].concat(opts.endpoint || 'http://aws.amazon.com')
+    opts.endpoint = opts.endpoints[0]
     opts.duration = opts.duration || 5
     opts.rate = opts.rate || 2
     opts.rampTo = opts.rampTo
@@ -166,13 +206,151 @@ const impl = {
     opts.urlParts = url.parse(opts.endpoint)
     return opts
   },
+  /**
+   * Determine whether the given options ask for more than the default script's single GET of a single endpoint under a
+   * single phase.
+   * @param options The options hive to use in building the script
+   * @return {boolean} Whether the script must be generated from the richer options
+   */
+  usesRichScriptOptions: options => !!options && (
+    (Array.isArray(options.endpoint) && options.endpoint.length > 1) ||
+    constants.RichScriptOptions.some(option => option in options && options[option] !== undefined)
+  ),
+  /**
+   * Parse the given phase specification of the form `<duration>:<rate>`, `<duration>:<rate>-<rampTo>`, or
+   * `<duration>:pause` (e.g. '60:5', '300:5-50', or '30:pause').
+   * @param spec The phase specification
+   * @return {*} The phase
+   */
+  parsePhase: (spec) => {
+    const match = /^\s*(\d+)\s*:\s*(?:(pause)|(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?)\s*$/.exec(`${spec}`)
+    if (!match) {
+      throw new Error(`${os.EOL}\tThe phase '${spec}' must be of the form <duration>:<rate>, <duration>:<rate>-<rampTo>, or <duration>:pause.${os.EOL}`)
+    }
+    const duration = Number(match[1])
+    if (match[2]) {
+      return { pause: duration }
+    }
+    const phase = {
+      duration,
+      arrivalRate: Number(match[3]),
+    }
+    if (match[4] !== undefined) {
+      phase.rampTo = Number(match[4])
+    }
+    return phase
+  },
+  /**
+   * Parse the given header specification of the form `<name>: <value>`.
+   * @param spec The header specification
+   * @return {{name: string, value: string}} The header
+   */
+  parseHeader: (spec) => {
+    const idx = `${spec}`.indexOf(':')
+    if (idx < 1) {
+      throw new Error(`${os.EOL}\tThe header '${spec}' must be of the form <name>: <value>.${os.EOL}`)
+    }
+    return {
+      name: spec.slice(0, idx).trim(),
+      value: spec.slice(idx + 1).trim(),
+    }
+  },
+  /**
+   * Generate the scenario that sends the i-th of the given (defaulted) options' endpoints.  The i-th method, json,
+   * body, and weight options apply to the i-th endpoint (an empty value or a missing one leaving the default) while
+   * every header option applies to every endpoint.
+   * @param opts The options hive, as produced by generateScriptDefaults
+   * @param target The target of the script that endpoints are made relative to where possible
+   * @param i The index of the endpoint to generate the scenario for
+   * @return {*} The scenario
+   */
+  generateEndpointScenario: (opts, target, i) => {
+    const endpoint = opts.endpoints[i]
+    const valueFor = option => [].concat(opts[option] === undefined ? [] : opts[option])[i]
+    const given = value => value !== undefined && value !== ''
+    const method = `${given(valueFor('method')) ? valueFor('method') : 'get'}`.toLowerCase()
+    if (!task.def.METHODS.includes(method)) {
+      throw new Error(`${os.EOL}\tThe method '${method}' must be one of ${task.def.METHODS.join(', ')}.${os.EOL}`)
+    }
+    const urlParts = url.parse(endpoint)
+    const origin = `${urlParts.protocol}//${urlParts.auth ? `${urlParts.auth}@` : ''}${urlParts.host}`
+    const request = {
+      url: origin === target ? `${urlParts.path}${urlParts.hash ? urlParts.hash : ''}` : endpoint,
+    }
+    if (opts.header !== undefined) {
+      request.headers = {}
+      const headers = [].concat(opts.header)
+      headers.forEach((spec) => {
+        const header = impl.parseHeader(spec)
+        request.headers[header.name] = header.value
+      })
+    }
+    const json = valueFor('json')
+    const body = valueFor('body')
+    if (given(json) && given(body)) {
+      throw new Error(`${os.EOL}\tThe endpoint '${endpoint}' cannot be given both a json and a body option.${os.EOL}`)
+    } else if (given(json)) {
+      try {
+        request.json = JSON.parse(json)
+      } catch (ex) {
+        throw new Error(`${os.EOL}\tThe json option for endpoint '${endpoint}' could not be parsed: ${ex.message}${os.EOL}`)
+      }
+    } else if (given(body)) {
+      request.body = `${body}`
+    }
+    const scenario = {
+      name: `${method.toUpperCase()} ${endpoint}`,
+    }
+    const weight = valueFor('weight')
+    if (given(weight)) {
+      if (!(Number(weight) > 0)) {
+        throw new Error(`${os.EOL}\tThe weight '${weight}' for endpoint '${endpoint}' must be a positive number.${os.EOL}`)
+      }
+      scenario.weight = Number(weight)
+    }
+    scenario.flow = [{ [method]: request }]
+    return scenario
+  },
+  /**
+   * Generate a script with one (weighted) scenario per endpoint of the given options hive and the phases that the
+   * options describe.
+   * @param options The options hive to use in building the script
+   * @return {string} The string containing a YAML object that comprises the generated script.
+   */
+  generateRichScript: (options) => {
+    const opts = impl.generateScriptDefaults(options)
+    const perEndpoint = ['method', 'json', 'body', 'weight']
+    perEndpoint.forEach((option) => {
+      if ([].concat(opts[option] === undefined ? [] : opts[option]).length > opts.endpoints.length) {
+        throw new Error(`${os.EOL}\tThe ${option} option was given more times than the endpoint option.${os.EOL}`)
+      }
+    })
+    const target = `${opts.urlParts.protocol}//${opts.urlParts.auth ? `${opts.urlParts.auth}@` : ''}${opts.urlParts.host}`
+    const script = {
+      config: {
+        target,
+        phases: impl.generatePhases(opts),
+      },
+      scenarios: opts.endpoints.map((endpoint, i) => impl.generateEndpointScenario(opts, target, i)),
+    }
+    return `# Thank you for trying serverless-artillery!
+# This script was generated from the options you gave, one scenario per endpoint.
+# There is a lot more that Artillery can do.
+# You can find great documentation of the possibilities at:
+# https://artillery.io/docs/
+${yaml.safeDump(script, { lineWidth: -1 })}`
+  },
   /**
    * Generate a script with the given options hive.  Return the default script generated with those settings, filling
-   * in default values as appropriate.
+   * in default values as appropriate.  If the options ask for more than a single GET of a single endpoint under a
+   * single phase, the script is generated by generateRichScript.
    * @param options The options hive to use in building the default script
    * @return {string} The string containing a JSON object that comprises the default script.
    */
   generateScript: (options) => {
+    if (impl.usesRichScriptOptions(options)) {
+      return impl.generateRichScript(options)
+    }
     // fallback to defaults
     const opts = impl.generateScriptDefaults(options)
     // extract and combine options into generated script
@@ -200,6 +378,88 @@ scenarios:
 `,
     ].join('')
   },
+  /**
+   * Generate the load phase described by the given (defaulted) options.
+   * @param opts The options hive, as produced by generateScriptDefaults, describing the load
+   * @return {*} The phase
+   */
+  generatePhase: (opts) => {
+    const phase = {
+      duration: opts.duration,
+      arrivalRate: opts.rate,
+    }
+    if (opts.rampTo) {
+      phase.rampTo = opts.rampTo
+    }
+    return phase
+  },
+  /**
+   * Generate the load phases described by the given (defaulted) options, those given by the phase option if any were
+   * and otherwise the single phase described by the duration, rate, and rampTo options.
+   * @param opts The options hive, as produced by generateScriptDefaults, describing the load
+   * @return {Array} The phases
+   */
+  generatePhases: opts => (
+    opts.phase !== undefined ?
+      [].concat(opts.phase).map(impl.parsePhase) :
+      [impl.generatePhase(opts)]
+  ),
+  /**
+   * Generate a script that replays the browser HAR recording at the path given by the `har` option with the load
+   * described by the remaining options.
+   * @param options The options hive to use in building the script
+   * @return {string} The string containing a YAML object that comprises the generated script.
+   */
+  generateHarScript: (options) => {
+    const opts = impl.generateScriptDefaults(options)
+    const scenario = har(JSON.parse(fs.readFileSync(opts.har, 'utf8')))
+    const script = {
+      config: {
+        target: scenario.target,
+        phases: impl.generatePhases(opts),
+      },
+      scenarios: [
+        { flow: scenario.flow },
+      ],
+    }
+    return `# Thank you for trying serverless-artillery!
+# This script was generated from the HAR recording '${opts.har}'.
+# Requests to origins other than the target use complete URIs and think steps reproduce the recorded pauses.
+# You can find great documentation of the possibilities at:
+# https://artillery.io/docs/
+${yaml.safeDump(script, { lineWidth: -1 })}`
+  },
+  /**
+   * Generate a script that exercises the operations of the OpenAPI (Swagger) document at the path given by the
+   * `openapi` option with the load described by the remaining options.  The target is taken from the `endpoint`
+   * option if given and otherwise from the document.
+   * @param options The options hive to use in building the script
+   * @return {string} The string containing a YAML object that comprises the generated script.
+   */
+  generateOpenApiScript: (options) => {
+    const endpoint = options.endpoint && [].concat(options.endpoint)[0]
+    const opts = impl.generateScriptDefaults(options)
+    const api = openapi(yaml.safeLoad(fs.readFileSync(opts.openapi, 'utf8')), opts.byTag, endpoint)
+    const target = api.target
+    if (!target && endpoint) {
+      throw new Error(`${os.EOL}\tThe endpoint '${endpoint}' is not an absolute URL.${os.EOL}`)
+    } else if (!target) {
+      throw new Error(`${os.EOL}\tThe document '${opts.openapi}' does not declare an absolute server URL.  Please supply one using the endpoint option.${os.EOL}`)
+    }
+    const script = {
+      config: {
+        target,
+        phases: impl.generatePhases(opts),
+      },
+      scenarios: api.scenarios,
+    }
+    return `# Thank you for trying serverless-artillery!
+# This script was generated from the OpenAPI document '${opts.openapi}'.
+# Parameters and bodies use the document's examples where declared and generated placeholder values otherwise.
+# You can find great documentation of the possibilities at:
+# https://artillery.io/docs/
+${yaml.safeDump(script, { lineWidth: -1 })}`
+  },
   // SERVERLESS UTILS
   /**
    * Checks working directory for service config, otherwise uses default.
@@ -215,11 +475,38 @@ scenarios:
       return path.join(__dirname, 'lambda')
     }
   },
+  /**
+   * Determine the name of the service that the function is deployed as: the given name or, failing that, the name
+   * declared by the service config in use (see impl.findServicePath).
+   * @param options The options given by the user.  The `service` option names the service explicitly.
+   * @returns {string} The name of the service
+   */
+  serviceName: (options) => {
+    if (options.service) {
+      return `${options.service}`
+    }
+    const configPath = path.join(impl.findServicePath(), 'serverless.yml')
+    let config
+    try {
+      config = yaml.safeLoad(fs.readFileSync(configPath, 'utf8'))
+    } catch (ex) {
+      throw new Error(`Could not read the service name from ${configPath}: ${ex.message}.  Give it with --service.`)
+    }
+    const service = config && config.service
+    const name = service && typeof service === 'object' ? service.name : service
+    if (typeof name !== 'string' || !name || name.indexOf('${') !== -1) { // variables are resolved by Serverless alone
+      throw new Error(`Could not determine the service name from ${configPath}.  Give it with --service.`)
+    }
+    return name
+  },
   /**
    * Invokes the Serverless code to perform a give task. Expects process.argv to
    * contain CLI parameters to pass to SLS.
+   * @param options The options given by the user
+   * @param preflight An optional function that is given the initialized Serverless instance before the task is
+   * performed.  If it throws (or returns a promise that rejects), the task is not performed and the error is rejected.
    */
-  serverlessRunner: (options) => {
+  serverlessRunner: (options, preflight) => {
     // pretend that SLS was called.
     process.argv[1] = Serverless.dirname
     // proceed with using SLS
@@ -245,6 +532,7 @@ scenarios:
       process.env.SLS_DEBUG = '*'
     }
     let result
+    let refusal
     return serverless.init()
       .then(() => { // add our intercepter
         const invoke = serverless.pluginManager.plugins.find(
@@ -268,6 +556,10 @@ scenarios:
           return log.call(invoke, response)
         }
       })
+      .then(() => BbPromise.try(() => preflight && preflight(serverless)).catch((ex) => {
+        refusal = ex
+        throw ex
+      }))
       .then(() => serverless.run())
       .then(() => {
         process.env.SLS_DEBUG = SLS_DEBUG
@@ -275,9 +567,105 @@ scenarios:
       })
       .catch((ex) => {
         process.env.SLS_DEBUG = SLS_DEBUG
+        if (ex === refusal) {
+          throw ex
+        }
         console.error(ex)
       })
   },
+  /**
+   * Compare the number of copies of the function that executing the given script runs at once with the concurrency
+   * available to the deployed function: its reserved concurrency, if it has any, and the unreserved concurrency of the
+   * account otherwise.  A test needing more than is available is throttled partway through, producing misleading
+   * results and throttling the other functions of the account.
+   * @param options The options given by the user.  With ignoreConcurrency, a lack of concurrency is only warned of.
+   * @param script The script to be invoked
+   * @param serverless The initialized Serverless instance that will invoke the function
+   * @returns {Promise} A promise that completes if the script may be invoked and rejects otherwise.  The check is
+   * skipped, with a warning, if the available concurrency cannot be determined.
+   */
+  checkConcurrency: (options, script, serverless) => {
+    const required = plan.concurrency(script)
+    const provider = serverless.getProvider('aws')
+    const functionName = serverless.service.getFunction(constants.TestFunctionName).name
+    return BbPromise.all([
+      provider.request('Lambda', 'getAccountSettings', {}),
+      provider.request('Lambda', 'getFunctionConcurrency', { FunctionName: functionName }),
+    ])
+      .then((responses) => {
+        const reserved = responses[1] && responses[1].ReservedConcurrentExecutions
+        const available = typeof reserved === 'number' ?
+          reserved :
+          responses[0].AccountLimit.UnreservedConcurrentExecutions
+        if (options.verbose) {
+          console.log(`The script needs ${required} concurrent executions of ${functionName}, ${available} are available`)
+        }
+        return { required, available, reserved: typeof reserved === 'number' }
+      }, (ex) => {
+        console.warn(`${os.EOL}\tWARNING: the concurrency available to ${functionName} could not be determined: ${
+          ex.message}${os.EOL}`)
+      })
+      .then((concurrency) => {
+        if (concurrency && concurrency.required > concurrency.available) {
+          const message = `The script needs ${concurrency.required} concurrent executions of the function but only ${
+            concurrency.available} are available to it (${concurrency.reserved ?
+            'its reserved concurrency' :
+            'the unreserved concurrency of the account'}).`
+          if (!options.ignoreConcurrency) {
+            throw new Error(`${message}  Reduce the load or its splitting, raise the concurrency available to the function, or pass --ignoreConcurrency to invoke it regardless.`)
+          }
+          console.warn(`${os.EOL}\tWARNING: ${message}  The test will be throttled.${os.EOL}`)
+        }
+      })
+  },
+  /**
+   * Store the given event in the deployed function's payload bucket (see its PAYLOAD_BUCKET environment variable) if
+   * it is too large to invoke the function with, having Serverless invoke the function with a reference to the stored
+   * event instead.
+   * @param event The signed script to invoke the function with
+   * @param type The type of the invocation
+   * @param serverless The initialized Serverless instance that will invoke the function
+   * @returns {Promise} A promise that completes once the data to invoke the function with is settled
+   */
+  offload: (event, type, serverless) => {
+    if (!func.payload.exceeds(event, type)) {
+      return BbPromise.resolve()
+    }
+    const provider = serverless.getProvider('aws')
+    const functionName = serverless.service.getFunction(constants.TestFunctionName).name
+    const store = {
+      put: (bucket, key, body) => provider.request('S3', 'putObject', { Bucket: bucket, Key: key, Body: body }),
+    }
+    return BbPromise.resolve(provider.request('Lambda', 'getFunctionConfiguration', { FunctionName: functionName }))
+      .then((configuration) => {
+        const variables = (configuration.Environment && configuration.Environment.Variables) || {}
+        return func.payload.offload(event, type, variables[func.def.PAYLOAD_BUCKET_VARIABLE], store)
+      })
+      .then((reference) => {
+        const data = JSON.stringify(reference)
+        Object.assign(serverless.processedInput.options, { d: data, data })
+      })
+  },
+  // LOCAL UTILS
+  /**
+   * Execute the given script using the function's handler within the current process rather than invoking the
+   * deployed function.  Chunks that the handler would distribute across copies of the function are instead executed
+   * concurrently within this process.
+   * @param script The script to execute locally
+   * @param secret The shared secret to sign the script with, if any (see impl.signingSecret)
+   * @returns {Promise.<*>} A promise resolving to the result that the function would have reported
+   */
+  localRunner: (script, secret) => new BbPromise((resolve, reject) => {
+    const handler = require('./lambda/handler') // eslint-disable-line global-require
+    script._local = true // eslint-disable-line no-param-reassign, no-underscore-dangle
+    handler.handler(func.sign(script, secret), { functionName: constants.TestFunctionName }, (err, result) => {
+      if (err) {
+        reject(err)
+      } else {
+        resolve(result)
+      }
+    })
+  }),
 }
 
 module.exports = {
@@ -296,59 +684,159 @@ module.exports = {
   },
   /**
    * Send a script to the remote function.  Prefer a script identified by the `-s` or `--script` option over a
-   * `script.yml` file in the current working directory over the global `script.yml`.
+   * `script.yml` file in the current working directory over the global `script.yml`.  If the `--local` option is
+   * given, execute the script within the current process instead of sending it to the remote function.
    * @param options The options given by the user.  See the ~/bin/serverless-artillery implementation for details.
    * @return {Promise.<TResult>} A promise that completes after the invocation of the function with the script given
    * by the user (or a fallback option).
    */
   invoke: options => impl.getInput(options)
-    .then(impl.parseInput)
+    .then(input => impl.parseInput(input, options))
     .then((script) => {
       if (options.acceptance) {
         script.mode = task.def.modes.ACC // eslint-disable-line no-param-reassign
       }
-      impl.replaceArgv(script)
-      // analyze script if tool or script is in performance mode
-      let completeMessage = `${os.EOL}\tYour function invocation has completed.${os.EOL}`
       if (
-        !script.mode ||
-        (
-          script.mode !== task.def.modes.ACC &&
-          script.mode !== task.def.modes.ACCEPTANCE
-        )
+        (options.reporter || options.out) &&
+        script.mode !== task.def.modes.ACC &&
+        script.mode !== task.def.modes.ACCEPTANCE &&
+        script.mode !== task.def.modes.MON &&
+        script.mode !== task.def.modes.MONITORING
       ) {
+        throw new Error('The --reporter and --out options apply only to acceptance and monitoring modes.')
+      }
+      if (options.flow || options.tag) { // execute only the selected flows
+        const filter = {}
+        if (options.flow) {
+          filter.flows = [].concat(options.flow).map(name => `${name}`)
+        }
+        if (options.tag) {
+          filter.tags = [].concat(options.tag).map(tag => `${tag}`)
+        }
+        script._filter = filter // eslint-disable-line no-param-reassign, no-underscore-dangle
+        task.valid(impl.getSettings(script, options), script)
+      }
+      let completeMessage = `${os.EOL}\tYour function invocation has completed.${os.EOL}`
+      const log = msg => console.log(msg)
+      const logIf = (msg) => { if (!(options.jo || options.jsonOnly)) { log(msg) } }
+      if (!('_genesis' in script)) { // identify the load test so that it can be stopped
+        script._genesis = Date.now() // eslint-disable-line no-param-reassign, no-underscore-dangle
+      }
+      const stopMessage = `\tTo stop the load test, run: slsart stop --genesis ${script._genesis}${ // eslint-disable-line no-underscore-dangle
+        options.local ? ' --local' : ''}${os.EOL}`
+      let invocation
+      if (options.local) {
+        // run the given script within this process
+        logIf(`${os.EOL}\tInvoking test locally${os.EOL}${stopMessage}`)
+        invocation = impl.localRunner(script, impl.signingSecret(options))
+      } else {
+        const event = func.sign(script, impl.signingSecret(options))
+        impl.replaceArgv(event)
         const constraints = impl.scriptConstraints(script)
-        if (constraints.allowance < constraints.required) { // exceeds limits?
+        const type = task.plan.impl.invocationType(script, constraints)
+        if (type === 'Event') { // exceeds limits?
           process.argv.push('-t')
           process.argv.push('Event')
           completeMessage = `${os.EOL}\tYour function has been invoked. The load is scheduled to be completed in ${constraints.required} seconds.${os.EOL}`
+          const settings = func.def.getSettings(script)
+          if (task.plan.impl.scriptDurationInSeconds(script) > settings.maxChunkDurationInSeconds) {
+            completeMessage += `${os.EOL}\tThe function reports results for at most the first ${settings.maxChunkDurationInSeconds} seconds of a script (its first chunk), which it waits for.  Record the results of longer scripts with a reporting plugin.${os.EOL}`
+          }
+          if (script.config && script.config.ensure) {
+            completeMessage += `${os.EOL}\tThe thresholds under config.ensure cannot be evaluated because the script's results will not be reported.${os.EOL}`
+          }
         }
+        // run the given script on the deployed lambda
+        logIf(`${os.EOL}\tInvoking test Lambda${os.EOL}${stopMessage}`)
+        invocation = impl.serverlessRunner(options, serverless => impl.checkConcurrency(options, script, serverless)
+          .then(() => impl.offload(event, type, serverless)))
       }
-      const log = msg => console.log(msg)
-      const logIf = (msg) => { if (!(options.jo || options.jsonOnly)) { log(msg) } }
-      // run the given script on the deployed lambda
-      logIf(`${os.EOL}\tInvoking test Lambda${os.EOL}`)
-      return impl.serverlessRunner(options).then((result) => {
+      return invocation.then((result) => {
         logIf(completeMessage)
-        if (options.acceptance) {
+        if (options.reporter || options.out) {
+          const report = reporters(options.reporter || 'json', script, result)
+          if (options.out) {
+            fs.writeFileSync(options.out, `${report}${os.EOL}`)
+            logIf(`${os.EOL}\tResults written to ${options.out}${os.EOL}`)
+          } else {
+            log(report)
+          }
+        } else if (options.acceptance || options.local) { // serverless reports the result of remote performance invocations
           logIf('Results:')
           log(JSON.stringify(result, null, 2))
-          if (result && result.errors) {
-            process.exit(result.errors)
-          }
+        }
+        if (options.acceptance && result && (result.errors || (result.flaky && !options.ignoreFlaky))) {
+          process.exit(result.errors + (options.ignoreFlaky ? 0 : result.flaky || 0))
+        }
+        if (!options.acceptance && result && result.ensure && !result.ensure.passed) {
+          console.error(`${os.EOL}\tThe results violated ${result.ensure.violations.length} of the thresholds under config.ensure:${os.EOL}`)
+          result.ensure.violations.forEach(violation => console.error(`\t  - ${violation}`))
+          process.exit(result.ensure.violations.length)
         }
       })
     })
     .catch((ex) => {
       if (ex instanceof func.def.FunctionError) {
-        console.error('Error validating function settings.')
+        console.error(`Error validating function settings: ${ex.message}`)
       } else if (ex instanceof task.def.TaskError) {
-        console.error('Error validating the task settings.')
+        console.error(`Error validating the task settings: ${ex.message}`)
       } else {
         console.error(`Unexpected Error: ${ex.message}`)
       }
       process.exit(1)
     }),
+  /**
+   * Report the complete set of chunks that the function will split the script into, without invoking anything.  The
+   * script is identified in the same way that `invoke` identifies it.
+   * @param options The options given by the user.  See the ~/bin/serverless-artillery implementation for details.
+   * @return {Promise.<TResult>} A promise that completes after the plan has been reported.
+   */
+  plan: options => impl.getInput(options)
+    .then(input => impl.parseInput(input, options))
+    .then((script) => {
+      if (options.acceptance) {
+        script.mode = task.def.modes.ACC // eslint-disable-line no-param-reassign
+      }
+      const tree = plan.tree(script)
+      if (options.jo || options.jsonOnly) {
+        console.log(JSON.stringify(tree, null, 2))
+      } else {
+        console.log(`${os.EOL}${plan.table(tree)}${os.EOL}`)
+      }
+    }),
+  /**
+   * Report every problem with the script, identifying each by the JSON path of the problematic attribute, without
+   * invoking anything.  Relative processor and payload paths are resolved against the current working directory.
+   * Exit the process with a non-zero exit code if any problem is found.
+   * @param options The options given by the user.  See the ~/bin/serverless-artillery implementation for details.
+   * @return {Promise.<TResult>} A promise that completes after the problems with the script have been reported.
+   */
+  validate: options => impl.getInput(options)
+    .then((input) => {
+      let problems
+      try {
+        const script = yaml.safeLoad(input)
+        if (options.acceptance && script && typeof script === 'object') {
+          script.mode = task.def.modes.ACC
+        }
+        impl.applyDefaults(script, options)
+        problems = validate(script, process.cwd(), options.allowedTargets)
+      } catch (ex) {
+        problems = [{ path: '$', message: `could not parse input to object: ${ex.message}` }]
+      }
+      if (options.jo || options.jsonOnly) {
+        console.log(JSON.stringify(problems, null, 2))
+      } else if (problems.length) {
+        console.log(`${os.EOL}\tFound ${problems.length} problem${problems.length === 1 ? '' : 's'} with your script:${os.EOL}`)
+        problems.forEach(problem => console.log(`\t${problem.path}: ${problem.message}`))
+        console.log('')
+      } else {
+        console.log(`${os.EOL}\tNo problems found with your script.${os.EOL}`)
+      }
+      if (problems.length) {
+        process.exit(1)
+      }
+    }),
   /**
    * Remove the CloudFormation Stack (or equivalent) from the configured provider.
    * @return {Promise.<TResult>} A promise that completes after the removal of the stack and reporting of its
@@ -361,6 +849,22 @@ module.exports = {
       console.log(`${os.EOL}\tRemoval complete.${os.EOL}`)
     })
   },
+  /**
+   * Flag the running load test with the given genesis to stop, in the control store of the function of the given
+   * service, stage, and region or, given the `--local` option, of local executions.
+   * @param options The options given by the user.  See the ~/bin/serverless-artillery implementation for details.
+   * @return {Promise.<TResult>} A promise that completes after the load test has been flagged to stop.
+   */
+  stop: options => BbPromise.try(() => {
+    const store = options.local ?
+      func.control.stores.file() :
+      func.control.stores.ssm(`/${impl.serviceName(options)}/${options.stage || constants.DefaultStage}/stop`, options.region)
+    return store.stop(`${options.genesis}`)
+  })
+    .then(() => {
+      console.log(`${os.EOL}\tLoad test ${options.genesis} flagged to stop.  Its chunks stop as they next check the flag and ${
+        os.EOL}\trunning chunks stop at their next phase boundary.${os.EOL}`)
+    }),
   /**
    * Generate a script using the user's given options.  Place it into the given out path or the default out path if
    * none was given.
@@ -370,11 +874,22 @@ module.exports = {
     const destPath = options.out || 'script.yml'
     if (impl.fileExists(destPath)) {
       reject(new Error(`${os.EOL}\tConflict at path '${destPath}'. File exists.  No script generated.${os.EOL}`))
+    } else if (options.har && (options.endpoint || options.openapi)) {
+      reject(new Error(`${os.EOL}\tThe har option cannot be combined with the endpoint or openapi options.  No script generated.${os.EOL}`))
+    } else if (options.phase !== undefined && ['duration', 'rate', 'rampTo'].some(option => options[option] !== undefined)) {
+      reject(new Error(`${os.EOL}\tThe phase option cannot be combined with the duration, rate, or rampTo options.  No script generated.${os.EOL}`))
     } else {
       if (options.debug) {
         console.log('Generating script...')
       }
-      const newScript = impl.generateScript(options)
+      let newScript
+      if (options.har) {
+        newScript = impl.generateHarScript(options)
+      } else if (options.openapi) {
+        newScript = impl.generateOpenApiScript(options)
+      } else {
+        newScript = impl.generateScript(options)
+      }
       if (options.debug) {
         console.log(`Writing script:${os.EOL}${newScript}${os.EOL}to path: '${destPath}'`)
       }
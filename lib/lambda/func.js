@@ -1,11 +1,19 @@
+const claim = require('./funcClaim')
+const control = require('./funcControl')
 const def = require('./funcDef')
 const exec = require('./funcExec')
 const handle = require('./funcHandle')
+const payload = require('./funcPayload')
+const sign = require('./funcSign')
 const valid = require('./funcValid')
 
 module.exports = {
+  claim,
+  control,
   def,
   exec,
   handle,
+  payload,
+  sign,
   valid,
 }
@@ -0,0 +1,89 @@
+const aws = require('aws-sdk') // eslint-disable-line import/no-extraneous-dependencies
+
+const def = require('./funcDef')
+
+const stores = {
+  /**
+   * Create a claim store that keeps its claims in memory, suitable for local execution and tests.
+   * @returns {{claim: function}} The claim store
+   */
+  memory: () => {
+    const claimed = {}
+    return {
+      claim: (id) => {
+        if (claimed[id]) {
+          return Promise.resolve(false)
+        }
+        claimed[id] = true
+        return Promise.resolve(true)
+      },
+    }
+  },
+  /**
+   * Create a claim store that keeps its claims in the given DynamoDB table, which must have a string hash key named id.
+   * Claims expire (given TTL is enabled on the table's expires attribute) after def.CLAIM_TTL_IN_SECONDS.
+   * @param tableName The name of the table to keep the claims in
+   * @returns {{claim: function}} The claim store
+   */
+  dynamoDb: (tableName) => {
+    const dynamoDb = new aws.DynamoDB()
+    return {
+      claim: id => dynamoDb.putItem({
+        TableName: tableName,
+        Item: {
+          id: { S: id },
+          expires: { N: `${Math.floor(Date.now() / 1000) + def.CLAIM_TTL_IN_SECONDS}` },
+        },
+        ConditionExpression: 'attribute_not_exists(id)',
+      }).promise()
+        .then(() => true, ex => (ex.code === 'ConditionalCheckFailedException' ? false : Promise.reject(ex))),
+    }
+  },
+}
+
+const impl = {
+  /**
+   * The claim store in use, created on first use if none has been given (see impl.use)
+   */
+  store: undefined,
+  /**
+   * Use the given claim store for subsequent claims.
+   * @param store The claim store to use, an object with a claim function that takes a chunk ID and returns a promise
+   * resolving to whether the claim succeeded (i.e. the ID had not been claimed before)
+   */
+  use: (store) => {
+    impl.store = store
+  },
+  /**
+   * Obtain the claim store in use, creating a DynamoDB claim store if the function was deployed with a claim table and
+   * an in memory claim store otherwise.
+   * @returns {{claim: function}} The claim store
+   */
+  getStore: () => {
+    if (!impl.store) {
+      const tableName = process.env[def.CLAIM_TABLE_VARIABLE]
+      impl.store = tableName ? stores.dynamoDb(tableName) : stores.memory()
+    }
+    return impl.store
+  },
+  /**
+   * Claim the chunk with the given ID for execution by the current function.  A claim fails if the chunk was already
+   * claimed, as it is when the Lambda service delivers an asynchronous invocation more than once.  Chunks are executed
+   * if the claim store fails, since losing load is worse than the rare duplicate.
+   * @param id The deterministic ID of the chunk to claim
+   * @returns {Promise<boolean>} A promise resolving to whether the chunk should be executed
+   */
+  claim: id => impl.getStore().claim(id)
+    .catch((ex) => {
+      console.error(`error claiming chunk ${id}, executing it regardless: ${ex.message}`)
+      return true
+    }),
+}
+
+module.exports = impl.claim
+module.exports.use = impl.use
+module.exports.stores = stores
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
@@ -0,0 +1,121 @@
+const aws = require('aws-sdk') // eslint-disable-line import/no-extraneous-dependencies
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const def = require('./funcDef')
+
+const stores = {
+  /**
+   * Create a control store that flags load tests to stop with files in the given directory, suitable for local
+   * execution and tests.
+   * @param directory The directory to keep the flags in [default: the temporary directory]
+   * @returns {{stop: function, stopped: function}} The control store
+   */
+  file: (directory) => {
+    const flag = genesis => path.join(directory || os.tmpdir(), `${def.STOP_FILE_PREFIX}${genesis}`)
+    return {
+      stop: genesis => new Promise((resolve, reject) => {
+        fs.writeFile(flag(genesis), new Date().toISOString(), err => (err ? reject(err) : resolve()))
+      }),
+      stopped: genesis => new Promise((resolve) => {
+        fs.access(flag(genesis), err => resolve(!err))
+      }),
+    }
+  },
+  /**
+   * Create a control store that flags load tests to stop with SSM parameters named by the given prefix followed by the
+   * _genesis of the load test.
+   * @param prefix The prefix of the names of the parameters (e.g. '/serverless-artillery/dev/stop')
+   * @param region The region to keep the parameters in [default: the AWS SDK's configured region]
+   * @returns {{stop: function, stopped: function}} The control store
+   */
+  ssm: (prefix, region) => {
+    const ssm = new aws.SSM(region ? { region } : {})
+    return {
+      stop: genesis => ssm.putParameter({
+        Name: `${prefix}/${genesis}`,
+        Type: 'String',
+        Value: new Date().toISOString(),
+        Overwrite: true,
+      }).promise(),
+      stopped: genesis => ssm.getParameter({ Name: `${prefix}/${genesis}` }).promise()
+        .then(() => true, ex => (ex.code === 'ParameterNotFound' ? false : Promise.reject(ex))),
+    }
+  },
+}
+
+const impl = {
+  /**
+   * The control store in use, created on first use if none has been given (see impl.use)
+   */
+  store: undefined,
+  /**
+   * Use the given control store for subsequent stop requests and checks.
+   * @param store The control store to use, an object with a stop function that takes the _genesis of a load test and
+   * returns a promise resolving once the load test is flagged to stop, and a stopped function that takes the _genesis
+   * of a load test and returns a promise resolving to whether the load test is flagged to stop
+   */
+  use: (store) => {
+    impl.store = store
+    impl.checks = {}
+  },
+  /**
+   * The latest checks of whether load tests were flagged to stop, by _genesis, each giving the time it was made and a
+   * promise resolving to its result (see impl.stopped)
+   */
+  checks: {},
+  /**
+   * Obtain the control store in use, creating an SSM control store if the function was deployed with a stop parameter
+   * prefix and a file control store otherwise.
+   * @returns {{stop: function, stopped: function}} The control store
+   */
+  getStore: () => {
+    if (!impl.store) {
+      const prefix = process.env[def.STOP_PARAMETER_PREFIX_VARIABLE]
+      impl.store = prefix ? stores.ssm(prefix) : stores.file()
+    }
+    return impl.store
+  },
+  /**
+   * Flag the load test with the given _genesis to stop.
+   * @param genesis The _genesis of the load test to stop
+   * @returns {Promise} A promise resolving once the load test is flagged to stop
+   */
+  stop: genesis => impl.getStore().stop(genesis),
+  /**
+   * Determine whether the load test with the given _genesis has been flagged to stop.  Load tests are not stopped if
+   * the control store fails, since a test that cannot be checked would otherwise stop at random.  Checks made within
+   * def.STOP_CHECK_INTERVAL_IN_MILLISECONDS of a previous check of the same load test share its result.
+   * @param genesis The _genesis of the load test to check
+   * @returns {Promise<boolean>} A promise resolving to whether the load test should stop
+   */
+  stopped: (genesis) => {
+    if (genesis === undefined) {
+      return Promise.resolve(false)
+    }
+    const now = Date.now()
+    const check = impl.checks[genesis]
+    if (check && now - check.at < def.STOP_CHECK_INTERVAL_IN_MILLISECONDS) {
+      return check.stopped
+    }
+    const stopped = impl.getStore().stopped(genesis)
+      .catch((ex) => {
+        console.error(`error checking whether load test ${genesis} was stopped, continuing: ${ex.message}`)
+        return false
+      })
+    impl.checks[genesis] = { at: now, stopped }
+    return stopped
+  },
+}
+
+module.exports = {
+  stop: impl.stop,
+  stopped: impl.stopped,
+  use: impl.use,
+  stores,
+}
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
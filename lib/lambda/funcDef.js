@@ -21,10 +21,11 @@ const constants = {
   DEFAULT_MAX_SCRIPT_REQUESTS_PER_SECOND: 5000,
   /**
    * The hard coded maximum duration for a single lambda to execute in seconds this should probably never change until
-   * Lambda maximums are increased.
+   * Lambda maximums are increased.  It leaves the default time buffer and the time to report results within the
+   * function's timeout (see FUNCTION_TIMEOUT_IN_SECONDS).
    * (_split.maxChunkDurationInSeconds must be set in your script if you want to use values up to this duration)
    */
-  MAX_CHUNK_DURATION_IN_SECONDS: 285, // 4 minutes and 45 seconds (allow for 15 second alignment time)
+  MAX_CHUNK_DURATION_IN_SECONDS: 280, // 4 minutes and 40 seconds (allow for 15 second alignment time and 5 to report)
   /**
    * The default maximum duration for a scenario in seconds (this is how much time a script is allowed to take before
    * it will be split across multiple function executions)
@@ -50,6 +51,109 @@ const constants = {
    * like) in milliseconds
    */
   DEFAULT_MAX_TIME_BUFFER_IN_MILLISECONDS: 15000,
+  /**
+   * The timeout of the function in seconds (see serverless.yml).  A function that waits for the results of the chunks
+   * it distributes is held for up to the time buffer before they start, their duration, and the time to report their
+   * results, which must together fit within it.
+   */
+  FUNCTION_TIMEOUT_IN_SECONDS: 300,
+  /**
+   * The seconds to allow a function waiting for the results of chunks to receive, merge, and report them
+   */
+  RESULTS_BUFFER_IN_SECONDS: 5,
+  /**
+   * The hard coded maximum number of copies of this function that a single function may invoke at once.  Functions
+   * with more chunks to distribute than this hand groups of them to intermediate copies that distribute them further.
+   * (_split.branchingFactor must be set in your script if you want to use values up to this number)
+   */
+  MAX_BRANCHING_FACTOR: 1000,
+  /**
+   * The default maximum number of copies of this function that a single function invokes at once
+   */
+  DEFAULT_BRANCHING_FACTOR: 100,
+  /**
+   * The number of times that an invocation of a copy of this function which the Lambda service rejected because it was
+   * throttled (or failed internally) is retried, with exponential backoff from the given base delay, before the chunk
+   * is given up on.  Retries never delay an invocation past the start time of the chunk.
+   */
+  INVOKE_RETRIES: 5,
+  INVOKE_RETRY_BASE_DELAY_IN_MILLISECONDS: 100,
+  /**
+   * The error codes of the Lambda service for which invocations are retried
+   */
+  INVOKE_RETRY_CODES: ['TooManyRequestsException', 'ServiceException'],
+  /**
+   * The environment variable naming the DynamoDB table in which chunks are claimed before they are executed.  Chunks
+   * are claimed in memory (i.e. only within the current process) when it is not set.
+   */
+  CLAIM_TABLE_VARIABLE: 'CLAIM_TABLE',
+  /**
+   * The number of seconds for which a claim is kept.  This must exceed the time over which the Lambda service may
+   * deliver an asynchronous invocation again (at most 6 hours).
+   */
+  CLAIM_TTL_IN_SECONDS: 86400, // 1 day
+  /**
+   * The environment variable giving the prefix of the names of the SSM parameters that flag load tests to stop.  When
+   * it is not set (e.g. in local mode), load tests are flagged to stop by files in the temporary directory instead.
+   */
+  STOP_PARAMETER_PREFIX_VARIABLE: 'STOP_PARAMETER_PREFIX',
+  /**
+   * The prefix of the names of the files that flag load tests to stop when no stop parameter prefix is set
+   */
+  STOP_FILE_PREFIX: 'slsart-stop-',
+  /**
+   * The number of milliseconds for which a copy of the function reuses its check of whether a load test was flagged to
+   * stop, so that a copy invoking many chunks at once does not exceed the throughput of the control store
+   */
+  STOP_CHECK_INTERVAL_IN_MILLISECONDS: 5000,
+  /**
+   * The environment variable listing (comma separated) the hostnames that scripts may target.  An entry beginning with
+   * '*.' allows any subdomain of the rest of the entry.  Scripts may target any hostname when it is not set.
+   */
+  ALLOWED_TARGETS_VARIABLE: 'ALLOWED_TARGETS',
+  /**
+   * The environment variable giving the shared secret with which events must be signed.  Events are neither signed nor
+   * verified when it is not set.
+   */
+  SIGNING_SECRET_VARIABLE: 'EVENT_SIGNING_SECRET',
+  /**
+   * The attribute of a signed event that carries its signature
+   */
+  SIGNATURE_ATTRIBUTE: '_signature',
+  /**
+   * The attribute of a signed event that carries the time (in milliseconds since the epoch) at which it was signed
+   */
+  SIGNED_AT_ATTRIBUTE: '_signedAt',
+  /**
+   * The environment variable giving the number of seconds, either side of the time at which an event was signed,
+   * within which the function accepts it.  The default applies when it is not set to a positive number.
+   */
+  SIGNATURE_MAX_AGE_VARIABLE: 'EVENT_SIGNATURE_MAX_AGE_IN_SECONDS',
+  /**
+   * The number of seconds within which the function accepts a signed event by default, bounding the time for which a
+   * captured event can be replayed
+   */
+  DEFAULT_SIGNATURE_MAX_AGE_IN_SECONDS: 900,
+  /**
+   * The largest payload, in bytes, that the Lambda service accepts for each type of invocation
+   */
+  MAX_PAYLOAD_SIZE_IN_BYTES: {
+    Event: 262144, // 256KB
+    RequestResponse: 6291456, // 6MB
+  },
+  /**
+   * The environment variable naming the S3 bucket in which events too large to invoke the function with are stored.
+   * Such events cannot be invoked when it is not set.
+   */
+  PAYLOAD_BUCKET_VARIABLE: 'PAYLOAD_BUCKET',
+  /**
+   * The prefix of the keys of the stored events
+   */
+  PAYLOAD_KEY_PREFIX: 'slsart-payloads/',
+  /**
+   * The attribute of an event referring to the stored event that the function is to handle in its place
+   */
+  PAYLOAD_ATTRIBUTE: '_payload',
 }
 
 class FunctionError extends Error {
@@ -71,9 +175,13 @@ const impl = {
    *     maxChunkDurationInSeconds: number,
    *     maxChunkRequestsPerSecond: number,
    *     timeBufferInMilliseconds: number,
+   *     branchingFactor: number,
+   *     allowedTargets: Array,
    *   }
    * }
-   * The settings for the given script which consists of defaults overwritten by any user supplied values.
+   * The settings for the given script which consists of defaults overwritten by any user supplied values.  The
+   * allowedTargets are given only by the function's configuration (see ALLOWED_TARGETS_VARIABLE) and are included only
+   * if it is set.
    */
   getSettings: (event) => {
     const ret = {
@@ -82,6 +190,7 @@ const impl = {
       maxChunkDurationInSeconds: constants.DEFAULT_MAX_CHUNK_DURATION_IN_SECONDS,
       maxChunkRequestsPerSecond: constants.DEFAULT_MAX_CHUNK_REQUESTS_PER_SECOND,
       timeBufferInMilliseconds: constants.DEFAULT_MAX_TIME_BUFFER_IN_MILLISECONDS,
+      branchingFactor: constants.DEFAULT_BRANCHING_FACTOR,
     }
     if (event && event._split) {
       if ('maxScriptDurationInSeconds' in event._split) {
@@ -99,6 +208,13 @@ const impl = {
       if ('timeBufferInMilliseconds' in event._split) {
         ret.timeBufferInMilliseconds = event._split.timeBufferInMilliseconds
       }
+      if ('branchingFactor' in event._split) {
+        ret.branchingFactor = event._split.branchingFactor
+      }
+    }
+    const allowedTargets = process.env[constants.ALLOWED_TARGETS_VARIABLE]
+    if (allowedTargets) {
+      ret.allowedTargets = allowedTargets.split(',').map(target => target.trim()).filter(target => target)
     }
     return ret
   },
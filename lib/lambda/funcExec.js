@@ -1,13 +1,47 @@
 const aws = require('aws-sdk') // eslint-disable-line import/no-extraneous-dependencies
 
+const def = require('./funcDef')
 const handle = require('./funcHandle')
+const payload = require('./funcPayload')
+const sign = require('./funcSign')
 const valid = require('./funcValid')
 
-const lambda = new aws.Lambda({ maxRetries: 0 })
+const lambda = new aws.Lambda({
+  maxRetries: 0,
+  httpOptions: {
+    timeout: 310000, // allow RequestResponse invocations to wait for the longest possible function execution
+  },
+})
 
 const impl = {
   /**
-   * Invoke a new instance of this function with the given event using the given invocation type.
+   * Invoke a new instance of this function with the given parameters, retrying invocations that the Lambda service
+   * rejected because it was throttled (or failed internally) with exponential backoff.  An invocation is not retried
+   * if the retry would be delayed past the given start time.
+   * @param params The parameters of the invocation
+   * @param start The time at which the invoked event is scheduled to start, if any
+   * @param attempt The number of attempts already made
+   * @returns {Promise<PromiseResult<Payload>>}
+   */
+  invoke: (params, start, attempt) => lambda.invoke(params).promise()
+    .catch((ex) => {
+      const delay = def.INVOKE_RETRY_BASE_DELAY_IN_MILLISECONDS * Math.pow(2, attempt) // eslint-disable-line no-restricted-properties
+      if (
+        def.INVOKE_RETRY_CODES.includes(ex.code) &&
+        attempt < def.INVOKE_RETRIES &&
+        !(start && Date.now() + delay > start)
+      ) {
+        console.warn(`invocation failed with ${ex.code}, retrying in ${delay} ms (attempt ${attempt + 2} of ${
+          def.INVOKE_RETRIES + 1})`)
+        return new Promise(resolve => setTimeout(resolve, delay))
+          .then(() => impl.invoke(params, start, attempt + 1))
+      }
+      return Promise.reject(ex)
+    }),
+  /**
+   * Invoke a new instance of this function with the given event using the given invocation type.  The event is signed
+   * if the function was deployed with a shared secret.  An event too large to invoke the function with is stored in
+   * the function's payload bucket and the new instance is invoked with a reference to it.
    * @param event The event to invoke a new instance of this function with
    * @param type The type of invocation for the new instance
    * @returns {Promise<PromiseResult<Payload>>}
@@ -17,12 +51,15 @@ const impl = {
     const params = {
       FunctionName: handle.context.functionName,
       InvocationType: type || 'Event',
-      Payload: JSON.stringify(event),
     }
     if (process.env.SERVERLESS_STAGE) {
       params.FunctionName += `:${process.env.SERVERLESS_STAGE}`
     }
-    return lambda.invoke(params).promise()
+    return payload.offload(sign(event), params.InvocationType, process.env[def.PAYLOAD_BUCKET_VARIABLE])
+      .then((sent) => {
+        params.Payload = JSON.stringify(sent)
+        return impl.invoke(params, event._start, 0) // eslint-disable-line no-underscore-dangle
+      })
       .then((res) => {
         try {
           return JSON.parse(res.Payload)
@@ -40,3 +77,7 @@ const impl = {
 }
 
 module.exports = impl.execute
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
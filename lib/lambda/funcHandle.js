@@ -1,3 +1,6 @@
+const def = require('./funcDef')
+const payload = require('./funcPayload')
+const sign = require('./funcSign')
 const valid = require('./funcValid')
 
 const impl = {
@@ -18,7 +21,21 @@ const impl = {
     )
   },
   handler: taskHandler => (event, context, callback) => {
+    if (payload.isReference(event)) { // handle the stored event in place of its reference
+      payload.resolve(event, process.env[def.PAYLOAD_BUCKET_VARIABLE])
+        .then(
+          resolved => impl.handler(taskHandler)(resolved, context, callback),
+          (ex) => {
+            console.error(ex.stack)
+            callback(null, 'Error loading event') // the event is not yet verified, so do not describe its failure
+          } // eslint-disable-line comma-dangle
+        )
+      return
+    }
     try {
+      sign.verify(event)
+      delete event[def.SIGNATURE_ATTRIBUTE] // eslint-disable-line no-param-reassign
+      delete event[def.SIGNED_AT_ATTRIBUTE] // eslint-disable-line no-param-reassign
       valid(event)
       module.exports.context = context
       module.exports.callback = callback
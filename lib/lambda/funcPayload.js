@@ -0,0 +1,154 @@
+const aws = require('aws-sdk') // eslint-disable-line import/no-extraneous-dependencies
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const def = require('./funcDef')
+
+const stores = {
+  /**
+   * Create a payload store that keeps events in files in the given directory, standing in for S3 in tests.
+   * @param directory The directory to keep the events in [default: the temporary directory]
+   * @returns {{put: function, get: function}} The payload store
+   */
+  file: (directory) => {
+    const file = (bucket, key) => path.join(directory || os.tmpdir(), encodeURIComponent(`${bucket}/${key}`))
+    return {
+      put: (bucket, key, body) => new Promise((resolve, reject) => {
+        fs.writeFile(file(bucket, key), body, err => (err ? reject(err) : resolve()))
+      }),
+      get: (bucket, key) => new Promise((resolve, reject) => {
+        fs.readFile(file(bucket, key), 'utf8', (err, body) => (err ? reject(err) : resolve(body)))
+      }),
+    }
+  },
+  /**
+   * Create a payload store that keeps events as objects in S3.
+   * @param s3 The aws.S3 client to keep the events with [default: a client for the AWS SDK's configured region]
+   * @returns {{put: function, get: function}} The payload store
+   */
+  s3: (s3) => {
+    const client = s3 || new aws.S3()
+    return {
+      put: (bucket, key, body) => client.putObject({ Bucket: bucket, Key: key, Body: body }).promise(),
+      get: (bucket, key) => client.getObject({ Bucket: bucket, Key: key }).promise()
+        .then(data => data.Body.toString()),
+    }
+  },
+}
+
+const impl = {
+  /**
+   * The payload store in use, created on first use if none has been given (see impl.use)
+   */
+  store: undefined,
+  /**
+   * Use the given payload store for subsequently stored and resolved events.
+   * @param store The payload store to use, an object with a put function that takes a bucket, key, and body and
+   * returns a promise resolving once the body is stored, and a get function that takes a bucket and key and returns a
+   * promise resolving to the body stored under them
+   */
+  use: (store) => {
+    impl.store = store
+  },
+  /**
+   * Obtain the payload store in use, creating an S3 payload store if none has been given.
+   * @returns {{put: function, get: function}} The payload store
+   */
+  getStore: () => {
+    if (!impl.store) {
+      impl.store = stores.s3()
+    }
+    return impl.store
+  },
+  /**
+   * Determine whether the given event is too large to invoke the function with using the given invocation type.
+   * @param event The event to invoke the function with
+   * @param type The type of the invocation [default: 'Event']
+   * @returns {boolean} Whether the event must be stored and referred to instead
+   */
+  exceeds: (event, type) =>
+    Buffer.byteLength(JSON.stringify(event)) > def.MAX_PAYLOAD_SIZE_IN_BYTES[type || 'Event'],
+  /**
+   * Obtain the event to invoke the function with in place of the given event.  An event that is too large to invoke the
+   * function with is stored in the given bucket, keyed by the hash of its content, and referred to by the event
+   * obtained.  Smaller events are invoked as they are.
+   * @param event The event to invoke the function with
+   * @param type The type of the invocation [default: 'Event']
+   * @param bucket The S3 bucket to store events too large to invoke the function with in
+   * @param store The payload store to store the event with [default: the payload store in use]
+   * @returns {Promise} A promise resolving to the given event or to the event referring to it
+   */
+  offload: (event, type, bucket, store) => {
+    if (!impl.exceeds(event, type)) {
+      return Promise.resolve(event)
+    }
+    const body = JSON.stringify(event)
+    if (!bucket) {
+      const invocationType = type || 'Event'
+      const limit = def.MAX_PAYLOAD_SIZE_IN_BYTES[invocationType]
+      return Promise.reject(new def.FunctionError(`The event is ${Buffer.byteLength(body)} bytes, more than the ${
+        limit} bytes that ${invocationType} invocations accept.  Deploy the function with a ${
+        def.PAYLOAD_BUCKET_VARIABLE} to store it in.`))
+    }
+    const key = `${def.PAYLOAD_KEY_PREFIX}${crypto.createHash('sha256').update(body).digest('hex')}.json`
+    return (store || impl.getStore()).put(bucket, key, body)
+      .then(() => ({ [def.PAYLOAD_ATTRIBUTE]: { bucket, key } }))
+  },
+  /**
+   * Determine whether the given event refers to a stored event that the function is to handle in its place.
+   * @param event The event the function was invoked with
+   * @returns {boolean} Whether the event is a reference
+   */
+  isReference: event => !!event && typeof event === 'object' && def.PAYLOAD_ATTRIBUTE in event,
+  /**
+   * Load the stored event that the given event refers to.  Only events stored under the payload key prefix of the given
+   * bucket are loaded, whatever bucket the reference gives, since the reference itself is not signed.
+   * @param event The event referring to the stored event (see impl.offload)
+   * @param bucket The S3 bucket in which the function stores events too large to invoke it with
+   * @returns {Promise} A promise resolving to the stored event
+   */
+  resolve: (event, bucket) => {
+    const reference = event[def.PAYLOAD_ATTRIBUTE]
+    if (!bucket) {
+      return Promise.reject(new def.FunctionError(`The function must be deployed with a ${
+        def.PAYLOAD_BUCKET_VARIABLE} to load stored events from`))
+    }
+    if (
+      !reference ||
+      reference.bucket !== bucket ||
+      typeof reference.key !== 'string' ||
+      !reference.key.startsWith(def.PAYLOAD_KEY_PREFIX)
+    ) {
+      return Promise.reject(new def.FunctionError(`The "${def.PAYLOAD_ATTRIBUTE}" attribute must give the bucket and key of an event stored in ${
+        def.PAYLOAD_BUCKET_VARIABLE} under ${def.PAYLOAD_KEY_PREFIX}`))
+    }
+    return impl.getStore().get(reference.bucket, reference.key)
+      .then((body) => {
+        let resolved
+        try {
+          resolved = JSON.parse(body)
+        } catch (ex) {
+          throw new def.FunctionError(`The stored event s3://${reference.bucket}/${reference.key} is not JSON`)
+        }
+        if (impl.isReference(resolved)) {
+          throw new def.FunctionError(`The stored event s3://${reference.bucket}/${reference.key} must not refer to another`)
+        }
+        return resolved
+      })
+  },
+}
+
+module.exports = {
+  exceeds: impl.exceeds,
+  offload: impl.offload,
+  isReference: impl.isReference,
+  resolve: impl.resolve,
+  use: impl.use,
+  stores,
+}
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
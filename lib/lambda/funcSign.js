@@ -0,0 +1,102 @@
+const crypto = require('crypto')
+
+const def = require('./funcDef')
+
+const impl = {
+  /**
+   * Copy the given JSON value with the attributes of every object in sorted order, so that the serialization of an
+   * event does not depend on the order in which its attributes were added.
+   * @param value The JSON value to copy
+   * @returns {*} The sorted copy
+   */
+  sortKeys: (value) => {
+    if (Array.isArray(value)) {
+      return value.map(impl.sortKeys)
+    } else if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce(
+        (sorted, key) => Object.assign(sorted, { [key]: impl.sortKeys(value[key]) }),
+        {} // eslint-disable-line comma-dangle
+      )
+    }
+    return value
+  },
+  /**
+   * Compute the signature of the given event: the hex encoded HMAC-SHA256, keyed by the given secret, of the event's
+   * canonical JSON serialization excluding any signature it carries.
+   * @param event The event to compute the signature of
+   * @param secret The shared secret to key the signature with
+   * @returns {string} The signature of the event
+   */
+  digest: (event, secret) => {
+    const content = JSON.parse(JSON.stringify(event))
+    delete content[def.SIGNATURE_ATTRIBUTE]
+    return crypto.createHmac('sha256', `${secret}`).update(JSON.stringify(impl.sortKeys(content))).digest('hex')
+  },
+  /**
+   * Obtain the shared secret that the function was deployed with, if any.
+   * @returns {string} The shared secret or undefined if events are not signed
+   */
+  getSecret: () => process.env[def.SIGNING_SECRET_VARIABLE] || undefined,
+  /**
+   * Obtain the number of seconds, either side of the time at which an event was signed, within which the function
+   * accepts it.
+   * @returns {number} The maximum age of a signed event, in seconds
+   */
+  getMaxAgeInSeconds: () => {
+    const maxAge = Number(process.env[def.SIGNATURE_MAX_AGE_VARIABLE])
+    return maxAge > 0 ? maxAge : def.DEFAULT_SIGNATURE_MAX_AGE_IN_SECONDS
+  },
+  /**
+   * Sign the given event with the given shared secret, if there is one.  The signed content includes the time of
+   * signing (see def.SIGNED_AT_ATTRIBUTE) so that the signature of an event expires.
+   * @param event The event to sign
+   * @param secret The shared secret to sign the event with [default: the secret the function was deployed with]
+   * @returns {*} A copy of the event carrying the time of signing and its signature or the event itself if there is no
+   * secret to sign it with
+   */
+  sign: (event, secret) => {
+    const key = secret === undefined ? impl.getSecret() : secret
+    if (!key) {
+      return event
+    }
+    const signed = Object.assign({}, event)
+    signed[def.SIGNED_AT_ATTRIBUTE] = Date.now()
+    signed[def.SIGNATURE_ATTRIBUTE] = impl.digest(signed, key)
+    return signed
+  },
+  /**
+   * Verify that the given event carries the signature of its content and was signed within the maximum age (see
+   * impl.getMaxAgeInSeconds), if the function was deployed with a shared secret, throwing an exception if it does not.
+   * @param event The event to verify
+   */
+  verify: (event) => {
+    const secret = impl.getSecret()
+    if (!secret) {
+      return
+    }
+    const signature = event[def.SIGNATURE_ATTRIBUTE]
+    if (typeof signature !== 'string') {
+      throw new def.FunctionError(`The event must be signed, carrying its signature in the "${def.SIGNATURE_ATTRIBUTE}" attribute`)
+    }
+    const expected = Buffer.from(impl.digest(event, secret))
+    const observed = Buffer.from(signature)
+    if (expected.length !== observed.length || !crypto.timingSafeEqual(expected, observed)) {
+      throw new def.FunctionError('The signature of the event does not match its content')
+    }
+    const signedAt = event[def.SIGNED_AT_ATTRIBUTE]
+    if (typeof signedAt !== 'number') {
+      throw new def.FunctionError(`The event must carry the time at which it was signed in the "${def.SIGNED_AT_ATTRIBUTE}" attribute`)
+    }
+    const maxAge = impl.getMaxAgeInSeconds()
+    if (Math.abs(Date.now() - signedAt) > maxAge * 1000) {
+      throw new def.FunctionError(`The event was not signed within ${maxAge} seconds of its receipt`)
+    }
+  },
+}
+
+module.exports = impl.sign
+module.exports.verify = impl.verify
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
@@ -2,68 +2,71 @@ const def = require('./funcDef')
 
 const impl = {
   /**
-   * Validate the given event's function relevant configuration, throwing an exception if invalid configuration is discovered.
+   * Find every problem with the given event's function relevant configuration.
    * @param event The event given to validate
+   * @returns {Array} The problems discovered, each an object with the JSON path of the problematic attribute and a
+   * message describing the problem.  Empty if the configuration is valid.
    */
-  validate: (event) => {
+  problems: (event) => {
+    const problems = []
     // Splitting Settings [Optional]
     if ('_split' in event && typeof event._split !== 'object') { // eslint-disable-line no-underscore-dangle
-      throw new def.FunctionError('If specified, the "_split" attribute must contain an object')
+      problems.push({ path: '$._split', message: 'If specified, the "_split" attribute must contain an object' })
     } else {
       const settings = def.getSettings(event)
-      if (
-        'maxChunkDurationInSeconds' in settings &&
-        (
-          !Number.isInteger(settings.maxChunkDurationInSeconds) ||
-          settings.maxChunkDurationInSeconds <= 0 ||
-          settings.maxChunkDurationInSeconds > def.MAX_CHUNK_DURATION_IN_SECONDS
-        )
-      ) {
-        throw new def.FunctionError('If specified the "_split.maxChunkDurationInSeconds" attribute must be an integer ' +
-          `inclusively between 1 and ${def.MAX_CHUNK_DURATION_IN_SECONDS}.`)
-      } else if (
-        'maxScriptDurationInSeconds' in settings &&
-        (
-          !Number.isInteger(settings.maxScriptDurationInSeconds) ||
-          settings.maxScriptDurationInSeconds <= 0 ||
-          settings.maxScriptDurationInSeconds > def.MAX_SCRIPT_DURATION_IN_SECONDS
-        )
-      ) {
-        throw new def.FunctionError('If specified the "_split.maxScriptDurationInSeconds" attribute must be an integer ' +
-          `inclusively between 1 and ${def.MAX_SCRIPT_DURATION_IN_SECONDS}.`)
-      } else if (
-        'maxChunkRequestsPerSecond' in settings &&
-        (
-          !Number.isInteger(settings.maxChunkRequestsPerSecond) ||
-          settings.maxChunkRequestsPerSecond <= 0 ||
-          settings.maxChunkRequestsPerSecond > def.MAX_CHUNK_REQUESTS_PER_SECOND
-        )
-      ) {
-        throw new def.FunctionError('If specified the "_split.maxChunkRequestsPerSecond" attribute must be an integer ' +
-          `inclusively between 1 and ${def.MAX_CHUNK_REQUESTS_PER_SECOND}.`)
-      } else if (
-        'maxScriptRequestsPerSecond' in settings &&
-        (
-          !Number.isInteger(settings.maxScriptRequestsPerSecond) ||
-          settings.maxScriptRequestsPerSecond <= 0 ||
-          settings.maxScriptRequestsPerSecond > def.MAX_SCRIPT_REQUESTS_PER_SECOND
-        )
-      ) {
-        throw new def.FunctionError('If specified the "_split.maxScriptRequestsPerSecond" attribute must be an integer ' +
-          `inclusively between 1 and ${def.MAX_SCRIPT_REQUESTS_PER_SECOND}.`)
-      } else if (
-        'timeBufferInMilliseconds' in settings &&
-        (
-          !Number.isInteger(settings.timeBufferInMilliseconds) ||
-          settings.timeBufferInMilliseconds <= 0 ||
-          settings.timeBufferInMilliseconds > def.MAX_TIME_BUFFER_IN_MILLISECONDS
-        )
-      ) {
-        throw new def.FunctionError('If specified the "_split.timeBufferInMilliseconds" attribute must be an integer ' +
-          `inclusively between 1 and ${def.MAX_TIME_BUFFER_IN_MILLISECONDS}.`)
+      const limits = [
+        { name: 'maxChunkDurationInSeconds', max: def.MAX_CHUNK_DURATION_IN_SECONDS },
+        { name: 'maxScriptDurationInSeconds', max: def.MAX_SCRIPT_DURATION_IN_SECONDS },
+        { name: 'maxChunkRequestsPerSecond', max: def.MAX_CHUNK_REQUESTS_PER_SECOND },
+        { name: 'maxScriptRequestsPerSecond', max: def.MAX_SCRIPT_REQUESTS_PER_SECOND },
+        { name: 'timeBufferInMilliseconds', max: def.MAX_TIME_BUFFER_IN_MILLISECONDS },
+        { name: 'branchingFactor', min: 2, max: def.MAX_BRANCHING_FACTOR }, // a factor of 1 would never fan out
+      ]
+      limits.forEach((limit) => {
+        const min = limit.min || 1
+        if (
+          limit.name in settings &&
+          (
+            !Number.isInteger(settings[limit.name]) ||
+            settings[limit.name] < min ||
+            settings[limit.name] > limit.max
+          )
+        ) {
+          problems.push({
+            path: `$._split.${limit.name}`,
+            message: `If specified the "_split.${limit.name}" attribute must be an integer inclusively between ${min} and ${
+              limit.max}.`,
+          })
+        }
+      })
+      if (!problems.length) {
+        const held = settings.maxChunkDurationInSeconds + Math.ceil(settings.timeBufferInMilliseconds / 1000) +
+          def.RESULTS_BUFFER_IN_SECONDS
+        if (held > def.FUNCTION_TIMEOUT_IN_SECONDS) {
+          problems.push({
+            path: '$._split',
+            message: [
+              'The "_split.maxChunkDurationInSeconds" and "_split.timeBufferInMilliseconds" attributes must leave',
+              `${def.RESULTS_BUFFER_IN_SECONDS} seconds of the function's ${def.FUNCTION_TIMEOUT_IN_SECONDS} second timeout`,
+              `for a function waiting on chunks to report their results, but would hold it for ${held} seconds.`,
+            ].join(' '),
+          })
+        }
       }
     }
+    return problems
+  },
+  /**
+   * Validate the given event's function relevant configuration, throwing an exception if invalid configuration is discovered.
+   * @param event The event given to validate
+   */
+  validate: (event) => {
+    const problems = impl.problems(event)
+    if (problems.length) {
+      throw new def.FunctionError(problems[0].message)
+    }
   },
 }
 
 module.exports = impl.validate
+module.exports.problems = impl.problems
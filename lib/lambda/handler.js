@@ -1,5 +1,7 @@
 /* eslint-disable no-underscore-dangle */
 
+const crypto = require('crypto')
+
 const func = require('./func')
 const task = require('./task')
 
@@ -17,8 +19,17 @@ const impl = {
     }
   },
   /**
-   * Wait the requested time delay before simulating execution (simulation mode) or sending the given event to a new
-   * copy of this function for execution (standard mode)
+   * Determine whether the load test of the given script has been flagged to stop (see `slsart stop`).
+   * @param script The script (or chunk of a script) to check
+   * @returns {Promise<boolean>} A promise resolving to whether the load test should stop
+   */
+  stopped: script => func.control.stopped(script._genesis),
+  /**
+   * Wait the requested time delay before simulating execution (simulation mode), handling the given event within the
+   * current process (local mode), or sending the given event to a new copy of this function for execution (standard
+   * mode).  Nothing is sent if the load test has been flagged to stop by then.  Chunks that report their results are
+   * marked as checked (_stopChecked) so that they do not check again before they start, the copies of this function
+   * that execute them all starting at once.
    * @param timeDelay The amount of time to delay before sending the remaining jobs for execution
    * @param event The event containing the remaining jobs that is to be sent to the next Lambda
    * @param invocationType The lambda invocationType
@@ -29,6 +40,11 @@ const impl = {
       if (event._simulation) {
         console.log('SIMULATION: self invocation.')
         return impl.handle(event)
+      } else if (event._local) {
+        if (event._trace) {
+          console.log(`LOCAL: handling chunk for ${event._genesis} in ${event._start} @ ${Date.now()}`)
+        }
+        return impl.handle(event)
       } else {
         if (event._trace) {
           console.log(`invoking self for ${event._genesis} in ${event._start} @ ${Date.now()}`)
@@ -45,10 +61,111 @@ const impl = {
     if (event._trace) {
       console.log(`scheduling self invocation for ${event._genesis} in ${event._start} with a ${timeDelay} ms delay`)
     }
-    return impl.delay(timeDelay).then(exec)
+    return impl.delay(timeDelay)
+      .then(() => impl.stopped(event))
+      .then((stopped) => {
+        if (stopped) {
+          console.log(`load test from ${event._genesis} stopped, not invoking the chunk starting at ${event._start}`)
+          return undefined
+        }
+        if (invocationType === 'RequestResponse' && !event._plans) {
+          event._stopChecked = true // eslint-disable-line no-param-reassign
+        }
+        return exec()
+      })
   },
   /**
-   * Execute the given plans distributed across copies of this function
+   * Describe the given plan, which could not be invoked, as a failed chunk in place of its result.
+   * @param plan The plan that could not be invoked
+   * @param ex The error that the invocation failed with
+   * @returns {{_failedChunk: {start: number, durationInSeconds: number, arrivals: number, error: string}}} The failed
+   * chunk, describing how much of the planned load never ran
+   */
+  failedChunk: (plan, ex) => {
+    const hasPhases = plan.config && Array.isArray(plan.config.phases)
+    console.error(`chunk starting at ${plan._start} failed permanently: ${ex.message}`)
+    return {
+      _failedChunk: {
+        start: plan._start,
+        durationInSeconds: hasPhases ? Math.max(task.plan.impl.scriptDurationInSeconds(plan), 0) : 0,
+        arrivals: hasPhases ? task.plan.impl.scriptArrivals(plan) : 0,
+        error: ex.message,
+      },
+    }
+  },
+  /**
+   * Add the given failed chunks to the given result of a distributed script, summing the arrivals that never ran.
+   * @param result The result of the script
+   * @param failedChunks The descriptions of the chunks that failed (see impl.failedChunk)
+   * @returns {*} The given result
+   */
+  reportFailedChunks: (result, failedChunks) => {
+    if (failedChunks.length && result && typeof result === 'object') {
+      result.failedChunks = failedChunks // eslint-disable-line no-param-reassign
+      result.unexecutedArrivals = failedChunks.reduce((sum, chunk) => sum + chunk.arrivals, 0) // eslint-disable-line no-param-reassign
+    }
+    return result
+  },
+  /**
+   * Invoke copies of this function for the given plans, waiting for the results of those that report them.  If there
+   * are more chunks that report results than the branching factor allows a single function to invoke, groups of them
+   * are handed to intermediate copies of this function (each an event with a _plans attribute) that fan them out
+   * further, so that no function makes more than branching factor invocations.  Each invocation is made when
+   * taskPlan.impl.fanOut schedules it and intermediate copies report the results of their group as the script's mode
+   * merges them (see taskResult.merge).  Plans that could not be invoked
+   * are reported as failed chunks (see impl.failedChunk) in place of their results, as is every plan of a group whose
+   * intermediate failed.
+   * @param timeNow The time ID of the current function
+   * @param script The script (or intermediate event) that caused the execution of the current function
+   * @param settings The settings to use for executing in the current function
+   * @param plans The plans (each an event) to distribute over copies of this function
+   * @returns {Promise<Array>} The results of the plans, in the order of the given plans apart from any remainder
+   * (which reports no result) being placed first.  The results of a group may be merged into fewer results.
+   */
+  fanOut: (timeNow, script, settings, plans) => {
+    const schedule = task.plan.impl.fanOut(plans, settings)
+    if (script._trace && schedule.some(invocation => invocation.group)) {
+      console.log(`fanning out ${plans.filter(plan => plan._invokeType === 'RequestResponse').length} chunks from ${
+        script._genesis} in ${timeNow} by a factor of ${settings.branchingFactor}`)
+    }
+    const invocations = schedule.map((invocation) => {
+      if (invocation.plan) {
+        const plan = invocation.plan
+        return impl.invokeSelf(invocation.invokeAt - Date.now(), plan, plan._invokeType)
+          .then(result => [result], ex => [impl.failedChunk(plan, ex)])
+      }
+      const group = invocation.group
+      const event = {
+        _genesis: script._genesis,
+        _start: Math.min(...group.map(plan => plan._start)),
+        _invokeType: 'RequestResponse',
+        _plans: group,
+      }
+      const flags = ['mode', '_split', '_trace', '_simulation', '_local']
+      flags.filter(flag => flag in script).forEach((flag) => { event[flag] = script[flag] })
+      return impl.invokeSelf(invocation.invokeAt - Date.now(), event, event._invokeType).then(
+        (results) => {
+          if (Array.isArray(results)) {
+            return results
+          }
+          const ex = new Error(typeof results === 'string' ? results : 'the intermediate did not report the results of its chunks')
+          return group.map(plan => impl.failedChunk(plan, ex))
+        },
+        ex => group.map(plan => impl.failedChunk(plan, ex)) // eslint-disable-line comma-dangle
+      )
+    })
+    return Promise.all(invocations.map(invocation => invocation.then((results) => {
+      if (script._trace) {
+        console.log(`load test from ${script._genesis} executed by ${timeNow} partially complete @ ${Date.now()}`)
+      }
+      return results
+    })))
+      .then(results => [].concat(...results))
+  },
+  /**
+   * Execute the given plans distributed across copies of this function.  Chunks that could not be invoked are listed
+   * under the result's failedChunks attribute and the arrivals they would have started are totaled under its
+   * unexecutedArrivals attribute.
    * @param timeNow The time ID of the current function
    * @param script The script that caused the execution of the current function
    * @param settings The settings to use for executing in the current function
@@ -59,43 +176,47 @@ const impl = {
     if (script._trace) {
       console.log(`distributing ${plans.length} plans from ${script._genesis} in ${timeNow}`)
     }
-    const invocations = plans.map(plan => impl.invokeSelf(
-      (plan._start - Date.now()) - settings.timeBufferInMilliseconds,
-      plan,
-      plan._invokeType // eslint-disable-line comma-dangle
-    ).then((result) => {
-      if (script._trace) {
-        console.log(`load test from ${script._genesis} executed by ${timeNow} partially complete @ ${Date.now()}`)
-      }
-      return result
-    }))
-    return Promise.all(invocations)
+    return impl.fanOut(timeNow, script, settings, plans)
       .then((results) => {
         if (script._trace) {
           console.log(`load test from ${script._genesis} in ${timeNow} completed @ ${Date.now()}`)
         }
-        return Promise.resolve(task.result(timeNow, script, settings, results))
+        const failedChunks = results.filter(result => result && result._failedChunk).map(result => result._failedChunk)
+        const reported = results.map(result => (result && result._failedChunk ? undefined : result))
+        return Promise.resolve(task.result(timeNow, script, settings, reported))
+          .then(result => impl.reportFailedChunks(result, failedChunks))
       })
   },
   /**
-   * Execute the given event in place, which is to say in the current function
+   * Execute the given event in place, which is to say in the current function, unless its load test has been flagged
+   * to stop by the time it is due (or, for a chunk marked _stopChecked, by the time it was invoked).  Running load
+   * stops at its next phase boundary once the load test is flagged, which the script's circuit breaker (if any) does
+   * when the target fails.
    * @param timeNow The time ID of the current function
    * @param event The event to execute in the current function
    * @param settings The settings to use for executing in the current function
+   * @param origin The script that the event was planned from (optional).  If its mode differs from the event's (e.g.
+   * the lone flow of an acceptance mode script), the event's result is then analyzed as the origin's mode requires,
+   * just as it would be had the event been distributed.
    * @returns {Promise<T>}
    */
-  execute: (timeNow, event, settings) => {
+  execute: (timeNow, event, settings, origin) => {
     const script = event
     if (!script._start) {
       script._start = timeNow
     }
     const timeDelay = script._start - Date.now()
     return impl.delay(timeDelay)
-      .then(() => {
+      .then(() => (script._stopChecked ? false : impl.stopped(script)))
+      .then((stopped) => {
+        if (stopped) {
+          console.log(`load test from ${script._genesis} stopped, not executing it in ${timeNow}`)
+          return undefined
+        }
         if (script._trace) {
           console.log(`executing load script from ${script._genesis} in ${timeNow} @ ${Date.now()}`)
         }
-        return task.exec(timeNow, script)
+        return task.exec(timeNow, script, () => impl.stopped(script), () => func.control.stop(script._genesis))
           .then((result) => {
             if (script._trace) {
               console.log(`execution complete from ${script._genesis} in ${timeNow} @ ${Date.now()}`)
@@ -103,6 +224,7 @@ const impl = {
             return Promise.resolve(task.result(timeNow, script, settings, [result]))
           })
       })
+      .then(result => (origin && origin.mode !== script.mode ? task.result(timeNow, origin, settings, [result]) : result))
       .catch((ex) => {
         console.error(`error executing load script from ${script._genesis} in ${timeNow} @ ${Date.now()}:`)
         console.error(ex.stack)
@@ -110,30 +232,71 @@ const impl = {
       })
   },
   /**
-   * Handle event given by the function infrastructure, using the task plugin to plan and execute it (in this function
-   * or distributed across copies of it using the func plugin).
-   *
-   * TODO What if there is not external reporting for a script that requires splitting?  Detect this and error out?
-   *
-   * @param event The event to plan and execute (in this function or distributed across copies of it)
+   * Give each of the given plans of the given script a deterministic ID (its _id attribute): the script's _genesis
+   * followed by a hash of the script's ID (or its _genesis if it has none) and the plan's position among the plans.  A
+   * redelivered event is planned into the same plans and so produces the same IDs.  Hashing keeps the IDs of the chunks
+   * at the end of a long chain of remainders as short as those at its start.
+   * @param script The script that was planned
+   * @param plans The plans of the script
+   * @returns {Array} The given plans
+   */
+  identify: (script, plans) => {
+    const parent = '_id' in script ? script._id : `${script._genesis}`
+    plans.forEach((plan, i) => {
+      const hash = crypto.createHash('sha256').update(`${parent}.${i}`).digest('hex')
+      plan._id = `${script._genesis}.${hash}` // eslint-disable-line no-param-reassign
+    })
+    return plans
+  },
+  /**
+   * Plan the given event and execute it (in this function or distributed across copies of it).
+   * @param event The event to plan and execute
    * @returns {*}
    */
-  handle: (event) => {
+  run: (event) => {
     const script = event
     const settings = func.def.getSettings(script)
     const timeNow = Date.now()
+    if (Array.isArray(script._plans)) { // an intermediate of a fan out, report the merged results of the plans
+      return impl.fanOut(timeNow, script, settings, script._plans)
+        .then(results => task.result.merge(script, results))
+    }
     task.valid(settings, script)
-    const plans = task.plan(timeNow, script, settings)
+    const plans = impl.identify(script, task.plan(timeNow, script, settings))
     if (plans.length > 1) {
       return impl.distribute(timeNow, script, settings, plans)
     } else if (plans.length === 1) {
-      return impl.execute(timeNow, plans[0], settings)
+      return impl.execute(timeNow, plans[0], settings, script)
     } else {
       const msg = `ERROR, no executable content in:\n${JSON.stringify(script)}!`
       console.error(msg)
       return Promise.reject(new Error(msg))
     }
   },
+  /**
+   * Handle event given by the function infrastructure, using the task plugin to plan and execute it (in this function
+   * or distributed across copies of it using the func plugin).  Chunks (i.e. events with an _id) are executed only if
+   * they can be claimed, so that a chunk which the Lambda service delivers more than once does not produce its load
+   * more than once.  The result of a chunk that was already claimed is undefined.
+   *
+   * TODO What if there is not external reporting for a script that requires splitting?  Detect this and error out?
+   *
+   * @param event The event to plan and execute (in this function or distributed across copies of it)
+   * @returns {*}
+   */
+  handle: (event) => {
+    if (!('_id' in event)) {
+      return impl.run(event)
+    }
+    return func.claim(event._id)
+      .then((claimed) => {
+        if (!claimed) {
+          console.log(`skipping chunk ${event._id} of ${event._genesis}, which was already claimed`)
+          return undefined
+        }
+        return impl.run(event)
+      })
+  },
 }
 
 module.exports = {
@@ -1,5 +1,6 @@
 const def = require('./taskDef')
 const exec = require('./taskExec')
+const mode = require('./taskMode')
 const plan = require('./taskPlan')
 const result = require('./taskResult')
 const valid = require('./taskValid')
@@ -7,6 +8,7 @@ const valid = require('./taskValid')
 module.exports = {
   def,
   exec,
+  mode,
   plan,
   result,
   valid,
@@ -7,6 +7,70 @@ const constants = {
     PERFORMANCE: 'performance',
     ACC: 'acc',
     ACCEPTANCE: 'acceptance',
+    MON: 'mon',
+    MONITORING: 'monitoring',
+  },
+  /**
+   * The thresholds that a performance script may ensure (via `config.ensure`) its results stay within.  Latency
+   * thresholds are maximums in milliseconds of the report statistic with the same name.  The error rate threshold is
+   * the maximum ratio (between 0 and 1) of scenarios that were created but not completed.
+   */
+  ensure: {
+    LATENCIES: ['min', 'max', 'median', 'p95', 'p99'],
+    ERROR_RATE: 'maxErrorRate',
+  },
+  /**
+   * The circuit breaker that a script may configure (via `config.abortOn`) to stop its load once the target fails.  The
+   * error rate threshold is the ratio (between 0 and 1) of requests that errored or received a 5XX status code within
+   * the trailing window of the given default number of seconds.  Once the breaker trips, the hook added to the
+   * script's processor under the given name fails every subsequent request with the given error.
+   */
+  abortOn: {
+    ERROR_RATE: 'errorRate',
+    WINDOW_SECONDS: 'windowSeconds',
+    DEFAULT_WINDOW_SECONDS: 30,
+    BEFORE_REQUEST: '_slsartAbortRequest',
+    ERROR: 'EABORTED',
+  },
+  /**
+   * The step types that send requests (see https://artillery.io/docs/http-reference.html)
+   */
+  METHODS: ['get', 'head', 'post', 'put', 'patch', 'delete', 'options'],
+  /**
+   * The outcomes of the flows of an acceptance mode script.  A flaky flow failed but then passed when retried.
+   */
+  outcomes: {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    FLAKY: 'flaky',
+  },
+  /**
+   * The maximum number of times (via config.acceptance.retries) that a failing acceptance mode flow may be retried
+   */
+  MAX_RETRIES: 5,
+  /**
+   * The publication of the results of a monitoring mode script, which executes its flows as an acceptance mode script
+   * would (typically on a schedule).  Each flow's outcome is published as CloudWatch metrics with the given names under
+   * the given default namespace (via config.monitoring.namespace) and failures are alerted via the SNS topic (via
+   * config.monitoring.topicArn) and/or webhook (via config.monitoring.webhook) that the script configures.  Webhooks
+   * that do not respond within the given time are considered to have failed.
+   */
+  monitoring: {
+    NAMESPACE: 'serverless-artillery',
+    PASSED_METRIC: 'Passed',
+    FAILED_METRIC: 'Failed',
+    MAX_METRICS_PER_REQUEST: 20,
+    MAX_SUBJECT_LENGTH: 100,
+    WEBHOOK_TIMEOUT_IN_MILLISECONDS: 10000,
+  },
+  /**
+   * The recording of each request sent by an acceptance mode flow.  The recording hooks are added to the script's
+   * processor under the given names and the response bodies of failing steps are truncated to the given length.
+   */
+  diagnostics: {
+    BEFORE_REQUEST: '_slsartRecordRequest',
+    AFTER_RESPONSE: '_slsartRecordResponse',
+    MAX_BODY_LENGTH: 1024,
   },
 }
 
@@ -6,6 +6,9 @@ const fs = require('fs')
 const path = require('path')
 
 const def = require('./taskDef')
+const mode = require('./taskMode')
+const plan = require('./taskPlan')
+const result = require('./taskResult')
 
 const impl = {
   /**
@@ -49,17 +52,159 @@ const impl = {
     }
     return ret
   },
+  /**
+   * Truncate the given response body to the maximum length recorded for failing steps.
+   * @param body The response body, which may have been parsed from JSON
+   * @returns {string} The truncated body or undefined if there was none
+   */
+  truncateBody: (body) => {
+    if (body === undefined || body === null || body === '') {
+      return undefined
+    }
+    const text = typeof body === 'string' ? body : JSON.stringify(body)
+    return text.length > def.diagnostics.MAX_BODY_LENGTH ? `${text.slice(0, def.diagnostics.MAX_BODY_LENGTH)}...` : text
+  },
+  /**
+   * Add hooks to the given script that record, into the given steps, each request its flows send along with the
+   * response received.  The hooks run before the script's own hooks so that requests are recorded even if those fail.
+   * @param script The Artillery (http://artillery.io) script to record the requests of (modified in place)
+   * @param steps The array to record the requests into
+   */
+  recordSteps: (script, steps) => {
+    const config = script.config
+    config.processor = Object.assign({}, config.processor, {
+      [def.diagnostics.BEFORE_REQUEST]: (requestParams, context, ee, next) => {
+        const step = {
+          method: `${requestParams.method}`.toUpperCase(),
+          url: requestParams.url,
+          startedAt: Date.now(),
+        }
+        if (requestParams.capture) {
+          step.capture = [].concat(requestParams.capture).map(capture => capture && capture.as)
+        }
+        if (requestParams.match) {
+          step.match = requestParams.match
+        }
+        steps.push(step)
+        next()
+      },
+      [def.diagnostics.AFTER_RESPONSE]: (requestParams, response, context, ee, next) => {
+        const step = steps[steps.length - 1]
+        step.url = requestParams.url
+        step.statusCode = response.statusCode
+        step.latency = Date.now() - step.startedAt
+        step.body = impl.truncateBody(response.body)
+        next()
+      },
+    })
+    script.scenarios.forEach((scenario) => {
+      const spec = scenario
+      spec.beforeRequest = [def.diagnostics.BEFORE_REQUEST].concat(spec.beforeRequest || [])
+      spec.afterResponse = [def.diagnostics.AFTER_RESPONSE].concat(spec.afterResponse || [])
+    })
+  },
+  /**
+   * Complete the recorded steps of a flow using the report of its execution.  Since an error ends a flow, the last
+   * step of a failed flow is the step that failed.  Response bodies are retained only for failing steps and steps that
+   * received an error status code.
+   * @param steps The steps recorded while executing the flow
+   * @param report The report of the flow's execution
+   * @returns {Array} The completed steps
+   */
+  completeSteps: (steps, report) => {
+    const errors = Object.keys(report.errors || {})
+    steps.forEach((entry, i) => {
+      const step = entry
+      delete step.startedAt
+      if (errors.length && i === steps.length - 1) {
+        step.failed = true
+        step.error = errors[0]
+      } else if (!(step.statusCode >= 400)) {
+        delete step.body
+      }
+      if (step.body === undefined) {
+        delete step.body
+      }
+    })
+    return steps
+  },
+  /**
+   * Determine the ratio of requests that errored or received a 5XX status code across the given reports.
+   * @param reports The (intermediate) Artillery reports to determine the error rate of
+   * @returns {number} The error rate, 0 if no request was sent
+   */
+  errorRate: (reports) => {
+    const sum = (counts, include) => Object.keys(counts || {})
+      .filter(include)
+      .reduce((total, key) => total + counts[key], 0)
+    let failures = 0
+    let attempts = 0
+    reports.forEach((report) => {
+      const errors = sum(report.errors, () => true)
+      failures += errors + sum(report.codes, code => Number(code) >= 500)
+      attempts += (report.requestsCompleted || 0) + errors
+    })
+    return attempts ? failures / attempts : 0
+  },
+  /**
+   * Watch the intermediate stats that the given runner reports (every config.statsInterval seconds), calling the given
+   * trip function once the error rate within the window that the script's config.abortOn attribute configures reaches
+   * its threshold.
+   * @param script The Artillery script being executed, which configures a circuit breaker
+   * @param runner The Artillery runner executing the script
+   * @param trip The function to call, with the observed error rate, when the threshold is reached
+   */
+  watchErrorRate: (script, runner, trip) => {
+    const abortOn = script.config.abortOn
+    const windowInMilliseconds = (abortOn[def.abortOn.WINDOW_SECONDS] || def.abortOn.DEFAULT_WINDOW_SECONDS) * 1000
+    const window = []
+    runner.on('stats', (stats) => {
+      const now = Date.now()
+      window.push({ at: now, report: stats.report() })
+      while (window[0].at <= now - windowInMilliseconds) {
+        window.shift()
+      }
+      const errorRate = impl.errorRate(window.map(entry => entry.report))
+      if (errorRate >= abortOn[def.abortOn.ERROR_RATE]) {
+        trip(errorRate)
+      }
+    })
+  },
+  /**
+   * Add a hook to the given script that fails each request its flows send, before it is sent, once the given function
+   * reports that the circuit breaker tripped.  The hook runs before any other so that no request reaches the target.
+   * @param script The Artillery (http://artillery.io) script to add the hook to (modified in place)
+   * @param tripped A function returning whether the circuit breaker tripped
+   */
+  abortRequests: (script, tripped) => {
+    const config = script.config
+    config.processor = Object.assign({}, config.processor, {
+      [def.abortOn.BEFORE_REQUEST]: (requestParams, context, ee, next) => {
+        next(tripped() ? new Error(def.abortOn.ERROR) : undefined)
+      },
+    })
+    script.scenarios.forEach((scenario) => {
+      const spec = scenario
+      spec.beforeRequest = [def.abortOn.BEFORE_REQUEST].concat(spec.beforeRequest || [])
+    })
+  },
   // event is bare Artillery script
   /**
-   * Run a load test given an Artillery script and report the results
+   * Run a load test given an Artillery script and report the results.  If the script configures a circuit breaker (via
+   * config.abortOn) and the target's error rate reaches its threshold, every subsequent request is failed before it is
+   * sent (Artillery runners cannot be stopped) and the load test is flagged to stop so that no further load is started.
+   * The report waits for that flag to be set and, should setting it fail, carries the failure as aborted.stopError.
    * @param timeNow The time this task invocation began (serves as an id for the function)
    * @param script The artillery script to execution load from
+   * @param stop An optional function flagging the load test to stop, returning a promise
    * @returns {Promise} Resolving to the load results report generated by Artillery
    */
-  execLoad: (timeNow, script) => {
+  execLoad: (timeNow, script, stop) => {
     let runner
     let payload
     let msg
+    let aborted
+    let stopping
     if (script._trace) {
       console.log(`runLoad started from ${script._genesis} @ ${timeNow}`)
     }
@@ -68,39 +213,217 @@ const impl = {
       return Promise.resolve({ Payload: '{ "errors": 0 }' })
     } else {
       return new Promise((resolve, reject) => {
+        const fail = (ex) => {
+          msg = `ERROR exception encountered while executing load from ${script._genesis} in ${timeNow}: ${ex.message}\n${ex.stack}`
+          console.error(msg)
+          reject(new def.TaskError(msg))
+        }
+        const steps = []
+        const failedAttempts = []
+        const abortOn = script.config && script.config.abortOn
+        const trip = (errorRate) => {
+          if (aborted) {
+            return
+          }
+          aborted = {
+            errorRate: result.impl.round(errorRate, 4),
+            threshold: abortOn[def.abortOn.ERROR_RATE],
+            windowSeconds: abortOn[def.abortOn.WINDOW_SECONDS] || def.abortOn.DEFAULT_WINDOW_SECONDS,
+          }
+          console.log(`load test from ${script._genesis} aborted in ${timeNow}: error rate of ${aborted.errorRate} within ${
+            aborted.windowSeconds} seconds reached config.abortOn.${def.abortOn.ERROR_RATE} of ${aborted.threshold}`)
+          if (stop) {
+            stopping = Promise.resolve()
+              .then(stop)
+              .catch((ex) => {
+                console.error(`error flagging load test ${script._genesis} to stop: ${ex.message}`)
+                aborted.stopError = ex.message
+              })
+          }
+        }
+        const run = () => {
+          try {
+            steps.length = 0
+            runner = artillery.runner(script, payload, {})
+            if (abortOn) {
+              impl.watchErrorRate(script, runner, trip)
+            }
+            runner.on('phaseStarted', (opts) => {
+              console.log(`phase ${opts.index}${opts.name ? ` (${opts.name})` : ''} started, duration: ${opts.duration ? opts.duration : opts.pause}`)
+            })
+            runner.on('phaseCompleted', (opts) => {
+              console.log('phase', opts.index, ':', opts.name ? opts.name : '', 'complete')
+            })
+            runner.on('done', (finalReport) => {
+              const report = finalReport
+              const latencies = report.latencies
+              delete report.latencies
+              console.log(JSON.stringify(report, null, 2))
+              report.latencies = latencies
+              const failed = report.errors && Object.keys(report.errors).length
+              if (failed && failedAttempts.length < (script._retries || 0)) { // execute the flow again
+                failedAttempts.push(report.errors)
+                console.log(`retrying failed flow (attempt ${failedAttempts.length + 1} of ${script._retries + 1})`)
+                run()
+                return
+              }
+              if (script._diagnostics) {
+                report.steps = impl.completeSteps(steps, report)
+              }
+              if (script._retries) {
+                report.attempts = failedAttempts.length + 1
+                report.failedAttempts = failedAttempts
+              }
+              if (aborted) {
+                report.aborted = aborted
+              }
+              resolve(Promise.resolve(stopping).then(() => report))
+              if (script._trace) {
+                console.log(`runLoad stopped from ${script._genesis} in ${timeNow} @ ${Date.now()}`)
+              }
+            })
+            runner.run()
+          } catch (ex) {
+            fail(ex)
+          }
+        }
         try {
           impl.loadProcessor(script)
           payload = impl.readPayload(script)
-          runner = artillery.runner(script, payload, {})
-          runner.on('phaseStarted', (opts) => {
-            console.log(`phase ${opts.index}${opts.name ? ` (${opts.name})` : ''} started, duration: ${opts.duration ? opts.duration : opts.pause}`)
-          })
-          runner.on('phaseCompleted', (opts) => {
-            console.log('phase', opts.index, ':', opts.name ? opts.name : '', 'complete')
-          })
-          runner.on('done', (finalReport) => {
-            const report = finalReport
-            const latencies = report.latencies
-            delete report.latencies
-            console.log(JSON.stringify(report, null, 2))
-            report.latencies = latencies
-            resolve(report)
-            if (script._trace) {
-              console.log(`runLoad stopped from ${script._genesis} in ${timeNow} @ ${Date.now()}`)
-            }
-          })
-          runner.run()
+          if (script._diagnostics) {
+            impl.recordSteps(script, steps)
+          }
+          if (abortOn) {
+            impl.abortRequests(script, () => !!aborted)
+          }
         } catch (ex) {
-          msg = `ERROR exception encountered while executing load from ${script._genesis} in ${timeNow}: ${ex.message}\n${ex.stack}`
-          console.error(msg)
-          reject(new def.TaskError(msg))
+          fail(ex)
+          return
         }
+        run()
+      })
+    }
+  },
+  /**
+   * Combine the given summaries (each giving the min, max, median, p95, and p99 of a measure, such as the durations of
+   * scenarios) of phases that were executed one after another.  Each percentile of the combined phases lies between
+   * those of the individual phases, so the greatest is given, bounding it from above.
+   * @param summaries The summaries of the phases, any of which may be missing or, if nothing was measured, empty
+   * @returns {*} The combined summary
+   */
+  combineSummaries: (summaries) => {
+    const measured = summaries.filter(summary => summary && typeof summary.min === 'number' && !isNaN(summary.min))
+    if (!measured.length) {
+      return summaries.find(summary => summary)
+    }
+    const greatest = key => Math.max(...measured.map(summary => summary[key]))
+    return {
+      min: Math.min(...measured.map(summary => summary.min)),
+      max: greatest('max'),
+      median: greatest('median'),
+      p95: greatest('p95'),
+      p99: greatest('p99'),
+    }
+  },
+  /**
+   * Combine the reports of the phases of a script, each executed by a runner of its own, into a single report.  Phases
+   * that were skipped because the load test was stopped have no report.  The concurrency and pending requests that
+   * the last executed phase ended with are those of the script.
+   * @param script The script whose phases were executed
+   * @param reports The reports of the script's phases, in order
+   * @returns {*} The combined report, undefined if no phase was executed
+   */
+  combinePhases: (script, reports) => {
+    const executed = reports.filter(report => report)
+    if (!executed.length) {
+      return undefined
+    }
+    const report = result.impl.mergePerformance(executed)
+    delete report.chunks
+    const durationInSeconds = script.config.phases
+      .filter((phase, i) => reports[i])
+      .reduce((sum, phase) => sum + Math.max(plan.impl.phaseDurationInSeconds(phase), 0), 0)
+    report.rps.mean = durationInSeconds ? result.impl.round(report.rps.count / durationInSeconds, 2) : 0
+    report.scenarioDuration = impl.combineSummaries(executed.map(phase => phase.scenarioDuration))
+    report.customStats = {}
+    executed.forEach((phase) => {
+      Object.keys(phase.customStats || {}).forEach((name) => {
+        report.customStats[name] = impl.combineSummaries(executed.map(other => other.customStats && other.customStats[name]))
       })
+    })
+    const last = executed[executed.length - 1]
+    if ('concurrency' in last) {
+      report.concurrency = last.concurrency
+    }
+    if ('pendingRequests' in last) {
+      report.pendingRequests = last.pendingRequests
+    }
+    if (executed.length < reports.length) {
+      report.stopped = true
+      report.skippedPhases = reports.length - executed.length
+    }
+    return report
+  },
+  /**
+   * Run a load test given an Artillery script, stopping at the next phase boundary if the load test is flagged to
+   * stop.  Since runners cannot be stopped, each phase of a script with several phases is executed by a runner of its
+   * own, started when the phase is due, and the reports of the phases are combined.  Each runner is given a copy of the
+   * scenarios since the hooks of the circuit breaker and of diagnostics are added to them.
+   * @param timeNow The time this task invocation began (serves as an id for the function)
+   * @param script The artillery script to execution load from
+   * @param stopped A function returning a promise resolving to whether the load test has been flagged to stop.  If
+   * none is given, the script is executed by a single runner.
+   * @param stop An optional function flagging the load test to stop (see impl.execLoad)
+   * @returns {Promise} Resolving to the load results report
+   */
+  execPhases: (timeNow, script, stopped, stop) => {
+    const phases = script.config && Array.isArray(script.config.phases) ? script.config.phases : []
+    if (!stopped || script._simulation || phases.length < 2) {
+      return impl.execLoad(timeNow, script, stop)
+    }
+    const startedAt = Date.now()
+    let offset = 0
+    let halted = false
+    const abort = () => {
+      halted = true
+      return stop ? stop() : undefined
     }
+    return Promise.all(phases.map((phase, i) => {
+      const due = startedAt + offset
+      offset += Math.max(plan.impl.phaseDurationInSeconds(phase), 0) * 1000
+      return new Promise(resolve => setTimeout(resolve, Math.max(due - Date.now(), 0)))
+        .then(() => halted || stopped())
+        .then((halt) => {
+          if (halt) {
+            if (!halted) {
+              console.log(`load test from ${script._genesis} stopped in ${timeNow} before phase ${i}`)
+            }
+            halted = true
+            return undefined
+          }
+          const config = Object.assign({}, script.config, { phases: [Object.assign({ index: i }, phase)] })
+          const scenarios = script.scenarios && JSON.parse(JSON.stringify(script.scenarios))
+          return impl.execLoad(timeNow, Object.assign({}, script, { config, scenarios }), abort)
+        })
+    }))
+      .then(reports => impl.combinePhases(script, reports))
   },
+  /**
+   * Execute the given script chunk as its mode does.
+   * @param timeNow The time this task invocation began (serves as an id for the function)
+   * @param script The script chunk to execute
+   * @param stopped A function returning a promise resolving to whether the load test has been flagged to stop
+   * @param stop A function flagging the load test to stop, returning a promise
+   * @returns {Promise} Resolving to the report of the execution
+   */
+  exec: (timeNow, script, stopped, stop) => mode(script).exec(timeNow, script, stopped, stop),
 }
 
-module.exports = impl.execLoad
+mode.register(Object.keys(def.modes).map(key => def.modes[key]), {
+  exec: (timeNow, script, stopped, stop) => impl.execPhases(timeNow, script, stopped, stop),
+})
+
+module.exports = impl.exec
 
 /* test-code */
 module.exports.impl = impl
@@ -0,0 +1,73 @@
+const path = require('path')
+
+const def = require('./taskDef')
+
+/**
+ * The implementations of the registered modes, by mode name.  The built in modes are registered piecemeal by the
+ * modules that implement them (e.g. taskPlan registers the plan implementation of each built in mode).
+ */
+const registry = {}
+
+const impl = {
+  /**
+   * Register (parts of) the implementation of the given modes, merging it into any implementation already registered
+   * for them.
+   * @param names The names of the modes to register the implementation for
+   * @param implementation The implementation of the modes, as any of:
+   *   valid: (constraints, script) => An array of the problems with the mode specific configuration of the script
+   *   plan: (timeNow, script, settings) => An array of the chunks to execute the script as
+   *   exec: (timeNow, script, stopped, stop) => A promise resolving to the report of executing a chunk, stopping early
+   *     if the optional stopped function resolves true (i.e. the load test was flagged to stop).  The optional stop
+   *     function flags the load test to stop (e.g. when its circuit breaker trips).
+   *   result: (timeNow, script, settings, results) => The result (or a promise of it) to report for the script, given
+   *     the reports of its chunks
+   *   merge: (results) => The results for an intermediate of a fan out to report in place of the given results of its
+   *     group of chunks (e.g. a single merged report), keeping those that describe failed chunks (see handler.js)
+   */
+  register: (names, implementation) => {
+    names.forEach((name) => {
+      registry[name] = Object.assign(registry[name] || {}, implementation)
+    })
+  },
+  /**
+   * Load the custom mode that the given mode attribute names.  Paths (i.e. those beginning with '.' or containing a
+   * '/') are resolved against the current working directory, as processor paths are, and anything else is loaded as
+   * a package.
+   * @param mode The mode attribute of a script that does not name a registered mode
+   * @returns {*} The implementation that the custom mode's module exports
+   */
+  loadMode: (mode) => {
+    const id = mode.startsWith('.') || mode.includes('/') ? path.resolve(process.cwd(), mode) : mode
+    let implementation
+    try {
+      implementation = require(id) // eslint-disable-line global-require,import/no-dynamic-require
+    } catch (ex) {
+      throw new def.TaskError(`The custom mode "${mode}" could not be loaded: ${ex.message.split('\n')[0]}`)
+    }
+    if (!implementation || typeof implementation !== 'object') {
+      throw new def.TaskError(`The custom mode "${mode}" must export an object implementing valid, plan, exec, result, and/or merge`)
+    }
+    return implementation
+  },
+  /**
+   * Resolve the implementation of the given script's mode, loading it if it is a custom mode.  Anything a mode does not
+   * implement is done as the performance mode does it.
+   * @param script The script to resolve the mode of
+   * @returns {{valid: function, plan: function, exec: function, result: function}} The implementation of the mode
+   */
+  resolve: (script) => {
+    const mode = script.mode || def.modes.PERF
+    if (!Object.prototype.hasOwnProperty.call(registry, mode)) {
+      impl.register([mode], impl.loadMode(mode))
+    }
+    return Object.assign({}, registry[def.modes.PERF], registry[mode])
+  },
+}
+
+module.exports = impl.resolve
+module.exports.register = impl.register
+
+/* test-code */
+module.exports.impl = impl
+module.exports.registry = registry
+/* end-test-code */
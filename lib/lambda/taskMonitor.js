@@ -0,0 +1,203 @@
+const aws = require('aws-sdk') // eslint-disable-line import/no-extraneous-dependencies
+const http = require('http')
+const https = require('https')
+const url = require('url')
+
+const def = require('./taskDef')
+const plan = require('./taskPlan')
+
+const cloudWatch = new aws.CloudWatch()
+const sns = new aws.SNS()
+
+const impl = {
+  /**
+   * Pair each flow of the given monitoring mode script that its filter selects with its report in the given result.
+   * Flows that did not report a result are considered to have failed.
+   * @param script The monitoring mode script that was executed
+   * @param result The result of analyzing the reports of the script's flows (see taskResult.analyzeAcceptance)
+   * @returns {Array} The flows, each as { name, report, failed }.  Flows without a scenario name are named 'flow N'.
+   */
+  flows: (script, result) => plan.impl.selectFlows(script).map((flow, i) => {
+    const scenario = flow.reduce((merged, entry) => Object.assign(merged, entry), {})
+    const report = result.reports[i]
+    return {
+      name: scenario.name || `flow ${i + 1}`,
+      report,
+      failed: !report || report.outcome === def.outcomes.FAILED,
+    }
+  }),
+  /**
+   * Produce the CloudWatch metric data describing the given result.  Every flow publishes a Passed and a Failed metric
+   * (of 1 or 0) dimensioned by target and flow and the totals are published dimensioned by target alone.  Flaky flows
+   * count as passed.
+   * @param script The monitoring mode script that was executed
+   * @param flows The flows of the script (see impl.flows)
+   * @returns {Array} The metric data
+   */
+  metricData: (script, flows) => {
+    const target = { Name: 'Target', Value: `${script.config.target}` }
+    const timestamp = new Date()
+    const datum = (name, value, dimensions) => ({
+      MetricName: name,
+      Dimensions: dimensions,
+      Timestamp: timestamp,
+      Unit: 'Count',
+      Value: value,
+    })
+    const data = []
+    flows.forEach((flow) => {
+      const dimensions = [target, { Name: 'Flow', Value: flow.name }]
+      data.push(
+        datum(def.monitoring.PASSED_METRIC, flow.failed ? 0 : 1, dimensions),
+        datum(def.monitoring.FAILED_METRIC, flow.failed ? 1 : 0, dimensions) // eslint-disable-line comma-dangle
+      )
+    })
+    const failed = flows.filter(flow => flow.failed).length
+    data.push(
+      datum(def.monitoring.PASSED_METRIC, flows.length - failed, [target]),
+      datum(def.monitoring.FAILED_METRIC, failed, [target]) // eslint-disable-line comma-dangle
+    )
+    return data
+  },
+  /**
+   * Publish the metric data describing the given flows to CloudWatch, in batches of the size PutMetricData accepts.
+   * @param script The monitoring mode script that was executed
+   * @param flows The flows of the script (see impl.flows)
+   * @returns {Promise} A promise resolving once every batch has been published
+   */
+  publishMetrics: (script, flows) => {
+    const namespace = (script.config.monitoring && script.config.monitoring.namespace) || def.monitoring.NAMESPACE
+    const data = impl.metricData(script, flows)
+    const batches = []
+    for (let i = 0; i < data.length; i += def.monitoring.MAX_METRICS_PER_REQUEST) {
+      batches.push(data.slice(i, i + def.monitoring.MAX_METRICS_PER_REQUEST))
+    }
+    return Promise.all(batches.map(batch => cloudWatch.putMetricData({
+      Namespace: namespace,
+      MetricData: batch,
+    }).promise()))
+  },
+  /**
+   * Describe the failed flows for an alert notification.
+   * @param script The monitoring mode script that was executed
+   * @param flows The flows of the script (see impl.flows)
+   * @returns {{subject: string, message: string, failures: Array}} The subject and message of the alert and the flows
+   * that failed, each as { flow, errors }
+   */
+  describeFailures: (script, flows) => {
+    const failures = flows
+      .filter(flow => flow.failed)
+      .map(flow => ({ flow: flow.name, errors: flow.report ? flow.report.errors : {} }))
+    const subject = `${failures.length} monitored flow${failures.length === 1 ? '' : 's'} failed against ${
+      script.config.target}`
+    const lines = failures.map((failure) => {
+      const errors = Object.keys(failure.errors).map(key => `${key} (${failure.errors[key]})`).join(', ')
+      return `${failure.flow}: ${errors || 'no result reported'}`
+    })
+    return {
+      subject: subject.slice(0, def.monitoring.MAX_SUBJECT_LENGTH),
+      message: [`${subject}:`].concat(lines).join('\n'),
+      failures,
+    }
+  },
+  /**
+   * POST the given body as JSON to the given webhook URL.
+   * @param webhook The http or https URL to POST to
+   * @param body The body to send
+   * @param timeout The time to wait for the webhook's response
+   * [default: def.monitoring.WEBHOOK_TIMEOUT_IN_MILLISECONDS]
+   * @returns {Promise} A promise resolving once the webhook has accepted the request with a 2XX status code, rejecting
+   * if it does not respond in time
+   */
+  postWebhook: (webhook, body, timeout) => new Promise((resolve, reject) => {
+    const wait = timeout || def.monitoring.WEBHOOK_TIMEOUT_IN_MILLISECONDS
+    const options = url.parse(webhook)
+    const payload = JSON.stringify(body)
+    options.method = 'POST'
+    options.headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+    }
+    const req = (options.protocol === 'http:' ? http : https).request(options, (res) => {
+      res.resume()
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve()
+      } else {
+        reject(new Error(`The webhook responded with status code ${res.statusCode}`))
+      }
+    })
+    req.setTimeout(wait, () => {
+      reject(new Error(`The webhook did not respond within ${wait} milliseconds`))
+      req.abort()
+    })
+    req.on('error', reject)
+    req.end(payload)
+  }),
+  /**
+   * Raise an alert about the failed flows via the SNS topic and/or webhook configured under the script's
+   * config.monitoring attribute.
+   * @param script The monitoring mode script that was executed
+   * @param flows The flows of the script (see impl.flows)
+   * @returns {Promise} A promise resolving once every configured alert has been raised
+   */
+  alert: (script, flows) => {
+    const settings = script.config.monitoring || {}
+    const alert = impl.describeFailures(script, flows)
+    const alerts = []
+    if (settings.topicArn) {
+      alerts.push(sns.publish({
+        TopicArn: settings.topicArn,
+        Subject: alert.subject,
+        Message: alert.message,
+      }).promise())
+    }
+    if (settings.webhook) {
+      alerts.push(impl.postWebhook(settings.webhook, {
+        text: alert.message,
+        target: script.config.target,
+        failures: alert.failures,
+      }))
+    }
+    return Promise.all(alerts)
+  },
+  /**
+   * Publish the given result of executing the given monitoring mode script as CloudWatch metrics, raising an alert if
+   * any of its flows failed or did not report a result.  The metrics and the alert are published independently so that
+   * a failure to publish the metrics does not prevent the alert.  Nothing is published for scripts executed locally or
+   * simulated.
+   * @param script The monitoring mode script that was executed
+   * @param result The result of analyzing the reports of the script's flows
+   * @returns {Promise} A promise resolving to the given result once it has been published, rejecting once both have
+   * been attempted if either could not be published
+   */
+  monitor: (script, result) => {
+    if (script._local || script._simulation) { // eslint-disable-line no-underscore-dangle
+      return Promise.resolve(result)
+    }
+    const flows = impl.flows(script, result)
+    const attempt = (description, publish) => Promise.resolve()
+      .then(publish)
+      .then(() => undefined, (ex) => {
+        console.error(`Error publishing monitoring ${description}:`)
+        console.error(ex.stack)
+        return ex
+      })
+    return Promise.all([
+      attempt('metrics', () => impl.publishMetrics(script, flows)),
+      attempt('alert', () => (flows.some(flow => flow.failed) ? impl.alert(script, flows) : undefined)),
+    ])
+      .then((errors) => {
+        const messages = errors.filter(ex => ex).map(ex => ex.message)
+        if (messages.length) {
+          return Promise.reject(new Error(`ERROR publishing monitoring results: ${messages.join('; ')}`))
+        }
+        return result
+      })
+  },
+}
+
+module.exports = impl.monitor
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
@@ -1,5 +1,6 @@
 /* eslint-disable no-underscore-dangle */
 const def = require('./taskDef')
+const mode = require('./taskMode')
 
 const impl = {
   // ###############
@@ -167,6 +168,31 @@ const impl = {
     }
     return ret
   },
+  /**
+   * Estimate the number of arrivals (scenarios started) that a phase specifies.
+   * @param phase The phase to estimate the arrivals of
+   * @returns {number} The arrivals specified by the phase (ramps are linear) or 0 if it does not validly specify any
+   */
+  phaseArrivals: (phase) => {
+    const duration = impl.phaseDurationInSeconds(phase)
+    if (duration < 0 || 'pause' in phase) {
+      return 0
+    } else if ('rampTo' in phase && 'arrivalRate' in phase) {
+      return Math.round(((phase.arrivalRate + phase.rampTo) / 2) * duration)
+    } else if ('arrivalRate' in phase) {
+      return phase.arrivalRate * duration
+    } else if ('arrivalCount' in phase) {
+      return phase.arrivalCount
+    } else {
+      return 0
+    }
+  },
+  /**
+   * Estimate the number of arrivals (scenarios started) that a script specifies across all of its phases.
+   * @param script The script to estimate the arrivals of
+   * @returns {number} The arrivals specified by the script
+   */
+  scriptArrivals: script => script.config.phases.reduce((sum, phase) => sum + impl.phaseArrivals(phase), 0),
   // Given that we have a flat line, abc and intersection should be reducible to fewer instructions.
   // sigh... time constraints.
   /**
@@ -468,47 +494,172 @@ const impl = {
   // ## REINTERPRETATION ##
   // ######################
   /**
-   * Split the given script into an array of scripts, one for each flow in the given script, each specifying the
-   * execution of the single contained flow exactly once.
+   * Determine whether the given flow is selected by the given filter.  A flow is selected if its scenario's name is one
+   * of the filter's flows (if it specifies any) and its scenario has one of the filter's tags (if it specifies any).
+   * @param filter The filter (i.e. `{ flows: [...], tags: [...] }`) to apply or undefined to select every flow
+   * @param flow The scenario entries composing the flow (see selectFlows)
+   * @returns {boolean} Whether the flow is selected
+   */
+  selectsFlow: (filter, flow) => {
+    if (!filter) {
+      return true
+    }
+    const scenario = flow.reduce((merged, entry) => Object.assign(merged, entry), {})
+    const tags = Array.isArray(scenario.tags) ? scenario.tags : []
+    return (
+      (!Array.isArray(filter.flows) || filter.flows.includes(scenario.name)) &&
+      (!Array.isArray(filter.tags) || filter.tags.some(tag => tags.includes(tag)))
+    )
+  },
+  /**
+   * Group the scenarios of the given script into flows, selecting those that match the script's filter (`_filter`).
+   * @param script The script to select the flows of
+   * @returns {Array} The selected flows, each an array of the scenario entries composing it
+   */
+  selectFlows: (script) => {
+    let last = 0
+    const flows = []
+    // there is a non-standard specification in artillery where you can specify a flow as a series of array entries
+    // that will be composed for you.  Something like:
+    //   [
+    //     name: 'foo',
+    //     weight: 1,
+    //     flow: { ... },
+    //     name: 'bar',
+    //     weight: 2,
+    //     flow: { ... }
+    //   ]
+    // is interpreted as:
+    //   [
+    //     { name: 'foo', weight: 1, flow: { ... } },
+    //     { name: 'bar', weight: 2, flow: { ... } }
+    //   ]
+    // for completeness, this logic accounts for that valid (though inadvisable) script format
+    for (let i = 0; i < script.scenarios.length; i++) {
+      if (script.scenarios[i] && script.scenarios[i].flow) {
+        const flow = script.scenarios.slice(last, i + 1)
+        last = i + 1
+        if (impl.selectsFlow(script._filter, flow)) {
+          flows.push(flow)
+        }
+      }
+    }
+    return flows
+  },
+  /**
+   * Split the given script into an array of scripts, one for each flow in the given script that its filter (if any)
+   * selects, each specifying the execution of the single contained flow exactly once.
    * @param script The script to split.  Note that the
    * @returns {Array} An array of scripts that each contain a single flow from the original script and specify its
    * execution exactly once.
    */
   splitScriptByFlow: (script) => {
-    let i
-    let last = 0
-    const scripts = []
-    let newScript
     const oldScript = JSON.parse(JSON.stringify(script))
     oldScript.mode = def.modes.PERF
     oldScript.config.phases = [
       { duration: 1, arrivalRate: 1 }, // 1 arrival per second for 1 second => exactly once
     ]
-    for (i = 0; i < oldScript.scenarios.length; i++) { // break each flow into a new script
-      // there is a non-standard specification in artillery where you can specify a flow as a series of array entries
-      // that will be composed for you.  Something like:
-      //   [
-      //     name: 'foo',
-      //     weight: 1,
-      //     flow: { ... },
-      //     name: 'bar',
-      //     weight: 2,
-      //     flow: { ... }
-      //   ]
-      // is interpreted as:
-      //   [
-      //     { name: 'foo', weight: 1, flow: { ... } },
-      //     { name: 'bar', weight: 2, flow: { ... } }
-      //   ]
-      // for completeness, this logic accounts for that valid (though inadvisable) script format
-      if (oldScript.scenarios[i].flow) {
-        newScript = JSON.parse(JSON.stringify(oldScript))
-        newScript.scenarios = oldScript.scenarios.slice(last, i + 1)
-        last = i + 1
-        scripts.push(newScript)
-      }
+    return impl.selectFlows(oldScript).map((flow) => { // break each flow into a new script
+      const newScript = JSON.parse(JSON.stringify(oldScript))
+      newScript.scenarios = flow
+      return newScript
+    })
+  },
+  // #############
+  // ## WAITING ##
+  // #############
+  /**
+   * Determine the time allowed for and required by waiting for the result of invoking a function with the given script.
+   * @param script The script to invoke the function with
+   * @param settings The settings that the function will split the script with
+   * @param waitInSeconds The time that the invoker waits for a response before timing out
+   * @returns {{allowance: number, required: number}} The seconds that the result may be waited for and the seconds it
+   * takes to execute the script and report its result
+   */
+  waitConstraints: (script, settings, waitInSeconds) => {
+    const networkBuffer = 2 // seconds to allow for network transmission
+    const resultsBuffer = 3 // seconds to allow for processing overhead (validation, decision making, results calculation)
+    const durationInSeconds = impl.scriptDurationInSeconds(script)
+    const requestsPerSecond = impl.scriptRequestsPerSecond(script)
+    const ret = {
+      allowance: Math.min(waitInSeconds, settings.maxChunkDurationInSeconds) - networkBuffer,
+      required: durationInSeconds + resultsBuffer,
     }
-    return scripts
+    if (
+      durationInSeconds > settings.maxChunkDurationInSeconds ||
+      requestsPerSecond > settings.maxChunkRequestsPerSecond
+    ) { // if splitting happens, the time requirement is increased by timeBufferInMilliseconds
+      ret.required += Math.ceil(settings.timeBufferInMilliseconds / 1000) // convert from ms to s
+    }
+    return ret
+  },
+  /**
+   * Determine whether the result of invoking a function with the given script can be waited for.  Acceptance and
+   * monitoring mode scripts always can be.  Other scripts can be if their result is required within the time allowed.
+   * @param script The script to invoke the function with
+   * @param constraints The time allowed for and required by waiting for the result (see impl.waitConstraints)
+   * @returns {string} 'RequestResponse' if the result can be waited for and 'Event' otherwise
+   */
+  invocationType: (script, constraints) => {
+    if (
+      script.mode === def.modes.ACC || script.mode === def.modes.ACCEPTANCE ||
+      script.mode === def.modes.MON || script.mode === def.modes.MONITORING
+    ) {
+      return 'RequestResponse'
+    }
+    return constraints.allowance < constraints.required ? 'Event' : 'RequestResponse'
+  },
+  // #################
+  // ## FANNING OUT ##
+  // #################
+  /**
+   * Determine the number of levels of copies of the function that distributing the given number of chunks takes: one
+   * if the chunks can be invoked at once and one more for every level of intermediate copies that fan them out.
+   * @param count The number of chunks to distribute
+   * @param branchingFactor The maximum number of copies that a single function invokes at once
+   * @returns {number} The number of levels of invocations
+   */
+  levels: (count, branchingFactor) => (
+    count <= branchingFactor ? 1 : 1 + impl.levels(Math.ceil(count / branchingFactor), branchingFactor)
+  ),
+  /**
+   * Divide the given chunks into no more than the given number of contiguous groups of near equal size.
+   * @param chunks The chunks to divide into groups
+   * @param branchingFactor The maximum number of groups
+   * @returns {Array} The groups, each an array of chunks
+   */
+  group: (chunks, branchingFactor) => {
+    const size = Math.ceil(chunks.length / branchingFactor)
+    const groups = []
+    for (let i = 0; i < chunks.length; i += size) {
+      groups.push(chunks.slice(i, i + size))
+    }
+    return groups
+  },
+  /**
+   * Determine how a function distributes the given plans over copies of itself.  Every plan is invoked a time buffer
+   * before it starts unless more chunks report results (i.e. are invoked with the RequestResponse invocation type)
+   * than the branching factor allows, in which case any remainder is still invoked that way but the chunks are divided
+   * into groups (see impl.group), each handed to an intermediate copy invoked a time buffer per level of the fan out
+   * (see impl.levels) ahead of its earliest chunk so that the chunks beneath it start on time.
+   * @param plans The plans (each an event) to distribute
+   * @param settings The split settings of the script
+   * @returns {Array} The invocations, remainders first, each either { plan, invokeAt } for a plan invoked directly or
+   * { group, invokeAt } for a group of chunks handed to an intermediate copy, where invokeAt is the time at which the
+   * invocation is due (which may already have passed)
+   */
+  fanOut: (plans, settings) => {
+    const direct = plan => ({ plan, invokeAt: plan._start - settings.timeBufferInMilliseconds })
+    const chunks = plans.filter(plan => plan._invokeType === 'RequestResponse')
+    if (chunks.length <= settings.branchingFactor) {
+      return plans.map(direct)
+    }
+    const remainders = plans.filter(plan => plan._invokeType !== 'RequestResponse')
+    return remainders.map(direct).concat(impl.group(chunks, settings.branchingFactor).map(group => ({
+      group,
+      invokeAt: Math.min(...group.map(plan => plan._start)) -
+        (settings.timeBufferInMilliseconds * (1 + impl.levels(group.length, settings.branchingFactor))),
+    })))
   },
   // ##############
   // ## PLANNING ##
@@ -536,12 +687,20 @@ const impl = {
     const scriptRequestsPerSecond = impl.scriptRequestsPerSecond(script)
     // if the current script can be executed in a single run add it to the plan, otherwise, remove chunks that can be,
     // adding them to the plan until no more script remains
+    let chunks
     if (scriptRequestsPerSecond <= settings.maxChunkRequestsPerSecond) {
-      plan.push(script)
+      chunks = [script]
     } else {
-      const parts = impl.splitScriptByRequestsPerSecondAndSchedule(timeNow, script, settings)
-      plan.push.apply(plan, parts) // eslint-disable-line prefer-spread
+      chunks = impl.splitScriptByRequestsPerSecondAndSchedule(timeNow, script, settings)
+    }
+    // chunks that are distributed to other functions execute while this function waits, so they can report their
+    // results back to be merged (a remainder executes after this function has completed and so cannot)
+    if (plan.length || chunks.length > 1) {
+      chunks.forEach((chunk) => {
+        chunk._invokeType = 'RequestResponse' // eslint-disable-line no-param-reassign
+      })
     }
+    plan.push.apply(plan, chunks) // eslint-disable-line prefer-spread
     return plan
   },
   /**
@@ -554,6 +713,10 @@ const impl = {
     const script = event
     script._start = timeNow // immediate execution
     script._invokeType = 'RequestResponse' // we care about the results (and will record/analyze them)
+    script._diagnostics = true // record each step of the flows so that failures can be diagnosed
+    if (script.config && script.config.acceptance && script.config.acceptance.retries > 0) {
+      script._retries = script.config.acceptance.retries // execute failing flows again to distinguish flaky flows
+    }
     return impl.splitScriptByFlow(script)
   },
   /**
@@ -562,7 +725,7 @@ const impl = {
    * @property number _start The time at which the script is to be executed.
    */
   /**
-   * Plan the execution of the given script.
+   * Plan the execution of the given script as its mode does.
    * @param timeNow The time that the current execution started at, used as an identity for tracing and scheduling purposes.
    * @param script The artillery script to plan the execution of, using the given settings.
    * @param settings The settings to use for planning the given script's execution.
@@ -572,14 +735,17 @@ const impl = {
     if (!('_genesis' in script)) {
       script._genesis = timeNow // eslint-disable-line no-param-reassign
     }
-    if (script.mode === def.modes.ACC || script.mode === def.modes.ACCEPTANCE) {
-      return impl.planAcceptance(timeNow, script)
-    } else {
-      return impl.planPerformance(timeNow, script, settings)
-    }
+    return mode(script).plan(timeNow, script, settings)
   },
 }
 
+mode.register([def.modes.PERF, def.modes.PERFORMANCE], {
+  plan: (timeNow, script, settings) => impl.planPerformance(timeNow, script, settings),
+})
+mode.register([def.modes.ACC, def.modes.ACCEPTANCE, def.modes.MON, def.modes.MONITORING], {
+  plan: (timeNow, script) => impl.planAcceptance(timeNow, script),
+})
+
 module.exports = impl.planTask
 
 /* test-code */
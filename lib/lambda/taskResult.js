@@ -1,33 +1,238 @@
 const def = require('./taskDef')
+const mode = require('./taskMode')
+const monitor = require('./taskMonitor')
 
 const impl = {
   /**
-   * Analyze a set of reports, each of which is the result of an acceptance test's execution
+   * Analyze a set of reports, each of which is the result of an acceptance test's execution.  Each report is marked
+   * with the outcome of its flow: 'passed', 'failed', or 'flaky' (passed after being retried, see
+   * config.acceptance.retries).  The errors count is the number of failed flows.  A flow that reported an error
+   * message (e.g. 'Error executing task: ...') or nothing in place of a report has failed, its report being replaced
+   * by one giving that error.
    * @param reports The collection of reports to analyze
    */
   analyzeAcceptance: (reports) => {
     const report = {
       errors: 0,
+      passed: 0,
+      failed: 0,
+      flaky: 0,
       reports,
     }
-    reports.forEach((subreport) => {
+    reports.forEach((entry, i) => {
+      let subreport = entry
+      if (!subreport || typeof subreport !== 'object') { // e.g. 'Error executing task: ...' or no report at all
+        subreport = { errors: { [typeof entry === 'string' ? entry : 'The flow did not report a result']: 1 } }
+        reports[i] = subreport // eslint-disable-line no-param-reassign
+      }
       if (
-        subreport &&
         subreport.errors &&
         Object.keys(subreport.errors).length
       ) {
         report.errors += 1
+        report.failed += 1
+        subreport.outcome = def.outcomes.FAILED
+      } else if (subreport.attempts > 1) {
+        report.flaky += 1
+        subreport.outcome = def.outcomes.FLAKY
+      } else {
+        report.passed += 1
+        subreport.outcome = def.outcomes.PASSED
+      }
+    })
+    const messages = []
+    if (report.errors) {
+      messages.push(`${report.errors} acceptance test failure${report.errors === 1 ? '' : 's'}`)
+    }
+    if (report.flaky) {
+      messages.push(`${report.flaky} flaky acceptance test${report.flaky === 1 ? '' : 's'}`)
+    }
+    if (messages.length) {
+      report.errorMessage = messages.join(', ')
+    }
+    return report
+  },
+  /**
+   * Round the given number to the given number of decimal places (as artillery-core does in its reports).
+   * @param number The number to round
+   * @param decimals The number of decimal places to retain
+   * @returns {number} The rounded number
+   */
+  round: (number, decimals) => {
+    const m = Math.pow(10, decimals) // eslint-disable-line no-restricted-properties
+    return Math.round(number * m) / m
+  },
+  /**
+   * Determine the given percentile of the given values, interpolating between the nearest values.  This is the
+   * estimation artillery-core uses (via stats-lite) to calculate the percentiles of a single report.
+   * @param sorted The values, sorted in ascending order, to determine a percentile of
+   * @param ptile The percentile to determine, between 0 and 1
+   * @returns {number} The given percentile of the given values or NaN if there are no values
+   */
+  percentile: (sorted, ptile) => impl.interpolate(sorted.length, i => sorted[i], ptile),
+  /**
+   * Determine the given percentile of the values, interpolating between the nearest values, given the number of values
+   * and a function that obtains the value at an index of their ascending order.
+   * @param count The number of values
+   * @param at A function returning the value at the given index of the values in ascending order
+   * @param ptile The percentile to determine, between 0 and 1
+   * @returns {number} The given percentile of the values or NaN if there are no values
+   */
+  interpolate: (count, at, ptile) => {
+    if (!count) {
+      return NaN
+    }
+    const i = Math.min(Math.max((count * ptile) - 0.5, 0), count - 1)
+    const intPart = Math.floor(i)
+    const fract = i - intPart
+    if (!fract) {
+      return at(intPart)
+    } else {
+      return ((1 - fract) * at(intPart)) + (fract * at(intPart + 1))
+    }
+  },
+  /**
+   * Count the given raw latencies of an artillery-core report into a histogram whose buckets are latencies in
+   * milliseconds rounded to three significant digits.  Unlike the raw latencies, which grow with the number of
+   * requests, histograms stay small enough to return from a function and can be merged without losing accuracy.
+   * @param latencies The raw latencies, each [timestamp, uid, latency in nanoseconds, status code]
+   * @returns {*} The histogram, the count of latencies by bucket (e.g. { '1.25': 3, '120': 1 })
+   */
+  histogram: (latencies) => {
+    const histogram = {}
+    latencies.forEach((entry) => {
+      const bucket = `${Number((entry[2] / 1e6).toPrecision(3))}`
+      histogram[bucket] = (histogram[bucket] || 0) + 1
+    })
+    return histogram
+  },
+  /**
+   * Determine the given percentile of the latencies counted by the given histogram.
+   * @param histogram The histogram of latencies (see impl.histogram)
+   * @param ptile The percentile to determine, between 0 and 1
+   * @returns {number} The given percentile of the latencies or NaN if there are none
+   */
+  histogramPercentile: (histogram, ptile) => {
+    const buckets = Object.keys(histogram).map(Number).sort((a, b) => a - b)
+    const ends = [] // the index following the last latency of each bucket
+    buckets.reduce((count, bucket, i) => {
+      ends[i] = count + histogram[bucket]
+      return ends[i]
+    }, 0)
+    const at = (index) => {
+      let i = 0
+      while (ends[i] <= index) {
+        i += 1
+      }
+      return buckets[i]
+    }
+    return impl.interpolate(ends.length ? ends[ends.length - 1] : 0, at, ptile)
+  },
+  /**
+   * Add the counts of the given source hash to those of the given target hash (e.g. { 200: 5 } + { 200: 1, 500: 2 })
+   * @param target The hash to add counts to
+   * @param source The hash of counts to add
+   */
+  addCounts: (target, source) => {
+    Object.keys(source || {}).forEach((key) => {
+      target[key] = (target[key] || 0) + source[key] // eslint-disable-line no-param-reassign
+    })
+  },
+  /**
+   * Merge the given set of performance reports, each produced by the execution of a chunk, into a single report.
+   * Latency statistics are recalculated from a histogram of the latencies of every report (see impl.histogram), so
+   * that the merged percentiles are accurate to three significant digits.  The merged report carries that histogram in
+   * place of the raw latencies so that it stays small and can itself be merged (e.g. by an intermediate of a fan out).
+   * @param payloads The payloads received from the copies of this function that executed chunks, either the reports
+   * of chunks or previously merged reports.  Payloads from chunks that could not report their results (e.g. those
+   * invoked with an 'Event' invocation type) are counted but otherwise ignored.
+   * @returns {*} The merged report
+   */
+  mergePerformance: (payloads) => {
+    const report = {
+      timestamp: new Date().toISOString(),
+      scenariosCreated: 0,
+      scenariosCompleted: 0,
+      requestsCompleted: 0,
+      latency: {},
+      rps: {
+        count: 0,
+        mean: 0,
+      },
+      scenarioCounts: {},
+      errors: {},
+      codes: {},
+      matches: 0,
+      latencyHistogram: {},
+      chunks: {
+        total: 0,
+        reported: 0,
+      },
+    }
+    payloads.forEach((payload) => {
+      if (
+        payload && typeof payload === 'object' &&
+        (Array.isArray(payload.latencies) || (payload.latencyHistogram && typeof payload.latencyHistogram === 'object'))
+      ) {
+        report.scenariosCreated += payload.scenariosCreated || 0
+        report.scenariosCompleted += payload.scenariosCompleted || 0
+        report.requestsCompleted += payload.requestsCompleted || 0
+        if (payload.rps) {
+          report.rps.count += payload.rps.count || 0
+          report.rps.mean += payload.rps.mean || 0 // chunks execute concurrently so their rates are additive
+        }
+        impl.addCounts(report.scenarioCounts, payload.scenarioCounts)
+        impl.addCounts(report.errors, payload.errors)
+        impl.addCounts(report.codes, payload.codes)
+        report.matches += payload.matches || 0
+        if (payload.aborted && !report.aborted) {
+          report.aborted = payload.aborted
+        }
+        impl.addCounts(
+          report.latencyHistogram,
+          payload.latencyHistogram || impl.histogram(payload.latencies) // eslint-disable-line comma-dangle
+        )
+        if (payload.chunks) { // a previously merged report
+          report.chunks.total += payload.chunks.total
+          report.chunks.reported += payload.chunks.reported
+        } else {
+          report.chunks.total += 1
+          report.chunks.reported += 1
+        }
+      } else {
+        report.chunks.total += 1
       }
     })
-    if (report.errors === 1) {
-      report.errorMessage = `${report.errors} acceptance test failure`
-    } else if (report.errors) {
-      report.errorMessage = `${report.errors} acceptance test failures`
+    report.rps.mean = impl.round(report.rps.mean, 2)
+    report.latency = {
+      min: impl.round(impl.histogramPercentile(report.latencyHistogram, 0), 1),
+      max: impl.round(impl.histogramPercentile(report.latencyHistogram, 1), 1),
+      median: impl.round(impl.histogramPercentile(report.latencyHistogram, 0.5), 1),
+      p95: impl.round(impl.histogramPercentile(report.latencyHistogram, 0.95), 1),
+      p99: impl.round(impl.histogramPercentile(report.latencyHistogram, 0.99), 1),
     }
     return report
   },
   /**
-   * Analyze the performance results.  If there is one payload, then it is a report.  Otherwise, it is a set of payloads.
+   * Replace the raw latencies of the given report with their histogram (see impl.histogram), as the report of a chunk
+   * that reports to the function which distributed it must be to fit within what a RequestResponse invocation may
+   * return however many requests the chunk sent.
+   * @param report The report of a chunk
+   * @returns {*} A copy of the report carrying a latencyHistogram in place of its latencies, or the given report if it
+   * carries no latencies
+   */
+  compact: (report) => {
+    if (!report || typeof report !== 'object' || !Array.isArray(report.latencies)) {
+      return report
+    }
+    const compacted = Object.assign({}, report, { latencyHistogram: impl.histogram(report.latencies) })
+    delete compacted.latencies
+    return compacted
+  },
+  /**
+   * Analyze the performance results.  If there is one payload, then it is a report, which a chunk reporting to the
+   * function that distributed it (one invoked with the RequestResponse invocation type) compacts (see impl.compact).
+   * Otherwise, it is a set of payloads which are merged into a single report.
    * @param timeNow The time ID of the executing function.
    * @param script The script used to obtain the payloads.
    * @param payloads The payloads received from the callers.
@@ -35,29 +240,106 @@ const impl = {
    */
   analyzePerformance: (timeNow, script, payloads) => {
     if (payloads.length === 1) {
-      return payloads[0] // return the report
-    } else { // eslint-disable-next-line no-underscore-dangle
-      return { message: `load test from ${script._genesis} successfully completed from ${timeNow} @ ${Date.now()}` }
+      return script._invokeType === 'RequestResponse' ? impl.compact(payloads[0]) : payloads[0] // eslint-disable-line no-underscore-dangle
+    } else {
+      const report = impl.mergePerformance(payloads)
+      report.message = `load test from ${script._genesis} successfully completed from ${timeNow} @ ${Date.now()}, ${ // eslint-disable-line no-underscore-dangle
+        report.chunks.reported} of ${report.chunks.total} chunks reported results`
+      return report
     }
   },
   /**
-   * Calculate the result to report for the original task
-   * @param script The script used to generate the results
-   * @param results The results to generate a report from.  May contain undefined elements.
+   * Merge the given results of a group of performance mode chunks into the single report that an intermediate of a fan
+   * out returns in their place, so that what it returns stays small however many chunks it fans out.  Results that
+   * describe chunks which could not be invoked (those with a _failedChunk attribute) are kept as they are so that the
+   * function which split the script can report them.
+   * @param results The results of the chunks of the group
+   * @returns {Array} The merged report followed by the results describing failed chunks
+   */
+  mergeGroup: (results) => {
+    const failed = result => !!result && !!result._failedChunk // eslint-disable-line no-underscore-dangle
+    return [impl.mergePerformance(results.filter(result => !failed(result)))].concat(results.filter(failed))
+  },
+  /**
+   * Evaluate the given performance report against the thresholds that the given script ensures.
+   * @param script The script that declares (via `config.ensure`) the thresholds its results must stay within
+   * @param report The performance report to evaluate
+   * @returns {{passed: boolean, violations: Array}} The outcome of the evaluation, listing a readable description of
+   * each threshold that was violated
+   */
+  evaluateEnsure: (script, report) => {
+    const ensure = script.config.ensure
+    const violations = []
+    def.ensure.LATENCIES.forEach((key) => {
+      if (key in ensure) {
+        const observed = report.latency ? report.latency[key] : undefined
+        if (typeof observed !== 'number' || Number.isNaN(observed)) {
+          violations.push(`${key} latency could not be determined (threshold ${ensure[key]}ms)`)
+        } else if (observed > ensure[key]) {
+          violations.push(`${key} latency of ${observed}ms exceeded the threshold of ${ensure[key]}ms`)
+        }
+      }
+    })
+    if (def.ensure.ERROR_RATE in ensure) {
+      const created = report.scenariosCreated || 0
+      const errorRate = created ? (created - (report.scenariosCompleted || 0)) / created : 0
+      if (errorRate > ensure[def.ensure.ERROR_RATE]) {
+        violations.push(`error rate of ${impl.round(errorRate, 4)} exceeded the threshold of ${
+          ensure[def.ensure.ERROR_RATE]}`)
+      }
+    }
+    return {
+      passed: !violations.length,
+      violations,
+    }
+  },
+  /**
+   * Analyze the performance results, evaluating them against the thresholds that the script ensures (if any).
+   * @param timeNow The time ID of the executing function.
+   * @param script The script used to obtain the payloads.
+   * @param payloads The payloads received from the callers.
    * @returns {*}
    */
-  result: (timeNow, script, settings, results) => {
-    let ret
-    if (script.mode === def.modes.ACC || script.mode === def.modes.ACCEPTANCE) {
-      ret = impl.analyzeAcceptance(results)
-    } else {
-      ret = impl.analyzePerformance(timeNow, script, results)
+  resultPerformance: (timeNow, script, payloads) => {
+    const ret = impl.analyzePerformance(timeNow, script, payloads)
+    if (ret && typeof ret === 'object' && script.config && script.config.ensure) {
+      ret.ensure = impl.evaluateEnsure(script, ret)
     }
     return ret
   },
+  /**
+   * Calculate the result to report for the original task as its mode does.  The results of monitoring mode scripts
+   * are published before being reported, so a promise of the result is returned for them.
+   * @param script The script used to generate the results
+   * @param results The results to generate a report from.  May contain undefined elements.
+   * @returns {*}
+   */
+  result: (timeNow, script, settings, results) => mode(script).result(timeNow, script, settings, results),
+  /**
+   * Reduce the results of the group of chunks that an intermediate of a fan out distributed as the mode of the script
+   * they were planned from does.
+   * @param script The intermediate event, carrying the mode of the script that its chunks were planned from
+   * @param results The results of the chunks
+   * @returns {Array} The results to report in their place
+   */
+  merge: (script, results) => mode(script).merge(results),
 }
 
+mode.register([def.modes.PERF, def.modes.PERFORMANCE], {
+  result: (timeNow, script, settings, results) => impl.resultPerformance(timeNow, script, results),
+  merge: results => impl.mergeGroup(results),
+})
+mode.register([def.modes.ACC, def.modes.ACCEPTANCE], {
+  result: (timeNow, script, settings, results) => impl.analyzeAcceptance(results),
+  merge: results => results, // the report of each flow is analyzed
+})
+mode.register([def.modes.MON, def.modes.MONITORING], {
+  result: (timeNow, script, settings, results) => monitor(script, impl.analyzeAcceptance(results)),
+  merge: results => results, // the report of each flow is analyzed
+})
+
 module.exports = impl.result
+module.exports.merge = impl.merge
 
 /* test-code */
 module.exports.impl = impl
@@ -1,54 +1,384 @@
+const url = require('url')
+
 const def = require('./taskDef')
+const mode = require('./taskMode')
 const plan = require('./taskPlan')
 
 const impl = {
-  validate: (constraints, script) => {
-    if ( // Validate the Phases
-      !(script.config && Array.isArray(script.config.phases) && script.config.phases.length > 0) && // must have phase
-      !(script.mode === def.modes.ACC || script.mode === def.modes.ACCEPTANCE) // unless in acceptance mode
-    ) {
-      throw new def.TaskError('An Artillery script must contain at least one phase under the $.config.phases attribute which ' +
-        `itself must be an Array unless mode attribute is specified to be ${def.modes.ACCEPTANCE} or ${def.modes.ACC}`)
-    } else if (
-      'mode' in script &&
-      (
-        !Object.keys(def.modes).includes(script.mode.toUpperCase()) ||
-        def.modes[script.mode.toUpperCase()] !== script.mode
-      )
-    ) {
-      throw new def.TaskError(`If specified, the mode attribute must be one of "${
-        Object
-          .keys(def.modes)
-          .map(key => def.modes[key])
-          .join('", "')
-      }"`)
-    } else if (
-      !(
-        script.mode === def.modes.ACC ||
-        script.mode === def.modes.ACCEPTANCE
-      )
-    ) {
-      const scriptDurationInSeconds = plan.impl.scriptDurationInSeconds(script)
-      const scriptRequestsPerSecond = plan.impl.scriptRequestsPerSecond(script)
-      if (scriptDurationInSeconds <= 0) {
-        throw new def.TaskError(`Every phase must have a valid duration in seconds.  Observed: ${
-          JSON.stringify(script.config.phases[scriptDurationInSeconds * -1])
-        }`)
+  /**
+   * Determine whether the given flow filter is well formed: an object with non-empty "flows" and/or "tags" arrays of
+   * names.
+   * @param filter The flow filter of a script (see taskPlan.selectsFlow)
+   * @returns {boolean} Whether the filter is well formed
+   */
+  isFilter: (filter) => {
+    const isNames = names => names === undefined || (
+      Array.isArray(names) && names.length > 0 && names.every(name => typeof name === 'string')
+    )
+    return !!(
+      filter && typeof filter === 'object' && (filter.flows || filter.tags) &&
+      isNames(filter.flows) && isNames(filter.tags)
+    )
+  },
+  /**
+   * Determine whether the given hostname is among the given allowed targets.  An allowed target beginning with '*.'
+   * allows any subdomain of the rest of the target.
+   * @param allowedTargets The hostnames that may be targeted
+   * @param hostname The hostname to check
+   * @returns {boolean} Whether the hostname may be targeted
+   */
+  isAllowedTarget: (allowedTargets, hostname) => {
+    const host = hostname.toLowerCase()
+    return allowedTargets.some((target) => {
+      const allowed = `${target}`.trim().toLowerCase()
+      return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed
+    })
+  },
+  /**
+   * Find the script's config.target and the urls of its requests that are not relative to it, descending into the
+   * flows nested within loop steps.  Artillery prepends config.target to urls that begin with '/' and requests any
+   * other url (given by either the url or the uri attribute) as it is rendered, so every other url is a target,
+   * including those that begin with a template (e.g. '{{ host }}/users').  The config.monitoring.webhook that monitoring mode
+   * alerts are posted to is a target as well.
+   * @param script The script to find the targets of
+   * @returns {Array} The targets, each as { path, url }
+   */
+  targets: (script) => {
+    const targets = []
+    if (script.config && script.config.target !== undefined) {
+      targets.push({ path: '$.config.target', url: script.config.target })
+    }
+    if (script.config && script.config.monitoring && typeof script.config.monitoring.webhook === 'string') {
+      targets.push({ path: '$.config.monitoring.webhook', url: script.config.monitoring.webhook })
+    }
+    const collect = (flow, flowPath) => {
+      if (Array.isArray(flow)) {
+        flow.forEach((step, i) => {
+          if (step && typeof step === 'object') {
+            def.METHODS.forEach((method) => {
+              const request = step[method]
+              if (request && typeof request === 'object') {
+                ['url', 'uri'].forEach((attribute) => {
+                  if (typeof request[attribute] === 'string' && !request[attribute].startsWith('/')) {
+                    targets.push({ path: `${flowPath}[${i}].${method}.${attribute}`, url: request[attribute] })
+                  }
+                })
+              }
+            })
+            collect(step.loop, `${flowPath}[${i}].loop`)
+          }
+        })
+      }
+    }
+    if (Array.isArray(script.scenarios)) {
+      script.scenarios.forEach((scenario, i) => {
+        if (scenario && typeof scenario === 'object') {
+          collect(scenario.flow, `$.scenarios[${i}].flow`)
+        }
+      })
+    }
+    return targets
+  },
+  /**
+   * Find the targets of the script (see impl.targets) whose hostnames are not among the given allowed targets.
+   * Targets whose hostnames cannot be determined are reported as well: those without a scheme and those with a template
+   * anywhere before their path, query, or fragment (e.g. 'https://{{ host }}' or 'h{{ rest }}').
+   * @param allowedTargets The hostnames that may be targeted
+   * @param script The script to check the targets of
+   * @returns {Array} The problems discovered, each an object with the JSON path of the problematic attribute and a
+   * message describing the problem.
+   */
+  targetProblems: (allowedTargets, script) => {
+    const allowed = `"${allowedTargets.join('", "')}"`
+    return impl.targets(script)
+      .map((target) => {
+        const origin = typeof target.url === 'string' && /^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i.exec(target.url)
+        const hostname = origin && !/{{/.test(origin[0]) ? url.parse(origin[0]).hostname : undefined
+        if (!hostname) {
+          return {
+            path: target.path,
+            message: `The hostname of ${JSON.stringify(target.url)} cannot be determined so it cannot be verified to be among the allowed targets ${
+              allowed}`,
+          }
+        } else if (!impl.isAllowedTarget(allowedTargets, hostname)) {
+          return {
+            path: target.path,
+            message: `The hostname '${hostname}' is not among the allowed targets ${allowed}`,
+          }
+        }
+        return undefined
+      })
+      .filter(problem => problem)
+  },
+  /**
+   * Find every problem with the given script's task relevant configuration.
+   * @param constraints The settings constraining the script
+   * @param script The script to validate
+   * @returns {Array} The problems discovered, each an object with the JSON path of the problematic attribute and a
+   * message describing the problem.  Empty if the configuration is valid.
+   */
+  problems: (constraints, script) => {
+    const problems = []
+    let implementation = mode({}) // validate scripts of unknown modes as performance mode scripts
+    // Validate the Mode
+    if ('mode' in script) {
+      let loadError
+      if (typeof script.mode === 'string' && script.mode) {
+        try {
+          implementation = mode(script)
+        } catch (ex) {
+          loadError = ex
+        }
+      }
+      if (!(typeof script.mode === 'string' && script.mode) || loadError) {
+        problems.push({
+          path: '$.mode',
+          message: `If specified, the mode attribute must be one of "${
+            Object
+              .keys(def.modes)
+              .map(key => def.modes[key])
+              .join('", "')
+          }" or name a module implementing a custom mode${loadError ? `.  ${loadError.message}` : ''}`,
+        })
+      }
+    }
+    // Validate the Thresholds
+    if (script.config && 'ensure' in script.config) {
+      const ensure = script.config.ensure
+      const thresholds = def.ensure.LATENCIES.concat(def.ensure.ERROR_RATE)
+      if (!(ensure && typeof ensure === 'object' && !Array.isArray(ensure))) {
+        problems.push({
+          path: '$.config.ensure',
+          message: 'If specified, the config.ensure attribute must be an object of thresholds',
+        })
+      } else {
+        Object.keys(ensure).forEach((key) => {
+          if (!thresholds.includes(key) || typeof ensure[key] !== 'number' || ensure[key] < 0) {
+            problems.push({
+              path: `$.config.ensure.${key}`,
+              message: `The config.ensure attribute may only specify non-negative numeric thresholds for "${
+                thresholds.join('", "')
+              }".  Observed: ${JSON.stringify({ [key]: ensure[key] })}`,
+            })
+          }
+        })
+      }
+    }
+    // Validate the Circuit Breaker
+    if (script.config && 'abortOn' in script.config) {
+      const abortOn = script.config.abortOn
+      const errorRate = abortOn && abortOn[def.abortOn.ERROR_RATE]
+      const windowSeconds = abortOn && abortOn[def.abortOn.WINDOW_SECONDS]
+      if (!(abortOn && typeof abortOn === 'object' && !Array.isArray(abortOn))) {
+        problems.push({
+          path: '$.config.abortOn',
+          message: 'If specified, the config.abortOn attribute must be an object of circuit breaker settings',
+        })
+      } else {
+        if (!(typeof errorRate === 'number' && errorRate > 0 && errorRate <= 1)) {
+          problems.push({
+            path: `$.config.abortOn.${def.abortOn.ERROR_RATE}`,
+            message: `The config.abortOn.${def.abortOn.ERROR_RATE} attribute must be a number greater than 0 and at most 1.  Observed: ${
+              JSON.stringify(errorRate)}`,
+          })
+        }
+        if (def.abortOn.WINDOW_SECONDS in abortOn && !(typeof windowSeconds === 'number' && windowSeconds > 0)) {
+          problems.push({
+            path: `$.config.abortOn.${def.abortOn.WINDOW_SECONDS}`,
+            message: `If specified, the config.abortOn.${def.abortOn.WINDOW_SECONDS} attribute must be a positive number of seconds.  Observed: ${
+              JSON.stringify(windowSeconds)}`,
+          })
+        }
+      }
+    }
+    // Validate the Acceptance Settings
+    if (script.config && 'acceptance' in script.config) {
+      const settings = script.config.acceptance
+      if (!(settings && typeof settings === 'object' && !Array.isArray(settings))) {
+        problems.push({
+          path: '$.config.acceptance',
+          message: 'If specified, the config.acceptance attribute must be an object of acceptance mode settings',
+        })
+      } else if (
+        'retries' in settings &&
+        !(Number.isInteger(settings.retries) && settings.retries >= 0 && settings.retries <= def.MAX_RETRIES)
+      ) {
+        problems.push({
+          path: '$.config.acceptance.retries',
+          message: `If specified, the config.acceptance.retries attribute must be an integer inclusively between 0 and ${
+            def.MAX_RETRIES}.  Observed: ${JSON.stringify(settings.retries)}`,
+        })
+      }
+    }
+    // Validate the Monitoring Settings
+    if (script.config && 'monitoring' in script.config) {
+      const settings = script.config.monitoring
+      if (!(settings && typeof settings === 'object' && !Array.isArray(settings))) {
+        problems.push({
+          path: '$.config.monitoring',
+          message: 'If specified, the config.monitoring attribute must be an object of monitoring mode settings',
+        })
+      } else {
+        if ('namespace' in settings && !(typeof settings.namespace === 'string' && settings.namespace.length)) {
+          problems.push({
+            path: '$.config.monitoring.namespace',
+            message: `If specified, the config.monitoring.namespace attribute must be a non-empty string.  Observed: ${
+              JSON.stringify(settings.namespace)}`,
+          })
+        }
+        if ('topicArn' in settings && !(typeof settings.topicArn === 'string' && /^arn:/.test(settings.topicArn))) {
+          problems.push({
+            path: '$.config.monitoring.topicArn',
+            message: `If specified, the config.monitoring.topicArn attribute must be the ARN of an SNS topic.  Observed: ${
+              JSON.stringify(settings.topicArn)}`,
+          })
+        }
+        if ('webhook' in settings && !(typeof settings.webhook === 'string' && /^https?:\/\/./.test(settings.webhook))) {
+          problems.push({
+            path: '$.config.monitoring.webhook',
+            message: `If specified, the config.monitoring.webhook attribute must be an http or https URL.  Observed: ${
+              JSON.stringify(settings.webhook)}`,
+          })
+        }
+      }
+    }
+    // Validate the Targets
+    if (Array.isArray(constraints.allowedTargets)) {
+      problems.push(...impl.targetProblems(constraints.allowedTargets, script))
+    }
+    // Validate the Flow Filter
+    if ('_filter' in script && !impl.isFilter(script._filter)) { // eslint-disable-line no-underscore-dangle
+      problems.push({
+        path: '$._filter',
+        message: 'If specified, the _filter attribute must be an object with "flows" and/or "tags" arrays of names',
+      })
+    }
+    // Validate the Mode Specific Configuration
+    problems.push(...(implementation.valid(constraints, script) || []))
+    return problems
+  },
+  /**
+   * Find every problem with the given performance mode script's mode specific configuration: its phases and the load
+   * they specify.
+   * @param constraints The settings constraining the script
+   * @param script The script to validate
+   * @returns {Array} The problems discovered, each an object with the JSON path of the problematic attribute and a
+   * message describing the problem.
+   */
+  performanceProblems: (constraints, script) => {
+    const problems = []
+    const hasPhases = script.config && Array.isArray(script.config.phases) && script.config.phases.length > 0
+    // Validate the Phases
+    if (!hasPhases) {
+      problems.push({
+        path: '$.config.phases',
+        message: 'An Artillery script must contain at least one phase under the $.config.phases attribute which ' +
+          `itself must be an Array unless mode attribute is specified to be ${def.modes.ACCEPTANCE}, ${def.modes.ACC}, ${
+            def.modes.MONITORING}, or ${def.modes.MON}`,
+      })
+    }
+    // Validate the Flow Filter
+    if (impl.isFilter(script._filter)) { // eslint-disable-line no-underscore-dangle
+      problems.push({
+        path: '$._filter',
+        message: `Flows can only be filtered in ${def.modes.ACCEPTANCE} mode or ${def.modes.MONITORING} mode`,
+      })
+    }
+    // Validate the Load
+    if (hasPhases) {
+      const phases = script.config.phases
+      const invalidDurations = phases
+        .map((phase, i) => ({ phase, i }))
+        .filter(entry => plan.impl.phaseDurationInSeconds(entry.phase) < 0)
+      const invalidRates = phases
+        .map((phase, i) => ({ phase, i }))
+        .filter(entry => plan.impl.phaseRequestsPerSecond(entry.phase) < 0)
+      invalidDurations.forEach((entry) => {
+        problems.push({
+          path: `$.config.phases[${entry.i}]`,
+          message: `Every phase must have a valid duration in seconds.  Observed: ${JSON.stringify(entry.phase)}`,
+        })
+      })
+      const scriptDurationInSeconds = invalidDurations.length ? 0 : plan.impl.scriptDurationInSeconds(script)
+      const scriptRequestsPerSecond = invalidRates.length ? 0 : plan.impl.scriptRequestsPerSecond(script)
+      if (!invalidDurations.length && scriptDurationInSeconds <= 0) {
+        problems.push({
+          path: '$.config.phases',
+          message: `Every phase must have a valid duration in seconds.  Observed: ${JSON.stringify(phases)}`,
+        })
       } else if (scriptDurationInSeconds > constraints.maxScriptDurationInSeconds) {
-        throw new def.TaskError(`The total duration in seconds of all script phases cannot exceed ${
-          constraints.maxScriptDurationInSeconds
-        }`)
-      } else if (scriptRequestsPerSecond <= 0) {
-        throw new def.TaskError(`Every phase must have a valid means to determine requests per second.  Observed: ${
-          JSON.stringify(script.config.phases[scriptRequestsPerSecond * -1])
-        }`)
+        problems.push({
+          path: '$.config.phases',
+          message: `The total duration in seconds of all script phases cannot exceed ${
+            constraints.maxScriptDurationInSeconds
+          }`,
+        })
+      }
+      invalidRates.forEach((entry) => {
+        problems.push({
+          path: `$.config.phases[${entry.i}]`,
+          message: `Every phase must have a valid means to determine requests per second.  Observed: ${
+            JSON.stringify(entry.phase)
+          }`,
+        })
+      })
+      if (!invalidRates.length && scriptRequestsPerSecond <= 0) {
+        problems.push({
+          path: '$.config.phases',
+          message: `Every phase must have a valid means to determine requests per second.  Observed: ${
+            JSON.stringify(phases)
+          }`,
+        })
       } else if (scriptRequestsPerSecond > constraints.maxScriptRequestsPerSecond) {
-        throw new def.TaskError(`The maximum requests per second of any script phase cannot exceed ${
-          constraints.maxScriptRequestsPerSecond
-        }`)
+        problems.push({
+          path: '$.config.phases',
+          message: `The maximum requests per second of any script phase cannot exceed ${
+            constraints.maxScriptRequestsPerSecond
+          }`,
+        })
       }
     }
+    return problems
+  },
+  /**
+   * Find every problem with the given acceptance or monitoring mode script's mode specific configuration: its flow
+   * filter must select a flow.
+   * @param constraints The settings constraining the script
+   * @param script The script to validate
+   * @returns {Array} The problems discovered, each an object with the JSON path of the problematic attribute and a
+   * message describing the problem.
+   */
+  acceptanceProblems: (constraints, script) => {
+    const problems = []
+    const filter = script._filter // eslint-disable-line no-underscore-dangle
+    if (impl.isFilter(filter) && Array.isArray(script.scenarios) && !plan.impl.selectFlows(script).length) {
+      problems.push({
+        path: '$._filter',
+        message: `No flow matches the given flow names or tags.  Observed: ${JSON.stringify(filter)}`,
+      })
+    }
+    return problems
+  },
+  /**
+   * Validate the given script's task relevant configuration, throwing an exception if invalid configuration is
+   * discovered.
+   * @param constraints The settings constraining the script
+   * @param script The script to validate
+   */
+  validate: (constraints, script) => {
+    const problems = impl.problems(constraints, script)
+    if (problems.length) {
+      throw new def.TaskError(problems[0].message)
+    }
   },
 }
 
+mode.register([def.modes.PERF, def.modes.PERFORMANCE], {
+  valid: (constraints, script) => impl.performanceProblems(constraints, script),
+})
+mode.register([def.modes.ACC, def.modes.ACCEPTANCE, def.modes.MON, def.modes.MONITORING], {
+  valid: (constraints, script) => impl.acceptanceProblems(constraints, script),
+})
+
 module.exports = impl.validate
+module.exports.problems = impl.problems
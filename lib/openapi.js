@@ -0,0 +1,304 @@
+// Convert an OpenAPI (Swagger) 2 or 3 document into Artillery scenarios.
+// See https://github.com/OAI/OpenAPI-Specification
+
+const taskDef = require('./lambda/taskDef')
+
+const constants = {
+  /**
+   * The depth to which nested schemas are sampled (guarding against recursive schemas)
+   */
+  MaxSampleDepth: 5,
+  /**
+   * The placeholder values used for string schemas of the given formats
+   */
+  Formats: {
+    date: '2017-01-01',
+    'date-time': '2017-01-01T00:00:00Z',
+    email: 'user@example.com',
+    uuid: '00000000-0000-0000-0000-000000000000',
+    uri: 'https://example.com',
+  },
+  /**
+   * The name given to the scenario of operations without tags when generating one scenario per tag
+   */
+  Untagged: 'untagged',
+}
+
+const impl = {
+  /**
+   * Determine the major version of the OpenAPI specification that the given document conforms to.
+   * @param spec The parsed OpenAPI document
+   * @returns {number} 2 or 3
+   */
+  version: (spec) => {
+    if (spec && `${spec.swagger}`.indexOf('2') === 0) {
+      return 2
+    } else if (spec && `${spec.openapi}`.indexOf('3') === 0) {
+      return 3
+    } else {
+      throw new Error('The document must declare either "swagger: \'2.0\'" or "openapi: 3.x.x"')
+    }
+  },
+  /**
+   * Follow the given object's local reference (e.g. { $ref: '#/components/schemas/Pet' }), if it has one.
+   * @param spec The parsed OpenAPI document that local references refer into
+   * @param obj The object that may be a reference
+   * @param seen The references already followed (guarding against circular references)
+   * @returns {*} The referenced object or the given object if it is not a reference
+   */
+  deref: (spec, obj, seen) => {
+    if (!(obj && typeof obj.$ref === 'string')) {
+      return obj
+    }
+    const followed = seen || []
+    if (obj.$ref.indexOf('#/') !== 0) {
+      throw new Error(`Only local references are supported.  Observed: ${obj.$ref}`)
+    } else if (followed.includes(obj.$ref)) {
+      return {}
+    }
+    const target = obj.$ref
+      .slice(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((parent, part) => (parent ? parent[part] : undefined), spec)
+    if (target === undefined) {
+      throw new Error(`The reference ${obj.$ref} could not be resolved`)
+    }
+    return impl.deref(spec, target, followed.concat(obj.$ref))
+  },
+  /**
+   * Determine the target of the scripts generated from the given document.  The origin of the given endpoint, if any,
+   * replaces the origin that the document declares, keeping the document's base path.
+   * @param spec The parsed OpenAPI document
+   * @param endpoint The URL whose origin (e.g. 'https://staging.example.com') the scripts are to target instead
+   * @returns {string} The URL of the first server (OpenAPI 3) or of the host and base path (OpenAPI 2), without a
+   * trailing slash, or undefined if neither the document nor the endpoint gives an absolute one
+   */
+  target: (spec, endpoint) => {
+    const origin = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i
+    let server = ''
+    if (impl.version(spec) === 2) {
+      if (spec.host) {
+        const scheme = Array.isArray(spec.schemes) && spec.schemes.length ? spec.schemes[0] : 'https'
+        server = `${scheme}://${spec.host}`
+      }
+      server += spec.basePath || ''
+    } else if (Array.isArray(spec.servers) && spec.servers.length && spec.servers[0].url) {
+      const declared = spec.servers[0]
+      server = declared.url.replace(/{([^}]+)}/g, (match, name) => (
+        declared.variables && declared.variables[name] ? declared.variables[name].default : match
+      ))
+    }
+    let target = server
+    if (endpoint) {
+      const basePath = server.replace(origin, '')
+      const replacement = origin.exec(endpoint)
+      target = `${replacement ? replacement[0] : endpoint.replace(/\/+$/, '')}${
+        basePath && basePath[0] !== '/' ? '/' : ''}${basePath}`
+    }
+    if (target && /^https?:\/\//i.test(target)) {
+      return target.replace(/\/+$/, '')
+    } else {
+      return undefined
+    }
+  },
+  /**
+   * Produce a sample value for the given schema, preferring its declared example, default, or first enumerated value
+   * and otherwise generating a placeholder from its type.  Composed schemas (allOf, oneOf, and anyOf) count as a level
+   * of nesting, so that schemas composed of themselves are sampled to a limited depth as well.
+   * @param spec The parsed OpenAPI document that local references refer into
+   * @param given The schema to produce a sample value of
+   * @param name The name of the parameter or property that the schema describes
+   * @param depth The nesting depth of the schema
+   * @returns {*} The sample value
+   */
+  sample: (spec, given, name, depth) => {
+    const schema = impl.deref(spec, given) || {}
+    const level = depth || 0
+    if ('example' in schema) {
+      return schema.example
+    } else if ('default' in schema) {
+      return schema.default
+    } else if (Array.isArray(schema.enum) && schema.enum.length) {
+      return schema.enum[0]
+    } else if (Array.isArray(schema.allOf) && level < constants.MaxSampleDepth) {
+      return schema.allOf
+        .map(part => impl.sample(spec, part, name, level + 1))
+        .reduce((merged, part) => (part && typeof part === 'object' && !Array.isArray(part) ?
+          Object.assign(merged, part) : merged), {})
+    } else if ((Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) && level < constants.MaxSampleDepth) {
+      return impl.sample(spec, (schema.oneOf || schema.anyOf)[0], name, level + 1)
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+      return 'minimum' in schema ? schema.minimum : 1
+    } else if (schema.type === 'boolean') {
+      return true
+    } else if (schema.type === 'array') {
+      return level < constants.MaxSampleDepth ? [impl.sample(spec, schema.items, name, level + 1)] : []
+    } else if (schema.type === 'object' || schema.properties) {
+      const obj = {}
+      if (level < constants.MaxSampleDepth) {
+        Object.keys(schema.properties || {}).forEach((property) => {
+          obj[property] = impl.sample(spec, schema.properties[property], property, level + 1)
+        })
+      }
+      return obj
+    } else if (schema.format && schema.format in constants.Formats) {
+      return constants.Formats[schema.format]
+    } else {
+      return name || 'string'
+    }
+  },
+  /**
+   * Produce a sample value for the given parameter (or media type object) from its examples or schema.
+   * @param spec The parsed OpenAPI document that local references refer into
+   * @param param The parameter (or media type object) to produce a value for
+   * @param name The name of the value
+   * @returns {*} The sample value
+   */
+  exampleOf: (spec, param, name) => {
+    if ('example' in param) {
+      return param.example
+    } else if (param.examples && typeof param.examples === 'object' && Object.keys(param.examples).length) {
+      const example = impl.deref(spec, param.examples[Object.keys(param.examples)[0]])
+      return example && typeof example === 'object' && 'value' in example ? example.value : example
+    } else if (param.schema) {
+      return impl.sample(spec, param.schema, name)
+    } else {
+      return impl.sample(spec, param, name) // OpenAPI 2 non-body parameters declare their type directly
+    }
+  },
+  /**
+   * Combine the parameters declared by the given path item and operation, the operation's declarations overriding
+   * those of the path item.
+   * @param spec The parsed OpenAPI document that local references refer into
+   * @param pathItem The path item declaring the operation
+   * @param operation The operation
+   * @returns {Array} The parameters of the operation
+   */
+  parameters: (spec, pathItem, operation) => {
+    const params = {}
+    const declared = [].concat(pathItem.parameters || [], operation.parameters || [])
+    declared.forEach((given) => {
+      const param = impl.deref(spec, given)
+      params[`${param.in}:${param.name}`] = param
+    })
+    return Object.keys(params).map(key => params[key])
+  },
+  /**
+   * Produce the request body attributes (`json`, `form`, or `body`) of a step for the given operation.
+   * @param spec The parsed OpenAPI document that local references refer into
+   * @param operation The operation
+   * @param params The parameters of the operation
+   * @returns {*} The attributes to add to the step
+   */
+  body: (spec, operation, params) => {
+    const attributes = {}
+    if (operation.requestBody) { // OpenAPI 3
+      const content = impl.deref(spec, operation.requestBody).content || {}
+      const types = Object.keys(content)
+      const json = types.find(type => type.indexOf('json') !== -1)
+      const form = types.find(type => type === 'application/x-www-form-urlencoded')
+      if (json) {
+        attributes.json = impl.exampleOf(spec, content[json], 'body')
+      } else if (form) {
+        attributes.form = impl.exampleOf(spec, content[form], 'body')
+      } else if (types.length) {
+        attributes.body = `${impl.exampleOf(spec, content[types[0]], 'body')}`
+      }
+    } else { // OpenAPI 2
+      const body = params.find(param => param.in === 'body')
+      const formData = params.filter(param => param.in === 'formData')
+      if (body) {
+        attributes.json = impl.exampleOf(spec, body, body.name)
+      } else if (formData.length) {
+        attributes.form = {}
+        formData.forEach((param) => {
+          attributes.form[param.name] = impl.exampleOf(spec, param, param.name)
+        })
+      }
+    }
+    return attributes
+  },
+  /**
+   * Produce the flow step that exercises the given operation.  Path parameters are filled in, as are query and header
+   * parameters that are required or declare an example.
+   * @param spec The parsed OpenAPI document that local references refer into
+   * @param path The path of the operation
+   * @param method The method of the operation
+   * @param pathItem The path item declaring the operation
+   * @returns {*} The flow step
+   */
+  step: (spec, path, method, pathItem) => {
+    const operation = pathItem[method]
+    const params = impl.parameters(spec, pathItem, operation)
+    const included = param => param.required || 'example' in param || (param.schema && 'example' in param.schema)
+    let stepUrl = path
+    const query = []
+    const headers = {}
+    params.forEach((param) => {
+      if (param.in === 'path') {
+        stepUrl = stepUrl.replace(`{${param.name}}`, encodeURIComponent(impl.exampleOf(spec, param, param.name)))
+      } else if (param.in === 'query' && included(param)) {
+        query.push(`${encodeURIComponent(param.name)}=${encodeURIComponent(impl.exampleOf(spec, param, param.name))}`)
+      } else if (param.in === 'header' && included(param)) {
+        headers[param.name] = `${impl.exampleOf(spec, param, param.name)}`
+      }
+    })
+    const request = {
+      url: query.length ? `${stepUrl}?${query.join('&')}` : stepUrl,
+    }
+    if (Object.keys(headers).length) {
+      request.headers = headers
+    }
+    Object.assign(request, impl.body(spec, operation, params))
+    return { [method]: request }
+  },
+  /**
+   * Convert the given OpenAPI document into Artillery scenarios, one per operation or, if requested, one per tag (an
+   * operation belonging to the scenario of its first tag).
+   * @param spec The parsed OpenAPI document
+   * @param byTag Whether to produce one scenario per tag rather than one per operation
+   * @param endpoint The URL whose origin replaces the origin declared by the document (see impl.target)
+   * @returns {{target: string, scenarios: Array}} The target of the scenarios and the scenarios
+   */
+  toScenarios: (spec, byTag, endpoint) => {
+    impl.version(spec)
+    const scenarios = []
+    const tagged = {}
+    Object.keys(spec.paths || {}).forEach((path) => {
+      const pathItem = impl.deref(spec, spec.paths[path])
+      taskDef.METHODS.forEach((method) => {
+        if (pathItem[method]) {
+          const operation = pathItem[method]
+          const step = impl.step(spec, path, method, pathItem)
+          if (byTag) {
+            const tag = Array.isArray(operation.tags) && operation.tags.length ? operation.tags[0] : constants.Untagged
+            if (!tagged[tag]) {
+              tagged[tag] = { name: tag, flow: [] }
+              scenarios.push(tagged[tag])
+            }
+            tagged[tag].flow.push(step)
+          } else {
+            scenarios.push({
+              name: operation.operationId || `${method.toUpperCase()} ${path}`,
+              flow: [step],
+            })
+          }
+        }
+      })
+    })
+    if (!scenarios.length) {
+      throw new Error('The document does not declare any operations that can be exercised')
+    }
+    return {
+      target: impl.target(spec, endpoint),
+      scenarios,
+    }
+  },
+}
+
+module.exports = impl.toScenarios
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
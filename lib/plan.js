@@ -0,0 +1,277 @@
+/* eslint-disable no-underscore-dangle */
+// Reproduce, without invoking anything, the chunks that the function will split a script into.
+
+const os = require('os')
+
+const func = require('./lambda/func')
+const task = require('./lambda/task')
+
+const impl = {
+  /**
+   * Convert the given absolute time into the number of seconds that have elapsed since the given genesis time.
+   * @param time The absolute time, in milliseconds, to convert
+   * @param genesis The absolute time, in milliseconds, that the load test began
+   * @returns {number} The offset of the given time from genesis, in seconds
+   */
+  offset: (time, genesis) => (time - genesis) / 1000,
+  /**
+   * Describe the given phase in a short human readable form.
+   * @param phase The phase to describe
+   * @returns {string} The description of the phase.  E.g. '60s 5->50 rps'
+   */
+  describePhase: (phase) => {
+    if ('pause' in phase) {
+      return `${phase.pause}s pause`
+    } else if ('rampTo' in phase && 'arrivalRate' in phase) {
+      return `${phase.duration}s ${phase.arrivalRate}->${phase.rampTo} rps`
+    } else if ('arrivalRate' in phase) {
+      return `${phase.duration}s ${phase.arrivalRate} rps`
+    } else if ('arrivalCount' in phase) {
+      return `${phase.duration}s ${phase.arrivalCount} arrivals`
+    } else {
+      return JSON.stringify(phase)
+    }
+  },
+  /**
+   * Plan the given chunk exactly as a copy of the function receiving it at the given time would, recursing through
+   * every chunk that the copy would send on to further copies of the function.
+   * @param chunk The script (or chunk of a script) received by the function copy
+   * @param invokedAt The time at which the function copy receives the chunk
+   * @param genesis The time at which the original script was received
+   * @param id The identity to give the chunk in the plan (the index path of the chunk within the plan tree)
+   * @param spawnedBy The identity of the chunk whose function copy invokes this chunk (null if invoked by the CLI)
+   * @returns {{id: string, spawnedBy: string, invokedAt: number, invocationType: string, executes: boolean,
+   * intermediate: boolean, start: number, durationInSeconds: number, requestsPerSecond: number, phases: Array,
+   * chunks: Array}} The plan node describing the chunk and all chunks it spawns
+   */
+  planChunk: (chunk, invokedAt, genesis, id, spawnedBy) => {
+    const script = JSON.parse(JSON.stringify(chunk))
+    const settings = func.def.getSettings(script)
+    const node = {
+      id,
+      spawnedBy,
+      invokedAt: impl.offset(invokedAt, genesis),
+      invocationType: chunk._invokeType || 'Event',
+      executes: false,
+      intermediate: false,
+      start: null,
+      durationInSeconds: null,
+      requestsPerSecond: null,
+      phases: [],
+      chunks: [],
+    }
+    if (script.config && Array.isArray(script.config.phases)) { // acceptance scripts need not declare phases
+      node.durationInSeconds = task.plan.impl.scriptDurationInSeconds(script)
+      node.requestsPerSecond = task.plan.impl.scriptRequestsPerSecond(script)
+      node.phases = script.config.phases.map(impl.describePhase)
+    }
+    const plans = task.plan(invokedAt, script, settings)
+    if (plans.length === 1) { // the function copy executes the chunk itself
+      node.executes = true
+      node.start = impl.offset(plans[0]._start || invokedAt, genesis)
+      node.phases = plans[0].config.phases.map(impl.describePhase)
+    } else {
+      node.chunks = impl.fanOut(plans, settings, invokedAt, genesis, id)
+    }
+    return node
+  },
+  /**
+   * Plan the given plans as the function copy that distributes them invokes them: at once if the branching factor
+   * allows, and otherwise by handing groups of the chunks that report results to intermediate copies of the function
+   * that fan them out further, when taskPlan.impl.fanOut schedules them (see handler.fanOut).
+   * @param plans The plans (each an event) that the function copy distributes
+   * @param settings The split settings of the script
+   * @param invokedAt The time at which the function copy was invoked
+   * @param genesis The time at which the original script was received
+   * @param id The identity of the function copy within the plan tree
+   * @returns {Array} The plan nodes of the copies of the function that the function copy invokes
+   */
+  fanOut: (plans, settings, invokedAt, genesis, id) => task.plan.impl.fanOut(plans, settings).map((invocation, i) => {
+    const chunkId = `${id}.${i + 1}`
+    const chunkInvokedAt = Math.max(invocation.invokeAt, invokedAt)
+    if (invocation.plan) {
+      return impl.planChunk(invocation.plan, chunkInvokedAt, genesis, chunkId, id)
+    }
+    return {
+      id: chunkId,
+      spawnedBy: id,
+      invokedAt: impl.offset(chunkInvokedAt, genesis),
+      invocationType: 'RequestResponse',
+      executes: false,
+      intermediate: true,
+      start: null,
+      durationInSeconds: null,
+      requestsPerSecond: null,
+      phases: [],
+      chunks: impl.fanOut(invocation.group, settings, chunkInvokedAt, genesis, chunkId),
+    }
+  }),
+  /**
+   * Plan the given script, producing the tree of chunks that the function will split the script into.
+   * @param script The validated script to plan
+   * @returns {*} The root plan node, representing the script as it is received from the CLI
+   */
+  tree: (script) => {
+    const genesis = Date.now()
+    const chunk = JSON.parse(JSON.stringify(script))
+    delete chunk._trace // planning is silent
+    const root = impl.planChunk(chunk, genesis, genesis, '1', null)
+    root.invocationType = null
+    return root
+  },
+  /**
+   * Flatten the given plan tree into a list of nodes, parents preceding their children.
+   * @param node The root of the plan tree to flatten
+   * @returns {Array} The nodes of the given tree
+   */
+  flatten: node => [node].concat(...node.chunks.map(impl.flatten)),
+  /**
+   * Determine when the function copy receiving the given plan node completes.  A copy that executes load completes at
+   * the end of its load.  A copy that distributes its chunks completes once it has invoked the last of them and every
+   * chunk it waits for (i.e. those invoked with the RequestResponse invocation type) has completed.
+   * @param node The plan node to determine the completion of
+   * @returns {number} The completion of the given node, in seconds relative to the receipt of the script
+   */
+  end: (node) => {
+    if (node.executes) {
+      return node.start + (node.durationInSeconds || 0)
+    }
+    return Math.max(node.invokedAt, ...node.chunks.map(chunk => (
+      chunk.invocationType === 'RequestResponse' ? impl.end(chunk) : chunk.invokedAt
+    )))
+  },
+  /**
+   * Determine whether a copy of the function receiving the given chunk executes it itself, without planning it.  Only
+   * performance mode chunks within the duration and requests per second of a single function copy are recognized.
+   * @param chunk The script (or chunk of a script) received by the function copy
+   * @param settings The split settings of the script
+   * @returns {boolean} Whether the chunk certainly executes without being split
+   */
+  executesItself: (chunk, settings) =>
+    (!chunk.mode || chunk.mode === task.def.modes.PERF || chunk.mode === task.def.modes.PERFORMANCE) &&
+    !!chunk.config && Array.isArray(chunk.config.phases) &&
+    task.plan.impl.scriptDurationInSeconds(chunk) <= settings.maxChunkDurationInSeconds &&
+    task.plan.impl.scriptRequestsPerSecond(chunk) <= settings.maxChunkRequestsPerSecond,
+  /**
+   * Record when each copy of the function runs that receives the given chunk or is invoked on its behalf, exactly as
+   * impl.planChunk plans them but without describing them, so that scripts splitting into a great many chunks can be
+   * measured quickly.  The given chunk is consumed: planning it may modify it.
+   * @param chunk The script (or chunk of a script) received by the function copy
+   * @param invokedAt The time at which the function copy receives the chunk
+   * @param intervals The list to add the [invocation, completion] times of each copy to
+   * @returns {number} The completion of the function copy receiving the chunk (see impl.end)
+   */
+  run: (chunk, invokedAt, intervals) => {
+    const settings = func.def.getSettings(chunk)
+    const plans = impl.executesItself(chunk, settings) ? [chunk] : task.plan(invokedAt, chunk, settings)
+    let end
+    if (plans.length === 1) {
+      const durationInSeconds = chunk.config && Array.isArray(chunk.config.phases) ?
+        task.plan.impl.scriptDurationInSeconds(chunk) :
+        0
+      end = (plans[0]._start || invokedAt) + (durationInSeconds * 1000)
+    } else {
+      end = impl.runFanOut(plans, settings, invokedAt, intervals)
+    }
+    intervals.push([invokedAt, end])
+    return end
+  },
+  /**
+   * Record when each copy of the function runs that the function copy distributing the given plans invokes, exactly as
+   * impl.fanOut plans them.
+   * @param plans The plans (each an event) that the function copy distributes
+   * @param settings The split settings of the script
+   * @param invokedAt The time at which the function copy was invoked
+   * @param intervals The list to add the [invocation, completion] times of each copy to
+   * @returns {number} The completion of the function copy distributing the plans (see impl.end)
+   */
+  runFanOut: (plans, settings, invokedAt, intervals) => Math.max(
+    invokedAt,
+    ...task.plan.impl.fanOut(plans, settings).map((invocation) => {
+      const chunkInvokedAt = Math.max(invocation.invokeAt, invokedAt)
+      if (invocation.plan) {
+        const end = impl.run(invocation.plan, chunkInvokedAt, intervals)
+        return invocation.plan._invokeType === 'RequestResponse' ? end : chunkInvokedAt
+      }
+      const end = Math.max(chunkInvokedAt, impl.runFanOut(invocation.group, settings, chunkInvokedAt, intervals))
+      intervals.push([chunkInvokedAt, end])
+      return end
+    }) // eslint-disable-line comma-dangle
+  ),
+  /**
+   * Determine the greatest number of the given intervals that overlap.  Intervals that start as others end overlap
+   * them.
+   * @param intervals The [start, end] intervals to sweep
+   * @returns {number} The greatest number of intervals that overlap at any time
+   */
+  peak: (intervals) => {
+    const events = []
+    intervals.forEach((interval) => {
+      events.push({ time: interval[0], change: 1 }, { time: interval[1], change: -1 })
+    })
+    events.sort((a, b) => (a.time - b.time) || (b.change - a.change))
+    let running = 0
+    let peak = 0
+    events.forEach((event) => {
+      running += event.change
+      peak = Math.max(peak, running)
+    })
+    return peak
+  },
+  /**
+   * Determine the greatest number of copies of the function that run at the same time while executing the given
+   * script, including the intermediate copies that fan out very large numbers of chunks (see _split.branchingFactor).
+   * Each copy runs from its invocation until its completion (see impl.end).  The plan tree is not built.
+   * @param script The validated script to determine the concurrency of
+   * @returns {number} The peak number of concurrently running copies of the function
+   */
+  concurrency: (script) => {
+    const chunk = JSON.parse(JSON.stringify(script))
+    delete chunk._trace // planning is silent
+    const intervals = []
+    impl.run(chunk, Date.now(), intervals)
+    return impl.peak(intervals)
+  },
+  /**
+   * Render the given plan tree as a table, one row per chunk.
+   * @param tree The plan tree to render
+   * @returns {string} The tabular rendering of the given plan tree
+   */
+  table: (tree) => {
+    const nodes = impl.flatten(tree)
+    const rows = [['CHUNK', 'SPAWNED BY', 'INVOKED (s)', 'START (s)', 'DURATION (s)', 'PEAK RPS', 'PHASES']]
+    nodes.forEach((node) => {
+      rows.push([
+        `${'  '.repeat(node.id.split('.').length - 1)}${node.id}`,
+        node.spawnedBy || 'cli',
+        `${node.invokedAt}`,
+        node.executes ? `${node.start}` : '-',
+        node.durationInSeconds === null ? '-' : `${node.durationInSeconds}`,
+        node.requestsPerSecond === null ? '-' : `${node.requestsPerSecond}`,
+        node.executes ? node.phases.join(', ') : `${node.intermediate ? 'fans out' : 'distributes'} ${node.chunks.length} chunks`,
+      ])
+    })
+    const widths = rows[0].map((heading, i) => Math.max(...rows.map(row => row[i].length)))
+    const lines = rows.map(row => row.map((cell, i) => cell + ' '.repeat(widths[i] - cell.length)).join('  ').replace(/\s+$/, ''))
+    const executing = nodes.filter(node => node.executes).length
+    const intermediates = nodes.filter(node => node.intermediate).length
+    lines.push('', `${nodes.length - intermediates} chunks, ${executing} of which execute load.`)
+    if (intermediates) {
+      lines.push(`${intermediates} intermediate copies of the function fan the chunks out.`)
+    }
+    const peak = impl.peak(nodes.map(node => [node.invokedAt, impl.end(node)]))
+    lines.push(`At most ${peak} copies of the function run at once.`)
+    return lines.join(os.EOL)
+  },
+}
+
+module.exports = {
+  tree: impl.tree,
+  flatten: impl.flatten,
+  concurrency: impl.concurrency,
+  table: impl.table,
+}
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
@@ -0,0 +1,161 @@
+// Load the default CLI options that a project (or user) declares in a `.slsartrc` file and apply them beneath the
+// options given on the command line.
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+
+const constants = {
+  FileName: '.slsartrc',
+  /**
+   * The settings a `.slsartrc` file may declare, each with the commands it provides a default for
+   */
+  Settings: {
+    stage: ['deploy', 'invoke', 'remove', 'stop'],
+    region: ['deploy', 'invoke', 'remove', 'stop'],
+    path: ['invoke', 'plan', 'validate'],
+    _split: ['invoke', 'plan', 'validate'],
+    jsonOnly: ['invoke', 'plan', 'validate'],
+    acceptance: ['invoke', 'plan', 'validate'],
+    allowedTargets: ['invoke', 'plan', 'validate'],
+    signingSecret: ['invoke'],
+  },
+  /**
+   * The aliases of the settings that are also CLI options (see ~/bin/serverless-artillery)
+   */
+  Aliases: {
+    path: 'p',
+    jsonOnly: 'jo',
+    acceptance: 'a',
+  },
+  /**
+   * The CLI options that identify the script to use, any of which takes precedence over a default path
+   */
+  InputOptions: ['p', 'path', 'd', 'data', 'si', 'stdIn'],
+  /**
+   * The commands that pass the stage and region settings through to the Serverless Framework rather than using them
+   */
+  ServerlessCommands: ['deploy', 'invoke', 'remove'],
+  /**
+   * The Serverless Framework flags that the stage and region settings are passed to Serverless as
+   */
+  ServerlessFlags: {
+    stage: ['--stage', '-s'],
+    region: ['--region', '-r'],
+  },
+}
+
+const impl = {
+  /**
+   * Read the `.slsartrc` file in the given directory, if there is one.  A relative path setting is resolved against
+   * the given directory.
+   * @param dir The directory to read the `.slsartrc` file of
+   * @returns {*} The settings declared by the file or undefined if the directory does not contain one
+   */
+  read: (dir) => {
+    const filePath = path.join(dir, constants.FileName)
+    let input
+    try {
+      input = fs.readFileSync(filePath, 'utf8')
+    } catch (ex) {
+      return undefined
+    }
+    let settings
+    try {
+      settings = yaml.safeLoad(input)
+    } catch (ex) {
+      throw new Error(`${os.EOL}\tThe file '${filePath}' could not be parsed as YAML or JSON: ${ex.message}${os.EOL}`)
+    }
+    if (settings === undefined || settings === null) {
+      return {}
+    } else if (typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`${os.EOL}\tThe file '${filePath}' must contain an object of settings.${os.EOL}`)
+    }
+    const unknown = Object.keys(settings).filter(key => !(key in constants.Settings))
+    if (unknown.length) {
+      throw new Error(`${os.EOL}\tThe file '${filePath}' declares unknown settings "${unknown.join('", "')}".  ` +
+        `Known settings are "${Object.keys(constants.Settings).join('", "')}".${os.EOL}`)
+    }
+    const targets = settings.allowedTargets
+    if ('allowedTargets' in settings && !(
+      typeof targets === 'string' || (Array.isArray(targets) && targets.every(target => typeof target === 'string'))
+    )) {
+      throw new Error(`${os.EOL}\tThe file '${filePath}' must declare allowedTargets as a list of hostnames.${os.EOL}`)
+    }
+    if (typeof settings.path === 'string') {
+      settings.path = path.resolve(dir, settings.path)
+    }
+    return settings
+  },
+  /**
+   * Load the settings declared by the `.slsartrc` files of the given directories, those of later directories
+   * overriding those of earlier ones.
+   * @param dirs The directories to load `.slsartrc` files from.  Defaults to the home directory followed by the
+   * current working directory.
+   * @returns {*} The merged settings
+   */
+  load: (dirs) => {
+    const settings = {}
+    const searched = dirs || [os.homedir(), process.cwd()]
+    searched
+      .filter((dir, i) => searched.indexOf(dir) === i)
+      .forEach((dir) => {
+        Object.assign(settings, impl.read(dir))
+      })
+    return settings
+  },
+  /**
+   * Determine whether the given argv array contains any of the given flags (e.g. `--stage dev` or `--stage=dev`).
+   * @param flags The flags to look for
+   * @param argv The argv array to search
+   * @returns {boolean} Whether the argv array contains one of the flags
+   */
+  hasArg: (flags, argv) => argv.some(arg => flags.some(flag => arg === flag || arg.indexOf(`${flag}=`) === 0)),
+  /**
+   * Apply the given settings to the options of the given command wherever the command line did not specify them.  The
+   * stage and region settings are passed through to the Serverless Framework by adding them to the given argv array
+   * for the commands that Serverless performs.
+   * @param command The command being executed
+   * @param options The options parsed from the command line (modified in place)
+   * @param settings The settings loaded from `.slsartrc` files
+   * @param argv The argv array that the Serverless Framework will read (modified in place)
+   * @returns {*} The given options
+   */
+  apply: (command, options, settings, argv) => {
+    const opts = options
+    Object.keys(settings)
+      .filter(key => constants.Settings[key].includes(command))
+      .forEach((key) => {
+        const value = settings[key]
+        if (key in constants.ServerlessFlags && constants.ServerlessCommands.includes(command)) {
+          if (!impl.hasArg(constants.ServerlessFlags[key], argv)) {
+            argv.push(constants.ServerlessFlags[key][0], `${value}`)
+          }
+        } else if (key === 'path') {
+          if (!constants.InputOptions.some(option => opts[option])) {
+            opts.path = value
+            opts.p = value
+          }
+        } else if (key === '_split') {
+          opts._split = value // eslint-disable-line no-underscore-dangle
+        } else if (opts[key] === undefined) {
+          opts[key] = value
+          if (key in constants.Aliases) {
+            opts[constants.Aliases[key]] = value
+          }
+        }
+      })
+    return opts
+  },
+}
+
+module.exports = {
+  load: impl.load,
+  apply: impl.apply,
+}
+
+/* test-code */
+module.exports.constants = constants
+module.exports.impl = impl
+/* end-test-code */
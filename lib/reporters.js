@@ -0,0 +1,209 @@
+// Format the result of an acceptance mode invocation for consumption by CI servers and other tools, each flow of the
+// script becoming a test case.
+
+const yaml = require('js-yaml')
+
+const taskDef = require('./lambda/taskDef')
+const taskPlan = require('./lambda/taskPlan')
+
+const constants = {
+  /**
+   * The reporters that results may be formatted by
+   */
+  Reporters: ['json', 'junit', 'tap'],
+  /**
+   * The name of the suite of test cases
+   */
+  SuiteName: 'acceptance',
+}
+
+const impl = {
+  /**
+   * Describe the steps of the given flow (e.g. 'GET /users'), descending into the flows nested within loop steps.
+   * @param flow The flow to describe the steps of
+   * @returns {Array} The descriptions of the flow's steps
+   */
+  describeSteps: (flow) => {
+    const steps = []
+    if (Array.isArray(flow)) {
+      flow.forEach((step) => {
+        if (step && typeof step === 'object') {
+          const method = taskDef.METHODS.find(name => step[name])
+          if (method) {
+            steps.push(`${method.toUpperCase()} ${step[method].url}`)
+          } else if ('think' in step) {
+            steps.push(`think ${step.think}s`)
+          } else if ('function' in step) {
+            steps.push(`function ${step.function}`)
+          } else if (Array.isArray(step.loop)) {
+            steps.push(...impl.describeSteps(step.loop).map(loopStep => `loop: ${loopStep}`))
+          }
+        }
+      })
+    }
+    return steps
+  },
+  /**
+   * Describe a step recorded by the function while executing a flow
+   * (e.g. 'GET https://example.com/users -> 200 (35ms)').
+   * @param step The recorded step
+   * @returns {string} The description of the step
+   */
+  describeRecordedStep: (step) => {
+    const response = 'statusCode' in step ? `${step.statusCode} (${step.latency}ms)` : 'no response'
+    return `${step.method} ${step.url} -> ${response}${step.failed ? ` FAILED: ${step.error}` : ''}`
+  },
+  /**
+   * Describe the counts of the given hash (e.g. { ETIMEDOUT: 2, 500: 1 } => 'ETIMEDOUT (2), 500 (1)').
+   * @param counts The hash of counts to describe
+   * @returns {string} The description of the counts
+   */
+  describeCounts: counts => Object.keys(counts || {}).map(key => `${key} (${counts[key]})`).join(', '),
+  /**
+   * Produce a test case for each flow of the given script from the corresponding report of the given result.  The
+   * function executes each flow that the script's filter selects as a chunk of its own and reports the results of
+   * those chunks in the order of the flows.
+   * @param script The acceptance mode script that was executed
+   * @param result The result reported by the function (i.e. { errors, reports })
+   * @returns {Array} The test cases, each as { name, passed, flaky, message, errors, codes, steps, failedStep }.  The
+   * steps are those recorded by the function, if it recorded them, and those of the flow otherwise.  Flaky test cases
+   * passed when retried and carry a message describing the failed attempts.
+   */
+  cases: (script, result) => {
+    const reports = result && Array.isArray(result.reports) ? result.reports : []
+    const flows = script && Array.isArray(script.scenarios) ? taskPlan.impl.selectFlows(script) : []
+    return flows.map((flow, i) => {
+      const scenario = flow.reduce((merged, entry) => Object.assign(merged, entry), {})
+      const report = reports[i]
+      const testCase = {
+        name: scenario.name || `flow ${i + 1}`,
+        passed: !!report && !(report.errors && Object.keys(report.errors).length),
+        errors: report && report.errors ? report.errors : {},
+        codes: report && report.codes ? report.codes : {},
+        steps: report && Array.isArray(report.steps) ?
+          report.steps.map(impl.describeRecordedStep) :
+          impl.describeSteps(scenario.flow),
+      }
+      testCase.flaky = testCase.passed && report.attempts > 1
+      if (!report) {
+        testCase.message = 'The flow did not report a result'
+      } else if (testCase.flaky) {
+        testCase.message = `Flaky: passed on attempt ${report.attempts} after failing with ${
+          (report.failedAttempts || []).map(impl.describeCounts).join('; ')}`
+      } else if (!testCase.passed) {
+        testCase.message = `Errors: ${impl.describeCounts(testCase.errors)}`
+        if (Object.keys(testCase.codes).length) {
+          testCase.message += `; status codes: ${impl.describeCounts(testCase.codes)}`
+        }
+        const failedStep = Array.isArray(report.steps) ? report.steps.find(step => step.failed) : undefined
+        if (failedStep) {
+          testCase.failedStep = failedStep
+          testCase.message += `; failed step: ${impl.describeRecordedStep(failedStep)}`
+        }
+      }
+      return testCase
+    })
+  },
+  /**
+   * Escape the given value for inclusion in XML text or attribute values.
+   * @param value The value to escape
+   * @returns {string} The escaped value
+   */
+  escapeXml: value => `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;'),
+  /**
+   * Format the given test cases as JUnit XML.
+   * @param cases The test cases to format
+   * @returns {string} The JUnit XML document
+   */
+  junit: (cases) => {
+    const esc = impl.escapeXml
+    const failures = cases.filter(testCase => !testCase.passed).length
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="serverless-artillery" tests="${cases.length}" failures="${failures}">`,
+      `  <testsuite name="${constants.SuiteName}" tests="${cases.length}" failures="${failures}">`,
+    ]
+    cases.forEach((testCase) => {
+      const name = `    <testcase classname="${constants.SuiteName}" name="${esc(testCase.name)}"`
+      if (testCase.flaky) {
+        lines.push(`${name}>`, `      <system-out>${esc(testCase.message)}</system-out>`, '    </testcase>')
+      } else if (testCase.passed) {
+        lines.push(`${name}/>`)
+      } else {
+        const type = Object.keys(testCase.errors)[0] || 'NoResult'
+        const details = [testCase.message, 'Steps:']
+          .concat(testCase.steps.map(step => `  ${step}`))
+          .concat(testCase.failedStep && testCase.failedStep.body ? ['Response body:', testCase.failedStep.body] : [])
+          .join('\n')
+        lines.push(
+          `${name}>`,
+          `      <failure message="${esc(testCase.message)}" type="${esc(type)}">${esc(details)}</failure>`,
+          '    </testcase>' // eslint-disable-line comma-dangle
+        )
+      }
+    })
+    lines.push('  </testsuite>', '</testsuites>')
+    return lines.join('\n')
+  },
+  /**
+   * Format the given test cases as TAP (version 13), failures carrying a YAML diagnostic block.
+   * @param cases The test cases to format
+   * @returns {string} The TAP document
+   */
+  tap: (cases) => {
+    const lines = ['TAP version 13', `1..${cases.length}`]
+    cases.forEach((testCase, i) => {
+      const name = testCase.name.replace(/#/g, '\\#')
+      if (testCase.flaky) {
+        lines.push(`ok ${i + 1} - ${name} # ${testCase.message}`)
+      } else if (testCase.passed) {
+        lines.push(`ok ${i + 1} - ${name}`)
+      } else {
+        const details = {
+          message: testCase.message,
+          errors: testCase.errors,
+          codes: testCase.codes,
+          steps: testCase.steps,
+        }
+        if (testCase.failedStep) {
+          details.failedStep = testCase.failedStep
+        }
+        const diagnostic = yaml.safeDump(details, { lineWidth: -1 })
+        lines.push(`not ok ${i + 1} - ${name}`, '  ---')
+        diagnostic.trim().split('\n').forEach(line => lines.push(`  ${line}`))
+        lines.push('  ...')
+      }
+    })
+    return lines.join('\n')
+  },
+  /**
+   * Format the result of executing the given acceptance mode script using the given reporter.
+   * @param reporter The reporter to format the result with (one of constants.Reporters)
+   * @param script The acceptance mode script that was executed
+   * @param result The result reported by the function
+   * @returns {string} The formatted result
+   */
+  format: (reporter, script, result) => {
+    if (reporter === 'junit') {
+      return impl.junit(impl.cases(script, result))
+    } else if (reporter === 'tap') {
+      return impl.tap(impl.cases(script, result))
+    } else if (reporter === 'json') {
+      return JSON.stringify(result, null, 2)
+    } else {
+      throw new Error(`Unknown reporter '${reporter}'.  Known reporters are "${constants.Reporters.join('", "')}".`)
+    }
+  },
+}
+
+module.exports = impl.format
+
+/* test-code */
+module.exports.constants = constants
+module.exports.impl = impl
+/* end-test-code */
@@ -0,0 +1,299 @@
+// Find, without executing anything, every problem with a script that would prevent it from executing as intended.
+
+const fs = require('fs')
+const path = require('path')
+
+const func = require('./lambda/func')
+const task = require('./lambda/task')
+
+const constants = {
+  /**
+   * The hooks that a request or scenario may reference processor functions through
+   */
+  Hooks: ['beforeRequest', 'afterResponse'],
+  /**
+   * A template reference (e.g. '{{ user.id }}'), capturing the name of the variable referenced
+   */
+  Template: /{{\s*([^}]+?)\s*}}/g,
+}
+
+const impl = {
+  /**
+   * Compose the JSON path of an attribute from the JSON path of its parent.
+   * @param parent The JSON path of the parent of the attribute
+   * @param key The attribute name or array index of the attribute
+   * @returns {string} The JSON path of the attribute
+   */
+  childPath: (parent, key) => (typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`),
+  /**
+   * Normalize the given hook declaration, which may be a single function name or a list of them, to a list.
+   * @param hook The hook declaration
+   * @returns {Array} The function names referenced by the hook declaration
+   */
+  hookNames: hook => (Array.isArray(hook) ? hook : [hook]),
+  /**
+   * Collect every (object) step of the given flow, descending into the flows nested within loop steps.
+   * @param flow The flow to collect the steps of
+   * @param flowPath The JSON path of the flow
+   * @returns {Array} The steps of the flow, each as {step, path}
+   */
+  steps: (flow, flowPath) => {
+    const steps = []
+    if (Array.isArray(flow)) {
+      flow.forEach((step, i) => {
+        const stepPath = impl.childPath(flowPath, i)
+        if (step && typeof step === 'object') {
+          steps.push({ step, path: stepPath })
+          if (Array.isArray(step.loop)) {
+            steps.push(...impl.steps(step.loop, impl.childPath(stepPath, 'loop')))
+          }
+        }
+      })
+    }
+    return steps
+  },
+  /**
+   * Collect every template reference within the given value, descending into nested objects and arrays.
+   * @param value The value to search for template references
+   * @param valuePath The JSON path of the value
+   * @returns {Array} The references found, each as {name, path} where name is the variable referenced
+   */
+  references: (value, valuePath) => {
+    const references = []
+    if (typeof value === 'string') {
+      let match = constants.Template.exec(value)
+      while (match) {
+        references.push({ name: match[1].split(/[.[(]/)[0], path: valuePath })
+        match = constants.Template.exec(value)
+      }
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => {
+        const childKey = Array.isArray(value) ? Number(key) : key
+        references.push(...impl.references(value[key], impl.childPath(valuePath, childKey)))
+      })
+    }
+    return references
+  },
+  /**
+   * Determine the variables that the given script's configuration defines for all scenarios.
+   * @param script The script to determine the defined variables of
+   * @returns {Array} The names of the variables defined by config.variables and the fields of config.payload
+   */
+  configVariables: (script) => {
+    const config = script.config || {}
+    let names = Object.keys(config.variables && typeof config.variables === 'object' ? config.variables : {})
+    const payloads = [].concat(config.payload || [])
+    payloads.forEach((payload) => {
+      if (payload && Array.isArray(payload.fields)) {
+        names = names.concat(payload.fields)
+      }
+    })
+    return names
+  },
+  /**
+   * Determine the variables that the given steps capture from responses.
+   * @param steps The steps (as produced by impl.steps) to determine the captured variables of
+   * @returns {Array} The names of the captured variables
+   */
+  capturedVariables: (steps) => {
+    const names = []
+    steps.forEach((entry) => {
+      task.def.METHODS.forEach((method) => {
+        const request = entry.step && entry.step[method]
+        if (request && request.capture) {
+          [].concat(request.capture).forEach((capture) => {
+            if (capture && capture.as) {
+              names.push(capture.as)
+            }
+          })
+        }
+      })
+    })
+    return names
+  },
+  /**
+   * Find problems with the processor the script declares and the processor functions the script references.
+   * @param script The script to validate
+   * @param basePath The directory that relative file paths within the script are resolved against
+   * @returns {Array} The problems found, each as {path, message}
+   */
+  processorProblems: (script, basePath) => {
+    const problems = []
+    const config = script.config || {}
+    let processor
+    if (config.processor && typeof config.processor === 'object') {
+      processor = config.processor
+    } else if (typeof config.processor === 'string') {
+      const processorPath = path.resolve(basePath, config.processor)
+      try {
+        processor = require(processorPath) // eslint-disable-line global-require,import/no-dynamic-require
+      } catch (ex) {
+        problems.push({
+          path: '$.config.processor',
+          message: `The processor '${config.processor}' could not be loaded from ${processorPath}: ${ex.message}`,
+        })
+        return problems
+      }
+    }
+    const check = (name, namePath) => {
+      if (!processor) {
+        problems.push({ path: namePath, message: `The function '${name}' is referenced but no config.processor is declared` })
+      } else if (typeof processor[name] !== 'function') {
+        problems.push({ path: namePath, message: `The function '${name}' is not exported by the processor '${config.processor}'` })
+      }
+    }
+    const checkHooks = (holder, holderPath) => {
+      constants.Hooks.forEach((hook) => {
+        if (holder && hook in holder) {
+          const hookPath = impl.childPath(holderPath, hook)
+          const names = impl.hookNames(holder[hook])
+          names.forEach((name, i) => check(name, Array.isArray(holder[hook]) ? impl.childPath(hookPath, i) : hookPath))
+        }
+      })
+    }
+    if (Array.isArray(script.scenarios)) {
+      script.scenarios.forEach((scenario, i) => {
+        const scenarioPath = impl.childPath('$.scenarios', i)
+        checkHooks(scenario, scenarioPath)
+        impl.steps(scenario && scenario.flow, impl.childPath(scenarioPath, 'flow')).forEach((entry) => {
+          if (entry.step && 'function' in entry.step) {
+            check(entry.step.function, impl.childPath(entry.path, 'function'))
+          }
+          task.def.METHODS.forEach((method) => {
+            if (entry.step && entry.step[method]) {
+              checkHooks(entry.step[method], impl.childPath(entry.path, method))
+            }
+          })
+        })
+      })
+    }
+    return problems
+  },
+  /**
+   * Find problems with the payload files the script declares.
+   * @param script The script to validate
+   * @param basePath The directory that relative file paths within the script are resolved against
+   * @returns {Array} The problems found, each as {path, message}
+   */
+  payloadProblems: (script, basePath) => {
+    const problems = []
+    const config = script.config || {}
+    if ('payload' in config) {
+      const payloads = Array.isArray(config.payload) ? config.payload : [config.payload]
+      payloads.forEach((payload, i) => {
+        const payloadPath = Array.isArray(config.payload) ? impl.childPath('$.config.payload', i) : '$.config.payload'
+        if (!payload || typeof payload !== 'object' || typeof payload.path !== 'string') {
+          problems.push({ path: payloadPath, message: 'A payload must be an object with a path attribute naming a CSV file' })
+        } else {
+          const filePath = path.resolve(basePath, payload.path)
+          let exists
+          try {
+            exists = fs.statSync(filePath).isFile()
+          } catch (ex) {
+            exists = false
+          }
+          if (!exists) {
+            problems.push({
+              path: impl.childPath(payloadPath, 'path'),
+              message: `The payload file '${payload.path}' could not be found at ${filePath}`,
+            })
+          }
+        }
+      })
+    }
+    return problems
+  },
+  /**
+   * Find problems with the requests and variables of the script's scenarios.  Variables may be defined by
+   * config.variables, the fields of config.payload, or the capture attributes of a scenario's requests.  Variables
+   * named with a leading '$' are provided by artillery.  Scenarios that reference processor functions are not checked
+   * for undefined variables since those functions may define variables.
+   * @param script The script to validate
+   * @returns {Array} The problems found, each as {path, message}
+   */
+  scenarioProblems: (script) => {
+    const problems = []
+    const config = script.config || {}
+    const defined = impl.configVariables(script)
+    if (!Array.isArray(script.scenarios) || !script.scenarios.length) {
+      problems.push({ path: '$.scenarios', message: 'An Artillery script must contain at least one scenario under the $.scenarios attribute' })
+      return problems
+    }
+    script.scenarios.forEach((scenario, i) => {
+      const scenarioPath = impl.childPath('$.scenarios', i)
+      const flowPath = impl.childPath(scenarioPath, 'flow')
+      if (!scenario || !Array.isArray(scenario.flow)) {
+        problems.push({ path: flowPath, message: 'Every scenario must contain a flow which itself must be an Array' })
+        return
+      }
+      const steps = impl.steps(scenario.flow, flowPath)
+      const usesFunctions = constants.Hooks.some(hook => hook in scenario) || steps.some(entry => (
+        entry.step && (
+          'function' in entry.step ||
+          task.def.METHODS.some(method => entry.step[method] && constants.Hooks.some(hook => hook in entry.step[method]))
+        )
+      ))
+      const variables = defined.concat(impl.capturedVariables(steps))
+      steps.forEach((entry) => {
+        task.def.METHODS.forEach((method) => {
+          const request = entry.step && entry.step[method]
+          if (request) {
+            // artillery accepts the url of a request as either its url or its uri attribute
+            const attribute = typeof request.url !== 'string' && typeof request.uri === 'string' ? 'uri' : 'url'
+            const urlPath = impl.childPath(impl.childPath(entry.path, method), attribute)
+            const requestUrl = request[attribute]
+            if (typeof requestUrl !== 'string') {
+              problems.push({ path: urlPath, message: 'Every request must specify a url (or uri)' })
+            } else if (!/^https?:\/\//i.test(requestUrl) && !config.target && !/^{{/.test(requestUrl)) {
+              problems.push({
+                path: urlPath,
+                message: `The url '${requestUrl}' is a path but the script does not specify a config.target to resolve it against`,
+              })
+            }
+            if (!usesFunctions) {
+              impl.references(request, impl.childPath(entry.path, method)).forEach((reference) => {
+                if (reference.name[0] !== '$' && !variables.includes(reference.name)) {
+                  problems.push({
+                    path: reference.path,
+                    message: `The variable '${reference.name}' is not defined by config.variables, config.payload, or a capture`,
+                  })
+                }
+              })
+            }
+          }
+        })
+      })
+    })
+    return problems
+  },
+  /**
+   * Find every problem with the given script, including those that the function would reject the script for and
+   * those that would cause the script to execute differently than intended.
+   * @param script The script to validate
+   * @param basePath The directory that relative file paths within the script are resolved against
+   * @param allowedTargets The hostnames that the script may target, if restricted (e.g. by a `.slsartrc` file)
+   * @returns {Array} The problems found, each as {path, message} where path is the JSON path of the problematic
+   * attribute.  Empty if no problems were found.
+   */
+  validate: (script, basePath, allowedTargets) => {
+    if (!script || typeof script !== 'object' || Array.isArray(script)) {
+      return [{ path: '$', message: 'An Artillery script must be an object' }]
+    }
+    const funcProblems = func.valid.problems(script)
+    const settings = funcProblems.length ? func.def.getSettings() : func.def.getSettings(script)
+    if (allowedTargets) {
+      settings.allowedTargets = [].concat(allowedTargets).map(target => `${target}`)
+    }
+    return funcProblems
+      .concat(task.valid.problems(settings, script))
+      .concat(impl.processorProblems(script, basePath))
+      .concat(impl.payloadProblems(script, basePath))
+      .concat(impl.scenarioProblems(script))
+  },
+}
+
+module.exports = impl.validate
+
+/* test-code */
+module.exports.impl = impl
+/* end-test-code */
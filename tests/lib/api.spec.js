@@ -0,0 +1,263 @@
+const aws = require('aws-sdk')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const path = require('path')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const api = require(path.join('..', '..', 'index.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const funcDef = require(path.join('..', '..', 'lib', 'lambda', 'funcDef.js'))
+
+describe('./lib/api.js', () => {
+  let makeRequestStub
+  let response
+  beforeEach(() => {
+    response = { Payload: '{"errors":0}' }
+    makeRequestStub = sinon.stub(aws.Service.prototype, 'makeRequest')
+    makeRequestStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(
+      () => ({ promise: () => Promise.resolve(response) }) // eslint-disable-line comma-dangle
+    )
+  })
+  afterEach(() => {
+    makeRequestStub.restore()
+  })
+  describe(':impl', () => {
+    describe('#parseScript', () => {
+      it('parses YAML and JSON strings', () => {
+        expect(api.impl.parseScript('config:\n  target: foo\n')).to.eql({ config: { target: 'foo' } })
+        expect(api.impl.parseScript('{"config":{"target":"foo"}}')).to.eql({ config: { target: 'foo' } })
+      })
+      it('copies given objects', () => {
+        const given = { config: { target: 'https://aws.amazon.com' }, scenarios: [{ flow: [{ get: { url: '/' } }] }] }
+        const parsed = api.impl.parseScript(given)
+        expect(parsed).to.eql(given)
+        expect(parsed).to.not.equal(given)
+      })
+      it('rejects unparsable and non-object scripts with a FunctionError', () => {
+        expect(() => api.impl.parseScript('{')).to.throw(api.FunctionError)
+        expect(() => api.impl.parseScript('foo')).to.throw(api.FunctionError)
+        expect(() => api.impl.parseScript()).to.throw(api.FunctionError)
+        expect(() => api.impl.parseScript([])).to.throw(api.FunctionError)
+      })
+    })
+    describe('#functionName', () => {
+      it('names the function of the default service in the given stage', () => {
+        expect(api.impl.functionName({})).to.equal('serverless-artillery-dev-loadGenerator')
+        expect(api.impl.functionName({ stage: 'prod' })).to.equal('serverless-artillery-prod-loadGenerator')
+        expect(api.impl.functionName({ service: 'svc', stage: 'prod' })).to.equal('svc-prod-loadGenerator')
+      })
+      it('prefers a given function name', () => {
+        expect(api.impl.functionName({ functionName: 'fn', stage: 'prod' })).to.equal('fn')
+      })
+    })
+    describe('#invocationType', () => {
+      it('waits for acceptance mode scripts', () => {
+        const acceptance = {
+          mode: 'acc',
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 3600, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        expect(api.impl.invocationType(acceptance)).to.equal('RequestResponse')
+      })
+      it('waits for short performance mode scripts', () => {
+        const short = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        expect(api.impl.invocationType(short)).to.equal('RequestResponse')
+      })
+      it('does not wait for performance mode scripts that run longer than an invocation can be waited for', () => {
+        const long = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 600, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        expect(api.impl.invocationType(long)).to.equal('Event')
+      })
+    })
+    describe('#parseResponse', () => {
+      it('parses the payload', () => {
+        expect(api.impl.parseResponse({ Payload: '{"errors":0}' })).to.eql({ errors: 0 })
+      })
+      it('returns undefined for responses without payloads', () => {
+        expect(api.impl.parseResponse({ StatusCode: 202, Payload: '' })).to.be.undefined
+      })
+      it('throws the failures reported by the function', () => {
+        expect(() => api.impl.parseResponse({ Payload: '"Error executing task: boom"' })).to.throw('Error executing task: boom')
+        expect(() => api.impl.parseResponse({ FunctionError: 'Unhandled', Payload: '{"errorMessage":"boom"}' }))
+          .to.throw('The function failed: boom')
+        expect(() => api.impl.parseResponse({ Payload: '{' })).to.throw(/could not be parsed/)
+      })
+    })
+  })
+  describe(':exports', () => {
+    describe('#invoke', () => {
+      it('invokes the function of the given stage with the script, resolving to its result', () => {
+        const given = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        const copy = JSON.parse(JSON.stringify(given))
+        return api.invoke({ script: given, stage: 'prod', acceptance: true })
+          .then((result) => {
+            expect(makeRequestStub).to.have.been.calledOnce
+            const params = makeRequestStub.getCall(0).args[1]
+            const payload = JSON.parse(params.Payload)
+            expect(params.FunctionName).to.equal('serverless-artillery-prod-loadGenerator')
+            expect(params.InvocationType).to.equal('RequestResponse')
+            expect(payload._genesis).to.be.a('number') // eslint-disable-line no-underscore-dangle
+            expect(payload).to.eql(Object.assign({}, copy, { mode: 'acc', _genesis: payload._genesis })) // eslint-disable-line no-underscore-dangle
+            expect(result).to.eql({ errors: 0, genesis: payload._genesis }) // eslint-disable-line no-underscore-dangle
+            expect(given).to.eql(copy)
+          })
+      })
+      it('keeps the given genesis, resolving to only the genesis of scripts invoked asynchronously', () => {
+        const long = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 600, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _genesis: 1234,
+        }
+        response = { StatusCode: 202 }
+        return api.invoke({ script: long })
+          .then((result) => {
+            const params = makeRequestStub.getCall(0).args[1]
+            expect(params.InvocationType).to.equal('Event')
+            expect(JSON.parse(params.Payload)._genesis).to.equal(1234) // eslint-disable-line no-underscore-dangle
+            expect(result).to.eql({ genesis: 1234 })
+          })
+      })
+      it('uses a given Lambda client', () => {
+        const lambda = { invoke: sinon.stub().returns({ promise: () => Promise.resolve(response) }) }
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        return api.invoke({ script, lambda })
+          .then(() => {
+            expect(lambda.invoke).to.have.been.calledOnce
+            expect(makeRequestStub).to.not.have.been.called
+          })
+      })
+      it('does not alter the state of the process', () => {
+        const argv = process.argv.slice()
+        const env = Object.assign({}, process.env)
+        const listeners = process.listenerCount('unhandledRejection')
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        return api.invoke({ script })
+          .then(() => {
+            expect(process.argv).to.eql(argv)
+            expect(process.env).to.eql(env)
+            expect(process.listenerCount('unhandledRejection')).to.equal(listeners)
+          })
+      })
+      it('rejects invalid scripts with a TaskError without invoking the function', () => {
+        const invalid = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: -1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        return expect(api.invoke({ script: invalid })).to.be.rejectedWith(api.TaskError)
+          .then(() => expect(makeRequestStub).to.not.have.been.called)
+      })
+      it('rejects scripts targeting hostnames outside the allowed targets without invoking the function', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        return expect(api.invoke({ script, allowedTargets: ['example.com'] })).to.be.rejectedWith(api.TaskError, 'aws.amazon.com')
+          .then(() => expect(makeRequestStub).to.not.have.been.called)
+      })
+      describe('scripts over the payload limit', () => {
+        let objects
+        let variables
+        beforeEach(() => {
+          objects = {}
+          variables = { [funcDef.PAYLOAD_BUCKET_VARIABLE]: 'bucket' }
+          makeRequestStub.withArgs('getFunctionConfiguration', sinon.match.any, sinon.match.any).callsFake(
+            () => ({ promise: () => Promise.resolve({ Environment: { Variables: variables } }) }) // eslint-disable-line comma-dangle
+          )
+          makeRequestStub.withArgs('putObject', sinon.match.any, sinon.match.any).callsFake((operation, params) => {
+            objects[`${params.Bucket}/${params.Key}`] = params.Body
+            return { promise: () => Promise.resolve({}) }
+          })
+        })
+        it('stores the script in the function\'s payload bucket, invoking the function with a reference to it', () => {
+          const large = {
+            config: {
+              target: 'https://aws.amazon.com',
+              phases: [{ duration: 1, arrivalRate: 1 }],
+              payload: 'x'.repeat(funcDef.MAX_PAYLOAD_SIZE_IN_BYTES.RequestResponse),
+            },
+            scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          }
+          return api.invoke({ script: large, signingSecret: 'secret' })
+            .then(() => {
+              expect(makeRequestStub.getCall(0).args[1]).to.eql({ FunctionName: 'serverless-artillery-dev-loadGenerator' })
+              const reference = JSON.parse(makeRequestStub.withArgs('invoke').getCall(0).args[1].Payload)
+              const location = reference[funcDef.PAYLOAD_ATTRIBUTE]
+              expect(location.bucket).to.equal('bucket')
+              const stored = JSON.parse(objects[`bucket/${location.key}`])
+              const clock = sinon.useFakeTimers(stored._signedAt) // eslint-disable-line no-underscore-dangle
+              const expected = api.sign(Object.assign({}, large, { _genesis: stored._genesis }), 'secret') // eslint-disable-line no-underscore-dangle
+              clock.restore()
+              expect(stored).to.eql(expected)
+            })
+        })
+        it('rejects the script if the function was deployed without a payload bucket', () => {
+          variables = {}
+          const large = {
+            config: {
+              target: 'https://aws.amazon.com',
+              phases: [{ duration: 1, arrivalRate: 1 }],
+              payload: 'x'.repeat(funcDef.MAX_PAYLOAD_SIZE_IN_BYTES.RequestResponse),
+            },
+            scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          }
+          return expect(api.invoke({ script: large })).to.be.rejectedWith(api.FunctionError, 'The event is')
+            .then(() => expect(makeRequestStub.withArgs('invoke')).to.not.have.been.called)
+        })
+      })
+      it('signs the script with the given secret', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        return api.invoke({ script, signingSecret: 'secret' })
+          .then(() => {
+            const payload = JSON.parse(makeRequestStub.getCall(0).args[1].Payload)
+            const clock = sinon.useFakeTimers(payload._signedAt) // eslint-disable-line no-underscore-dangle
+            const expected = api.sign(Object.assign({}, script, { _genesis: payload._genesis }), 'secret') // eslint-disable-line no-underscore-dangle
+            clock.restore()
+            expect(payload).to.eql(expected)
+            expect(payload._signature).to.be.a('string') // eslint-disable-line no-underscore-dangle
+          })
+      })
+      it('rejects invalid splitting settings with a FunctionError', () => {
+        const invalid = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _split: { maxChunkDurationInSeconds: 0 },
+        }
+        return expect(api.invoke({ script: invalid })).to.be.rejectedWith(api.FunctionError)
+      })
+      it('rejects failed invocations', () => {
+        makeRequestStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(
+          () => ({ promise: () => Promise.reject(new Error('AccessDenied')) }) // eslint-disable-line comma-dangle
+        )
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        return expect(api.invoke({ script })).to.be.rejectedWith('AccessDenied')
+      })
+    })
+  })
+})
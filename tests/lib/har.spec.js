@@ -0,0 +1,98 @@
+const chai = require('chai')
+const path = require('path')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const har = require(path.join('..', '..', 'lib', 'har.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const recording = require(path.join(__dirname, 'recording.har.json'))
+
+const entry = (method, requestUrl, startedDateTime, extra) => ({
+  startedDateTime,
+  time: 100,
+  request: Object.assign({ method, url: requestUrl, headers: [] }, extra),
+})
+
+describe('./lib/har.js', () => {
+  describe(':impl', () => {
+    describe('#target', () => {
+      it('selects the most common origin', () => {
+        expect(har.impl.target([
+          entry('GET', 'https://a.com/1'),
+          entry('GET', 'http://b.com:8080/1'),
+          entry('GET', 'http://b.com:8080/2'),
+        ])).to.equal('http://b.com:8080')
+      })
+    })
+    describe('#entries', () => {
+      it('rejects HARs without entries', () => {
+        expect(() => har.impl.entries({})).to.throw(Error)
+      })
+      it('orders replayable entries by the time they were started', () => {
+        const entries = har.impl.entries({
+          log: {
+            entries: [
+              entry('GET', 'https://a.com/2', '2017-10-01T00:00:02.000Z'),
+              entry('CONNECT', 'https://a.com/3', '2017-10-01T00:00:00.000Z'),
+              entry('GET', 'https://a.com/1', '2017-10-01T00:00:01.000Z'),
+            ],
+          },
+        })
+        expect(entries.map(e => e.request.url)).to.eql(['https://a.com/1', 'https://a.com/2'])
+      })
+    })
+    describe('#request', () => {
+      it('sends URL encoded form bodies as forms', () => {
+        const step = har.impl.request({
+          method: 'POST',
+          url: 'https://a.com/login',
+          postData: {
+            mimeType: 'application/x-www-form-urlencoded',
+            params: [{ name: 'user', value: 'me' }],
+            text: 'user=me',
+          },
+        }, 'https://a.com')
+        expect(step).to.eql({ url: '/login', form: { user: 'me' } })
+      })
+      it('sends other bodies as recorded', () => {
+        const step = har.impl.request({
+          method: 'PUT',
+          url: 'https://a.com/note',
+          postData: { mimeType: 'text/plain', text: 'hello' },
+        }, 'https://a.com')
+        expect(step).to.eql({ url: '/note', body: 'hello' })
+      })
+      it('sends unparsable JSON bodies as recorded', () => {
+        const step = har.impl.request({
+          method: 'POST',
+          url: 'https://a.com/note',
+          postData: { mimeType: 'application/json', text: '{' },
+        }, 'https://a.com')
+        expect(step).to.eql({ url: '/note', body: '{' })
+      })
+    })
+    describe('#toFlow', () => {
+      it('converts a recording into a target and a flow with think steps', () => {
+        expect(har(recording)).to.eql({
+          target: 'https://example.com',
+          flow: [
+            { get: { url: '/index.html?ref=home', headers: { Accept: 'text/html' } } },
+            { get: { url: 'https://cdn.example.com/app.js' } },
+            { think: 3 },
+            {
+              post: {
+                url: '/api/orders',
+                headers: { 'Content-Type': 'application/json' },
+                json: { item: 'widget', quantity: 2 },
+              },
+            },
+          ],
+        })
+      })
+      it('rejects recordings without replayable requests', () => {
+        expect(() => har({ log: { entries: [] } })).to.throw(Error)
+      })
+    })
+  })
+})
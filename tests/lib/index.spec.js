@@ -298,6 +298,33 @@ describe('./lib/index.js', function slsArtTests() { // eslint-disable-line prefe
       )
     })
 
+    describe('#applyDefaults', () => {
+      it('adds the default splitting settings to scripts without them', () => {
+        const script = {}
+        slsart.impl.applyDefaults(script, { _split: { maxChunkDurationInSeconds: 120 } })
+        expect(script).to.eql({ _split: { maxChunkDurationInSeconds: 120 } })
+      })
+      it('prefers the splitting settings of the script', () => {
+        const script = { _split: { maxChunkDurationInSeconds: 60 } }
+        slsart.impl.applyDefaults(script, { _split: { maxChunkDurationInSeconds: 120, timeBufferInMilliseconds: 1000 } })
+        expect(script).to.eql({ _split: { maxChunkDurationInSeconds: 60, timeBufferInMilliseconds: 1000 } })
+      })
+      it('leaves invalid splitting settings of the script for validation to reject', () => {
+        const script = { _split: 1 }
+        slsart.impl.applyDefaults(script, { _split: { maxChunkDurationInSeconds: 120 } })
+        expect(script).to.eql({ _split: 1 })
+      })
+      it('validates the script against the allowed targets of the options', () => {
+        expect(() => slsart.impl.parseInput(testJsonScriptStringified, { allowedTargets: ['example.com'] }))
+          .to.throw(task.def.TaskError, 'aws.amazon.com')
+        expect(slsart.impl.parseInput(testJsonScriptStringified, { allowedTargets: 'aws.amazon.com' })).to.eql(testJsonScript)
+      })
+      it('validates the script with the default splitting settings applied', () => {
+        expect(() => slsart.impl.parseInput(testJsonScriptStringified, { _split: { maxChunkDurationInSeconds: 0 } }))
+          .to.throw(func.def.FunctionError)
+      })
+    })
+
     describe('#generateScriptDefaults', () => {
       it('provides defaults for empty options', () => {
         const res = slsart.impl.generateScriptDefaults()
@@ -380,6 +407,124 @@ scenarios:
       })
     })
 
+    describe('#parsePhase', () => {
+      it('parses constant rate phases', () => {
+        expect(slsart.impl.parsePhase('60:5')).to.eql({ duration: 60, arrivalRate: 5 })
+      })
+      it('parses ramp phases', () => {
+        expect(slsart.impl.parsePhase('300:5-50')).to.eql({ duration: 300, arrivalRate: 5, rampTo: 50 })
+      })
+      it('parses pause phases', () => {
+        expect(slsart.impl.parsePhase('30:pause')).to.eql({ pause: 30 })
+      })
+      it('rejects malformed phases', () => {
+        expect(() => slsart.impl.parsePhase('60')).to.throw(Error)
+        expect(() => slsart.impl.parsePhase('a:5')).to.throw(Error)
+        expect(() => slsart.impl.parsePhase('60:5-')).to.throw(Error)
+      })
+    })
+
+    describe('#parseHeader', () => {
+      it('parses headers', () => {
+        expect(slsart.impl.parseHeader('Authorization: Bearer a:b')).to.eql({ name: 'Authorization', value: 'Bearer a:b' })
+      })
+      it('rejects malformed headers', () => {
+        expect(() => slsart.impl.parseHeader('Authorization')).to.throw(Error)
+        expect(() => slsart.impl.parseHeader(': value')).to.throw(Error)
+      })
+    })
+
+    describe('#generateRichScript', () => {
+      it('generates a weighted scenario per endpoint', () => {
+        const script = yaml.safeLoad(slsart.impl.generateScript({
+          endpoint: ['https://a.com/items?x=1', 'https://a.com/items', 'https://b.com/'],
+          method: ['GET', 'post'],
+          header: ['Authorization: Bearer token', 'Accept: application/json'],
+          json: ['', '{"name":"item"}'],
+          body: [undefined, undefined, 'raw'],
+          weight: [3, 1, 1],
+          phase: ['60:5', '300:5-50'],
+        }))
+        expect(script.config).to.eql({
+          target: 'https://a.com',
+          phases: [{ duration: 60, arrivalRate: 5 }, { duration: 300, arrivalRate: 5, rampTo: 50 }],
+        })
+        const headers = { Authorization: 'Bearer token', Accept: 'application/json' }
+        expect(script.scenarios).to.eql([
+          { name: 'GET https://a.com/items?x=1', weight: 3, flow: [{ get: { url: '/items?x=1', headers } }] },
+          { name: 'POST https://a.com/items', weight: 1, flow: [{ post: { url: '/items', headers, json: { name: 'item' } } }] },
+          { name: 'GET https://b.com/', weight: 1, flow: [{ get: { url: 'https://b.com/', headers, body: 'raw' } }] },
+        ])
+        slsart.impl.parseInput(JSON.stringify(script))
+      })
+      it('uses the duration, rate, and rampTo options if no phases are given', () => {
+        const script = yaml.safeLoad(slsart.impl.generateScript({ method: 'PUT', duration: 10, rate: 3, rampTo: 6 }))
+        expect(script.config.phases).to.eql([{ duration: 10, arrivalRate: 3, rampTo: 6 }])
+        expect(script.scenarios).to.eql([{ name: 'PUT http://aws.amazon.com', flow: [{ put: { url: '/' } }] }])
+      })
+      it('rejects unknown methods', () => {
+        expect(() => slsart.impl.generateScript({ method: 'CONNECT' })).to.throw(Error)
+      })
+      it('rejects per endpoint options given more times than the endpoint option', () => {
+        expect(() => slsart.impl.generateScript({ endpoint: 'http://a.com', weight: [1, 2] })).to.throw(Error)
+      })
+      it('rejects endpoints given both a json and a body', () => {
+        expect(() => slsart.impl.generateScript({ json: '{}', body: 'raw' })).to.throw(Error)
+      })
+      it('rejects unparsable json', () => {
+        expect(() => slsart.impl.generateScript({ json: '{' })).to.throw(Error)
+      })
+      it('rejects non-positive weights', () => {
+        expect(() => slsart.impl.generateScript({ weight: 0 })).to.throw(Error)
+      })
+    })
+
+    describe('#generateOpenApiScript', () => {
+      const openApiPath = path.join(__dirname, 'openapi.3.yml')
+      it('generates a script exercising the operations of the given OpenAPI document', () => {
+        const script = yaml.safeLoad(slsart.impl.generateOpenApiScript({ openapi: openApiPath }))
+        expect(script.config).to.eql({
+          target: 'https://api.example.com/v1',
+          phases: [{ duration: 5, arrivalRate: 2 }],
+        })
+        expect(script.scenarios.length).to.equal(4)
+        slsart.impl.parseInput(JSON.stringify(script))
+      })
+      it('generates a scenario per tag if requested', () => {
+        const script = yaml.safeLoad(slsart.impl.generateOpenApiScript({ openapi: openApiPath, byTag: true }))
+        expect(script.scenarios.length).to.equal(2)
+      })
+      it('prefers the origin of the given endpoint, keeping the base path of the document', () => {
+        const script = yaml.safeLoad(slsart.impl.generateOpenApiScript({ openapi: openApiPath, endpoint: 'http://localhost:8080/' }))
+        expect(script.config.target).to.equal('http://localhost:8080/v1')
+      })
+      it('rejects documents without an absolute server when no endpoint is given', () => {
+        const getFile = fs.readFileSync
+        fs.readFileSync = () => 'openapi: 3.0.0\nservers:\n  - url: /v1\npaths:\n  /:\n    get: {}\n'
+        try {
+          expect(() => slsart.impl.generateOpenApiScript({ openapi: 'spec.yml' })).to.throw(Error)
+        } finally {
+          fs.readFileSync = getFile
+        }
+      })
+    })
+
+    describe('#generateHarScript', () => {
+      const harPath = path.join(__dirname, 'recording.har.json')
+      it('generates a script replaying the given HAR recording', () => {
+        const script = yaml.safeLoad(slsart.impl.generateHarScript({ har: harPath, rampTo: 10 }))
+        expect(script.config).to.eql({
+          target: 'https://example.com',
+          phases: [{ duration: 5, arrivalRate: 2, rampTo: 10 }],
+        })
+        expect(script.scenarios[0].flow.map(step => Object.keys(step)[0])).to.eql(['get', 'get', 'think', 'post'])
+        slsart.impl.parseInput(JSON.stringify(script))
+      })
+      it('rejects HAR recordings that cannot be read', () => {
+        expect(() => slsart.impl.generateHarScript({ har: path.join(__dirname, 'missing.har') })).to.throw(Error)
+      })
+    })
+
     describe('#findServicePath', () => {
       const lambdaPath = path.resolve('lib', 'lambda')
       const replaceImpl = (cwdResult, fileExistsResult, testFunc) => (() => {
@@ -464,6 +609,176 @@ scenarios:
           .catch((ex) => { slsFakeInit = fakeInit; throw ex })
           .should.be.fulfilled
       })
+      it('gives the initialized Serverless instance to the preflight check before running it', () => {
+        const preflight = sinon.stub().returns(BbPromise.resolve())
+        return slsart.impl.serverlessRunner({}, preflight)
+          .then(() => {
+            expect(preflight).to.have.been.calledOnce
+            expect(preflight.getCall(0).args[0]).to.be.an.instanceof(ServerlessFake)
+          })
+      })
+      it('rejects the refusals of the preflight check without running Serverless', () => {
+        const runSpy = sinon.spy(ServerlessFake.prototype, 'run')
+        return expect(slsart.impl.serverlessRunner({}, () => { throw new Error('refused') }))
+          .to.be.rejectedWith('refused')
+          .then(() => {
+            runSpy.restore()
+            expect(runSpy).to.not.have.been.called
+          })
+          .catch((ex) => {
+            runSpy.restore()
+            throw ex
+          })
+      })
+    })
+
+    describe('#checkConcurrency', () => {
+      const script = phases => ({
+        config: { target: 'https://aws.amazon.com', phases },
+        scenarios: [{ flow: [{ get: { url: '/' } }] }],
+      })
+      let responses
+      let requestStub
+      let serverless
+      let consoleWarnStub
+      beforeEach(() => {
+        responses = {
+          getAccountSettings: { AccountLimit: { UnreservedConcurrentExecutions: 3 } },
+          getFunctionConcurrency: {},
+        }
+        requestStub = sinon.stub().callsFake((service, method) => (responses[method] instanceof Error ?
+          BbPromise.reject(responses[method]) :
+          BbPromise.resolve(responses[method])))
+        serverless = {
+          getProvider: () => ({ request: requestStub }),
+          service: { getFunction: () => ({ name: 'serverless-artillery-dev-loadGenerator' }) },
+        }
+        consoleWarnStub = sinon.stub(console, 'warn').returns()
+      })
+      afterEach(() => {
+        consoleWarnStub.restore()
+      })
+      it('permits scripts that need no more than the unreserved concurrency of the account', () =>
+        slsart.impl.checkConcurrency({}, script([{ duration: 10, arrivalRate: 30 }]), serverless)
+          .then(() => {
+            expect(requestStub).to.have.been.calledWith(
+              'Lambda',
+              'getFunctionConcurrency',
+              { FunctionName: 'serverless-artillery-dev-loadGenerator' } // eslint-disable-line comma-dangle
+            )
+            expect(consoleWarnStub).to.not.have.been.called
+          }) // eslint-disable-line comma-dangle
+      )
+      it('refuses scripts that need more than the unreserved concurrency of the account', () =>
+        expect(slsart.impl.checkConcurrency({}, script([{ duration: 10, arrivalRate: 60 }]), serverless))
+          .to.be.rejectedWith('The script needs 4 concurrent executions of the function but only 3 are available to ' +
+            'it (the unreserved concurrency of the account).') // eslint-disable-line comma-dangle
+      )
+      it('compares the needs of scripts with the reserved concurrency of the function if it has any', () => {
+        responses.getFunctionConcurrency = { ReservedConcurrentExecutions: 1 }
+        return expect(slsart.impl.checkConcurrency({}, script([{ duration: 10, arrivalRate: 30 }]), serverless))
+          .to.be.rejectedWith('only 1 are available to it (its reserved concurrency)')
+      })
+      it('warns of a lack of concurrency when told to ignore it', () =>
+        slsart.impl.checkConcurrency(
+          { ignoreConcurrency: true },
+          script([{ duration: 10, arrivalRate: 60 }]),
+          serverless // eslint-disable-line comma-dangle
+        )
+          .then(() => {
+            expect(consoleWarnStub).to.have.been.calledWithMatch('WARNING: The script needs 4 concurrent executions')
+          }) // eslint-disable-line comma-dangle
+      )
+      it('warns and permits the script when the available concurrency cannot be determined', () => {
+        responses.getAccountSettings = new Error('AccessDenied')
+        return slsart.impl.checkConcurrency({}, script([{ duration: 10, arrivalRate: 60 }]), serverless)
+          .then(() => {
+            expect(consoleWarnStub).to.have.been.calledWithMatch('could not be determined: AccessDenied')
+          })
+      })
+    })
+
+    describe('#offload', () => {
+      const event = size => ({
+        config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+        scenarios: [{ flow: [{ post: { url: '/', body: 'x'.repeat(size || 0) } }] }],
+      })
+      let objects
+      let variables
+      let requestStub
+      let serverless
+      beforeEach(() => {
+        objects = {}
+        variables = { [func.def.PAYLOAD_BUCKET_VARIABLE]: 'bucket' }
+        requestStub = sinon.stub().callsFake((service, method, params) => {
+          if (method === 'putObject') {
+            objects[`${params.Bucket}/${params.Key}`] = params.Body
+            return BbPromise.resolve({})
+          }
+          return BbPromise.resolve({ Environment: { Variables: variables } })
+        })
+        serverless = {
+          getProvider: () => ({ request: requestStub }),
+          service: { getFunction: () => ({ name: 'serverless-artillery-dev-loadGenerator' }) },
+          processedInput: { options: { d: JSON.stringify(event()) } },
+        }
+      })
+      it('leaves scripts within the payload limit of the invocation type to be invoked as they are', () =>
+        slsart.impl.offload(event(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event), 'RequestResponse', serverless)
+          .then(() => {
+            expect(requestStub).to.not.have.been.called
+            expect(serverless.processedInput.options).to.eql({ d: JSON.stringify(event()) })
+          }) // eslint-disable-line comma-dangle
+      )
+      it('stores larger scripts in the function\'s payload bucket, invoking the function with a reference to them', () =>
+        slsart.impl.offload(event(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event), 'Event', serverless)
+          .then(() => {
+            expect(requestStub.getCall(0).args).to.eql([
+              'Lambda',
+              'getFunctionConfiguration',
+              { FunctionName: 'serverless-artillery-dev-loadGenerator' },
+            ])
+            const options = serverless.processedInput.options
+            expect(options.data).to.equal(options.d)
+            const location = JSON.parse(options.d)[func.def.PAYLOAD_ATTRIBUTE]
+            expect(location.bucket).to.equal('bucket')
+            expect(JSON.parse(objects[`bucket/${location.key}`])).to.eql(event(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event))
+          }) // eslint-disable-line comma-dangle
+      )
+      it('refuses larger scripts when the function was deployed without a payload bucket', () => {
+        variables = {}
+        return expect(slsart.impl.offload(event(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event), 'Event', serverless))
+          .to.be.rejectedWith(func.def.FunctionError, func.def.PAYLOAD_BUCKET_VARIABLE)
+      })
+    })
+
+    describe('#localRunner', () => {
+      let consoleLogStub
+      beforeEach(() => {
+        consoleLogStub = sinon.stub(console, 'log').returns()
+      })
+      afterEach(() => {
+        consoleLogStub.restore()
+      })
+      it('marks the script for local execution and executes it with the function handler', () => {
+        const script = JSON.parse(testJsonScriptStringified)
+        script._simulation = true // eslint-disable-line no-underscore-dangle
+        return slsart.impl.localRunner(script)
+          .then((result) => {
+            expect(script._local).to.be.true // eslint-disable-line no-underscore-dangle
+            expect(result).to.eql({ Payload: '{ "errors": 0 }' })
+          })
+      })
+      it('executes the chunks of scripts that must be split within the current process', () => {
+        const script = JSON.parse(testJsonScriptStringified)
+        script._simulation = true // eslint-disable-line no-underscore-dangle
+        script._split = { maxChunkRequestsPerSecond: 2, timeBufferInMilliseconds: 1 } // eslint-disable-line no-underscore-dangle
+        return slsart.impl.localRunner(script)
+          .then((result) => {
+            expect(result).to.be.an('object')
+            expect(consoleLogStub).to.have.been.calledWith('SIMULATION: self invocation.')
+          })
+      })
     })
   })
   describe(':exports', function slsartCommands() { // eslint-disable-line prefer-arrow-callback
@@ -568,6 +883,171 @@ scenarios:
               .then(() => expect(logs[1]).to.eql(willCompleteMessage(3))) // eslint-disable-line comma-dangle
           ) // eslint-disable-line comma-dangle
         )
+        it('reports that the results of scripts longer than a chunk are not reported beyond the first chunk',
+          replaceImpl(
+            { allowance: 2, required: 3 },
+            {},
+            () => slsart.invoke({
+              d: JSON.stringify({
+                config: { target: 'https://example.com', phases: [{ duration: 600, arrivalRate: 1 }] },
+                scenarios: [{ flow: [{ get: { url: '/' } }] }],
+              }),
+            })
+              .then(() => {
+                expect(logs[1]).to.have.string(willCompleteMessage(3))
+                expect(logs[1]).to.have.string(`at most the first ${func.def.DEFAULT_MAX_CHUNK_DURATION_IN_SECONDS} seconds`)
+              }) // eslint-disable-line comma-dangle
+          ) // eslint-disable-line comma-dangle
+        )
+        describe('ensured thresholds', () => {
+          let error
+          let errors
+          let processExitStub
+          beforeEach(() => {
+            error = console.error
+            errors = []
+            console.error = msg => errors.push(msg)
+            processExitStub = sinon.stub(process, 'exit').returns()
+          })
+          afterEach(() => {
+            console.error = error
+            processExitStub.restore()
+          })
+          it('exits the process with a non-zero exit code, listing the violations, when thresholds are violated',
+            replaceImpl(
+              { allowance: 2, required: 1 },
+              { ensure: { passed: false, violations: ['p95 latency of 300ms exceeded the threshold of 250ms'] } },
+              () => slsart.invoke({ d: testJsonScriptStringified })
+                .then(() => {
+                  expect(processExitStub).to.have.been.calledWithExactly(1)
+                  expect(errors[1]).to.contain('p95 latency of 300ms exceeded the threshold of 250ms')
+                }) // eslint-disable-line comma-dangle
+            ) // eslint-disable-line comma-dangle
+          )
+          it('does not exit the process when thresholds are met',
+            replaceImpl(
+              { allowance: 2, required: 1 },
+              { ensure: { passed: true, violations: [] } },
+              () => slsart.invoke({ d: testJsonScriptStringified })
+                .then(() => expect(processExitStub).to.not.have.been.called) // eslint-disable-line comma-dangle
+            ) // eslint-disable-line comma-dangle
+          )
+          it('warns that thresholds cannot be evaluated when the script must be distributed across functions',
+            replaceImpl(
+              { allowance: 2, required: 3 },
+              undefined,
+              () => {
+                const script = JSON.parse(testJsonScriptStringified)
+                script.config.ensure = { p95: 250 }
+                return slsart.invoke({ d: JSON.stringify(script) })
+                  .then(() => {
+                    expect(logs[1]).to.contain('cannot be evaluated')
+                    expect(processExitStub).to.not.have.been.called
+                  })
+              } // eslint-disable-line comma-dangle
+            ) // eslint-disable-line comma-dangle
+          )
+        })
+      })
+      describe('local mode', () => {
+        let implLocalRunnerStub
+        let implServerlessRunnerStub
+        let processExitStub
+        beforeEach(() => {
+          implLocalRunnerStub = sinon.stub(slsart.impl, 'localRunner').returns(BbPromise.resolve({ errors: 0 }))
+          implServerlessRunnerStub = sinon.stub(slsart.impl, 'serverlessRunner').returns(BbPromise.resolve({}))
+          processExitStub = sinon.stub(process, 'exit').returns()
+        })
+        afterEach(() => {
+          implLocalRunnerStub.restore()
+          implServerlessRunnerStub.restore()
+          processExitStub.restore()
+        })
+        it('executes the script locally rather than invoking the remote function', () =>
+          slsart.invoke({ local: true, d: testJsonScriptStringified })
+            .then(() => {
+              expect(implLocalRunnerStub).to.have.been.calledOnce
+              const script = implLocalRunnerStub.getCall(0).args[0]
+              expect(script._genesis).to.be.a('number') // eslint-disable-line no-underscore-dangle
+              delete script._genesis // eslint-disable-line no-underscore-dangle
+              expect(script).to.eql(testJsonScript)
+              expect(implServerlessRunnerStub).to.not.have.been.called
+              expect(process.argv).to.eql(argv)
+              expect(logs[1]).to.eql(completeMessage)
+              expect(logs[3]).to.eql(JSON.stringify({ errors: 0 }, null, 2))
+            }) // eslint-disable-line comma-dangle
+        )
+        it('identifies the load test so that it can be stopped', () =>
+          slsart.invoke({ local: true, d: testJsonScriptStringified })
+            .then(() => {
+              const genesis = implLocalRunnerStub.getCall(0).args[0]._genesis // eslint-disable-line no-underscore-dangle
+              expect(logs[0]).to.have.string(`To stop the load test, run: slsart stop --genesis ${genesis} --local`)
+            }) // eslint-disable-line comma-dangle
+        )
+        it('signs the script with the secret of the options', () => {
+          implLocalRunnerStub.restore()
+          const handler = require(path.join('..', '..', 'lib', 'lambda', 'handler.js')) // eslint-disable-line global-require, import/no-dynamic-require
+          const handlerStub = sinon.stub(handler, 'handler').callsFake((event, context, callback) => callback(null, { errors: 0 }))
+          return slsart.invoke({ local: true, signingSecret: 'secret', d: testJsonScriptStringified })
+            .then(() => {
+              handlerStub.restore()
+              implLocalRunnerStub = sinon.stub(slsart.impl, 'localRunner')
+              const event = handlerStub.getCall(0).args[0]
+              const clock = sinon.useFakeTimers(event._signedAt) // eslint-disable-line no-underscore-dangle
+              const expected = func.sign(event, 'secret')
+              clock.restore()
+              expect(event._signature).to.equal(expected._signature) // eslint-disable-line no-underscore-dangle
+            })
+        })
+        it('keeps the genesis given by the script', () => {
+          const script = JSON.parse(testJsonScriptStringified)
+          script._genesis = 1 // eslint-disable-line no-underscore-dangle
+          return slsart.invoke({ local: true, d: JSON.stringify(script) })
+            .then(() => {
+              expect(implLocalRunnerStub.getCall(0).args[0]._genesis).to.equal(1) // eslint-disable-line no-underscore-dangle
+            })
+        })
+        it('executes only the flows selected by the given names and tags', () => {
+          const script = JSON.parse(testJsonScriptStringified)
+          script.scenarios[0].name = 'login'
+          script.scenarios[0].tags = ['auth']
+          return slsart.invoke({ local: true, acceptance: true, flow: 'login', tag: ['auth', 'smoke'], d: JSON.stringify(script) })
+            .then(() => {
+              expect(implLocalRunnerStub.getCall(0).args[0]._filter).to.eql({ // eslint-disable-line no-underscore-dangle
+                flows: ['login'],
+                tags: ['auth', 'smoke'],
+              })
+              expect(processExitStub).to.not.have.been.called
+            })
+        })
+        it('exits the process with a non-zero exit code when no flow matches the given names', () =>
+          slsart.invoke({ local: true, acceptance: true, flow: 'logout', d: testJsonScriptStringified })
+            .then(() => {
+              expect(implLocalRunnerStub).to.not.have.been.called
+              expect(processExitStub).to.have.been.calledWithExactly(1)
+            }) // eslint-disable-line comma-dangle
+        )
+        it('exits the process with a non-zero exit code when local acceptance tests are flaky', () => {
+          implLocalRunnerStub.returns(BbPromise.resolve({ errors: 0, flaky: 1 }))
+          return slsart.invoke({ local: true, acceptance: true, d: testJsonScriptStringified })
+            .then(() => expect(processExitStub).to.have.been.calledWithExactly(1))
+        })
+        it('ignores flaky local acceptance tests when asked to', () => {
+          implLocalRunnerStub.returns(BbPromise.resolve({ errors: 1, flaky: 1 }))
+          return slsart.invoke({ local: true, acceptance: true, ignoreFlaky: true, d: testJsonScriptStringified })
+            .then(() => {
+              expect(processExitStub).to.have.been.calledWithExactly(1)
+              implLocalRunnerStub.returns(BbPromise.resolve({ errors: 0, flaky: 1 }))
+              processExitStub.reset()
+              return slsart.invoke({ local: true, acceptance: true, ignoreFlaky: true, d: testJsonScriptStringified })
+            })
+            .then(() => expect(processExitStub).to.not.have.been.called)
+        })
+        it('exits the process with a non-zero exit code when a local acceptance test fails', () => {
+          implLocalRunnerStub.returns(BbPromise.resolve({ errors: 2 }))
+          return slsart.invoke({ local: true, acceptance: true, d: testJsonScriptStringified })
+            .then(() => expect(processExitStub).to.have.been.calledWithExactly(2))
+        })
       })
       describe('acceptance mode', () => {
         it('adds `mode: \'acc\' to the script',
@@ -663,9 +1143,138 @@ scenarios:
               }) // eslint-disable-line comma-dangle
           ) // eslint-disable-line comma-dangle
         )
+        describe('reporters', () => {
+          const outPath = path.join(os.tmpdir(), 'serverlessArtilleryLibIndexReport.xml')
+          afterEach(() => {
+            if (fs.existsSync(outPath)) {
+              fs.unlinkSync(outPath)
+            }
+          })
+          it('reports the results using the given reporter',
+            replaceImpl(
+              { allowance: 2, required: 1 },
+              { errors: 0, reports: [{}] },
+              () => slsart.invoke({ jsonOnly: true, acceptance: true, reporter: 'tap', d: testJsonScriptStringified })
+                .then(() => {
+                  expect(logs.length).to.be.equal(1)
+                  expect(logs[0]).to.equal(['TAP version 13', '1..1', 'ok 1 - flow 1'].join('\n'))
+                }) // eslint-disable-line comma-dangle
+            ) // eslint-disable-line comma-dangle
+          )
+          it('writes the results to the given file',
+            replaceImpl(
+              { allowance: 2, required: 1 },
+              { errors: 0, reports: [{}] },
+              () => slsart.invoke({ acceptance: true, reporter: 'junit', out: outPath, d: testJsonScriptStringified })
+                .then(() => {
+                  expect(fs.readFileSync(outPath, 'utf8')).to.have.string('<testcase classname="acceptance" name="flow 1"/>')
+                  expect(logs).to.not.include(JSON.stringify({ errors: 0, reports: [{}] }, null, 2))
+                }) // eslint-disable-line comma-dangle
+            ) // eslint-disable-line comma-dangle
+          )
+          it('rejects reporters in performance mode', () => {
+            const processExitStub = sinon.stub(process, 'exit').returns()
+            return slsart.invoke({ reporter: 'junit', d: testJsonScriptStringified })
+              .then(() => expect(processExitStub).to.have.been.calledWithExactly(1))
+              .then(() => processExitStub.restore(), (ex) => {
+                processExitStub.restore()
+                throw ex
+              })
+          })
+        })
       })
     })
 
+    describe('#plan', () => {
+      let consoleLogStub
+      beforeEach(() => {
+        consoleLogStub = sinon.stub(console, 'log').returns()
+      })
+      afterEach(() => {
+        consoleLogStub.restore()
+      })
+      it('reports the plan of the given script as a table', () =>
+        slsart.plan({ d: testJsonScriptStringified })
+          .then(() => {
+            expect(consoleLogStub).to.have.been.calledOnce
+            expect(consoleLogStub.getCall(0).args[0]).to.have.string('CHUNK')
+            expect(consoleLogStub.getCall(0).args[0]).to.have.string('1 chunks, 1 of which execute load.')
+          }) // eslint-disable-line comma-dangle
+      )
+      it('reports the plan of the given script as JSON', () =>
+        slsart.plan({ jsonOnly: true, d: testJsonScriptStringified })
+          .then(() => {
+            expect(consoleLogStub).to.have.been.calledOnce
+            const tree = JSON.parse(consoleLogStub.getCall(0).args[0])
+            expect(tree.id).to.equal('1')
+            expect(tree.executes).to.be.true
+          }) // eslint-disable-line comma-dangle
+      )
+      it('plans the given script in acceptance mode', () =>
+        slsart.plan({ jo: true, acceptance: true, d: testJsonScriptStringified })
+          .then(() => {
+            const tree = JSON.parse(consoleLogStub.getCall(0).args[0])
+            expect(tree.executes).to.be.true
+            expect(tree.phases).to.eql(['1s 1 rps'])
+          }) // eslint-disable-line comma-dangle
+      )
+      it('rejects invalid scripts', () =>
+        slsart.plan({ d: '{}' }).should.be.rejected // eslint-disable-line comma-dangle
+      )
+    })
+
+    describe('#validate', () => {
+      let consoleLogStub
+      let processExitStub
+      beforeEach(() => {
+        consoleLogStub = sinon.stub(console, 'log').returns()
+        processExitStub = sinon.stub(process, 'exit').returns()
+      })
+      afterEach(() => {
+        consoleLogStub.restore()
+        processExitStub.restore()
+      })
+      it('reports that a valid script has no problems', () =>
+        slsart.validate({ d: testJsonScriptStringified })
+          .then(() => {
+            expect(consoleLogStub.getCall(0).args[0]).to.have.string('No problems found')
+            expect(processExitStub).to.not.have.been.called
+          }) // eslint-disable-line comma-dangle
+      )
+      it('reports every problem with an invalid script, exiting the process', () =>
+        slsart.validate({ d: JSON.stringify({ mode: 'foo', config: { phases: [] }, scenarios: [] }) })
+          .then(() => {
+            expect(consoleLogStub.getCall(0).args[0]).to.have.string('Found 3 problems')
+            expect(consoleLogStub.getCall(1).args[0]).to.have.string('$.mode: ')
+            expect(consoleLogStub.getCall(2).args[0]).to.have.string('$.config.phases: ')
+            expect(consoleLogStub.getCall(3).args[0]).to.have.string('$.scenarios: ')
+            expect(processExitStub).to.have.been.calledWithExactly(1)
+          }) // eslint-disable-line comma-dangle
+      )
+      it('reports the problems as JSON', () =>
+        slsart.validate({ jo: true, d: JSON.stringify({ config: { target: 'http://a.b', phases: [] }, scenarios: [{ flow: [] }] }) })
+          .then(() => {
+            const problems = JSON.parse(consoleLogStub.getCall(0).args[0])
+            expect(problems.map(problem => problem.path)).to.eql(['$.config.phases'])
+            expect(processExitStub).to.have.been.calledWithExactly(1)
+          }) // eslint-disable-line comma-dangle
+      )
+      it('validates the given script in acceptance mode', () =>
+        slsart.validate({ jo: true, acceptance: true, d: JSON.stringify({ config: { target: 'http://a.b' }, scenarios: [{ flow: [] }] }) })
+          .then(() => {
+            expect(JSON.parse(consoleLogStub.getCall(0).args[0])).to.eql([])
+            expect(processExitStub).to.not.have.been.called
+          }) // eslint-disable-line comma-dangle
+      )
+      it('reports unparsable input as a problem', () =>
+        slsart.validate({ jo: true, d: '{' })
+          .then(() => {
+            expect(JSON.parse(consoleLogStub.getCall(0).args[0])[0].path).to.equal('$')
+            expect(processExitStub).to.have.been.calledWithExactly(1)
+          }) // eslint-disable-line comma-dangle
+      )
+    })
+
     describe('#remove', () => {
       const slsRunner = slsart.impl.serverlessRunner
       beforeEach(() => {
@@ -682,6 +1291,80 @@ scenarios:
       )
     })
 
+    describe('#stop', () => {
+      let store
+      let ssmStub
+      let fileStub
+      let consoleLogStub
+      beforeEach(() => {
+        store = { stop: sinon.stub().returns(Promise.resolve()) }
+        ssmStub = sinon.stub(func.control.stores, 'ssm').returns(store)
+        fileStub = sinon.stub(func.control.stores, 'file').returns(store)
+        consoleLogStub = sinon.stub(console, 'log').returns()
+      })
+      afterEach(() => {
+        ssmStub.restore()
+        fileStub.restore()
+        consoleLogStub.restore()
+      })
+      it('flags the load test to stop in the parameters of the function\'s stage and region', () =>
+        slsart.stop({ genesis: '1234', stage: 'prod', region: 'us-west-2' })
+          .then(() => {
+            expect(ssmStub).to.have.been.calledWithExactly('/serverless-artillery/prod/stop', 'us-west-2')
+            expect(store.stop).to.have.been.calledWithExactly('1234')
+            expect(consoleLogStub.getCall(0).args[0]).to.have.string('Load test 1234 flagged to stop.')
+          }) // eslint-disable-line comma-dangle
+      )
+      it('defaults to the dev stage', () =>
+        slsart.stop({ genesis: 1234 })
+          .then(() => {
+            expect(ssmStub).to.have.been.calledWithExactly('/serverless-artillery/dev/stop', undefined)
+            expect(store.stop).to.have.been.calledWithExactly('1234')
+          }) // eslint-disable-line comma-dangle
+      )
+      describe('of a customized service', () => {
+        let servicePath
+        let findServicePathStub
+        beforeEach(() => {
+          servicePath = fs.mkdtempSync(path.join(os.tmpdir(), 'slsart-stop-'))
+          findServicePathStub = sinon.stub(slsart.impl, 'findServicePath').returns(servicePath)
+        })
+        afterEach(() => {
+          findServicePathStub.restore()
+          fs.unlinkSync(path.join(servicePath, 'serverless.yml'))
+          fs.rmdirSync(servicePath)
+        })
+        it('flags the load test to stop in the parameters of the service of the local serverless.yml', () => {
+          fs.writeFileSync(path.join(servicePath, 'serverless.yml'), 'service: my-load-test\n')
+          return slsart.stop({ genesis: '1234' })
+            .then(() => expect(ssmStub).to.have.been.calledWithExactly('/my-load-test/dev/stop', undefined))
+        })
+        it('reads service names declared as objects', () => {
+          fs.writeFileSync(path.join(servicePath, 'serverless.yml'), 'service:\n  name: my-load-test\n')
+          return slsart.stop({ genesis: '1234' })
+            .then(() => expect(ssmStub).to.have.been.calledWithExactly('/my-load-test/dev/stop', undefined))
+        })
+        it('prefers the service given by the service option', () => {
+          fs.writeFileSync(path.join(servicePath, 'serverless.yml'), 'service: my-load-test\n')
+          return slsart.stop({ genesis: '1234', service: 'other' })
+            .then(() => expect(ssmStub).to.have.been.calledWithExactly('/other/dev/stop', undefined))
+        })
+        it('refuses service names that only Serverless can resolve', () => {
+          fs.writeFileSync(path.join(servicePath, 'serverless.yml'), 'service: ${self:custom.name}\n') // eslint-disable-line no-template-curly-in-string
+          return expect(slsart.stop({ genesis: '1234' })).to.be.rejectedWith('Give it with --service.')
+            .then(() => expect(store.stop).to.not.have.been.called)
+        })
+      })
+      it('flags load tests executing locally to stop with files', () =>
+        slsart.stop({ genesis: '1234', local: true })
+          .then(() => {
+            expect(fileStub).to.have.been.calledOnce
+            expect(ssmStub).to.not.have.been.called
+            expect(store.stop).to.have.been.calledWithExactly('1234')
+          }) // eslint-disable-line comma-dangle
+      )
+    })
+
     describe('#script', () => {
       const generateScript = slsart.impl.generateScript
       const notAFile = 'not.a.script.yml'
@@ -691,6 +1374,15 @@ scenarios:
       it('refuses to overwrite an existing script with debug',
         () => slsart.script({ out: 'README.md', debug: true }).should.be.rejected // eslint-disable-line comma-dangle
       )
+      it('refuses to combine the phase option with the duration, rate, or rampTo options',
+        () => slsart.script({ out: notAFile, phase: '60:5', rate: 5 }).should.be.rejected // eslint-disable-line comma-dangle
+      )
+      it('refuses to combine the openapi and har options',
+        () => slsart.script({ out: notAFile, openapi: 'a.yml', har: 'a.har' }).should.be.rejected // eslint-disable-line comma-dangle
+      )
+      it('refuses to combine the endpoint and har options',
+        () => slsart.script({ out: notAFile, endpoint: 'http://a.com', har: 'a.har' }).should.be.rejected // eslint-disable-line comma-dangle
+      )
       it('writes default values to the default file',
         () => BbPromise.resolve()
           .then(() => {
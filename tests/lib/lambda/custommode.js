@@ -0,0 +1,12 @@
+function valid(constraints, script) {
+  return script.config && script.config.smoke ? [] : [{ path: '$.config.smoke', message: 'smoke is required' }]
+}
+
+function result(timeNow, script, settings, results) {
+  return { smoked: results.length }
+}
+
+module.exports = {
+  valid,
+  result,
+}
@@ -0,0 +1,112 @@
+const aws = require('aws-sdk')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const path = require('path')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const def = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcDef.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const claim = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcClaim.js'))
+
+describe('./lib/lambda/funcClaim.js', () => {
+  afterEach(() => {
+    claim.use(undefined)
+  })
+  describe(':stores', () => {
+    describe('#memory', () => {
+      it('claims each ID once', () => {
+        const store = claim.stores.memory()
+        return Promise.all([store.claim('1.0'), store.claim('1.1')])
+          .then(claims => expect(claims).to.eql([true, true]))
+          .then(() => store.claim('1.0'))
+          .then(claimed => expect(claimed).to.be.false)
+      })
+    })
+    describe('#dynamoDb', () => {
+      let makeRequestStub
+      beforeEach(() => {
+        makeRequestStub = sinon.stub(aws.Service.prototype, 'makeRequest')
+      })
+      afterEach(() => {
+        makeRequestStub.restore()
+      })
+      it('puts the claim in the table on the condition that it is not there yet, expiring it', () => {
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.resolve({}) }))
+        return expect(claim.stores.dynamoDb('claims').claim('1.0')).to.eventually.be.true
+          .then(() => {
+            const params = makeRequestStub.getCall(0).args[1]
+            expect(makeRequestStub.getCall(0).args[0]).to.equal('putItem')
+            expect(params).to.include({ TableName: 'claims', ConditionExpression: 'attribute_not_exists(id)' })
+            expect(params.Item.id).to.eql({ S: '1.0' })
+            expect(Number(params.Item.expires.N) - Math.floor(Date.now() / 1000))
+              .to.be.within(def.CLAIM_TTL_IN_SECONDS - 1, def.CLAIM_TTL_IN_SECONDS)
+          })
+      })
+      it('fails claims of IDs that are already in the table', () => {
+        const ex = new Error('The conditional request failed')
+        ex.code = 'ConditionalCheckFailedException'
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.reject(ex) }))
+        return expect(claim.stores.dynamoDb('claims').claim('1.0')).to.eventually.be.false
+      })
+      it('rejects other failures', () => {
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.reject(new Error('AccessDenied')) }))
+        return expect(claim.stores.dynamoDb('claims').claim('1.0')).to.be.rejectedWith('AccessDenied')
+      })
+    })
+  })
+  describe(':impl', () => {
+    describe('#getStore', () => {
+      const tableName = process.env[def.CLAIM_TABLE_VARIABLE]
+      afterEach(() => {
+        if (tableName === undefined) {
+          delete process.env[def.CLAIM_TABLE_VARIABLE]
+        } else {
+          process.env[def.CLAIM_TABLE_VARIABLE] = tableName
+        }
+      })
+      it('uses the given store', () => {
+        const store = claim.stores.memory()
+        claim.use(store)
+        expect(claim.impl.getStore()).to.equal(store)
+      })
+      it('claims in DynamoDB when the function was deployed with a claim table', () => {
+        process.env[def.CLAIM_TABLE_VARIABLE] = 'claims'
+        const dynamoDbSpy = sinon.spy(claim.stores, 'dynamoDb')
+        claim.impl.getStore()
+        dynamoDbSpy.restore()
+        expect(dynamoDbSpy).to.have.been.calledWithExactly('claims')
+      })
+      it('claims in memory otherwise', () => {
+        delete process.env[def.CLAIM_TABLE_VARIABLE]
+        const memorySpy = sinon.spy(claim.stores, 'memory')
+        claim.impl.getStore()
+        memorySpy.restore()
+        expect(memorySpy).to.have.been.calledOnce
+      })
+    })
+  })
+  describe(':exports', () => {
+    it('claims chunks in the store in use', () => {
+      claim.use(claim.stores.memory())
+      return Promise.all([claim('1.0'), claim('1.0')])
+        .then(claims => expect(claims).to.eql([true, false]))
+    })
+    it('executes chunks that could not be claimed because the store failed', () => {
+      const consoleErrorStub = sinon.stub(console, 'error').returns()
+      claim.use({ claim: () => Promise.reject(new Error('ProvisionedThroughputExceededException')) })
+      return claim('1.0')
+        .then((claimed) => {
+          consoleErrorStub.restore()
+          expect(claimed).to.be.true
+          expect(consoleErrorStub).to.have.been.called
+        })
+    })
+  })
+})
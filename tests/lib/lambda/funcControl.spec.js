@@ -0,0 +1,161 @@
+const aws = require('aws-sdk')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const def = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcDef.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const control = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcControl.js'))
+
+describe('./lib/lambda/funcControl.js', () => {
+  afterEach(() => {
+    control.use(undefined)
+  })
+  describe(':stores', () => {
+    describe('#file', () => {
+      let directory
+      beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slsart-control-'))
+      })
+      afterEach(() => {
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)))
+        fs.rmdirSync(directory)
+      })
+      it('flags load tests to stop with a file named by their genesis', () => {
+        const store = control.stores.file(directory)
+        return expect(store.stopped('1')).to.eventually.be.false
+          .then(() => store.stop('1'))
+          .then(() => {
+            expect(fs.readdirSync(directory)).to.eql([`${def.STOP_FILE_PREFIX}1`])
+            return Promise.all([store.stopped('1'), store.stopped('2')])
+          })
+          .then(stopped => expect(stopped).to.eql([true, false]))
+      })
+    })
+    describe('#ssm', () => {
+      let makeRequestStub
+      beforeEach(() => {
+        makeRequestStub = sinon.stub(aws.Service.prototype, 'makeRequest')
+      })
+      afterEach(() => {
+        makeRequestStub.restore()
+      })
+      it('flags load tests to stop with a parameter named by the prefix and their genesis', () => {
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.resolve({}) }))
+        return control.stores.ssm('/slsart/dev/stop').stop('1')
+          .then(() => {
+            expect(makeRequestStub.getCall(0).args[0]).to.equal('putParameter')
+            expect(makeRequestStub.getCall(0).args[1])
+              .to.include({ Name: '/slsart/dev/stop/1', Type: 'String', Overwrite: true })
+          })
+      })
+      it('reports load tests with a parameter as stopped', () => {
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.resolve({ Parameter: {} }) }))
+        return expect(control.stores.ssm('/slsart/dev/stop').stopped('1')).to.eventually.be.true
+          .then(() => {
+            expect(makeRequestStub.getCall(0).args[0]).to.equal('getParameter')
+            expect(makeRequestStub.getCall(0).args[1]).to.eql({ Name: '/slsart/dev/stop/1' })
+          })
+      })
+      it('reports load tests without a parameter as not stopped', () => {
+        const ex = new Error('Parameter not found')
+        ex.code = 'ParameterNotFound'
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.reject(ex) }))
+        return expect(control.stores.ssm('/slsart/dev/stop').stopped('1')).to.eventually.be.false
+      })
+      it('rejects other failures', () => {
+        makeRequestStub.callsFake(() => ({ promise: () => Promise.reject(new Error('AccessDenied')) }))
+        return expect(control.stores.ssm('/slsart/dev/stop').stopped('1')).to.be.rejectedWith('AccessDenied')
+      })
+    })
+  })
+  describe(':impl', () => {
+    describe('#getStore', () => {
+      const prefix = process.env[def.STOP_PARAMETER_PREFIX_VARIABLE]
+      afterEach(() => {
+        if (prefix === undefined) {
+          delete process.env[def.STOP_PARAMETER_PREFIX_VARIABLE]
+        } else {
+          process.env[def.STOP_PARAMETER_PREFIX_VARIABLE] = prefix
+        }
+      })
+      it('uses the given store', () => {
+        const store = control.stores.file()
+        control.use(store)
+        expect(control.impl.getStore()).to.equal(store)
+      })
+      it('uses SSM parameters when the function was deployed with a stop parameter prefix', () => {
+        process.env[def.STOP_PARAMETER_PREFIX_VARIABLE] = '/slsart/dev/stop'
+        const ssmSpy = sinon.spy(control.stores, 'ssm')
+        control.impl.getStore()
+        ssmSpy.restore()
+        expect(ssmSpy).to.have.been.calledWithExactly('/slsart/dev/stop')
+      })
+      it('uses files otherwise', () => {
+        delete process.env[def.STOP_PARAMETER_PREFIX_VARIABLE]
+        const fileSpy = sinon.spy(control.stores, 'file')
+        control.impl.getStore()
+        fileSpy.restore()
+        expect(fileSpy).to.have.been.calledOnce
+      })
+    })
+  })
+  describe(':exports', () => {
+    it('flags load tests to stop in the store in use', () => {
+      const flags = {}
+      control.use({
+        stop: (genesis) => { flags[genesis] = true; return Promise.resolve() },
+        stopped: genesis => Promise.resolve(!!flags[genesis]),
+      })
+      return control.stop('1')
+        .then(() => Promise.all([control.stopped('1'), control.stopped('2')]))
+        .then(stopped => expect(stopped).to.eql([true, false]))
+    })
+    it('shares checks made within the check interval of one another', () => {
+      let now = 1000
+      const nowStub = sinon.stub(Date, 'now').callsFake(() => now)
+      const stopped = sinon.stub().returns(Promise.resolve(false))
+      control.use({ stopped })
+      return Promise.all([control.stopped('1'), control.stopped('1'), control.stopped('2')])
+        .then(() => {
+          now += def.STOP_CHECK_INTERVAL_IN_MILLISECONDS - 1
+          return control.stopped('1')
+        })
+        .then(() => {
+          expect(stopped).to.have.been.calledTwice
+          now += 1
+          stopped.returns(Promise.resolve(true))
+          return control.stopped('1')
+        })
+        .then((result) => {
+          nowStub.restore()
+          expect(stopped).to.have.been.calledThrice
+          expect(result).to.be.true
+        })
+    })
+    it('does not stop load tests without a genesis', () => {
+      control.use({ stopped: () => Promise.resolve(true) })
+      return expect(control.stopped(undefined)).to.eventually.be.false
+    })
+    it('does not stop load tests that could not be checked because the store failed', () => {
+      const consoleErrorStub = sinon.stub(console, 'error').returns()
+      control.use({ stopped: () => Promise.reject(new Error('ThrottlingException')) })
+      return control.stopped('1')
+        .then((stopped) => {
+          consoleErrorStub.restore()
+          expect(stopped).to.be.false
+          expect(consoleErrorStub).to.have.been.called
+        })
+    })
+  })
+})
@@ -18,6 +18,7 @@ describe('./lib/lambda/funcDef.js', () => {
         maxChunkDurationInSeconds: func.def.DEFAULT_MAX_CHUNK_DURATION_IN_SECONDS,
         maxChunkRequestsPerSecond: func.def.DEFAULT_MAX_CHUNK_REQUESTS_PER_SECOND,
         timeBufferInMilliseconds: func.def.DEFAULT_MAX_TIME_BUFFER_IN_MILLISECONDS,
+        branchingFactor: func.def.DEFAULT_BRANCHING_FACTOR,
       })
       it('returns default settings if not given a script', () => {
         expect(func.def.getSettings()).to.eql(defaultSettings())
@@ -76,6 +77,16 @@ describe('./lib/lambda/funcDef.js', () => {
         expected.timeBufferInMilliseconds = 1
         expect(func.def.getSettings(script)).to.eql(expected) // eslint-disable-line no-underscore-dangle
       })
+      it('extracts the branchingFactor setting specification', () => {
+        script = {
+          _split: {
+            branchingFactor: 2,
+          },
+        }
+        expected = defaultSettings()
+        expected.branchingFactor = 2
+        expect(func.def.getSettings(script)).to.eql(expected) // eslint-disable-line no-underscore-dangle
+      })
       it('extracts complete setting specifications', () => {
         script = {
           _split: {
@@ -84,10 +95,29 @@ describe('./lib/lambda/funcDef.js', () => {
             maxScriptRequestsPerSecond: 1,
             maxChunkRequestsPerSecond: 1,
             timeBufferInMilliseconds: 1,
+            branchingFactor: 2,
           },
         }
         expect(func.def.getSettings(script)).to.eql(script._split) // eslint-disable-line no-underscore-dangle
       })
+      describe('allowed targets', () => {
+        const allowedTargets = process.env[func.def.ALLOWED_TARGETS_VARIABLE]
+        afterEach(() => {
+          if (allowedTargets === undefined) {
+            delete process.env[func.def.ALLOWED_TARGETS_VARIABLE]
+          } else {
+            process.env[func.def.ALLOWED_TARGETS_VARIABLE] = allowedTargets
+          }
+        })
+        it('lists the allowed targets that the function was deployed with', () => {
+          process.env[func.def.ALLOWED_TARGETS_VARIABLE] = 'example.com, *.example.org,'
+          expect(func.def.getSettings().allowedTargets).to.eql(['example.com', '*.example.org'])
+        })
+        it('ignores allowed targets given by the script', () => {
+          delete process.env[func.def.ALLOWED_TARGETS_VARIABLE]
+          expect(func.def.getSettings({ _split: { allowedTargets: ['evil.io'] } })).to.eql(defaultSettings())
+        })
+      })
     })
   })
 })
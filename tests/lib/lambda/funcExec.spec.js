@@ -95,6 +95,66 @@ describe('./lib/lambda/funcExec.js', () => {
             expect(lambdaInvokeStub.getCall(0).args[1].InvocationType).to.equal(type)
           })
       })
+      describe('events over the payload limit', () => {
+        const bucket = process.env[func.def.PAYLOAD_BUCKET_VARIABLE]
+        const largeScript = () => {
+          const script = validScript()
+          script.config.payload = 'x'.repeat(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event)
+          return script
+        }
+        let objects
+        beforeEach(() => {
+          objects = {}
+          lambdaInvokeStub.withArgs('putObject', sinon.match.any, sinon.match.any).callsFake((operation, params) => {
+            objects[`${params.Bucket}/${params.Key}`] = params.Body
+            return { promise: () => Promise.resolve({}) }
+          })
+        })
+        afterEach(() => {
+          if (bucket === undefined) {
+            delete process.env[func.def.PAYLOAD_BUCKET_VARIABLE]
+          } else {
+            process.env[func.def.PAYLOAD_BUCKET_VARIABLE] = bucket
+          }
+        })
+        it('stores the event in the payload bucket, invoking the function with a reference to it', () => {
+          process.env[func.def.PAYLOAD_BUCKET_VARIABLE] = 'bucket'
+          return func.exec(largeScript())
+            .then(() => {
+              const reference = JSON.parse(lambdaInvokeStub.withArgs('invoke').getCall(0).args[1].Payload)
+              const location = reference[func.def.PAYLOAD_ATTRIBUTE]
+              expect(location.bucket).to.equal('bucket')
+              expect(JSON.parse(objects[`bucket/${location.key}`])).to.eql(largeScript())
+            })
+        })
+        it('rejects the event if the function was deployed without a payload bucket', () => {
+          delete process.env[func.def.PAYLOAD_BUCKET_VARIABLE]
+          const consoleErrorStub = sinon.stub(console, 'error').returns()
+          return expect(func.exec(largeScript())).to.be.rejectedWith('ERROR invoking self: The event is')
+            .then(() => {
+              consoleErrorStub.restore()
+              expect(lambdaInvokeStub).to.not.have.been.called
+            })
+        })
+      })
+      it('signs the event if the function was deployed with a shared secret', () => {
+        const secret = process.env[func.def.SIGNING_SECRET_VARIABLE]
+        process.env[func.def.SIGNING_SECRET_VARIABLE] = 'secret'
+        const script = validScript()
+        return func.exec(script)
+          .then(() => {
+            if (secret === undefined) {
+              delete process.env[func.def.SIGNING_SECRET_VARIABLE]
+            } else {
+              process.env[func.def.SIGNING_SECRET_VARIABLE] = secret
+            }
+            const payload = JSON.parse(lambdaInvokeStub.getCall(0).args[1].Payload)
+            const clock = sinon.useFakeTimers(payload._signedAt) // eslint-disable-line no-underscore-dangle
+            const expected = func.sign(script, 'secret')
+            clock.restore()
+            expect(payload._signature).to.equal(expected._signature) // eslint-disable-line no-underscore-dangle
+          })
+      })
       it('handles unparsable payloads', () => {
         lambdaInvokeStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(
           () => ({ promise: () => Promise.resolve({ Payload: '{ NOT PARSABLE' }) }) // eslint-disable-line comma-dangle
@@ -107,6 +167,58 @@ describe('./lib/lambda/funcExec.js', () => {
         )
         return expect(func.exec(validScript())).to.eventually.be.rejected
       })
+      describe('throttling', () => {
+        const baseDelay = func.def.INVOKE_RETRY_BASE_DELAY_IN_MILLISECONDS
+        let consoleWarnStub
+        let consoleErrorStub
+        const throttled = () => {
+          const ex = new Error('Rate Exceeded.')
+          ex.code = 'TooManyRequestsException'
+          return ex
+        }
+        beforeEach(() => {
+          func.def.INVOKE_RETRY_BASE_DELAY_IN_MILLISECONDS = 1
+          consoleWarnStub = sinon.stub(console, 'warn').returns()
+          consoleErrorStub = sinon.stub(console, 'error').returns()
+        })
+        afterEach(() => {
+          func.def.INVOKE_RETRY_BASE_DELAY_IN_MILLISECONDS = baseDelay
+          consoleWarnStub.restore()
+          consoleErrorStub.restore()
+        })
+        it('retries throttled invocations', () => {
+          let calls = 0
+          lambdaInvokeStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(() => {
+            calls += 1
+            return { promise: () => (calls < 3 ? Promise.reject(throttled()) : Promise.resolve({ Payload: '{"errors":0}' })) }
+          })
+          return expect(func.exec(validScript(), 'RequestResponse')).to.eventually.eql({ errors: 0 })
+            .then(() => expect(lambdaInvokeStub).to.have.been.calledThrice)
+        })
+        it('gives up after the maximum number of retries', () => {
+          lambdaInvokeStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(
+            () => ({ promise: () => Promise.reject(throttled()) }) // eslint-disable-line comma-dangle
+          )
+          return expect(func.exec(validScript())).to.be.rejectedWith('ERROR invoking self: Rate Exceeded.')
+            .then(() => expect(lambdaInvokeStub).to.have.callCount(func.def.INVOKE_RETRIES + 1))
+        })
+        it('does not retry other failures', () => {
+          lambdaInvokeStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(
+            () => ({ promise: () => Promise.reject(Object.assign(new Error('denied'), { code: 'AccessDeniedException' })) }) // eslint-disable-line comma-dangle
+          )
+          return expect(func.exec(validScript())).to.be.rejected
+            .then(() => expect(lambdaInvokeStub).to.have.been.calledOnce)
+        })
+        it('does not retry past the scheduled start of the event', () => {
+          lambdaInvokeStub.withArgs('invoke', sinon.match.any, sinon.match.any).callsFake(
+            () => ({ promise: () => Promise.reject(throttled()) }) // eslint-disable-line comma-dangle
+          )
+          const script = validScript()
+          script._start = Date.now() // eslint-disable-line no-underscore-dangle
+          return expect(func.exec(script)).to.be.rejected
+            .then(() => expect(lambdaInvokeStub).to.have.been.calledOnce)
+        })
+      })
     })
   })
 })
@@ -1,4 +1,6 @@
 const chai = require('chai')
+const fs = require('fs')
+const os = require('os')
 const path = require('path')
 
 const expect = chai.expect
@@ -62,6 +64,109 @@ describe('./lib/lambda/funcHandle.js', () => {
         const callback = (err, res) => { expect(res).to.have.string('Error executing task: ') }
         handler({}, null, callback)
       })
+      describe('stored events', () => {
+        const bucket = process.env[func.def.PAYLOAD_BUCKET_VARIABLE]
+        let directory
+        beforeEach(() => {
+          process.env[func.def.PAYLOAD_BUCKET_VARIABLE] = 'bucket'
+          directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slsart-payload-'))
+          func.payload.use(func.payload.stores.file(directory))
+        })
+        afterEach(() => {
+          if (bucket === undefined) {
+            delete process.env[func.def.PAYLOAD_BUCKET_VARIABLE]
+          } else {
+            process.env[func.def.PAYLOAD_BUCKET_VARIABLE] = bucket
+          }
+          func.payload.use(undefined)
+          fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)))
+          fs.rmdirSync(directory)
+        })
+        it('passes the stored event that the event refers to to the task handler', (done) => {
+          const script = { _genesis: 1, config: { data: 'x'.repeat(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event) } }
+          func.payload.offload(script, 'Event', 'bucket')
+            .then((reference) => {
+              const handler = func.handle((event) => {
+                expect(event).to.eql(script)
+                return Promise.resolve('done')
+              })
+              handler(reference, {}, (err, res) => {
+                expect(res).to.equal('done')
+                done()
+              })
+            })
+            .catch(done)
+        })
+        it('reports events that could not be loaded without describing why or calling the task handler', (done) => {
+          let called = false
+          const handler = func.handle(() => {
+            called = true
+            return Promise.resolve()
+          })
+          const key = `${func.def.PAYLOAD_KEY_PREFIX}invalid.json`
+          const consoleErrorStub = console.error
+          console.error = () => {}
+          func.payload.stores.file(directory).put('bucket', key, 'not JSON')
+            .then(() => handler({ [func.def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket', key } }, {}, (err, res) => {
+              console.error = consoleErrorStub
+              expect(called).to.be.false
+              expect(res).to.equal('Error loading event')
+              done()
+            }))
+            .catch(done)
+        })
+        it('loads stored events only from the function\'s payload bucket', (done) => {
+          const script = { _genesis: 1, config: { data: 'x'.repeat(func.def.MAX_PAYLOAD_SIZE_IN_BYTES.Event) } }
+          const consoleErrorStub = console.error
+          console.error = () => {}
+          func.payload.offload(script, 'Event', 'other')
+            .then(reference => func.handle(() => Promise.resolve('done'))(reference, {}, (err, res) => {
+              console.error = consoleErrorStub
+              expect(res).to.equal('Error loading event')
+              done()
+            }))
+            .catch(done)
+        })
+      })
+      describe('signed events', () => {
+        const secret = process.env[func.def.SIGNING_SECRET_VARIABLE]
+        beforeEach(() => {
+          process.env[func.def.SIGNING_SECRET_VARIABLE] = 'secret'
+        })
+        afterEach(() => {
+          if (secret === undefined) {
+            delete process.env[func.def.SIGNING_SECRET_VARIABLE]
+          } else {
+            process.env[func.def.SIGNING_SECRET_VARIABLE] = secret
+          }
+        })
+        it('passes verified events to the task handler without their signature or time of signing', () => {
+          let observed
+          const handler = func.handle((script) => {
+            observed = script
+            return Promise.resolve()
+          })
+          handler(func.sign({ _genesis: 1 }), {}, () => {})
+          expect(observed).to.eql({ _genesis: 1 })
+        })
+        it('rejects unsigned and tampered events without calling the task handler', () => {
+          let called = false
+          const handler = func.handle(() => {
+            called = true
+            return Promise.resolve()
+          })
+          const results = []
+          const callback = (err, res) => { results.push(res) }
+          const consoleErrorStub = console.error
+          console.error = () => {}
+          handler({ _genesis: 1 }, {}, callback)
+          handler(Object.assign(func.sign({ _genesis: 1 }), { _genesis: 2 }), {}, callback)
+          console.error = consoleErrorStub
+          expect(called).to.be.false
+          expect(results[0]).to.have.string('Error validating event: The event must be signed')
+          expect(results[1]).to.have.string('Error validating event: The signature of the event does not match its content')
+        })
+      })
       it('handles promise rejections within the task handler promise chain, reporting an error', () => {
         const handler = func.handle(() => Promise.reject(new Error('rejected')))
         const callback = (err, res) => { expect(res).to.have.string('Error executing task: ') }
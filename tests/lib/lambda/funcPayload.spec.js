@@ -0,0 +1,180 @@
+const aws = require('aws-sdk')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const def = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcDef.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const payload = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcPayload.js'))
+
+const event = size => ({
+  config: { target: 'https://example.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+  scenarios: [{ flow: [{ post: { url: '/', body: 'x'.repeat(size || 0) } }] }],
+})
+
+describe('./lib/lambda/funcPayload.js', () => {
+  let directory
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slsart-payload-'))
+    payload.use(payload.stores.file(directory))
+  })
+  afterEach(() => {
+    payload.use(undefined)
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)))
+    fs.rmdirSync(directory)
+  })
+  describe(':stores', () => {
+    describe('#file', () => {
+      it('keeps bodies in files named by their bucket and key', () => {
+        const store = payload.stores.file(directory)
+        return store.put('bucket', 'a/b.json', '{}')
+          .then(() => {
+            expect(fs.readdirSync(directory)).to.eql([encodeURIComponent('bucket/a/b.json')])
+            return expect(store.get('bucket', 'a/b.json')).to.eventually.equal('{}')
+          })
+      })
+    })
+    describe('#s3', () => {
+      let makeRequestStub
+      let objects
+      beforeEach(() => {
+        objects = {}
+        makeRequestStub = sinon.stub(aws.Service.prototype, 'makeRequest').callsFake((operation, params) => ({
+          promise: () => {
+            const name = `${params.Bucket}/${params.Key}`
+            if (operation === 'putObject') {
+              objects[name] = Buffer.from(params.Body)
+              return Promise.resolve({})
+            } else if (name in objects) {
+              return Promise.resolve({ Body: objects[name] })
+            }
+            const ex = new Error('The specified key does not exist.')
+            ex.code = 'NoSuchKey'
+            return Promise.reject(ex)
+          },
+        }))
+      })
+      afterEach(() => {
+        makeRequestStub.restore()
+      })
+      it('keeps bodies as objects in the bucket under the key', () => {
+        const store = payload.stores.s3()
+        return store.put('bucket', 'a/b.json', '{}')
+          .then(() => {
+            expect(makeRequestStub.getCall(0).args[0]).to.equal('putObject')
+            expect(Object.keys(objects)).to.eql(['bucket/a/b.json'])
+            return expect(store.get('bucket', 'a/b.json')).to.eventually.equal('{}')
+          })
+          .then(() => expect(store.get('bucket', 'c.json')).to.be.rejectedWith('The specified key does not exist.'))
+      })
+    })
+  })
+  describe(':impl', () => {
+    describe('#getStore', () => {
+      it('uses S3 unless another store is given', () => {
+        payload.use(undefined)
+        const s3Spy = sinon.spy(payload.stores, 's3')
+        payload.impl.getStore()
+        s3Spy.restore()
+        expect(s3Spy).to.have.been.calledOnce
+      })
+    })
+  })
+  describe(':exports', () => {
+    describe('#exceeds', () => {
+      it('compares the size of the serialized event with the limit of the invocation type', () => {
+        const size = JSON.stringify(event()).length
+        expect(payload.exceeds(event(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event - size))).to.be.false
+        expect(payload.exceeds(event((def.MAX_PAYLOAD_SIZE_IN_BYTES.Event - size) + 1))).to.be.true
+        expect(payload.exceeds(event((def.MAX_PAYLOAD_SIZE_IN_BYTES.Event - size) + 1), 'RequestResponse')).to.be.false
+      })
+      it('counts the bytes of multibyte characters', () => {
+        const given = event()
+        given.scenarios[0].flow[0].post.body = 'é'.repeat(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event / 2)
+        expect(payload.exceeds(given)).to.be.true
+      })
+    })
+    describe('#offload', () => {
+      it('keeps events that fit within the limit', () => {
+        const given = event()
+        return expect(payload.offload(given, 'Event', 'bucket')).to.eventually.equal(given)
+          .then(() => expect(fs.readdirSync(directory)).to.eql([]))
+      })
+      it('stores larger events by the hash of their content, referring to them instead', () =>
+        payload.offload(event(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event), 'Event', 'bucket')
+          .then((reference) => {
+            expect(reference).to.have.all.keys(def.PAYLOAD_ATTRIBUTE)
+            const location = reference[def.PAYLOAD_ATTRIBUTE]
+            expect(location.bucket).to.equal('bucket')
+            expect(location.key).to.match(new RegExp(`^${def.PAYLOAD_KEY_PREFIX}[0-9a-f]{64}\\.json$`))
+            expect(payload.isReference(reference)).to.be.true
+            return expect(payload.resolve(reference, 'bucket')).to.eventually.eql(event(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event))
+          }) // eslint-disable-line comma-dangle
+      )
+      it('stores events with the given store', () => {
+        const puts = []
+        const store = { put: (bucket, key, body) => { puts.push([bucket, key, body]); return Promise.resolve() } }
+        return payload.offload(event(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event), 'Event', 'bucket', store)
+          .then((reference) => {
+            expect(puts.length).to.equal(1)
+            expect(puts[0][1]).to.equal(reference[def.PAYLOAD_ATTRIBUTE].key)
+            expect(puts[0][2]).to.equal(JSON.stringify(event(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event)))
+            expect(fs.readdirSync(directory)).to.eql([])
+          })
+      })
+      it('rejects larger events when there is no bucket to store them in', () =>
+        expect(payload.offload(event(def.MAX_PAYLOAD_SIZE_IN_BYTES.Event), 'Event'))
+          .to.be.rejectedWith(def.FunctionError, `Deploy the function with a ${def.PAYLOAD_BUCKET_VARIABLE}`) // eslint-disable-line comma-dangle
+      )
+    })
+    describe('#isReference', () => {
+      it('identifies events that refer to a stored event', () => {
+        expect(payload.isReference({ [def.PAYLOAD_ATTRIBUTE]: {} })).to.be.true
+        expect(payload.isReference(event())).to.be.false
+        expect(payload.isReference(undefined)).to.be.false
+      })
+    })
+    describe('#resolve', () => {
+      const key = `${def.PAYLOAD_KEY_PREFIX}key.json`
+      it('rejects references when the function has no bucket to load stored events from', () =>
+        expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket', key } }))
+          .to.be.rejectedWith(def.FunctionError, `must be deployed with a ${def.PAYLOAD_BUCKET_VARIABLE}`) // eslint-disable-line comma-dangle
+      )
+      it('rejects references that do not give a bucket and key', () =>
+        expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket' } }, 'bucket'))
+          .to.be.rejectedWith(def.FunctionError, 'must give the bucket and key of an event stored in') // eslint-disable-line comma-dangle
+      )
+      it('rejects references to other buckets or to keys outside the payload key prefix without loading them', () => {
+        const store = { get: () => Promise.reject(new Error('loaded')) }
+        payload.use(store)
+        return expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'other', key } }, 'bucket'))
+          .to.be.rejectedWith(def.FunctionError, 'must give the bucket and key of an event stored in')
+          .then(() => expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket', key: 'key' } }, 'bucket'))
+            .to.be.rejectedWith(def.FunctionError, 'must give the bucket and key of an event stored in'))
+      })
+      it('rejects stored events that are not JSON without repeating their content', () =>
+        payload.stores.file(directory).put('bucket', key, '{"secret": ')
+          .then(() => expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket', key } }, 'bucket'))
+            .to.be.rejectedWith(def.FunctionError, `The stored event s3://bucket/${key} is not JSON`)) // eslint-disable-line comma-dangle
+      )
+      it('rejects stored events that refer to another', () =>
+        payload.stores.file(directory).put('bucket', key, JSON.stringify({ [def.PAYLOAD_ATTRIBUTE]: {} }))
+          .then(() => expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket', key } }, 'bucket'))
+            .to.be.rejectedWith(def.FunctionError, 'must not refer to another')) // eslint-disable-line comma-dangle
+      )
+      it('rejects events that were not stored', () =>
+        expect(payload.resolve({ [def.PAYLOAD_ATTRIBUTE]: { bucket: 'bucket', key } }, 'bucket')).to.be.rejected // eslint-disable-line comma-dangle
+      )
+    })
+  })
+})
@@ -0,0 +1,124 @@
+const chai = require('chai')
+const path = require('path')
+const sinon = require('sinon')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const def = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcDef.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const sign = require(path.join('..', '..', '..', 'lib', 'lambda', 'funcSign.js'))
+
+const event = () => ({
+  config: { target: 'https://example.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+  scenarios: [{ flow: [{ get: { url: '/' } }] }],
+  _genesis: 1,
+})
+
+describe('./lib/lambda/funcSign.js', () => {
+  const secret = process.env[def.SIGNING_SECRET_VARIABLE]
+  const maxAge = process.env[def.SIGNATURE_MAX_AGE_VARIABLE]
+  afterEach(() => {
+    if (secret === undefined) {
+      delete process.env[def.SIGNING_SECRET_VARIABLE]
+    } else {
+      process.env[def.SIGNING_SECRET_VARIABLE] = secret
+    }
+    if (maxAge === undefined) {
+      delete process.env[def.SIGNATURE_MAX_AGE_VARIABLE]
+    } else {
+      process.env[def.SIGNATURE_MAX_AGE_VARIABLE] = maxAge
+    }
+  })
+  describe(':impl', () => {
+    describe('#sortKeys', () => {
+      it('sorts the attributes of nested objects, leaving arrays in order', () => {
+        expect(JSON.stringify(sign.impl.sortKeys({ b: [{ d: 1, c: 2 }, 3], a: null })))
+          .to.equal('{"a":null,"b":[{"c":2,"d":1},3]}')
+      })
+    })
+    describe('#digest', () => {
+      it('does not depend on the order of the event\'s attributes or on the signature it carries', () => {
+        const reordered = { _genesis: 1, scenarios: event().scenarios, config: event().config, _signature: 'x' }
+        expect(sign.impl.digest(reordered, 'secret')).to.equal(sign.impl.digest(event(), 'secret'))
+        expect(sign.impl.digest(event(), 'other')).to.not.equal(sign.impl.digest(event(), 'secret'))
+      })
+    })
+    describe('#getMaxAgeInSeconds', () => {
+      it('gives the maximum age that the function was deployed with or else the default', () => {
+        delete process.env[def.SIGNATURE_MAX_AGE_VARIABLE]
+        expect(sign.impl.getMaxAgeInSeconds()).to.equal(def.DEFAULT_SIGNATURE_MAX_AGE_IN_SECONDS)
+        process.env[def.SIGNATURE_MAX_AGE_VARIABLE] = '60'
+        expect(sign.impl.getMaxAgeInSeconds()).to.equal(60)
+        process.env[def.SIGNATURE_MAX_AGE_VARIABLE] = 'never'
+        expect(sign.impl.getMaxAgeInSeconds()).to.equal(def.DEFAULT_SIGNATURE_MAX_AGE_IN_SECONDS)
+      })
+    })
+  })
+  describe(':exports', () => {
+    it('signs a copy of the event and the time of signing with the given secret', () => {
+      const clock = sinon.useFakeTimers(1000)
+      const given = event()
+      const signed = sign(given, 'secret')
+      clock.restore()
+      expect(given).to.eql(event())
+      expect(signed._signedAt).to.equal(1000) // eslint-disable-line no-underscore-dangle
+      expect(signed._signature).to.equal( // eslint-disable-line no-underscore-dangle
+        sign.impl.digest(Object.assign(event(), { _signedAt: 1000 }), 'secret') // eslint-disable-line comma-dangle
+      )
+    })
+    it('signs events with the secret that the function was deployed with by default', () => {
+      const clock = sinon.useFakeTimers(1000)
+      process.env[def.SIGNING_SECRET_VARIABLE] = 'secret'
+      expect(sign(event())).to.eql(sign(event(), 'secret'))
+      clock.restore()
+    })
+    it('does not sign events without a secret', () => {
+      delete process.env[def.SIGNING_SECRET_VARIABLE]
+      const given = event()
+      expect(sign(given)).to.equal(given)
+    })
+    describe('#verify', () => {
+      beforeEach(() => {
+        process.env[def.SIGNING_SECRET_VARIABLE] = 'secret'
+      })
+      it('accepts events signed with the function\'s secret, even once serialized', () => {
+        sign.verify(JSON.parse(JSON.stringify(sign(event(), 'secret'))))
+      })
+      it('rejects unsigned events', () => {
+        expect(() => sign.verify(event())).to.throw(def.FunctionError, 'must be signed')
+      })
+      it('rejects tampered events and events signed with another secret', () => {
+        const tampered = sign(event(), 'secret')
+        tampered.config.phases[0].arrivalRate = 1000
+        expect(() => sign.verify(tampered)).to.throw(def.FunctionError, 'does not match')
+        expect(() => sign.verify(sign(event(), 'other'))).to.throw(def.FunctionError, 'does not match')
+      })
+      it('rejects signed events that do not carry the time at which they were signed', () => {
+        const unstamped = event()
+        unstamped._signature = sign.impl.digest(unstamped, 'secret') // eslint-disable-line no-underscore-dangle
+        expect(() => sign.verify(unstamped)).to.throw(def.FunctionError, 'must carry the time at which it was signed')
+      })
+      it('rejects events signed longer ago, or further ahead, than the maximum age', () => {
+        const clock = sinon.useFakeTimers(1000000)
+        const signed = sign(event(), 'secret')
+        try {
+          clock.tick(def.DEFAULT_SIGNATURE_MAX_AGE_IN_SECONDS * 1000)
+          sign.verify(signed)
+          clock.tick(1)
+          expect(() => sign.verify(signed)).to.throw(def.FunctionError, 'was not signed within 900 seconds of its receipt')
+          process.env[def.SIGNATURE_MAX_AGE_VARIABLE] = '3600'
+          sign.verify(signed)
+          clock.setSystemTime(1000000 - (3601 * 1000))
+          expect(() => sign.verify(signed)).to.throw(def.FunctionError, 'was not signed within 3600 seconds')
+        } finally {
+          clock.restore()
+        }
+      })
+      it('accepts any event when the function was deployed without a secret', () => {
+        delete process.env[def.SIGNING_SECRET_VARIABLE]
+        sign.verify(event())
+      })
+    })
+  })
+})
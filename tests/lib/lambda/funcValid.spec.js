@@ -48,7 +48,23 @@ describe('./lib/lambda/funcValid.js', () => {
           { name: 'maxChunkRequestsPerSecond', max: func.def.MAX_CHUNK_REQUESTS_PER_SECOND },
           { name: 'maxScriptRequestsPerSecond', max: func.def.MAX_SCRIPT_REQUESTS_PER_SECOND },
           { name: 'timeBufferInMilliseconds', max: func.def.MAX_TIME_BUFFER_IN_MILLISECONDS },
+          { name: 'branchingFactor', max: func.def.MAX_BRANCHING_FACTOR },
         ]
+        it('accepts the maximum chunk duration with the default time buffer', () => {
+          script._split.maxChunkDurationInSeconds = func.def.MAX_CHUNK_DURATION_IN_SECONDS
+          func.valid(script)
+        })
+        it('rejects a chunk duration and time buffer that would hold a waiting function past its timeout', () => {
+          script._split.maxChunkDurationInSeconds = func.def.MAX_CHUNK_DURATION_IN_SECONDS
+          script._split.timeBufferInMilliseconds = func.def.MAX_TIME_BUFFER_IN_MILLISECONDS
+          expect(() => func.valid(script)).to.throw(func.def.FunctionError, 'would hold it for 315 seconds')
+          script._split.maxChunkDurationInSeconds = func.def.DEFAULT_MAX_CHUNK_DURATION_IN_SECONDS
+          func.valid(script)
+        })
+        it('rejects a branchingFactor of 1, which would never fan out', () => {
+          script._split.branchingFactor = 1
+          expect(() => func.valid(script)).to.throw(func.def.FunctionError, 'between 2 and')
+        })
         settings.forEach((setting) => {
           describe(`validates _split.${setting.name}`, () => {
             it('rejects non integer values', () => {
@@ -67,5 +83,23 @@ describe('./lib/lambda/funcValid.js', () => {
         })
       })
     })
+    describe('#problems', () => {
+      it('reports no problems with a valid script', () => {
+        expect(func.valid.problems(tagScript())).to.eql([])
+      })
+      it('reports every invalid _split attribute with its JSON path', () => {
+        script = tagScript()
+        script._split = { maxChunkDurationInSeconds: 0, maxChunkRequestsPerSecond: 'a' } // eslint-disable-line no-underscore-dangle
+        expect(func.valid.problems(script).map(problem => problem.path)).to.eql([
+          '$._split.maxChunkDurationInSeconds',
+          '$._split.maxChunkRequestsPerSecond',
+        ])
+      })
+      it('reports a non-object _split', () => {
+        script = tagScript()
+        script._split = 1 // eslint-disable-line no-underscore-dangle
+        expect(func.valid.problems(script).map(problem => problem.path)).to.eql(['$._split'])
+      })
+    })
   })
 })
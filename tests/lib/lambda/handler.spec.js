@@ -1,5 +1,6 @@
 const chai = require('chai')
 const chaiAsPromised = require('chai-as-promised')
+const crypto = require('crypto')
 const path = require('path')
 const sinon = require('sinon')
 const sinonChai = require('sinon-chai')
@@ -15,6 +16,8 @@ const handler = require(path.join('..', '..', '..', 'lib', 'lambda', 'handler.js
 
 const defaultSettings = func.def.getSettings()
 
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex')
+
 describe('./lib/lambda/handler.js', () => {
   describe(':impl', () => {
     describe('#delay', () => {
@@ -64,6 +67,22 @@ describe('./lib/lambda/handler.js', () => {
             expect(funcExecStub).to.not.be.called
           }) // eslint-disable-line comma-dangle
       )
+      it('executes the given event via impl.handle when in local mode', () =>
+        handler.impl.invokeSelf(0, { _local: true })
+          .then((result) => {
+            expect(result).to.equal(implHandleResult)
+            expect(implHandleStub).to.be.calledOnce
+            expect(funcExecStub).to.not.be.called
+          }) // eslint-disable-line comma-dangle
+      )
+      it('executes the given event via impl.handle when in local and trace modes', () =>
+        handler.impl.invokeSelf(0, { _local: true, _trace: true })
+          .then((result) => {
+            expect(result).to.equal(implHandleResult)
+            expect(implHandleStub).to.be.calledOnce
+            expect(funcExecStub).to.not.be.called
+          }) // eslint-disable-line comma-dangle
+      )
       it('executes the given event via func.exec when in standard mode', () =>
         handler.impl.invokeSelf(0, {})
           .then((result) => {
@@ -80,6 +99,35 @@ describe('./lib/lambda/handler.js', () => {
             expect(funcExecStub).to.be.calledOnce
           }) // eslint-disable-line comma-dangle
       )
+      it('does not invoke the given event if its load test was flagged to stop during the delay', () => {
+        const implStoppedStub = sinon.stub(handler.impl, 'stopped').returns(Promise.resolve(true))
+        const consoleLogStub = sinon.stub(console, 'log').returns()
+        return handler.impl.invokeSelf(0, { _genesis: 1 })
+          .then((result) => {
+            implStoppedStub.restore()
+            consoleLogStub.restore()
+            expect(result).to.be.undefined
+            expect(implStoppedStub).to.have.been.calledAfter(implDelayStub)
+            expect(funcExecStub).to.not.be.called
+          })
+      })
+      it('marks the chunks that report their results as checked, since they start at once', () => {
+        const implStoppedStub = sinon.stub(handler.impl, 'stopped').returns(Promise.resolve(false))
+        const chunk = { _genesis: 1 }
+        const remainder = { _genesis: 1 }
+        const intermediate = { _genesis: 1, _plans: [] }
+        return Promise.all([
+          handler.impl.invokeSelf(0, chunk, 'RequestResponse'),
+          handler.impl.invokeSelf(0, remainder, 'Event'),
+          handler.impl.invokeSelf(0, intermediate, 'RequestResponse'),
+        ])
+          .then(() => {
+            implStoppedStub.restore()
+            expect(chunk._stopChecked).to.be.true // eslint-disable-line no-underscore-dangle
+            expect(remainder).to.not.have.property('_stopChecked')
+            expect(intermediate).to.not.have.property('_stopChecked')
+          })
+      })
     })
 
     describe('#distribute', () => {
@@ -129,6 +177,114 @@ describe('./lib/lambda/handler.js', () => {
         expect(handler.impl.distribute(1, { trace: true }, defaultSettings, [{}]))
           .to.eventually.eql(taskResultResult) // eslint-disable-line comma-dangle
       )
+      it('reports the chunks that could not be invoked and the arrivals that never ran', () => {
+        const consoleErrorStub = sinon.stub(console, 'error').returns()
+        const failed = { _start: 2, config: { phases: [{ duration: 10, arrivalRate: 5 }] } }
+        implInvokeSelfStub.withArgs(sinon.match.any, failed).returns(Promise.reject(new Error('Rate Exceeded.')))
+        taskResultStub.callsFake(() => Promise.resolve({ errors: 0 }))
+        return handler.impl.distribute(1, {}, defaultSettings, [{}, failed])
+          .then((result) => {
+            consoleErrorStub.restore()
+            expect(taskResultStub.getCall(0).args[3]).to.eql([implInvokeSelfResult, undefined])
+            expect(result).to.eql({
+              errors: 0,
+              failedChunks: [{ start: 2, durationInSeconds: 10, arrivals: 50, error: 'Rate Exceeded.' }],
+              unexecutedArrivals: 50,
+            })
+          })
+          .catch((ex) => {
+            consoleErrorStub.restore()
+            throw ex
+          })
+      })
+    })
+
+    describe('#fanOut', () => {
+      let implInvokeSelfStub
+      const settings = Object.assign({}, defaultSettings, { branchingFactor: 2, timeBufferInMilliseconds: 1000 })
+      const chunk = start => ({ _start: start, _invokeType: 'RequestResponse' })
+      beforeEach(() => {
+        implInvokeSelfStub = sinon.stub(handler.impl, 'invokeSelf').callsFake((delay, event) => Promise.resolve(
+          event._plans ? event._plans.map(plan => plan._start) : event._start // eslint-disable-line comma-dangle, no-underscore-dangle
+        ))
+      })
+      afterEach(() => {
+        implInvokeSelfStub.restore()
+      })
+      it('invokes the plans directly when the branching factor allows', () =>
+        handler.impl.fanOut(1, {}, settings, [chunk(1), chunk(2)])
+          .then((results) => {
+            expect(implInvokeSelfStub).to.have.been.calledTwice
+            expect(results).to.eql([1, 2])
+          }) // eslint-disable-line comma-dangle
+      )
+      it('hands groups of chunks to intermediate copies, invoking them early enough for the chunks to start on time', () => {
+        const now = Date.now()
+        const script = { _genesis: 0, _split: { branchingFactor: 2 }, _trace: true }
+        const remainder = { _start: now + 100000 }
+        const plans = [remainder].concat([1, 2, 3, 4, 5].map(i => chunk(now + (i * 1000))))
+        const consoleLogStub = sinon.stub(console, 'log').returns()
+        return handler.impl.fanOut(1, script, settings, plans)
+          .then((results) => {
+            consoleLogStub.restore()
+            expect(implInvokeSelfStub).to.have.been.calledThrice
+            expect(implInvokeSelfStub.getCall(0).args[1]).to.equal(remainder)
+            const groups = implInvokeSelfStub.getCalls().slice(1).map(call => call.args[1])
+            expect(groups.map(group => group._plans)).to.eql([plans.slice(1, 4), plans.slice(4)]) // eslint-disable-line no-underscore-dangle
+            expect(groups[0]).to.include({ _genesis: 0, _start: now + 1000, _invokeType: 'RequestResponse' })
+            expect(groups[0]._split).to.eql(script._split) // eslint-disable-line no-underscore-dangle
+            expect(groups[0]._trace).to.be.true // eslint-disable-line no-underscore-dangle
+            // the group of three chunks is fanned out further by its intermediate, taking an extra time buffer
+            expect(implInvokeSelfStub.getCall(1).args[0]).to.be.within(1000 - 3000 - 1000, 1000 - 3000)
+            expect(implInvokeSelfStub.getCall(2).args[0]).to.be.within(4000 - 2000 - 1000, 4000 - 2000)
+            expect(results).to.eql([now + 100000].concat(plans.slice(1).map(plan => plan._start))) // eslint-disable-line no-underscore-dangle
+          })
+          .catch((ex) => {
+            consoleLogStub.restore()
+            throw ex
+          })
+      })
+      it('reports the chunks of groups whose intermediates failed to report as failed', () => {
+        const consoleErrorStub = sinon.stub(console, 'error').returns()
+        implInvokeSelfStub.callsFake(() => Promise.resolve('Error executing task: Task timed out'))
+        return handler.impl.fanOut(1, {}, settings, [chunk(1), chunk(2), chunk(3)])
+          .then((results) => {
+            consoleErrorStub.restore()
+            expect(results.map(result => result._failedChunk.error)).to.eql([ // eslint-disable-line no-underscore-dangle
+              'Error executing task: Task timed out',
+              'Error executing task: Task timed out',
+              'Error executing task: Task timed out',
+            ])
+          })
+          .catch((ex) => {
+            consoleErrorStub.restore()
+            throw ex
+          })
+      })
+      it('gives intermediates the mode of the script so that they merge the results of their chunks as it requires', () =>
+        handler.impl.fanOut(1, { mode: 'acc' }, settings, [chunk(1), chunk(2), chunk(3)])
+          .then(() => {
+            expect(implInvokeSelfStub.getCall(0).args[1].mode).to.equal('acc')
+          }) // eslint-disable-line comma-dangle
+      )
+      it('reports the chunks of groups whose intermediates could not be invoked as failed', () => {
+        const consoleErrorStub = sinon.stub(console, 'error').returns()
+        implInvokeSelfStub.callsFake(() => Promise.reject(new Error('Rate Exceeded.')))
+        return handler.impl.fanOut(1, {}, settings, [chunk(1), chunk(2), chunk(3)])
+          .then((results) => {
+            consoleErrorStub.restore()
+            expect(results.map(result => result._failedChunk)).to.eql([1, 2, 3].map(start => ({ // eslint-disable-line no-underscore-dangle
+              start,
+              durationInSeconds: 0,
+              arrivals: 0,
+              error: 'Rate Exceeded.',
+            })))
+          })
+          .catch((ex) => {
+            consoleErrorStub.restore()
+            throw ex
+          })
+      })
     })
 
     describe('#execute', () => {
@@ -165,6 +321,71 @@ describe('./lib/lambda/handler.js', () => {
         handler.impl.execute('also not a time', script, defaultSettings)
           .then(() => expect(script._start).to.equal(timeNow)) // eslint-disable-line no-underscore-dangle
       })
+      it('gives task.exec a check of whether the load test was flagged to stop', () => {
+        const implStoppedStub = sinon.stub(handler.impl, 'stopped').returns(Promise.resolve(false))
+        const script = { _genesis: 1 }
+        return handler.impl.execute(Date.now(), script, defaultSettings)
+          .then(() => {
+            const stopped = taskExecStub.getCall(0).args[2]
+            return stopped()
+          })
+          .then(() => {
+            implStoppedStub.restore()
+            expect(implStoppedStub).to.have.been.calledTwice
+            expect(implStoppedStub.getCall(1)).to.have.been.calledWithExactly(script)
+          })
+      })
+      it('gives task.exec a way to flag the load test to stop', () => {
+        const controlStopStub = sinon.stub(func.control, 'stop').returns(Promise.resolve())
+        return handler.impl.execute(Date.now(), { _genesis: 1 }, defaultSettings)
+          .then(() => taskExecStub.getCall(0).args[3]())
+          .then(() => {
+            controlStopStub.restore()
+            expect(controlStopStub).to.have.been.calledWithExactly(1)
+          })
+      })
+      it('does not check again whether chunks that were checked when invoked were flagged to stop', () => {
+        const implStoppedStub = sinon.stub(handler.impl, 'stopped').returns(Promise.resolve(true))
+        return handler.impl.execute(Date.now(), { _genesis: 1, _stopChecked: true }, defaultSettings)
+          .then(() => {
+            implStoppedStub.restore()
+            expect(implStoppedStub).to.not.have.been.called
+            expect(taskExecStub).to.have.been.calledOnce
+          })
+      })
+      it('does not execute the script if its load test was flagged to stop during the delay', () => {
+        const implStoppedStub = sinon.stub(handler.impl, 'stopped').returns(Promise.resolve(true))
+        const consoleLogStub = sinon.stub(console, 'log').returns()
+        return handler.impl.execute(Date.now(), { _genesis: 1 }, defaultSettings)
+          .then((result) => {
+            implStoppedStub.restore()
+            consoleLogStub.restore()
+            expect(result).to.be.undefined
+            expect(taskExecStub).to.not.be.called
+            expect(taskResultStub).to.not.be.called
+          })
+      })
+      it('analyzes the result of the plan as the mode of the script it was planned from requires', () => {
+        const plan = { _genesis: 1, _stopChecked: true, mode: task.def.modes.PERF }
+        const script = { _genesis: 1, mode: task.def.modes.ACC }
+        const analyzed = {}
+        taskResultStub.onSecondCall().returns(analyzed)
+        return expect(handler.impl.execute(Date.now(), plan, defaultSettings, script))
+          .to.eventually.equal(analyzed)
+          .then(() => {
+            expect(taskResultStub).to.have.been.calledTwice
+            expect(taskResultStub.getCall(0).args[1]).to.equal(plan)
+            expect(taskResultStub.getCall(0).args[3]).to.eql([taskExecResult])
+            expect(taskResultStub.getCall(1).args[1]).to.equal(script)
+            expect(taskResultStub.getCall(1).args[3]).to.eql([taskResultResult])
+          })
+      })
+      it('analyzes the result of the plan only once if the script it was planned from has the same mode', () => {
+        const plan = { _genesis: 1, _stopChecked: true, mode: task.def.modes.PERF }
+        return expect(handler.impl.execute(Date.now(), plan, defaultSettings, { mode: task.def.modes.PERF }))
+          .to.eventually.equal(taskResultResult)
+          .then(() => expect(taskResultStub).to.have.been.calledOnce)
+      })
       describe('error logging', () => {
         let consoleErrorStub
         beforeEach(() => {
@@ -260,6 +481,45 @@ describe('./lib/lambda/handler.js', () => {
             expect(implExecuteStub).to.have.been.calledOnce
           })
       })
+      it('executes singular plans that differ in mode from the script in place, giving it the script', () => {
+        const plan = { mode: task.def.modes.PERF }
+        const script = { mode: task.def.modes.ACC }
+        taskPlanStub.returns([plan])
+        return expect(handler.impl.handle(script))
+          .to.eventually.be.fulfilled
+          .then(() => {
+            expect(implDistributeStub).to.not.have.been.called
+            expect(implExecuteStub).to.have.been.calledOnce
+            expect(implExecuteStub.getCall(0).args[1]).to.equal(plan)
+            expect(implExecuteStub.getCall(0).args[3]).to.equal(script)
+          })
+      })
+      it('fans out the plans of intermediate events without validating or planning them', () => {
+        const implFanOutStub = sinon.stub(handler.impl, 'fanOut').returns(Promise.resolve([]))
+        const plans = [{}, {}]
+        return expect(handler.impl.handle({ _plans: plans, mode: 'acc' }))
+          .to.eventually.eql([])
+          .then(() => {
+            implFanOutStub.restore()
+            expect(implFanOutStub.getCall(0).args[3]).to.equal(plans)
+            expect(taskValidStub).to.not.have.been.called
+            expect(taskPlanStub).to.not.have.been.called
+          })
+      })
+      it('merges the performance reports of the plans of intermediate events, keeping failed chunks', () => {
+        const failed = { _failedChunk: { start: 2, durationInSeconds: 1, arrivals: 1, error: 'Rate Exceeded.' } }
+        const report = { requestsCompleted: 1, latencies: [[0, 'a', 1000000, 200]] }
+        const implFanOutStub = sinon.stub(handler.impl, 'fanOut').returns(Promise.resolve([report, failed, report]))
+        return handler.impl.handle({ _plans: [{}, {}, {}] })
+          .then((results) => {
+            implFanOutStub.restore()
+            expect(results.length).to.equal(2)
+            expect(results[0]).to.include({ requestsCompleted: 2 })
+            expect(results[0].chunks).to.eql({ total: 2, reported: 2 })
+            expect(results[0]).to.not.have.property('latencies')
+            expect(results[1]).to.equal(failed)
+          })
+      })
       it('rejects a lack of plans', () => {
         taskPlanStub.returns([])
         expect(handler.impl.handle({}))
@@ -271,6 +531,57 @@ describe('./lib/lambda/handler.js', () => {
             expect(implExecuteStub).to.not.have.been.called
           })
       })
+      it('identifies the plans of the script', () => {
+        const plans = [{}, {}]
+        taskPlanStub.returns(plans)
+        return expect(handler.impl.handle({ _genesis: 1 }))
+          .to.eventually.be.fulfilled
+          .then(() => {
+            expect(plans.map(plan => plan._id)).to.eql([`1.${sha256('1.0')}`, `1.${sha256('1.1')}`]) // eslint-disable-line no-underscore-dangle
+          })
+      })
+      describe('claims', () => {
+        let consoleLogStub
+        beforeEach(() => {
+          func.claim.use(func.claim.stores.memory())
+          consoleLogStub = sinon.stub(console, 'log').returns()
+          taskPlanStub.returns([{}])
+        })
+        afterEach(() => {
+          func.claim.use(undefined)
+          consoleLogStub.restore()
+        })
+        it('executes a chunk once, skipping its redelivery', () =>
+          handler.impl.handle({ _id: '1.0' })
+            .then(() => handler.impl.handle({ _id: '1.0' }))
+            .then((result) => {
+              expect(result).to.be.undefined
+              expect(taskPlanStub).to.have.been.calledOnce
+              expect(implExecuteStub).to.have.been.calledOnce
+              expect(consoleLogStub).to.have.been.calledWithMatch('skipping chunk 1.0')
+            }) // eslint-disable-line comma-dangle
+        )
+        it('executes chunks with differing IDs', () =>
+          handler.impl.handle({ _id: '1.0' })
+            .then(() => handler.impl.handle({ _id: '1.1' }))
+            .then(() => {
+              expect(implExecuteStub).to.have.been.calledTwice
+            }) // eslint-disable-line comma-dangle
+        )
+      })
+    })
+    describe('#identify', () => {
+      it('derives the IDs of the plans from the ID of the script and their positions', () => {
+        expect(handler.impl.identify({ _genesis: 1, _id: '1.2' }, [{}, { _id: '1.2' }]).map(plan => plan._id)) // eslint-disable-line no-underscore-dangle
+          .to.eql([`1.${sha256('1.2.0')}`, `1.${sha256('1.2.1')}`])
+      })
+      it('keeps the IDs of chunks at the end of a long chain of remainders short', () => {
+        let script = { _genesis: 1 }
+        for (let i = 0; i < 1000; i++) {
+          script = handler.impl.identify(script, [{ _genesis: 1 }])[0]
+        }
+        expect(script._id.length).to.equal(66) // eslint-disable-line no-underscore-dangle
+      })
     })
   })
 })
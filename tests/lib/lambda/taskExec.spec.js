@@ -118,6 +118,117 @@ describe('./lib/lambda/taskExec.js', () => {
       })
     })
 
+    describe('#truncateBody', () => {
+      it('truncates long bodies', () => {
+        const body = 'a'.repeat(3000)
+        expect(taskExec.impl.truncateBody(body)).to.equal(`${'a'.repeat(1024)}...`)
+      })
+      it('stringifies parsed bodies', () => {
+        expect(taskExec.impl.truncateBody({ id: 1 })).to.equal('{"id":1}')
+      })
+      it('ignores empty bodies', () => {
+        expect(taskExec.impl.truncateBody('')).to.be.undefined
+        expect(taskExec.impl.truncateBody()).to.be.undefined
+      })
+    })
+    describe('#recordSteps', () => {
+      it('adds hooks, ahead of the script\'s own, that record each request and its response', () => {
+        const own = () => {}
+        const steps = []
+        script = {
+          config: { processor: { own } },
+          scenarios: [{ afterResponse: 'own', flow: [] }],
+        }
+        taskExec.impl.recordSteps(script, steps)
+        expect(script.config.processor.own).to.equal(own)
+        expect(script.scenarios[0].beforeRequest).to.eql(['_slsartRecordRequest'])
+        expect(script.scenarios[0].afterResponse).to.eql(['_slsartRecordResponse', 'own'])
+        const next = sinon.stub()
+        const recordRequest = script.config.processor[script.scenarios[0].beforeRequest[0]]
+        const recordResponse = script.config.processor[script.scenarios[0].afterResponse[0]]
+        recordRequest({
+          method: 'post',
+          url: '/users',
+          capture: { json: '$.id', as: 'id' },
+          match: { json: '$.name', value: 'foo' },
+        }, {}, {}, next)
+        recordResponse({ url: 'https://example.com/users' }, { statusCode: 201, body: { id: 1 } }, {}, {}, next)
+        expect(next).to.have.been.calledTwice
+        expect(steps.length).to.equal(1)
+        expect(steps[0]).to.include({ method: 'POST', url: 'https://example.com/users', statusCode: 201, body: '{"id":1}' })
+        expect(steps[0].capture).to.eql(['id'])
+        expect(steps[0].match).to.eql({ json: '$.name', value: 'foo' })
+        expect(steps[0].latency).to.be.at.least(0)
+      })
+    })
+    describe('#completeSteps', () => {
+      const steps = () => [
+        { method: 'GET', url: '/a', startedAt: 1, statusCode: 200, latency: 1, body: 'a' },
+        { method: 'GET', url: '/b', startedAt: 2, statusCode: 404, latency: 1, body: 'b' },
+        { method: 'GET', url: '/c', startedAt: 3 },
+      ]
+      it('marks the last step of a failed flow as the failed step', () => {
+        expect(taskExec.impl.completeSteps(steps(), { errors: { ETIMEDOUT: 1 } })).to.eql([
+          { method: 'GET', url: '/a', statusCode: 200, latency: 1 },
+          { method: 'GET', url: '/b', statusCode: 404, latency: 1, body: 'b' },
+          { method: 'GET', url: '/c', failed: true, error: 'ETIMEDOUT' },
+        ])
+      })
+      it('marks no step of a successful flow as failed', () => {
+        const completed = taskExec.impl.completeSteps(steps(), { errors: {} })
+        expect(completed.some(step => step.failed)).to.be.false
+      })
+    })
+    describe('#errorRate', () => {
+      it('determines the ratio of requests that errored or received a 5XX status code', () => {
+        expect(taskExec.impl.errorRate([
+          { requestsCompleted: 6, codes: { 200: 5, 503: 1 }, errors: { ETIMEDOUT: 2 } },
+          { requestsCompleted: 2, codes: { 404: 2 }, errors: {} },
+        ])).to.equal(0.3)
+      })
+      it('reports no errors when no request was sent', () => {
+        expect(taskExec.impl.errorRate([{ requestsCompleted: 0, codes: {}, errors: {} }])).to.equal(0)
+      })
+    })
+    describe('#watchErrorRate', () => {
+      let clock
+      beforeEach(() => {
+        clock = sinon.useFakeTimers()
+      })
+      afterEach(() => {
+        clock.restore()
+      })
+      const stats = (requestsCompleted, codes, errors) => ({ report: () => ({ requestsCompleted, codes, errors }) })
+      it('trips once the error rate within the trailing window reaches the threshold', () => {
+        const runner = new EventEmitter()
+        const trip = sinon.stub()
+        taskExec.impl.watchErrorRate({ config: { abortOn: { errorRate: 0.5, windowSeconds: 30 } } }, runner, trip)
+        runner.emit('stats', stats(10, { 200: 10 }, {}))
+        clock.tick(10000)
+        runner.emit('stats', stats(6, { 200: 6 }, { ETIMEDOUT: 4 }))
+        expect(trip).to.not.have.been.called
+        clock.tick(25000) // the first stats leave the window
+        runner.emit('stats', stats(4, { 503: 4 }, { ETIMEDOUT: 2 }))
+        expect(trip).to.have.been.calledOnce
+        expect(trip).to.have.been.calledWithExactly(0.625)
+      })
+    })
+    describe('#abortRequests', () => {
+      it('adds a hook, ahead of the script\'s own, that fails requests once the circuit breaker trips', () => {
+        let tripped = false
+        script = { config: { processor: { mine: () => {} } }, scenarios: [{ flow: [], beforeRequest: 'mine' }] }
+        taskExec.impl.abortRequests(script, () => tripped)
+        expect(script.scenarios[0].beforeRequest).to.eql(['_slsartAbortRequest', 'mine'])
+        expect(script.config.processor.mine).to.be.a('function')
+        const hook = script.config.processor._slsartAbortRequest // eslint-disable-line no-underscore-dangle
+        const next = sinon.stub()
+        hook({}, {}, {}, next)
+        tripped = true
+        hook({}, {}, {}, next)
+        expect(next.getCall(0).args[0]).to.be.undefined
+        expect(next.getCall(1).args[0].message).to.equal('EABORTED')
+      })
+    })
     describe('#execLoad', () => {
       let loadProcessorStub
       let readPayloadStub
@@ -185,6 +296,91 @@ describe('./lib/lambda/taskExec.js', () => {
         runner.emit('done', report)
         return ret
       })
+      it('reports the steps recorded for scripts requesting diagnostics', () => {
+        script = { _diagnostics: true, config: {}, scenarios: [{ flow: [] }] }
+        const report = { errors: {} }
+        const ret = taskExec.impl.execLoad(1, script)
+          .then((result) => {
+            expect(result.steps).to.eql([])
+            expect(script.scenarios[0].beforeRequest).to.eql(['_slsartRecordRequest'])
+          })
+        runner.emit('done', report)
+        return ret
+      })
+      it('executes failing flows again, up to the number of retries, reporting the failed attempts', () => {
+        const runners = []
+        runnerStub.callsFake(() => {
+          const flowRunner = new EventEmitter()
+          flowRunner.run = () => {}
+          runners.push(flowRunner)
+          return flowRunner
+        })
+        script = { _retries: 2, config: {}, scenarios: [{ flow: [] }] }
+        const ret = taskExec.impl.execLoad(1, script)
+          .then((result) => {
+            expect(runnerStub).to.have.been.calledTwice
+            expect(result.errors).to.eql({})
+            expect(result.attempts).to.equal(2)
+            expect(result.failedAttempts).to.eql([{ ETIMEDOUT: 1 }])
+          })
+        runners[0].emit('done', { errors: { ETIMEDOUT: 1 } })
+        runners[1].emit('done', { errors: {} })
+        return ret
+      })
+      it('reports flows that fail every attempt', () => {
+        const runners = []
+        runnerStub.callsFake(() => {
+          const flowRunner = new EventEmitter()
+          flowRunner.run = () => {}
+          runners.push(flowRunner)
+          return flowRunner
+        })
+        script = { _retries: 1, config: {}, scenarios: [{ flow: [] }] }
+        const ret = taskExec.impl.execLoad(1, script)
+          .then((result) => {
+            expect(result.errors).to.eql({ ETIMEDOUT: 1 })
+            expect(result.attempts).to.equal(2)
+            expect(result.failedAttempts).to.eql([{ ETIMEDOUT: 1 }])
+          })
+        runners[0].emit('done', { errors: { ETIMEDOUT: 1 } })
+        runners[1].emit('done', { errors: { ETIMEDOUT: 1 } })
+        return ret
+      })
+      it('fails further requests, flags the load test to stop, and reports the trip once the circuit breaker trips', () => {
+        const consoleLogStub = sinon.stub(console, 'log').returns()
+        const stop = sinon.stub().returns(Promise.resolve())
+        script = { config: { abortOn: { errorRate: 0.2 } }, scenarios: [{ flow: [] }] }
+        const ret = taskExec.impl.execLoad(1, script, stop)
+          .then((result) => {
+            consoleLogStub.restore()
+            expect(stop).to.have.been.calledOnce
+            expect(result.aborted).to.eql({ errorRate: 0.5, threshold: 0.2, windowSeconds: 30 })
+            expect(script.scenarios[0].beforeRequest).to.eql(['_slsartAbortRequest'])
+          })
+        const stats = { report: () => ({ requestsCompleted: 2, codes: { 500: 1, 200: 1 }, errors: {} }) }
+        runner.emit('stats', stats)
+        runner.emit('stats', stats)
+        runner.emit('done', { errors: {} })
+        return ret
+      })
+      it('reports the failure to flag the load test to stop once the circuit breaker trips', () => {
+        const consoleLogStub = sinon.stub(console, 'log').returns()
+        const consoleErrorStub = sinon.stub(console, 'error').returns()
+        const stop = sinon.stub().returns(Promise.reject(new Error('AccessDeniedException: ssm:PutParameter')))
+        script = { config: { abortOn: { errorRate: 0.2 } }, scenarios: [{ flow: [] }] }
+        const ret = taskExec.impl.execLoad(1, script, stop)
+          .then((result) => {
+            consoleLogStub.restore()
+            consoleErrorStub.restore()
+            expect(stop).to.have.been.calledOnce
+            expect(result.aborted.stopError).to.equal('AccessDeniedException: ssm:PutParameter')
+            expect(consoleErrorStub).to.have.been.calledWithMatch('error flagging load test')
+          })
+        const stats = { report: () => ({ requestsCompleted: 2, codes: { 500: 1, 200: 1 }, errors: {} }) }
+        runner.emit('stats', stats)
+        runner.emit('done', { errors: {} })
+        return ret
+      })
       it('handled exepected errors in the artillery runner or runner event invocations', () => {
         script = {}
         runnerStub.throws()
@@ -201,5 +397,150 @@ describe('./lib/lambda/taskExec.js', () => {
           })
       })
     })
+    describe('#combinePhases', () => {
+      const phaseReport = count => ({
+        scenariosCreated: count,
+        scenariosCompleted: count,
+        requestsCompleted: count,
+        rps: { count, mean: count },
+        errors: {},
+        codes: { 200: count },
+        latencies: [],
+      })
+      const phases = () => ({ config: { phases: [{ duration: 10 }, { pause: 10 }, { duration: 20 }] } })
+      it('combines the reports of the executed phases, averaging the rate over their durations', () => {
+        const report = taskExec.impl.combinePhases(phases(), [phaseReport(10), phaseReport(0), phaseReport(50)])
+        expect(report.requestsCompleted).to.equal(60)
+        expect(report.codes).to.eql({ 200: 60 })
+        expect(report.rps).to.eql({ count: 60, mean: 1.5 })
+        expect(report.chunks).to.be.undefined
+        expect(report.stopped).to.be.undefined
+      })
+      it('marks reports of load tests that were stopped before some phases', () => {
+        const report = taskExec.impl.combinePhases(phases(), [phaseReport(10), undefined, undefined])
+        expect(report.rps).to.eql({ count: 10, mean: 1 })
+        expect(report.stopped).to.be.true
+        expect(report.skippedPhases).to.equal(2)
+      })
+      it('combines the scenario durations and custom stats of the phases, bounding their percentiles', () => {
+        const first = Object.assign(phaseReport(10), {
+          scenarioDuration: { min: 5, max: 50, median: 10, p95: 40, p99: 45 },
+          customStats: { size: { min: 1, max: 9, median: 5, p95: 8, p99: 9 } },
+          concurrency: 4,
+          pendingRequests: 1,
+        })
+        const last = Object.assign(phaseReport(50), {
+          scenarioDuration: { min: 2, max: 30, median: 12, p95: 25, p99: 28 },
+          customStats: { size: { min: 3, max: 7, median: 6, p95: 7, p99: 7 }, time: { min: 1, max: 1, median: 1, p95: 1, p99: 1 } },
+          concurrency: 0,
+          pendingRequests: 0,
+        })
+        const report = taskExec.impl.combinePhases(phases(), [first, phaseReport(0), last])
+        expect(report.scenarioDuration).to.eql({ min: 2, max: 50, median: 12, p95: 40, p99: 45 })
+        expect(report.customStats).to.eql({
+          size: { min: 1, max: 9, median: 6, p95: 8, p99: 9 },
+          time: { min: 1, max: 1, median: 1, p95: 1, p99: 1 },
+        })
+        expect(report.concurrency).to.equal(0)
+        expect(report.pendingRequests).to.equal(0)
+      })
+      it('leaves the scenario durations of phases that completed no scenarios as Artillery reports them', () => {
+        const empty = { min: NaN, max: NaN, median: NaN, p95: NaN, p99: NaN }
+        const report = taskExec.impl.combinePhases(phases(), [
+          Object.assign(phaseReport(0), { scenarioDuration: empty }), undefined, undefined,
+        ])
+        expect(report.scenarioDuration).to.equal(empty)
+      })
+      it('reports nothing if no phase was executed', () => {
+        expect(taskExec.impl.combinePhases(phases(), [undefined, undefined, undefined])).to.be.undefined
+      })
+    })
+    describe('#execPhases', () => {
+      let execLoadStub
+      let setTimeoutStub
+      let consoleLogStub
+      beforeEach(() => {
+        execLoadStub = sinon.stub(taskExec.impl, 'execLoad').callsFake((timeNow, phaseScript) =>
+          Promise.resolve({ phases: phaseScript.config.phases }) // eslint-disable-line comma-dangle
+        )
+        setTimeoutStub = sinon.stub(global, 'setTimeout').callsFake(callback => process.nextTick(callback))
+        consoleLogStub = sinon.stub(console, 'log').returns()
+      })
+      afterEach(() => {
+        execLoadStub.restore()
+        setTimeoutStub.restore()
+        consoleLogStub.restore()
+      })
+      const phases = () => ({ config: { phases: [{ duration: 10 }, { pause: 5 }, { duration: 20 }] } })
+      it('executes scripts with a single runner when there is no check of whether to stop', () =>
+        taskExec.impl.execPhases(1, phases())
+          .then(() => {
+            expect(execLoadStub).to.have.been.calledOnce
+            expect(execLoadStub.getCall(0).args[1].config.phases.length).to.equal(3)
+          }) // eslint-disable-line comma-dangle
+      )
+      it('executes scripts of a single phase with a single runner', () =>
+        taskExec.impl.execPhases(1, { config: { phases: [{ duration: 10 }] } }, () => Promise.resolve(false))
+          .then(() => expect(execLoadStub).to.have.been.calledOnce) // eslint-disable-line comma-dangle
+      )
+      it('executes each phase with a runner of its own, started when the phase is due', () => {
+        const combinePhasesStub = sinon.stub(taskExec.impl, 'combinePhases').returns({})
+        return taskExec.impl.execPhases(1, phases(), () => Promise.resolve(false))
+          .then(() => {
+            combinePhasesStub.restore()
+            expect(execLoadStub).to.have.been.calledThrice
+            expect(execLoadStub.getCalls().map(call => call.args[1].config.phases)).to.eql([
+              [{ index: 0, duration: 10 }],
+              [{ index: 1, pause: 5 }],
+              [{ index: 2, duration: 20 }],
+            ])
+            const delays = setTimeoutStub.getCalls().map(call => call.args[1])
+            expect(delays[1] - delays[0]).to.be.within(9990, 10000)
+            expect(delays[2] - delays[0]).to.be.within(14990, 15000)
+          })
+      })
+      it('gives each runner a copy of the scenarios, to which it adds its hooks', () => {
+        const combinePhasesStub = sinon.stub(taskExec.impl, 'combinePhases').returns({})
+        const given = Object.assign(phases(), { scenarios: [{ flow: [{ get: { url: '/' } }] }] })
+        return taskExec.impl.execPhases(1, given, () => Promise.resolve(false))
+          .then(() => {
+            combinePhasesStub.restore()
+            const scenarios = execLoadStub.getCalls().map(call => call.args[1].scenarios)
+            scenarios.forEach((copy) => {
+              expect(copy).to.eql(given.scenarios)
+              expect(copy).to.not.equal(given.scenarios)
+              expect(copy[0]).to.not.equal(given.scenarios[0])
+            })
+            expect(scenarios[0]).to.not.equal(scenarios[1])
+          })
+      })
+      it('skips the remaining phases once the load test is flagged to stop', () => {
+        const combinePhasesStub = sinon.stub(taskExec.impl, 'combinePhases').returns({})
+        const stopped = sinon.stub()
+        stopped.onCall(0).returns(Promise.resolve(false))
+        stopped.returns(Promise.resolve(true))
+        return taskExec.impl.execPhases(1, phases(), stopped)
+          .then(() => {
+            combinePhasesStub.restore()
+            expect(execLoadStub).to.have.been.calledOnce
+            expect(combinePhasesStub.getCall(0).args[1]).to.eql([{ phases: [{ index: 0, duration: 10 }] }, undefined, undefined])
+          })
+      })
+      it('skips the remaining phases once a phase trips its circuit breaker', () => {
+        const combinePhasesStub = sinon.stub(taskExec.impl, 'combinePhases').returns({})
+        const stop = sinon.stub().returns(Promise.resolve())
+        execLoadStub.onCall(0).callsFake((timeNow, phaseScript, abort) => Promise.resolve(abort()).then(() => ({})))
+        setTimeoutStub.callsFake((callback, milliseconds) => setImmediate(() => // later phases are due after the first
+          (milliseconds ? setImmediate(callback) : callback())) // eslint-disable-line comma-dangle
+        )
+        return taskExec.impl.execPhases(1, phases(), () => Promise.resolve(false), stop)
+          .then(() => {
+            combinePhasesStub.restore()
+            expect(stop).to.have.been.calledOnce
+            expect(execLoadStub).to.have.been.calledOnce
+            expect(combinePhasesStub.getCall(0).args[1]).to.eql([{}, undefined, undefined])
+          })
+      })
+    })
   })
 })
@@ -0,0 +1,60 @@
+const chai = require('chai')
+const path = require('path')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const func = require(path.join('..', '..', '..', 'lib', 'lambda', 'func.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const task = require(path.join('..', '..', '..', 'lib', 'lambda', 'task.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const taskMode = require(path.join('..', '..', '..', 'lib', 'lambda', 'taskMode.js'))
+
+const defaultSettings = func.def.getSettings()
+
+const customMode = path.join(__dirname, 'custommode.js')
+
+describe('./lib/lambda/taskMode.js', () => {
+  describe(':impl', () => {
+    describe('#register', () => {
+      afterEach(() => {
+        delete taskMode.registry.test
+      })
+      it('merges the given implementation into that already registered for each given mode', () => {
+        const valid = () => []
+        const plan = () => []
+        taskMode.register(['test'], { valid })
+        taskMode.register(['test'], { plan })
+        expect(taskMode.registry.test).to.eql({ valid, plan })
+      })
+    })
+    describe('#resolve', () => {
+      it('resolves every built in mode, performance mode by default', () => {
+        Object.keys(task.def.modes).forEach((key) => {
+          const mode = taskMode({ mode: task.def.modes[key] })
+          expect(Object.keys(mode).sort()).to.eql(['exec', 'merge', 'plan', 'result', 'valid'])
+        })
+        expect(taskMode({})).to.eql(taskMode({ mode: task.def.modes.PERF }))
+      })
+      it('loads custom modes, doing what they do not implement as the performance mode does', () => {
+        const mode = taskMode({ mode: customMode })
+        expect(mode.valid).to.equal(require(customMode).valid) // eslint-disable-line global-require, import/no-dynamic-require
+        expect(mode.plan).to.equal(taskMode({}).plan)
+        expect(mode.exec).to.equal(taskMode({}).exec)
+      })
+      it('rejects custom modes that cannot be loaded with a TaskError', () => {
+        expect(() => taskMode({ mode: './missing-mode.js' })).to.throw(task.def.TaskError, 'could not be loaded')
+      })
+    })
+  })
+  describe(':exports', () => {
+    it('drives the validation and results of scripts in custom modes', () => {
+      const script = { mode: customMode, config: { phases: [{ duration: 1, arrivalRate: 1 }] } }
+      expect(task.valid.problems(defaultSettings, script)).to.eql([{ path: '$.config.smoke', message: 'smoke is required' }])
+      script.config.smoke = true
+      expect(task.valid.problems(defaultSettings, script)).to.eql([])
+      expect(task.plan(1, script, defaultSettings).length).to.equal(1)
+      expect(task.result(1, script, defaultSettings, [{}, {}])).to.eql({ smoked: 2 })
+    })
+  })
+})
@@ -0,0 +1,290 @@
+const aws = require('aws-sdk')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const http = require('http')
+const path = require('path')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const def = require(path.join('..', '..', '..', 'lib', 'lambda', 'taskDef.js'))
+// eslint-disable-next-line import/no-dynamic-require
+const taskMonitor = require(path.join('..', '..', '..', 'lib', 'lambda', 'taskMonitor.js'))
+
+describe('./lib/lambda/taskMonitor.js', () => {
+  let makeRequestStub
+  beforeEach(() => {
+    makeRequestStub = sinon.stub(aws.Service.prototype, 'makeRequest')
+    makeRequestStub.callsFake(() => ({ promise: () => Promise.resolve({}) }))
+  })
+  afterEach(() => {
+    makeRequestStub.restore()
+  })
+  describe(':impl', () => {
+    describe('#flows', () => {
+      it('pairs each flow with its report, failing flows that did not report a result', () => {
+        const script = {
+          mode: def.modes.MONITORING,
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'login', flow: [{ post: { url: '/login' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const result = { errors: 0, passed: 1, failed: 0, flaky: 0, reports: [{ errors: {}, outcome: def.outcomes.PASSED }] }
+        expect(taskMonitor.impl.flows(script, result)).to.eql([
+          { name: 'login', report: result.reports[0], failed: false },
+          { name: 'flow 2', report: undefined, failed: true },
+        ])
+      })
+    })
+    describe('#metricData', () => {
+      it('describes the outcome of each flow and the totals, counting flaky flows as passed', () => {
+        const script = {
+          mode: def.modes.MONITORING,
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'login', flow: [{ post: { url: '/login' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const result = {
+          errors: 1,
+          passed: 0,
+          failed: 1,
+          flaky: 1,
+          reports: [
+            { errors: {}, attempts: 2, outcome: def.outcomes.FLAKY },
+            { errors: { ETIMEDOUT: 1 }, outcome: def.outcomes.FAILED },
+          ],
+        }
+        const data = taskMonitor.impl.metricData(script, taskMonitor.impl.flows(script, result))
+        expect(data.map(datum => [datum.MetricName, datum.Value, datum.Dimensions.map(dimension => dimension.Value)]))
+          .to.eql([
+            ['Passed', 1, ['https://example.com', 'login']],
+            ['Failed', 0, ['https://example.com', 'login']],
+            ['Passed', 0, ['https://example.com', 'flow 2']],
+            ['Failed', 1, ['https://example.com', 'flow 2']],
+            ['Passed', 1, ['https://example.com']],
+            ['Failed', 1, ['https://example.com']],
+          ])
+      })
+    })
+    describe('#publishMetrics', () => {
+      it('publishes the metric data in batches under the configured namespace', () => {
+        const script = {
+          mode: def.modes.MONITORING,
+          config: { target: 'https://example.com', monitoring: { namespace: 'my-service' } },
+          scenarios: [],
+        }
+        const reports = []
+        for (let i = 0; i < 10; i++) {
+          script.scenarios.push({ flow: [{ get: { url: '/' } }] })
+          reports.push({ errors: {}, outcome: def.outcomes.PASSED })
+        }
+        return taskMonitor.impl.publishMetrics(script, taskMonitor.impl.flows(script, { reports }))
+          .then(() => {
+            expect(makeRequestStub).to.have.been.calledTwice
+            expect(makeRequestStub.getCall(0).args[0]).to.equal('putMetricData')
+            expect(makeRequestStub.getCall(0).args[1].Namespace).to.equal('my-service')
+            expect(makeRequestStub.getCall(0).args[1].MetricData.length).to.equal(def.monitoring.MAX_METRICS_PER_REQUEST)
+            expect(makeRequestStub.getCall(1).args[1].MetricData.length).to.equal(2)
+          })
+      })
+    })
+    describe('#describeFailures', () => {
+      it('names the failed flows and their errors', () => {
+        const script = {
+          mode: def.modes.MONITORING,
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'login', flow: [{ post: { url: '/login' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const result = {
+          errors: 1,
+          passed: 1,
+          failed: 1,
+          flaky: 0,
+          reports: [
+            { errors: {}, outcome: def.outcomes.PASSED },
+            { errors: { ETIMEDOUT: 1 }, outcome: def.outcomes.FAILED },
+          ],
+        }
+        const alert = taskMonitor.impl.describeFailures(script, taskMonitor.impl.flows(script, result))
+        expect(alert.subject).to.equal('1 monitored flow failed against https://example.com')
+        expect(alert.message).to.equal('1 monitored flow failed against https://example.com:\nflow 2: ETIMEDOUT (1)')
+        expect(alert.failures).to.eql([{ flow: 'flow 2', errors: { ETIMEDOUT: 1 } }])
+      })
+    })
+    describe('#postWebhook', () => {
+      let server
+      let received
+      let statusCode
+      let respond
+      beforeEach((done) => {
+        statusCode = 200
+        respond = true
+        server = http.createServer((req, res) => {
+          let body = ''
+          req.on('data', (chunk) => { body += chunk })
+          req.on('end', () => {
+            received = { method: req.method, type: req.headers['content-type'], body: JSON.parse(body) }
+            res.statusCode = statusCode
+            if (respond) {
+              res.end()
+            }
+          })
+        })
+        server.listen(0, '127.0.0.1', done)
+      })
+      afterEach((done) => {
+        server.close(done)
+      })
+      it('POSTs the given body as JSON', () =>
+        taskMonitor.impl.postWebhook(`http://127.0.0.1:${server.address().port}/hook`, { text: 'down' })
+          .then(() => {
+            expect(received).to.eql({ method: 'POST', type: 'application/json', body: { text: 'down' } })
+          }) // eslint-disable-line comma-dangle
+      )
+      it('rejects responses with error status codes', () => {
+        statusCode = 500
+        return expect(taskMonitor.impl.postWebhook(`http://127.0.0.1:${server.address().port}/hook`, {}))
+          .to.be.rejectedWith('The webhook responded with status code 500')
+      })
+      it('rejects webhooks that do not respond in time', () => {
+        respond = false
+        return expect(taskMonitor.impl.postWebhook(`http://127.0.0.1:${server.address().port}/hook`, {}, 50))
+          .to.be.rejectedWith('The webhook did not respond within 50 milliseconds')
+      })
+    })
+    describe('#monitor', () => {
+      it('publishes metrics and alerts the configured topic of failures, resolving to the result', () => {
+        const script = {
+          mode: def.modes.MONITORING,
+          config: {
+            target: 'https://example.com',
+            monitoring: { topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' },
+          },
+          scenarios: [{ flow: [{ get: { url: '/status' } }] }],
+        }
+        const result = {
+          errors: 1,
+          passed: 0,
+          failed: 1,
+          flaky: 0,
+          reports: [{ errors: { ETIMEDOUT: 1 }, outcome: def.outcomes.FAILED }],
+        }
+        return taskMonitor.impl.monitor(script, result)
+          .then((monitored) => {
+            expect(monitored).to.equal(result)
+            expect(makeRequestStub.getCalls().map(call => call.args[0])).to.eql(['putMetricData', 'publish'])
+            expect(makeRequestStub.getCall(1).args[1]).to.include({
+              TopicArn: 'arn:aws:sns:us-east-1:123456789012:alerts',
+              Subject: '1 monitored flow failed against https://example.com',
+            })
+          })
+      })
+      it('does not alert when every flow passed', () => {
+        const script = {
+          mode: def.modes.MONITORING,
+          config: {
+            target: 'https://example.com',
+            monitoring: { topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' },
+          },
+          scenarios: [{ flow: [{ get: { url: '/status' } }] }],
+        }
+        const result = { errors: 0, passed: 1, failed: 0, flaky: 0, reports: [{ errors: {}, outcome: def.outcomes.PASSED }] }
+        return taskMonitor.impl.monitor(script, result)
+          .then(() => {
+            expect(makeRequestStub.getCalls().map(call => call.args[0])).to.eql(['putMetricData'])
+          })
+      })
+      it('publishes nothing for scripts executed locally or simulated', () => {
+        const local = {
+          mode: def.modes.MONITORING,
+          config: {
+            target: 'https://example.com',
+            monitoring: { topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' },
+          },
+          scenarios: [{ flow: [{ get: { url: '/status' } }] }],
+          _local: true,
+        }
+        const simulated = {
+          mode: def.modes.MONITORING,
+          config: {
+            target: 'https://example.com',
+            monitoring: { topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts', webhook: 'http://127.0.0.1:1/hook' },
+          },
+          scenarios: [{ flow: [{ get: { url: '/status' } }] }],
+          _simulation: true,
+        }
+        const result = {
+          errors: 1,
+          passed: 0,
+          failed: 1,
+          flaky: 0,
+          reports: [{ errors: { ETIMEDOUT: 1 }, outcome: def.outcomes.FAILED }],
+        }
+        return taskMonitor.impl.monitor(local, result)
+          .then(() => taskMonitor.impl.monitor(simulated, result))
+          .then(() => {
+            expect(makeRequestStub).to.not.have.been.called
+          })
+      })
+      describe('error logging', () => {
+        let consoleErrorStub
+        beforeEach(() => {
+          consoleErrorStub = sinon.stub(console, 'error').returns()
+        })
+        afterEach(() => {
+          consoleErrorStub.restore()
+        })
+        it('logs and rejects failures to publish', () => {
+          makeRequestStub.callsFake(() => ({ promise: () => Promise.reject(new Error('AccessDenied')) }))
+          const script = {
+            mode: def.modes.MONITORING,
+            config: { target: 'https://example.com' },
+            scenarios: [{ flow: [{ get: { url: '/status' } }] }],
+          }
+          const result = { errors: 0, passed: 1, failed: 0, flaky: 0, reports: [{ errors: {}, outcome: def.outcomes.PASSED }] }
+          return expect(taskMonitor.impl.monitor(script, result))
+            .to.be.rejectedWith('ERROR publishing monitoring results: AccessDenied')
+            .then(() => expect(consoleErrorStub).to.have.been.called)
+        })
+        it('alerts of failures even when the metrics cannot be published', () => {
+          makeRequestStub.callsFake(operation => ({
+            promise: () => (operation === 'putMetricData' ? Promise.reject(new Error('Throttling')) : Promise.resolve({})),
+          }))
+          const script = {
+            mode: def.modes.MONITORING,
+            config: {
+              target: 'https://example.com',
+              monitoring: { topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' },
+            },
+            scenarios: [{ flow: [{ get: { url: '/status' } }] }],
+          }
+          const result = {
+            errors: 1,
+            passed: 0,
+            failed: 1,
+            flaky: 0,
+            reports: [{ errors: { ETIMEDOUT: 1 }, outcome: def.outcomes.FAILED }],
+          }
+          return expect(taskMonitor.impl.monitor(script, result))
+            .to.be.rejectedWith('ERROR publishing monitoring results: Throttling')
+            .then(() => {
+              expect(makeRequestStub.getCalls().map(call => call.args[0])).to.eql(['putMetricData', 'publish'])
+              expect(consoleErrorStub).to.have.been.calledWith('Error publishing monitoring metrics:')
+            })
+        })
+      })
+    })
+  })
+})
@@ -67,6 +67,33 @@ describe('./lib/lambda/taskPlan.js', () => {
       })
     })
 
+    describe('#phaseArrivals', () => {
+      it('estimates the arrivals of constant rate, ramping, and counted phases', () => {
+        expect(task.plan.impl.phaseArrivals({ duration: 10, arrivalRate: 5 })).to.equal(50)
+        expect(task.plan.impl.phaseArrivals({ duration: 10, arrivalRate: 0, rampTo: 5 })).to.equal(25)
+        expect(task.plan.impl.phaseArrivals({ duration: 10, arrivalCount: 7 })).to.equal(7)
+      })
+      it('estimates no arrivals for pauses and invalid phases', () => {
+        expect(task.plan.impl.phaseArrivals({ pause: 10 })).to.equal(0)
+        expect(task.plan.impl.phaseArrivals({})).to.equal(0)
+      })
+    })
+
+    describe('#scriptArrivals', () => {
+      it('sums the arrivals of the phases of a script', () => {
+        script = {
+          config: {
+            phases: [
+              { duration: 10, arrivalRate: 5 },
+              { pause: 10 },
+              { duration: 10, arrivalCount: 7 },
+            ],
+          },
+        }
+        expect(task.plan.impl.scriptArrivals(script)).to.equal(57)
+      })
+    })
+
     describe('#scriptDurationInSeconds', () => {
       it('detects and reports the index of invalid phases in a script', () => {
         script = {
@@ -987,7 +1014,49 @@ describe('./lib/lambda/taskPlan.js', () => {
     /**
      * SPLIT SCRIPT BY FLOW
      */
+    describe('#selectFlows', () => {
+      const filtered = filter => ({
+        _filter: filter,
+        scenarios: [
+          { name: 'login', tags: ['auth', 'smoke'], flow: [{ get: { url: '/login' } }] },
+          { name: 'browse', tags: ['smoke'] },
+          { flow: [{ get: { url: '/items' } }] },
+          { name: 'checkout', flow: [{ post: { url: '/cart' } }] },
+        ],
+      })
+      it('selects every flow, composing flows given as a series of entries, without a filter', () => {
+        expect(task.plan.impl.selectFlows(filtered())).to.eql([
+          [filtered().scenarios[0]],
+          [filtered().scenarios[1], filtered().scenarios[2]],
+          [filtered().scenarios[3]],
+        ])
+      })
+      it('selects the flows of scenarios with the given names', () => {
+        expect(task.plan.impl.selectFlows(filtered({ flows: ['browse', 'checkout'] })).length).to.equal(2)
+      })
+      it('selects the flows of scenarios with any of the given tags', () => {
+        expect(task.plan.impl.selectFlows(filtered({ tags: ['smoke'] })).length).to.equal(2)
+        expect(task.plan.impl.selectFlows(filtered({ tags: ['auth', 'cart'] }))).to.eql([[filtered().scenarios[0]]])
+      })
+      it('selects the flows matching both the given names and tags', () => {
+        expect(task.plan.impl.selectFlows(filtered({ flows: ['login', 'checkout'], tags: ['smoke'] })))
+          .to.eql([[filtered().scenarios[0]]])
+      })
+    })
     describe('#splitScriptByFlow', () => {
+      it('splits only the flows selected by the script\'s filter', () => {
+        const scripts = task.plan.impl.splitScriptByFlow({
+          mode: 'acc',
+          _filter: { flows: ['two'] },
+          config: { target: 'https://aws.amazon.com' },
+          scenarios: [
+            { name: 'one', flow: [{ get: { url: '/1' } }] },
+            { name: 'two', flow: [{ get: { url: '/2' } }] },
+          ],
+        })
+        expect(scripts.length).to.equal(1)
+        expect(scripts[0].scenarios).to.eql([{ name: 'two', flow: [{ get: { url: '/2' } }] }])
+      })
       it('splits a script with 1 flow correctly, changing duration and arrivalRate to 1', () => {
         const newScript = {
           mode: 'acc',
@@ -1085,6 +1154,63 @@ describe('./lib/lambda/taskPlan.js', () => {
       })
     })
 
+    // #############
+    // ## WAITING ##
+    // #############
+    describe('#waitConstraints', () => {
+      it('allows the lesser of the wait and the chunk duration, requiring a time buffer for scripts that are split', () => {
+        const phases = (duration, arrivalRate) => ({ config: { phases: [{ duration, arrivalRate }] } })
+        expect(task.plan.impl.waitConstraints(phases(10, 5), defaultSettings, 120)).to.eql({ allowance: 118, required: 13 })
+        expect(task.plan.impl.waitConstraints(phases(10, 5), defaultSettings, 310)).to.eql({ allowance: 238, required: 13 })
+        expect(task.plan.impl.waitConstraints(phases(10, 26), defaultSettings, 120)).to.eql({ allowance: 118, required: 28 })
+      })
+    })
+    describe('#invocationType', () => {
+      it('waits for results required within the time allowed and for every acceptance or monitoring mode script', () => {
+        expect(task.plan.impl.invocationType({}, { allowance: 2, required: 2 })).to.equal('RequestResponse')
+        expect(task.plan.impl.invocationType({}, { allowance: 2, required: 3 })).to.equal('Event')
+        expect(task.plan.impl.invocationType({ mode: 'acc' }, { allowance: 2, required: 3 })).to.equal('RequestResponse')
+        expect(task.plan.impl.invocationType({ mode: 'monitoring' }, { allowance: 2, required: 3 })).to.equal('RequestResponse')
+      })
+    })
+    // #################
+    // ## FANNING OUT ##
+    // #################
+    describe('#levels', () => {
+      it('counts the levels of invocations that distributing the given number of chunks takes', () => {
+        expect(task.plan.impl.levels(1, 10)).to.equal(1)
+        expect(task.plan.impl.levels(10, 10)).to.equal(1)
+        expect(task.plan.impl.levels(11, 10)).to.equal(2)
+        expect(task.plan.impl.levels(100, 10)).to.equal(2)
+        expect(task.plan.impl.levels(101, 10)).to.equal(3)
+      })
+    })
+    describe('#group', () => {
+      it('divides the given chunks into no more than branching factor contiguous groups', () => {
+        expect(task.plan.impl.group([1, 2, 3, 4, 5], 2)).to.eql([[1, 2, 3], [4, 5]])
+        expect(task.plan.impl.group([1, 2, 3, 4, 5], 5)).to.eql([[1], [2], [3], [4], [5]])
+      })
+    })
+    describe('#fanOut', () => {
+      const settings = { timeBufferInMilliseconds: 10, branchingFactor: 2 }
+      it('invokes every plan a time buffer before it starts if the branching factor allows', () => {
+        const chunk = { _start: 100, _invokeType: 'RequestResponse' }
+        const remainder = { _start: 200, _invokeType: 'Event' }
+        expect(task.plan.impl.fanOut([chunk, remainder], settings)).to.eql([
+          { plan: chunk, invokeAt: 90 },
+          { plan: remainder, invokeAt: 190 },
+        ])
+      })
+      it('groups the chunks ahead of their earliest start by a time buffer per level, invoking remainders first', () => {
+        const chunks = [100, 200, 300, 400, 500].map(start => ({ _start: start, _invokeType: 'RequestResponse' }))
+        const remainder = { _start: 600, _invokeType: 'Event' }
+        expect(task.plan.impl.fanOut(chunks.concat(remainder), settings)).to.eql([
+          { plan: remainder, invokeAt: 590 },
+          { group: chunks.slice(0, 3), invokeAt: 70 },
+          { group: chunks.slice(3), invokeAt: 380 },
+        ])
+      })
+    })
     // ##############
     // ## PLANNING ##
     // ##############
@@ -1111,6 +1237,7 @@ describe('./lib/lambda/taskPlan.js', () => {
         expect(splitScriptByRequestsPerSecondAndScheduleStub).to.not.have.been.called
         expect(result.length).to.equal(1)
         expect(result[0]).to.equal(script)
+        expect(result[0]._invokeType).to.be.undefined
       })
       it('splits a script with a duration that is greater than the given limits', () => {
         script.config.phases[0].duration = defaultSettings.maxChunkDurationInSeconds + 1
@@ -1120,6 +1247,13 @@ describe('./lib/lambda/taskPlan.js', () => {
         expect(splitScriptByRequestsPerSecondAndScheduleStub).to.not.have.been.called
         expect(result.length).to.equal(2)
       })
+      it('invokes the chunks, but not the remainder, of a split script such that they can report their results', () => {
+        script.config.phases[0].duration = defaultSettings.maxChunkDurationInSeconds + 1
+        result = task.plan.impl.planPerformance(1, script, defaultSettings)
+        expect(result[0]).to.equal(remainder)
+        expect(result[0]._invokeType).to.be.undefined
+        expect(result[1]._invokeType).to.equal('RequestResponse')
+      })
       it('splits a script with a requests per second that are greater than the given limits', () => {
         script.config.phases[0].arrivalRate = defaultSettings.maxChunkRequestsPerSecond + 1
         result = task.plan.impl.planPerformance(1, script, defaultSettings)
@@ -1153,13 +1287,20 @@ describe('./lib/lambda/taskPlan.js', () => {
       afterEach(() => {
         splitScriptByFlowStub.restore()
       })
-      it('adds _start and _invokeType to the given event', () => {
+      it('adds _start, _invokeType, and _diagnostics to the given event', () => {
         script = {}
         task.plan.impl.planAcceptance(1, script)
         expect(script._start).to.equal(1)
         expect(script._invokeType).to.eql('RequestResponse')
+        expect(script._diagnostics).to.be.true
+        expect(script).to.not.have.property('_retries')
         expect(splitScriptByFlowStub).to.have.been.calledWithExactly(script)
       })
+      it('adds _retries to the given event when the script retries failing flows', () => {
+        script = { config: { acceptance: { retries: 2 } } }
+        task.plan.impl.planAcceptance(1, script)
+        expect(script._retries).to.equal(2)
+      })
     })
 
     describe('#planTask', () => {
@@ -1203,6 +1344,12 @@ describe('./lib/lambda/taskPlan.js', () => {
         expect(planAcceptanceStub).to.have.been.calledOnce
         expect(planPerformanceStub).to.not.have.been.called
       })
+      it(`detects modes "${task.def.modes.MON}" and "${task.def.modes.MONITORING}" and calls planAcceptance`, () => {
+        task.plan.impl.planTask(1, { mode: task.def.modes.MON }, defaultSettings)
+        task.plan.impl.planTask(1, { mode: task.def.modes.MONITORING }, defaultSettings)
+        expect(planAcceptanceStub).to.have.been.calledTwice
+        expect(planPerformanceStub).to.not.have.been.called
+      })
     })
 
     describe('#whole script planning tests', () => {
@@ -1210,43 +1357,43 @@ describe('./lib/lambda/taskPlan.js', () => {
         script = { config: { phases: [{ duration: 900, arrivalRate: 200, rampTo: 1 }] } }
         expected = [
           { config: { phases: [{ duration: 660, arrivalRate: 147, rampTo: 1 }] }, _genesis: 0, _start: 255000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 226, arrivalRate: 25 }, { duration: 14, arrivalRate: 25, rampTo: 22 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 115, arrivalRate: 25 }, { duration: 111, arrivalRate: 25, rampTo: 1 }, { pause: 14 }] }, _genesis: 0, _start: 15000 },
-          { config: { phases: [{ duration: 115, arrivalRate: 25, rampTo: 1 }, { pause: 111 }, { pause: 14 }] }, _genesis: 0, _start: 15000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 226, arrivalRate: 25 }, { duration: 14, arrivalRate: 25, rampTo: 22 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 115, arrivalRate: 25 }, { duration: 111, arrivalRate: 25, rampTo: 1 }, { pause: 14 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
+          { config: { phases: [{ duration: 115, arrivalRate: 25, rampTo: 1 }, { pause: 111 }, { pause: 14 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 15000 },
         ]
         // Split #1
         result = task.plan.impl.planTask(0, script, defaultSettings)
         expect(result).to.be.eql(expected)
         expected = [
           { config: { phases: [{ duration: 420, arrivalRate: 94, rampTo: 1 }] }, _genesis: 0, _start: 495000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 255000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 255000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 255000 },
-          { config: { phases: [{ duration: 213, arrivalRate: 25 }, { duration: 27, arrivalRate: 25, rampTo: 19 }] }, _genesis: 0, _start: 255000 },
-          { config: { phases: [{ duration: 102, arrivalRate: 25 }, { duration: 111, arrivalRate: 25, rampTo: 1 }, { pause: 27 }] }, _genesis: 0, _start: 255000 },
-          { config: { phases: [{ duration: 102, arrivalRate: 22, rampTo: 1 }, { pause: 111 }, { pause: 27 }] }, _genesis: 0, _start: 255000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 255000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 255000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 255000 },
+          { config: { phases: [{ duration: 213, arrivalRate: 25 }, { duration: 27, arrivalRate: 25, rampTo: 19 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 255000 },
+          { config: { phases: [{ duration: 102, arrivalRate: 25 }, { duration: 111, arrivalRate: 25, rampTo: 1 }, { pause: 27 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 255000 },
+          { config: { phases: [{ duration: 102, arrivalRate: 22, rampTo: 1 }, { pause: 111 }, { pause: 27 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 255000 },
         ]
         // Split #2
         result = task.plan.impl.planTask(result[1]._start, result[0], defaultSettings)
         expect(result).to.be.eql(expected)
         expected = [
           { config: { phases: [{ duration: 180, arrivalRate: 41, rampTo: 1 }] }, _genesis: 0, _start: 735000 },
-          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _start: 495000 },
-          { config: { phases: [{ duration: 199, arrivalRate: 25 }, { duration: 41, arrivalRate: 25, rampTo: 16 }] }, _genesis: 0, _start: 495000 },
-          { config: { phases: [{ duration: 88, arrivalRate: 25 }, { duration: 111, arrivalRate: 25, rampTo: 1 }, { pause: 41 }] }, _genesis: 0, _start: 495000 },
-          { config: { phases: [{ duration: 88, arrivalRate: 19, rampTo: 1 }, { pause: 111 }, { pause: 41 }] }, _genesis: 0, _start: 495000 },
+          { config: { phases: [{ duration: 240, arrivalRate: 25 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 495000 },
+          { config: { phases: [{ duration: 199, arrivalRate: 25 }, { duration: 41, arrivalRate: 25, rampTo: 16 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 495000 },
+          { config: { phases: [{ duration: 88, arrivalRate: 25 }, { duration: 111, arrivalRate: 25, rampTo: 1 }, { pause: 41 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 495000 },
+          { config: { phases: [{ duration: 88, arrivalRate: 19, rampTo: 1 }, { pause: 111 }, { pause: 41 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 495000 },
         ]
         // Split #3
         result = task.plan.impl.planTask(result[1]._start, result[0], defaultSettings)
         expect(result).to.be.eql(expected)
         expected = [
-          { config: { phases: [{ duration: 72, arrivalRate: 25 }, { duration: 108, arrivalRate: 25, rampTo: 1 }] }, _genesis: 0, _start: 735000 },
-          { config: { phases: [{ duration: 72, arrivalRate: 16, rampTo: 1 }, { pause: 108 }] }, _genesis: 0, _start: 735000 },
+          { config: { phases: [{ duration: 72, arrivalRate: 25 }, { duration: 108, arrivalRate: 25, rampTo: 1 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 735000 },
+          { config: { phases: [{ duration: 72, arrivalRate: 16, rampTo: 1 }, { pause: 108 }] }, _genesis: 0, _invokeType: 'RequestResponse', _start: 735000 },
         ]
         // Split #4
         result = task.plan.impl.planTask(result[1]._start, result[0], defaultSettings)
@@ -25,6 +25,9 @@ describe('./lib/lambda/taskValid.js', () => {
         const reports = []
         expected = {
           errors: 0,
+          passed: 0,
+          failed: 0,
+          flaky: 0,
           reports,
         }
         result = taskResult.impl.analyzeAcceptance(reports)
@@ -41,6 +44,9 @@ describe('./lib/lambda/taskValid.js', () => {
         ]
         expected = {
           errors: 0,
+          passed: 2,
+          failed: 0,
+          flaky: 0,
           reports,
         }
         result = taskResult.impl.analyzeAcceptance(reports)
@@ -59,6 +65,9 @@ describe('./lib/lambda/taskValid.js', () => {
         ]
         expected = {
           errors: 1,
+          passed: 1,
+          failed: 1,
+          flaky: 0,
           errorMessage: '1 acceptance test failure',
           reports,
         }
@@ -80,12 +89,44 @@ describe('./lib/lambda/taskValid.js', () => {
         ]
         expected = {
           errors: 2,
+          passed: 0,
+          failed: 2,
+          flaky: 0,
           errorMessage: '2 acceptance test failures',
           reports,
         }
         result = taskResult.impl.analyzeAcceptance(reports)
         expect(result).to.eql(expected)
       })
+      it('fails flows that reported an error message or no report in place of a report', () => {
+        const reports = ['Error executing task: ETIMEDOUT', undefined, { errors: {} }]
+        result = taskResult.impl.analyzeAcceptance(reports)
+        expect(result.failed).to.equal(2)
+        expect(result.passed).to.equal(1)
+        expect(result.errorMessage).to.equal('2 acceptance test failures')
+        expect(result.reports).to.eql([
+          { errors: { 'Error executing task: ETIMEDOUT': 1 }, outcome: def.outcomes.FAILED },
+          { errors: { 'The flow did not report a result': 1 }, outcome: def.outcomes.FAILED },
+          { errors: {}, outcome: def.outcomes.PASSED },
+        ])
+      })
+      it('marks the outcome of each flow, distinguishing flaky flows that passed when retried', () => {
+        const reports = [
+          { errors: {}, attempts: 1 },
+          { errors: {}, attempts: 2, failedAttempts: [{ ETIMEDOUT: 1 }] },
+          { errors: { ETIMEDOUT: 1 }, attempts: 3 },
+          undefined,
+        ]
+        result = taskResult.impl.analyzeAcceptance(reports)
+        expect(result).to.include({
+          errors: 2,
+          passed: 1,
+          failed: 2,
+          flaky: 1,
+          errorMessage: '2 acceptance test failures, 1 flaky acceptance test',
+        })
+        expect(reports.map(report => report.outcome)).to.eql(['passed', 'flaky', 'failed', 'failed'])
+      })
     })
     describe('#analyzePerformance', () => {
       it('returns the report if only one is given', () => {
@@ -93,6 +134,20 @@ describe('./lib/lambda/taskValid.js', () => {
         result = taskResult.impl.analyzePerformance(Date.now(), {}, [report])
         expect(result).to.equal(report)
       })
+      it('returns a histogram of the latencies in place of the latencies of a chunk that reports to its parent', () => {
+        const report = {
+          requestsCompleted: 3,
+          codes: { 200: 3 },
+          latencies: [[0, 'a', 1000000, 200], [0, 'b', 1000000, 200], [0, 'c', 123456789, 200]],
+        }
+        result = taskResult.impl.analyzePerformance(Date.now(), { _invokeType: 'RequestResponse' }, [report])
+        expect(result).to.eql({ requestsCompleted: 3, codes: { 200: 3 }, latencyHistogram: { 1: 2, 123: 1 } })
+        expect(report.latencies.length).to.equal(3)
+        const merged = taskResult.impl.analyzePerformance(Date.now(), {}, [result, result])
+        expect(merged.requestsCompleted).to.equal(6)
+        expect(merged.latencyHistogram).to.eql({ 1: 4, 123: 2 })
+        expect(merged.chunks).to.eql({ total: 2, reported: 2 })
+      })
       it('returns an object containing a string message if zero reports are given', () => {
         result = taskResult.impl.analyzePerformance(Date.now(), {}, [])
         expect(result).to.have.property('message')
@@ -103,6 +158,160 @@ describe('./lib/lambda/taskValid.js', () => {
         expect(result).to.have.property('message')
         expect(result.message).to.be.a('string')
       })
+      it('merges the reports if more than one report is given', () => {
+        const report = {
+          scenariosCreated: 1,
+          scenariosCompleted: 1,
+          requestsCompleted: 1,
+          rps: { count: 1, mean: 1 },
+          scenarioCounts: { 0: 1 },
+          errors: {},
+          codes: { 200: 1 },
+          matches: 0,
+          latencies: [[0, 'a', 1000000, 200]],
+        }
+        result = taskResult.impl.analyzePerformance(Date.now(), {}, [report, report])
+        expect(result.requestsCompleted).to.equal(2)
+        expect(result.codes).to.eql({ 200: 2 })
+        expect(result.chunks).to.eql({ total: 2, reported: 2 })
+        expect(result.message).to.contain('2 of 2 chunks reported results')
+      })
+    })
+    describe('#percentile', () => {
+      it('returns NaN for no values', () => {
+        expect(taskResult.impl.percentile([], 0.5)).to.be.NaN
+      })
+      it('returns the only value of a single value', () => {
+        expect(taskResult.impl.percentile([5], 0.99)).to.equal(5)
+      })
+      it('interpolates between the nearest values', () => {
+        expect(taskResult.impl.percentile([1, 2, 3, 4], 0.5)).to.equal(2.5)
+        expect(taskResult.impl.percentile([1, 2, 3, 4], 0.95)).to.equal(4)
+        expect(taskResult.impl.percentile([1, 2, 3, 4, 5], 0.5)).to.equal(3)
+      })
+    })
+    describe('#histogramPercentile', () => {
+      it('interpolates between the nearest latencies as percentile does with the raw latencies', () => {
+        const histogram = { 1: 2, 3: 1, 10: 1 }
+        expect(taskResult.impl.histogramPercentile(histogram, 0.5)).to.equal(taskResult.impl.percentile([1, 1, 3, 10], 0.5))
+        expect(taskResult.impl.histogramPercentile(histogram, 0.7)).to.equal(taskResult.impl.percentile([1, 1, 3, 10], 0.7))
+        expect(taskResult.impl.histogramPercentile(histogram, 0)).to.equal(1)
+        expect(taskResult.impl.histogramPercentile(histogram, 1)).to.equal(10)
+        expect(taskResult.impl.histogramPercentile({}, 0.5)).to.be.NaN
+      })
+    })
+    describe('#merge', () => {
+      it('merges the reports of a group of performance mode chunks, keeping those of failed chunks', () => {
+        const failed = { _failedChunk: { start: 1 } }
+        const report = { requestsCompleted: 1, latencies: [[0, 'a', 1000000, 200]] }
+        result = taskResult.merge({}, [report, failed, undefined])
+        expect(result.length).to.equal(2)
+        expect(result[0].chunks).to.eql({ total: 2, reported: 1 })
+        expect(result[1]).to.equal(failed)
+      })
+      it('keeps the report of each flow of acceptance and monitoring mode scripts', () => {
+        const reports = [{ errors: {} }, undefined]
+        expect(taskResult.merge({ mode: 'acc' }, reports)).to.equal(reports)
+        expect(taskResult.merge({ mode: 'monitoring' }, reports)).to.equal(reports)
+      })
+    })
+    describe('#mergePerformance', () => {
+      const report = (latencies, codes) => ({
+        scenariosCreated: latencies.length,
+        scenariosCompleted: latencies.length,
+        requestsCompleted: latencies.length,
+        rps: { count: latencies.length, mean: 0.5 },
+        scenarioCounts: { 0: latencies.length },
+        errors: { ETIMEDOUT: 1 },
+        codes,
+        matches: 0,
+        latencies: latencies.map(ms => [0, 'uid', ms * 1e6, 200]),
+      })
+      it('sums the counts of the given reports', () => {
+        result = taskResult.impl.mergePerformance([report([1, 2], { 200: 2 }), report([3], { 200: 1, 500: 1 })])
+        expect(result.scenariosCreated).to.equal(3)
+        expect(result.scenariosCompleted).to.equal(3)
+        expect(result.requestsCompleted).to.equal(3)
+        expect(result.rps).to.eql({ count: 3, mean: 1 })
+        expect(result.scenarioCounts).to.eql({ 0: 3 })
+        expect(result.errors).to.eql({ ETIMEDOUT: 2 })
+        expect(result.codes).to.eql({ 200: 3, 500: 1 })
+        expect(result.latencyHistogram).to.eql({ 1: 1, 2: 1, 3: 1 })
+        expect(result).to.not.have.property('latencies')
+      })
+      it('recalculates latency statistics from the raw latencies of all reports', () => {
+        result = taskResult.impl.mergePerformance([report([4, 1], {}), report([3, 2], {})])
+        expect(result.latency).to.eql({ min: 1, max: 4, median: 2.5, p95: 4, p99: 4 })
+      })
+      it('keeps the merged report small however many latencies the reports carry', () => {
+        const latencies = []
+        for (let i = 0; i < 10000; i++) {
+          latencies.push(100 + (i % 50))
+        }
+        result = taskResult.impl.mergePerformance([report(latencies, {}), report(latencies, {})])
+        expect(JSON.stringify(result).length).to.be.below(2048)
+        expect(result.latency).to.eql({ min: 100, max: 149, median: 124.5, p95: 147, p99: 149 })
+      })
+      it('approximates latencies to three significant digits', () => {
+        result = taskResult.impl.mergePerformance([report([1234.4, 0.12345], {}), report([56.78], {})])
+        expect(result.latencyHistogram).to.eql({ 1230: 1, 0.123: 1, 56.8: 1 })
+        expect(result.latency).to.eql({ min: 0.1, max: 1230, median: 56.8, p95: 1230, p99: 1230 })
+      })
+      it('counts chunks that did not report results', () => {
+        result = taskResult.impl.mergePerformance([report([1], {}), undefined, { message: 'foo' }])
+        expect(result.chunks).to.eql({ total: 3, reported: 1 })
+      })
+      it('includes the chunk counts of previously merged reports', () => {
+        const merged = taskResult.impl.mergePerformance([report([1], {}), undefined])
+        result = taskResult.impl.mergePerformance([merged, report([2], {})])
+        expect(result.chunks).to.eql({ total: 3, reported: 2 })
+        expect(result.latency.median).to.equal(1.5)
+        expect(taskResult.impl.mergePerformance([result, merged]).latencyHistogram).to.eql({ 1: 2, 2: 1 })
+      })
+      it('carries the circuit breaker trip of the first aborted report', () => {
+        const aborted = Object.assign(report([2], {}), { aborted: { errorRate: 0.5, threshold: 0.2, windowSeconds: 30 } })
+        result = taskResult.impl.mergePerformance([report([1], {}), aborted])
+        expect(result.aborted).to.eql({ errorRate: 0.5, threshold: 0.2, windowSeconds: 30 })
+        expect(taskResult.impl.mergePerformance([report([1], {})]).aborted).to.be.undefined
+      })
+    })
+    describe('#evaluateEnsure', () => {
+      const script = ensure => ({ config: { ensure } })
+      const report = {
+        scenariosCreated: 100,
+        scenariosCompleted: 98,
+        latency: { min: 10, max: 400, median: 50, p95: 300, p99: 350 },
+      }
+      it('passes a report that is within all thresholds', () => {
+        result = taskResult.impl.evaluateEnsure(script({ p95: 300, max: 500, maxErrorRate: 0.02 }), report)
+        expect(result).to.eql({ passed: true, violations: [] })
+      })
+      it('lists each latency threshold that the report exceeds', () => {
+        result = taskResult.impl.evaluateEnsure(script({ median: 40, p95: 250, p99: 400 }), report)
+        expect(result).to.eql({
+          passed: false,
+          violations: [
+            'median latency of 50ms exceeded the threshold of 40ms',
+            'p95 latency of 300ms exceeded the threshold of 250ms',
+          ],
+        })
+      })
+      it('fails latency thresholds that cannot be evaluated', () => {
+        result = taskResult.impl.evaluateEnsure(script({ p95: 250 }), { latency: { p95: NaN } })
+        expect(result.passed).to.be.false
+        expect(result.violations.length).to.equal(1)
+      })
+      it('fails an error rate exceeding the threshold', () => {
+        result = taskResult.impl.evaluateEnsure(script({ maxErrorRate: 0.01 }), report)
+        expect(result).to.eql({
+          passed: false,
+          violations: ['error rate of 0.02 exceeded the threshold of 0.01'],
+        })
+      })
+      it('treats a report without scenarios as having no errors', () => {
+        result = taskResult.impl.evaluateEnsure(script({ maxErrorRate: 0 }), {})
+        expect(result.passed).to.be.true
+      })
     })
     describe('#result', () => {
       const tagScript = {}
@@ -140,6 +349,15 @@ describe('./lib/lambda/taskValid.js', () => {
         expect(analyzePerformanceStub).to.have.been.calledOnce
         expect(result).to.equal(analysis)
       })
+      it('evaluates the performance analysis against the thresholds the script ensures', () => {
+        analyzePerformanceStub.returns({ latency: { p95: 300 } })
+        script = { config: { ensure: { p95: 250 } } }
+        result = taskResult.impl.result(1, script, tagSettings, [])
+        expect(result.ensure).to.eql({
+          passed: false,
+          violations: ['p95 latency of 300ms exceeded the threshold of 250ms'],
+        })
+      })
       it(`returns the result of analyzeAcceptance if mode is "${def.modes.ACC}"`, () => {
         script = { mode: def.modes.ACC, _start: 1 }
         payloads = []
@@ -158,6 +376,16 @@ describe('./lib/lambda/taskValid.js', () => {
         expect(result).to.equal(analysis)
         expect(analyzePerformanceStub).to.not.have.been.called
       })
+      it(`returns a promise of the published result of analyzeAcceptance if mode is "${def.modes.MONITORING}"`, () => {
+        script = { mode: def.modes.MONITORING, _start: 1, _local: true }
+        payloads = []
+        return taskResult.impl.result(1, script, tagSettings, payloads)
+          .then((monitored) => {
+            expect(analyzeAcceptanceStub).to.have.been.calledWithExactly(payloads)
+            expect(monitored).to.equal(analysis)
+            expect(analyzePerformanceStub).to.not.have.been.called
+          })
+      })
     })
   })
 })
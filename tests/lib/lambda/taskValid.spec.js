@@ -62,6 +62,53 @@ describe('./lib/lambda/taskValid.js', () => {
           expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
         })
       })
+      describe('ensured thresholds', () => {
+        it('accepts known non-negative numeric thresholds', () => {
+          script.config.ensure = { min: 1, max: 1000, median: 100, p95: 250, p99: 500, maxErrorRate: 0.01 }
+          task.valid(defaultSettings, script)
+        })
+        it('rejects a non-object config.ensure', () => {
+          script.config.ensure = [250]
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+          script.config.ensure = null
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+        })
+        it('rejects unknown thresholds', () => {
+          script.config.ensure = { p90: 250 }
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+        })
+        it('rejects non-numeric and negative thresholds', () => {
+          script.config.ensure = { p95: '250' }
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+          script.config.ensure = { maxErrorRate: -1 }
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+        })
+      })
+      describe('circuit breaker', () => {
+        it('accepts an error rate threshold with an optional window', () => {
+          script.config.abortOn = { errorRate: 0.2 }
+          task.valid(defaultSettings, script)
+          script.config.abortOn = { errorRate: 1, windowSeconds: 30 }
+          task.valid(defaultSettings, script)
+        })
+        it('rejects a non-object config.abortOn', () => {
+          script.config.abortOn = 0.2
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+        })
+        it('rejects missing or out of range error rates', () => {
+          script.config.abortOn = { windowSeconds: 30 }
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+          script.config.abortOn = { errorRate: 0 }
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+          script.config.abortOn = { errorRate: 20 }
+          expect(() => task.valid(defaultSettings, script)).to.throw(task.def.TaskError)
+        })
+        it('rejects non-positive windows', () => {
+          script.config.abortOn = { errorRate: 0.2, windowSeconds: 0 }
+          expect(task.valid.problems(defaultSettings, script).map(problem => problem.path))
+            .to.eql(['$.config.abortOn.windowSeconds'])
+        })
+      })
       describe('evaluates load constraints (unless in acceptance mode)', () => {
         it('rejects scripts with invalid phases', () => {
           script.config.phases = [{ arrivalRate: 10 }] // invalid duration
@@ -94,5 +141,181 @@ describe('./lib/lambda/taskValid.js', () => {
         })
       })
     })
+    describe('#problems', () => {
+      it('reports no problems with a valid script', () => {
+        expect(task.valid.problems(defaultSettings, tagScript())).to.eql([])
+      })
+      it('reports every problem with its JSON path', () => {
+        script = tagScript()
+        script.mode = 'foo'
+        script.config.ensure = { p95: -1, foo: 1 }
+        script.config.phases = [{ arrivalRate: 1 }, { duration: 1, arrivalRate: 1 }, { duration: 1 }]
+        expect(task.valid.problems(defaultSettings, script).map(problem => problem.path)).to.eql([
+          '$.mode',
+          '$.config.ensure.p95',
+          '$.config.ensure.foo',
+          '$.config.phases[0]',
+          '$.config.phases[2]',
+        ])
+      })
+      it('reports excessive load for the script as a whole', () => {
+        script = tagScript()
+        script.config.phases = [{
+          duration: defaultSettings.maxScriptDurationInSeconds + 1,
+          arrivalRate: defaultSettings.maxScriptRequestsPerSecond + 1,
+        }]
+        expect(task.valid.problems(defaultSettings, script).map(problem => problem.path)).to.eql([
+          '$.config.phases',
+          '$.config.phases',
+        ])
+      })
+      it('reports scripts without duration or load', () => {
+        script = tagScript()
+        script.config.phases = [{ pause: 0 }]
+        expect(task.valid.problems(defaultSettings, script).length).to.equal(2)
+      })
+      it('reports invalid acceptance settings', () => {
+        [null, [], 'retries'].forEach((acceptance) => {
+          script = tagScript()
+          script.config.acceptance = acceptance
+          expect(task.valid.problems(defaultSettings, script).map(problem => problem.path)).to.eql(['$.config.acceptance'])
+        });
+        [-1, 1.5, '2', task.def.MAX_RETRIES + 1].forEach((retries) => {
+          script = tagScript()
+          script.config.acceptance = { retries }
+          expect(task.valid.problems(defaultSettings, script).map(problem => problem.path))
+            .to.eql(['$.config.acceptance.retries'])
+        })
+        script = tagScript()
+        script.config.acceptance = { retries: 2 }
+        expect(task.valid.problems(defaultSettings, script)).to.eql([])
+      })
+      it('reports invalid monitoring settings', () => {
+        [null, [], 'topicArn'].forEach((monitoring) => {
+          script = tagScript()
+          script.config.monitoring = monitoring
+          expect(task.valid.problems(defaultSettings, script).map(problem => problem.path)).to.eql(['$.config.monitoring'])
+        })
+        script = tagScript()
+        script.config.monitoring = { namespace: '', topicArn: 'alerts', webhook: 'hooks.example.com' }
+        expect(task.valid.problems(defaultSettings, script).map(problem => problem.path)).to.eql([
+          '$.config.monitoring.namespace',
+          '$.config.monitoring.topicArn',
+          '$.config.monitoring.webhook',
+        ])
+        script = tagScript()
+        script.mode = task.def.modes.MONITORING
+        delete script.config.phases
+        script.config.monitoring = {
+          namespace: 'my-service',
+          topicArn: 'arn:aws:sns:us-east-1:123456789012:alerts',
+          webhook: 'https://hooks.example.com/alerts',
+        }
+        expect(task.valid.problems(defaultSettings, script)).to.eql([])
+      })
+      describe('allowed targets', () => {
+        const constraints = Object.assign({}, defaultSettings, { allowedTargets: ['example.com', '*.example.org'] })
+        const targeting = (target, urls) => {
+          const targeted = tagScript()
+          targeted.config.target = target
+          targeted.scenarios = [{ flow: urls.map(url => ({ get: { url } })) }]
+          return targeted
+        }
+        it('accepts scripts targeting only the allowed hostnames and their allowed subdomains', () => {
+          script = targeting('https://EXAMPLE.com:8443/v1', ['/users', 'https://api.example.org/items', 'http://a.b.example.org'])
+          expect(task.valid.problems(constraints, script)).to.eql([])
+        })
+        it('reports a config.target outside the allowed targets', () => {
+          const problems = task.valid.problems(constraints, targeting('https://example.com.evil.io', ['/']))
+          expect(problems.map(problem => problem.path)).to.eql(['$.config.target'])
+          expect(problems[0].message).to.equal(
+            'The hostname \'example.com.evil.io\' is not among the allowed targets "example.com", "*.example.org"' // eslint-disable-line comma-dangle
+          )
+          expect(task.valid.problems(constraints, targeting('https://example.org', ['/'])).map(problem => problem.path))
+            .to.eql(['$.config.target'])
+        })
+        it('reports absolute urls outside the allowed targets, including those within loops', () => {
+          script = targeting('https://example.com', ['https://prod.example.net/', '/ok'])
+          script.scenarios[0].flow.push({ loop: [{ post: { url: 'https://www.thirdparty.com/' } }], count: 2 })
+          expect(task.valid.problems(constraints, script).map(problem => problem.path)).to.eql([
+            '$.scenarios[0].flow[0].get.url',
+            '$.scenarios[0].flow[2].loop[0].post.url',
+          ])
+        })
+        it('reports targets whose hostnames cannot be determined', () => {
+          script = targeting('https://{{ host }}', [
+            '{{ base }}/users',
+            'https://example.com/{{ id }}',
+            'h{{ rest }}',
+            'https://example.com{{ suffix }}/',
+            'https://example.com?id={{ id }}',
+            'example.com/users',
+          ])
+          const problems = task.valid.problems(constraints, script)
+          expect(problems.map(problem => problem.path)).to.eql([
+            '$.config.target',
+            '$.scenarios[0].flow[0].get.url',
+            '$.scenarios[0].flow[2].get.url',
+            '$.scenarios[0].flow[3].get.url',
+            '$.scenarios[0].flow[5].get.url',
+          ])
+          expect(problems[0].message).to.have.string('cannot be determined')
+        })
+        it('checks the targets of requests given by uri as well as url', () => {
+          script = targeting('https://example.com', ['/'])
+          script.scenarios[0].flow.push({ get: { uri: 'https://evil.com/x' } }, { post: { uri: '/ok' } })
+          expect(task.valid.problems(constraints, script).map(problem => problem.path)).to.eql([
+            '$.scenarios[0].flow[1].get.uri',
+          ])
+        })
+        it('checks the monitoring webhook as well', () => {
+          script = targeting('https://example.com', ['/'])
+          script.config.monitoring = { webhook: 'https://hooks.evil.com/alerts' }
+          expect(task.valid.problems(constraints, script).map(problem => problem.path)).to.eql([
+            '$.config.monitoring.webhook',
+          ])
+          script.config.monitoring.webhook = 'https://hooks.example.org/alerts'
+          expect(task.valid.problems(constraints, script)).to.eql([])
+        })
+        it('allows any target when no allowed targets are given', () => {
+          expect(task.valid.problems(defaultSettings, targeting('https://www.thirdparty.com', ['http://other.com']))).to.eql([])
+        })
+      })
+      describe('flow filters', () => {
+        const filtered = (filter) => {
+          const acceptance = tagScript()
+          acceptance.mode = task.def.modes.ACC
+          acceptance.scenarios = [
+            { name: 'login', tags: ['auth'], flow: [] },
+            { name: 'browse', flow: [] },
+          ]
+          acceptance._filter = filter // eslint-disable-line no-underscore-dangle
+          return acceptance
+        }
+        it('accepts filters selecting flows', () => {
+          expect(task.valid.problems(defaultSettings, filtered({ flows: ['browse'] }))).to.eql([])
+          expect(task.valid.problems(defaultSettings, filtered({ tags: ['auth'] }))).to.eql([])
+        })
+        it('reports malformed filters', () => {
+          [null, 'login', {}, { flows: [] }, { flows: 'login' }, { tags: [1] }].forEach((filter) => {
+            expect(task.valid.problems(defaultSettings, filtered(filter)).map(problem => problem.path)).to.eql(['$._filter'])
+          })
+        })
+        it('accepts filters in monitoring mode', () => {
+          script = filtered({ flows: ['browse'] })
+          script.mode = task.def.modes.MON
+          expect(task.valid.problems(defaultSettings, script)).to.eql([])
+        })
+        it('reports filters that select no flow', () => {
+          expect(task.valid.problems(defaultSettings, filtered({ flows: ['login'], tags: ['cart'] }))[0].message)
+            .to.have.string('No flow matches')
+        })
+        it('reports filters in performance mode', () => {
+          script = filtered({ flows: ['login'] })
+          delete script.mode
+          expect(task.valid.problems(defaultSettings, script)[0].message).to.have.string('acceptance mode')
+        })
+      })
+    })
   })
 })
@@ -0,0 +1,122 @@
+const chai = require('chai')
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const openapi = require(path.join('..', '..', 'lib', 'openapi.js'))
+
+const spec3 = yaml.safeLoad(fs.readFileSync(path.join(__dirname, 'openapi.3.yml'), 'utf8'))
+const spec2 = yaml.safeLoad(fs.readFileSync(path.join(__dirname, 'openapi.2.json'), 'utf8'))
+
+describe('./lib/openapi.js', () => {
+  describe(':impl', () => {
+    describe('#version', () => {
+      it('identifies OpenAPI 2 and 3 documents', () => {
+        expect(openapi.impl.version(spec2)).to.equal(2)
+        expect(openapi.impl.version(spec3)).to.equal(3)
+      })
+      it('rejects other documents', () => {
+        expect(() => openapi.impl.version({ openapi: '1.0' })).to.throw(Error)
+      })
+    })
+    describe('#deref', () => {
+      it('follows local references', () => {
+        expect(openapi.impl.deref(spec3, { $ref: '#/components/schemas/Pet' })).to.equal(spec3.components.schemas.Pet)
+      })
+      it('rejects remote and unresolvable references', () => {
+        expect(() => openapi.impl.deref(spec3, { $ref: 'other.yml#/Pet' })).to.throw(Error)
+        expect(() => openapi.impl.deref(spec3, { $ref: '#/components/schemas/Missing' })).to.throw(Error)
+      })
+    })
+    describe('#target', () => {
+      it('uses the first server of OpenAPI 3 documents, substituting variables', () => {
+        expect(openapi.impl.target(spec3)).to.equal('https://api.example.com/v1')
+      })
+      it('uses the scheme, host, and base path of OpenAPI 2 documents', () => {
+        expect(openapi.impl.target(spec2)).to.equal('http://orders.example.com/api')
+      })
+      it('does not use relative servers', () => {
+        expect(openapi.impl.target({ openapi: '3.0.0', servers: [{ url: '/v1' }] })).to.be.undefined
+      })
+      it('replaces only the origin with that of the given endpoint, keeping the base path', () => {
+        expect(openapi.impl.target(spec3, 'http://localhost:8080/ignored')).to.equal('http://localhost:8080/v1')
+        expect(openapi.impl.target(spec2, 'https://staging.example.com')).to.equal('https://staging.example.com/api')
+        expect(openapi.impl.target({ swagger: '2.0', basePath: '/api' }, 'http://localhost')).to.equal('http://localhost/api')
+        expect(openapi.impl.target({ openapi: '3.0.0', servers: [{ url: '/v1/' }] }, 'http://localhost/')).to.equal('http://localhost/v1')
+        expect(openapi.impl.target({ openapi: '3.0.0', servers: [{ url: 'v1' }] }, 'http://localhost')).to.equal('http://localhost/v1')
+        expect(openapi.impl.target({ openapi: '3.0.0' }, 'http://localhost/')).to.equal('http://localhost')
+        expect(openapi.impl.target({ openapi: '3.0.0' }, 'localhost')).to.be.undefined
+      })
+    })
+    describe('#sample', () => {
+      it('generates placeholders for recursive schemas', () => {
+        const pet = openapi.impl.sample(spec3, { $ref: '#/components/schemas/Pet' })
+        expect(pet.name).to.equal('name')
+        expect(pet.age).to.equal(1)
+        expect(pet.kind).to.equal('dog')
+        expect(pet.owner.email).to.equal('user@example.com')
+        expect(pet.owner.pets[0].name).to.equal('name')
+      })
+      it('generates placeholders for schemas composed of themselves', () => {
+        const spec = {
+          openapi: '3.0.0',
+          components: {
+            schemas: {
+              Node: { allOf: [{ $ref: '#/components/schemas/Node' }, { type: 'object', properties: { id: { type: 'integer' } } }] },
+              Choice: { type: 'string', oneOf: [{ $ref: '#/components/schemas/Choice' }], anyOf: [] },
+              Either: { anyOf: [{ $ref: '#/components/schemas/Either' }] },
+            },
+          },
+        }
+        expect(openapi.impl.sample(spec, { $ref: '#/components/schemas/Node' }, 'node')).to.eql({ id: 1 })
+        expect(openapi.impl.sample(spec, { $ref: '#/components/schemas/Choice' }, 'choice')).to.equal('choice')
+        expect(openapi.impl.sample(spec, { $ref: '#/components/schemas/Either' }, 'either')).to.equal('either')
+      })
+      it('merges allOf schemas and uses the first of oneOf schemas', () => {
+        expect(openapi.impl.sample(spec3, {
+          allOf: [
+            { type: 'object', properties: { a: { type: 'boolean' } } },
+            { type: 'object', properties: { b: { oneOf: [{ type: 'integer' }, { type: 'string' }] } } },
+          ],
+        })).to.eql({ a: true, b: 1 })
+      })
+    })
+    describe('#toScenarios', () => {
+      it('generates one scenario per operation of an OpenAPI 3 document', () => {
+        const api = openapi(spec3)
+        expect(api.target).to.equal('https://api.example.com/v1')
+        expect(api.scenarios.map(scenario => scenario.name)).to.eql([
+          'listPets', 'createPet', 'GET /pets/{petId}', 'health',
+        ])
+        expect(api.scenarios[0].flow).to.eql([{ get: { url: '/pets?limit=10' } }])
+        expect(api.scenarios[1].flow[0].post.url).to.equal('/pets')
+        expect(api.scenarios[1].flow[0].post.json.name).to.equal('name')
+        expect(api.scenarios[2].flow).to.eql([{
+          get: {
+            url: '/pets/pet%201',
+            headers: { 'X-Request-Id': '00000000-0000-0000-0000-000000000000' },
+          },
+        }])
+      })
+      it('generates one scenario per operation of an OpenAPI 2 document', () => {
+        const api = openapi(spec2)
+        expect(api.scenarios).to.eql([
+          { name: 'PUT /orders/{id}', flow: [{ put: { url: '/orders/1', json: { item: 'widget' } } }] },
+          { name: 'login', flow: [{ post: { url: '/login', form: { user: 'user', remember: true } } }] },
+        ])
+      })
+      it('generates one scenario per tag if requested', () => {
+        const api = openapi(spec3, true)
+        expect(api.scenarios.map(scenario => scenario.name)).to.eql(['pets', 'untagged'])
+        expect(api.scenarios[0].flow.length).to.equal(3)
+        expect(api.scenarios[1].flow.length).to.equal(1)
+      })
+      it('rejects documents without operations', () => {
+        expect(() => openapi({ openapi: '3.0.0', paths: {} })).to.throw(Error)
+      })
+    })
+  })
+})
@@ -0,0 +1,241 @@
+const chai = require('chai')
+const path = require('path')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const plan = require(path.join('..', '..', 'lib', 'plan.js'))
+
+describe('./lib/plan.js', () => {
+  describe(':impl', () => {
+    describe('#describePhase', () => {
+      it('describes constant rate phases', () => {
+        expect(plan.impl.describePhase({ duration: 10, arrivalRate: 5 })).to.equal('10s 5 rps')
+      })
+      it('describes ramp phases', () => {
+        expect(plan.impl.describePhase({ duration: 10, arrivalRate: 5, rampTo: 50 })).to.equal('10s 5->50 rps')
+      })
+      it('describes arrival count phases', () => {
+        expect(plan.impl.describePhase({ duration: 10, arrivalCount: 5 })).to.equal('10s 5 arrivals')
+      })
+      it('describes pause phases', () => {
+        expect(plan.impl.describePhase({ pause: 10 })).to.equal('10s pause')
+      })
+      it('describes unrecognized phases as JSON', () => {
+        expect(plan.impl.describePhase({ foo: 'bar' })).to.equal('{"foo":"bar"}')
+      })
+    })
+    describe('#tree', () => {
+      it('plans a script that a single function executes', () => {
+        const tree = plan.tree({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 5 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        })
+        expect(tree).to.eql({
+          id: '1',
+          spawnedBy: null,
+          invokedAt: 0,
+          invocationType: null,
+          executes: true,
+          intermediate: false,
+          start: 0,
+          durationInSeconds: 10,
+          requestsPerSecond: 5,
+          phases: ['10s 5 rps'],
+          chunks: [],
+        })
+      })
+      it('plans a script split by requests per second', () => {
+        const tree = plan.tree({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 30 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        })
+        expect(tree.executes).to.be.false
+        expect(tree.chunks.map(chunk => chunk.id)).to.eql(['1.1', '1.2'])
+        tree.chunks.forEach((chunk) => {
+          expect(chunk.spawnedBy).to.equal('1')
+          expect(chunk.executes).to.be.true
+          expect(chunk.invokedAt).to.equal(0)
+          expect(chunk.start).to.equal(15)
+        })
+        expect(tree.chunks.map(chunk => chunk.requestsPerSecond)).to.eql([25, 5])
+      })
+      it('plans a script split by duration, following the remainder through its own splitting', () => {
+        const tree = plan.tree({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 300, arrivalRate: 10, rampTo: 60 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        })
+        const nodes = plan.flatten(tree)
+        expect(nodes.map(node => node.id)).to.eql(['1', '1.1', '1.1.1', '1.1.2', '1.1.3', '1.2', '1.3'])
+        const remainder = tree.chunks[0]
+        expect(remainder.executes).to.be.false
+        expect(remainder.invokedAt).to.equal(240)
+        expect(remainder.durationInSeconds).to.equal(60)
+        remainder.chunks.forEach((chunk) => {
+          expect(chunk.spawnedBy).to.equal('1.1')
+          expect(chunk.start).to.equal(255)
+        })
+        expect(nodes.filter(node => node.executes).length).to.equal(5)
+      })
+      it('respects the script\'s split settings', () => {
+        const tree = plan.tree({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 30 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _split: { maxChunkRequestsPerSecond: 10, timeBufferInMilliseconds: 1000 },
+        })
+        expect(tree.chunks.length).to.equal(3)
+        expect(tree.chunks[0].start).to.equal(1)
+      })
+      it('plans the intermediate copies that fan out more chunks than the branching factor allows', () => {
+        const tree = plan.tree({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 100 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _split: { branchingFactor: 2, timeBufferInMilliseconds: 1000 },
+        })
+        const nodes = plan.flatten(tree)
+        expect(nodes.map(node => [node.id, node.spawnedBy, node.intermediate, node.executes])).to.eql([
+          ['1', null, false, false],
+          ['1.1', '1', true, false],
+          ['1.1.1', '1.1', false, true],
+          ['1.1.2', '1.1', false, true],
+          ['1.2', '1', true, false],
+          ['1.2.1', '1.2', false, true],
+          ['1.2.2', '1.2', false, true],
+        ])
+        expect(tree.chunks[0].invocationType).to.equal('RequestResponse')
+        // intermediates are invoked a time buffer ahead of each level below them, but not before the script
+        expect(nodes.filter(node => node.intermediate).map(node => node.invokedAt)).to.eql([0, 0])
+        const lines = plan.table(tree).split(/\r?\n/)
+        expect(lines[2]).to.match(/^ {2}1\.1\s+1\s+0\s+-\s+-\s+-\s+fans out 2 chunks$/)
+        expect(lines.slice(-3)).to.eql([
+          '5 chunks, 4 of which execute load.',
+          '2 intermediate copies of the function fan the chunks out.',
+          'At most 7 copies of the function run at once.',
+        ])
+      })
+      it('plans each flow of an acceptance mode script as its own chunk', () => {
+        const tree = plan.tree({
+          mode: 'acc',
+          config: { target: 'https://aws.amazon.com' },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }, { flow: [{ get: { url: '/health' } }] }],
+        })
+        expect(tree.durationInSeconds).to.be.null
+        expect(tree.chunks.length).to.equal(2)
+        tree.chunks.forEach((chunk) => {
+          expect(chunk.invocationType).to.equal('RequestResponse')
+          expect(chunk.executes).to.be.true
+          expect(chunk.phases).to.eql(['1s 1 rps'])
+        })
+      })
+      it('does not alter the given script', () => {
+        const given = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 300, arrivalRate: 30 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _trace: true,
+        }
+        const copy = JSON.parse(JSON.stringify(given))
+        plan.tree(given)
+        expect(given).to.eql(copy)
+      })
+    })
+    describe('#peak', () => {
+      it('does not count intervals that ended before others started', () => {
+        expect(plan.impl.peak([[0, 11], [20, 31], [20, 31]])).to.equal(2)
+      })
+      it('counts intervals that start as others end as overlapping them', () => {
+        expect(plan.impl.peak([[0, 10], [10, 20]])).to.equal(2)
+      })
+    })
+    describe('#concurrency', () => {
+      const treePeak = (tree) => {
+        const nodes = plan.flatten(tree)
+        return plan.impl.peak(nodes.map(node => [node.invokedAt, plan.impl.end(node)]))
+      }
+      it('counts a script that a single function executes as one copy', () => {
+        expect(plan.concurrency({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 5 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        })).to.equal(1)
+      })
+      it('counts the copies that run alongside one another, including those distributing chunks', () => {
+        expect(plan.concurrency({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 30 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        })).to.equal(3)
+      })
+      it('counts the copies that execute a remainder alongside the copies still executing earlier chunks', () => {
+        const given = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 300, arrivalRate: 10, rampTo: 60 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        const tree = plan.tree(given)
+        expect(plan.impl.end(tree)).to.equal(255)
+        expect(plan.impl.end(tree.chunks[0])).to.equal(315)
+        expect(plan.concurrency(given)).to.equal(7)
+      })
+      it('counts the intermediate copies that fan out chunks', () => {
+        expect(plan.concurrency({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 100 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _split: { branchingFactor: 2, timeBufferInMilliseconds: 1000 },
+        })).to.equal(7)
+      })
+      it('agrees with the plan tree without building it', () => {
+        [
+          {
+            config: {
+              target: 'https://aws.amazon.com',
+              phases: [{ duration: 600, arrivalRate: 10, rampTo: 300 }, { pause: 30 }, { duration: 200, arrivalRate: 40 }],
+            },
+            scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          },
+          {
+            config: { target: 'https://aws.amazon.com', phases: [{ duration: 400, arrivalRate: 120 }] },
+            scenarios: [{ flow: [{ get: { url: '/' } }] }],
+            _split: { branchingFactor: 3, maxChunkDurationInSeconds: 90, timeBufferInMilliseconds: 2000 },
+          },
+          {
+            mode: 'acc',
+            config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 5 }] },
+            scenarios: [{ flow: [] }, { flow: [] }],
+          },
+        ].forEach((given) => {
+          expect(plan.concurrency(given)).to.equal(treePeak(plan.tree(given)))
+        })
+      })
+      it('does not alter the given script', () => {
+        const given = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 300, arrivalRate: 30 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+          _trace: true,
+        }
+        const copy = JSON.parse(JSON.stringify(given))
+        plan.concurrency(given)
+        expect(given).to.eql(copy)
+      })
+    })
+    describe('#table', () => {
+      it('renders a row per chunk and a summary', () => {
+        const lines = plan.table(plan.tree({
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 10, arrivalRate: 30 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        })).split(/\r?\n/)
+        expect(lines[0]).to.match(/^CHUNK\s+SPAWNED BY\s+INVOKED \(s\)\s+START \(s\)\s+DURATION \(s\)\s+PEAK RPS\s+PHASES$/)
+        expect(lines[1]).to.match(/^1\s+cli\s+0\s+-\s+10\s+30\s+distributes 2 chunks$/)
+        expect(lines[2]).to.match(/^ {2}1\.1\s+1\s+0\s+15\s+10\s+25\s+10s 25 rps$/)
+        expect(lines[3]).to.match(/^ {2}1\.2\s+1\s+0\s+15\s+10\s+5\s+10s 5 rps$/)
+        expect(lines[5]).to.equal('3 chunks, 2 of which execute load.')
+        expect(lines[6]).to.equal('At most 3 copies of the function run at once.')
+      })
+      it('renders acceptance mode scripts that lack phases', () => {
+        const acceptance = {
+          mode: 'acc',
+          config: { target: 'https://aws.amazon.com' },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }, { flow: [{ get: { url: '/health' } }] }],
+        }
+        const lines = plan.table(plan.tree(acceptance)).split(/\r?\n/)
+        expect(lines[1]).to.match(/^1\s+cli\s+0\s+-\s+-\s+-\s+distributes 2 chunks$/)
+      })
+    })
+  })
+})
@@ -0,0 +1,124 @@
+const chai = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const rc = require(path.join('..', '..', 'lib', 'rc.js'))
+
+const tmpdir = path.join(os.tmpdir(), 'serverlessArtilleryLibRc')
+const homeDir = path.join(tmpdir, 'home')
+const projectDir = path.join(tmpdir, 'project')
+
+const write = (dir, content) => fs.writeFileSync(path.join(dir, rc.constants.FileName), content)
+const remove = (dir) => {
+  try {
+    fs.unlinkSync(path.join(dir, rc.constants.FileName))
+  } catch (ex) {
+    // no file to remove
+  }
+}
+
+describe('./lib/rc.js', () => {
+  before(() => {
+    [tmpdir, homeDir, projectDir].forEach((dir) => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir)
+      }
+    })
+  })
+  afterEach(() => {
+    remove(homeDir)
+    remove(projectDir)
+  })
+  after(() => {
+    [homeDir, projectDir, tmpdir].forEach(dir => fs.rmdirSync(dir))
+  })
+  describe(':impl', () => {
+    describe('#read', () => {
+      it('returns undefined for directories without a .slsartrc file', () => {
+        expect(rc.impl.read(projectDir)).to.be.undefined
+      })
+      it('reads YAML settings, resolving the path setting against the directory', () => {
+        write(projectDir, 'stage: dev\npath: scripts/load.yml\n')
+        expect(rc.impl.read(projectDir)).to.eql({ stage: 'dev', path: path.join(projectDir, 'scripts', 'load.yml') })
+      })
+      it('reads JSON settings', () => {
+        write(projectDir, '{ "region": "us-west-2", "_split": { "maxChunkDurationInSeconds": 120 } }')
+        expect(rc.impl.read(projectDir)).to.eql({ region: 'us-west-2', _split: { maxChunkDurationInSeconds: 120 } })
+      })
+      it('treats an empty file as declaring no settings', () => {
+        write(projectDir, '')
+        expect(rc.impl.read(projectDir)).to.eql({})
+      })
+      it('rejects unparsable files, non-object settings, and unknown settings', () => {
+        write(projectDir, '{')
+        expect(() => rc.impl.read(projectDir)).to.throw(Error)
+        write(projectDir, '- stage')
+        expect(() => rc.impl.read(projectDir)).to.throw(Error)
+        write(projectDir, 'stag: dev')
+        expect(() => rc.impl.read(projectDir)).to.throw(/stag/)
+      })
+      it('reads the allowed targets, rejecting anything but a list of hostnames', () => {
+        write(projectDir, 'allowedTargets:\n  - example.com\n  - "*.example.org"\n')
+        expect(rc.impl.read(projectDir)).to.eql({ allowedTargets: ['example.com', '*.example.org'] })
+        write(projectDir, 'allowedTargets:\n  hostname: example.com\n')
+        expect(() => rc.impl.read(projectDir)).to.throw(/allowedTargets/)
+      })
+    })
+    describe('#load', () => {
+      it('overrides the settings of earlier directories with those of later ones', () => {
+        write(homeDir, 'stage: dev\nregion: us-east-1\n')
+        write(projectDir, 'stage: prod\n')
+        expect(rc.load([homeDir, projectDir])).to.eql({ stage: 'prod', region: 'us-east-1' })
+      })
+      it('reads a directory given more than once only once', () => {
+        write(projectDir, 'stage: prod\n')
+        expect(rc.load([projectDir, projectDir])).to.eql({ stage: 'prod' })
+      })
+    })
+    describe('#apply', () => {
+      const settings = {
+        stage: 'dev',
+        region: 'us-west-2',
+        path: '/scripts/load.yml',
+        _split: { maxChunkDurationInSeconds: 120 },
+        jsonOnly: true,
+        acceptance: true,
+      }
+      it('applies the settings of the given command', () => {
+        const argv = ['node', 'slsart', 'invoke']
+        const options = rc.apply('invoke', {}, settings, argv)
+        expect(options).to.eql({
+          path: '/scripts/load.yml',
+          p: '/scripts/load.yml',
+          _split: { maxChunkDurationInSeconds: 120 },
+          jsonOnly: true,
+          jo: true,
+          acceptance: true,
+          a: true,
+        })
+        expect(argv).to.eql(['node', 'slsart', 'invoke', '--stage', 'dev', '--region', 'us-west-2'])
+      })
+      it('does not apply settings that the command does not accept', () => {
+        const argv = ['node', 'slsart', 'deploy']
+        expect(rc.apply('deploy', {}, settings, argv)).to.eql({})
+        expect(argv).to.eql(['node', 'slsart', 'deploy', '--stage', 'dev', '--region', 'us-west-2'])
+      })
+      it('gives the stage and region settings to the commands that use them rather than passing them through', () => {
+        const argv = ['node', 'slsart', 'stop']
+        expect(rc.apply('stop', {}, settings, argv)).to.eql({ stage: 'dev', region: 'us-west-2' })
+        expect(argv).to.eql(['node', 'slsart', 'stop'])
+      })
+      it('prefers the flags given on the command line', () => {
+        const argv = ['node', 'slsart', 'invoke', '--stage=prod', '-r', 'eu-west-1', '-d', '{}', '--jo', 'false']
+        const options = rc.apply('invoke', { d: '{}', data: '{}', jo: false, jsonOnly: false }, settings, argv)
+        expect(options.path).to.be.undefined
+        expect(options.jsonOnly).to.be.false
+        expect(argv).to.eql(['node', 'slsart', 'invoke', '--stage=prod', '-r', 'eu-west-1', '-d', '{}', '--jo', 'false'])
+      })
+    })
+  })
+})
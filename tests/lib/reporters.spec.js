@@ -0,0 +1,201 @@
+const chai = require('chai')
+const path = require('path')
+const yaml = require('js-yaml')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const reporters = require(path.join('..', '..', 'lib', 'reporters.js'))
+
+describe('./lib/reporters.js', () => {
+  describe(':impl', () => {
+    describe('#describeSteps', () => {
+      it('describes requests, think steps, function steps, and the steps of loops', () => {
+        expect(reporters.impl.describeSteps([{ get: { url: '/items' } }, { think: 1 }, { post: { url: '/cart' } }]))
+          .to.eql(['GET /items', 'think 1s', 'POST /cart'])
+        expect(reporters.impl.describeSteps([{ loop: [{ get: { url: '/status' } }], count: 2 }, { function: 'check' }]))
+          .to.eql(['loop: GET /status', 'function check'])
+      })
+    })
+    describe('#cases', () => {
+      it('produces a test case per flow, named after its scenario', () => {
+        const script = {
+          mode: 'acc',
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'browse & <buy>', flow: [{ get: { url: '/items' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const result = {
+          errors: 1,
+          reports: [
+            { errors: {}, codes: { 200: 1 } },
+            { errors: { ETIMEDOUT: 1 }, codes: { 500: 1 } },
+          ],
+        }
+        const cases = reporters.impl.cases(script, result)
+        expect(cases.map(testCase => testCase.name)).to.eql(['browse & <buy>', 'flow 2'])
+        expect(cases.map(testCase => testCase.passed)).to.eql([true, false])
+        expect(cases[1].message).to.equal('Errors: ETIMEDOUT (1); status codes: 500 (1)')
+      })
+      it('pairs each report with the flow of its scenario when scenarios are given as a series of entries', () => {
+        const script = {
+          mode: 'acc',
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'entry' },
+            { name: 'browse & <buy>', flow: [{ get: { url: '/items' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const cases = reporters.impl.cases(script, { errors: 0, reports: [{ errors: {} }, { errors: {} }] })
+        expect(cases.map(testCase => testCase.name)).to.eql(['browse & <buy>', 'flow 2'])
+      })
+      it('describes the steps recorded by the function, identifying the failed step', () => {
+        const script = {
+          mode: 'acc',
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'browse', flow: [{ get: { url: '/items' } }] },
+            { flow: [{ loop: [{ get: { url: '/status' } }], count: 2 }] },
+          ],
+        }
+        const result = {
+          errors: 1,
+          reports: [
+            { errors: {} },
+            {
+              errors: { 'Failed match': 1 },
+              steps: [
+                { method: 'GET', url: 'https://example.com/status', statusCode: 200, latency: 5 },
+                { method: 'GET', url: 'https://example.com/status', statusCode: 500, latency: 7, body: 'boom', failed: true, error: 'Failed match' },
+              ],
+            },
+          ],
+        }
+        const cases = reporters.impl.cases(script, result)
+        expect(cases[1].steps).to.eql([
+          'GET https://example.com/status -> 200 (5ms)',
+          'GET https://example.com/status -> 500 (7ms) FAILED: Failed match',
+        ])
+        expect(cases[1].failedStep).to.equal(result.reports[1].steps[1])
+        expect(cases[1].message).to.have.string('; failed step: GET https://example.com/status -> 500 (7ms) FAILED: Failed match')
+        expect(reporters('junit', script, result)).to.have.string('Response body:\nboom')
+      })
+      it('produces test cases for only the flows selected by the script\'s filter', () => {
+        const script = {
+          mode: 'acc',
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'browse & <buy>', flow: [{ get: { url: '/items' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+          _filter: { flows: ['browse & <buy>'] },
+        }
+        const cases = reporters.impl.cases(script, { errors: 0, reports: [{ errors: {} }] })
+        expect(cases.map(testCase => testCase.name)).to.eql(['browse & <buy>'])
+        expect(cases[0].passed).to.be.true
+      })
+      it('passes flaky flows, describing their failed attempts', () => {
+        const script = {
+          mode: 'acc',
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'browse', flow: [{ get: { url: '/items' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const result = {
+          errors: 0,
+          reports: [
+            { errors: {} },
+            { errors: {}, attempts: 2, failedAttempts: [{ ETIMEDOUT: 1 }] },
+          ],
+        }
+        const cases = reporters.impl.cases(script, result)
+        expect(cases[1].passed).to.be.true
+        expect(cases[1].flaky).to.be.true
+        expect(cases[1].message).to.equal('Flaky: passed on attempt 2 after failing with ETIMEDOUT (1)')
+        expect(reporters('tap', script, result).split('\n')[3])
+          .to.equal('ok 2 - flow 2 # Flaky: passed on attempt 2 after failing with ETIMEDOUT (1)')
+        expect(reporters('junit', script, result))
+          .to.have.string('<system-out>Flaky: passed on attempt 2 after failing with ETIMEDOUT (1)</system-out>')
+      })
+      it('fails flows that did not report a result', () => {
+        const script = {
+          mode: 'acc',
+          config: { target: 'https://example.com' },
+          scenarios: [
+            { name: 'browse', flow: [{ get: { url: '/items' } }] },
+            { flow: [{ get: { url: '/status' } }] },
+          ],
+        }
+        const cases = reporters.impl.cases(script, { errors: 0, reports: [{ errors: {} }] })
+        expect(cases[1].passed).to.be.false
+        expect(cases[1].message).to.equal('The flow did not report a result')
+      })
+    })
+  })
+  describe(':exports', () => {
+    it('formats results as JUnit XML, escaping names and carrying failure details', () => {
+      const script = {
+        mode: 'acc',
+        config: { target: 'https://example.com' },
+        scenarios: [
+          { name: 'browse & <buy>', flow: [{ get: { url: '/items' } }] },
+          { flow: [{ loop: [{ get: { url: '/status' } }], count: 2 }] },
+        ],
+      }
+      const result = {
+        errors: 1,
+        reports: [
+          { errors: {}, codes: { 200: 1 } },
+          { errors: { ETIMEDOUT: 1 }, codes: { 500: 1 } },
+        ],
+      }
+      const xml = reporters('junit', script, result)
+      expect(xml).to.have.string('<testsuites name="serverless-artillery" tests="2" failures="1">')
+      expect(xml).to.have.string('<testcase classname="acceptance" name="browse &amp; &lt;buy&gt;"/>')
+      expect(xml).to.have.string('<failure message="Errors: ETIMEDOUT (1); status codes: 500 (1)" type="ETIMEDOUT">')
+      expect(xml).to.have.string('  loop: GET /status')
+    })
+    it('formats results as TAP, failures carrying a YAML diagnostic block', () => {
+      const script = {
+        mode: 'acc',
+        config: { target: 'https://example.com' },
+        scenarios: [
+          { name: 'browse & <buy>', flow: [{ get: { url: '/items' } }] },
+          { flow: [{ loop: [{ get: { url: '/status' } }], count: 2 }, { function: 'check' }] },
+        ],
+      }
+      const result = {
+        errors: 1,
+        reports: [
+          { errors: {}, codes: { 200: 1 } },
+          { errors: { ETIMEDOUT: 1 }, codes: { 500: 1 } },
+        ],
+      }
+      const lines = reporters('tap', script, result).split('\n')
+      expect(lines.slice(0, 4)).to.eql(['TAP version 13', '1..2', 'ok 1 - browse & <buy>', 'not ok 2 - flow 2'])
+      expect(lines[4]).to.equal('  ---')
+      expect(lines[lines.length - 1]).to.equal('  ...')
+      const diagnostic = yaml.safeLoad(lines.slice(5, -1).map(line => line.slice(2)).join('\n'))
+      expect(diagnostic).to.eql({
+        message: 'Errors: ETIMEDOUT (1); status codes: 500 (1)',
+        errors: { ETIMEDOUT: 1 },
+        codes: { 500: 1 },
+        steps: ['loop: GET /status', 'function check'],
+      })
+    })
+    it('formats results as JSON', () => {
+      const script = { mode: 'acc', config: { target: 'https://example.com' }, scenarios: [{ flow: [{ get: { url: '/' } }] }] }
+      const result = { errors: 0, reports: [{ errors: {}, codes: { 200: 1 } }] }
+      expect(reporters('json', script, result)).to.equal(JSON.stringify(result, null, 2))
+    })
+    it('rejects unknown reporters', () => {
+      const script = { mode: 'acc', config: { target: 'https://example.com' }, scenarios: [{ flow: [{ get: { url: '/' } }] }] }
+      expect(() => reporters('xunit', script, { errors: 0, reports: [{ errors: {} }] })).to.throw(/Unknown reporter/)
+    })
+  })
+})
@@ -0,0 +1,165 @@
+const chai = require('chai')
+const path = require('path')
+
+const expect = chai.expect
+
+// eslint-disable-next-line import/no-dynamic-require
+const validate = require(path.join('..', '..', 'lib', 'validate.js'))
+
+const fixtures = path.join(__dirname, 'lambda')
+
+const paths = problems => problems.map(problem => problem.path)
+
+describe('./lib/validate.js', () => {
+  describe(':impl', () => {
+    describe('#references', () => {
+      it('finds every template reference, with its JSON path, within nested values', () => {
+        const references = validate.impl.references(
+          { url: '/{{ id }}/{{user.name}}', json: { list: ['{{ $randomNumber(1, 2) }}'] } },
+          '$.x' // eslint-disable-line comma-dangle
+        )
+        expect(references).to.eql([
+          { name: 'id', path: '$.x.url' },
+          { name: 'user', path: '$.x.url' },
+          { name: '$randomNumber', path: '$.x.json.list[0]' },
+        ])
+      })
+    })
+    describe('#steps', () => {
+      it('collects the steps nested within loops', () => {
+        const steps = validate.impl.steps([{ get: { url: '/' } }, { loop: [{ get: { url: '/' } }] }], '$.f')
+        expect(steps.map(entry => entry.path)).to.eql(['$.f[0]', '$.f[1]', '$.f[1].loop[0]'])
+      })
+    })
+    describe('#validate', () => {
+      it('finds no problems with a valid script', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }] }],
+        }
+        expect(validate(script, fixtures)).to.eql([])
+      })
+      it('rejects non-object scripts', () => {
+        expect(paths(validate('foo', fixtures))).to.eql(['$'])
+      })
+      it('reports every function and task problem rather than only the first', () => {
+        const script = {
+          mode: 'foo',
+          config: {
+            target: 'https://aws.amazon.com',
+            phases: [{ arrivalRate: 1 }, { duration: 1 }],
+            ensure: { p90: 1 },
+          },
+          scenarios: [{ flow: [] }],
+          _split: { maxChunkDurationInSeconds: 0, timeBufferInMilliseconds: -1 },
+        }
+        expect(paths(validate(script, fixtures))).to.eql([
+          '$._split.maxChunkDurationInSeconds',
+          '$._split.timeBufferInMilliseconds',
+          '$.mode',
+          '$.config.ensure.p90',
+          '$.config.phases[0]',
+          '$.config.phases[1]',
+        ])
+      })
+      it('reports processors that cannot be loaded', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }], processor: './missing.js' },
+          scenarios: [{ flow: [] }],
+        }
+        expect(paths(validate(script, fixtures))).to.eql(['$.config.processor'])
+      })
+      it('reports referenced functions that the processor does not export', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }], processor: './customprocessor.js' },
+          scenarios: [{
+            beforeRequest: ['testMethod', 'missing'],
+            flow: [
+              { function: 'testMethod' },
+              { function: 'missing' },
+              { get: { url: '/', afterResponse: 'missing' } },
+            ],
+          }],
+        }
+        expect(paths(validate(script, fixtures))).to.eql([
+          '$.scenarios[0].beforeRequest[1]',
+          '$.scenarios[0].flow[1].function',
+          '$.scenarios[0].flow[2].get.afterResponse',
+        ])
+      })
+      it('reports referenced functions when no processor is declared', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ function: 'testMethod' }] }],
+        }
+        expect(paths(validate(script, fixtures))).to.eql(['$.scenarios[0].flow[0].function'])
+      })
+      it('reports payload files that cannot be found', () => {
+        const script = {
+          config: {
+            target: 'https://aws.amazon.com',
+            phases: [{ duration: 1, arrivalRate: 1 }],
+            payload: [{ path: './example.0.csv', fields: ['a'] }, { path: './missing.csv' }, 'foo'],
+          },
+          scenarios: [{ flow: [] }],
+        }
+        expect(paths(validate(script, fixtures))).to.eql(['$.config.payload[1].path', '$.config.payload[2]'])
+      })
+      it('reports variables that are not defined', () => {
+        const script = {
+          config: {
+            target: 'https://aws.amazon.com',
+            phases: [{ duration: 1, arrivalRate: 1 }],
+            variables: { a: ['1'] },
+            payload: { path: './example.0.csv', fields: ['d'] },
+          },
+          scenarios: [{
+            flow: [
+              { post: { url: '/{{ a }}', json: { b: '{{ b }}', c: '{{ c }}' }, capture: { json: '$.id', as: 'c' } } },
+              { loop: [{ get: { url: '/{{ $loopCount }}/{{ d }}/{{ e }}' } }], count: 2 },
+            ],
+          }],
+        }
+        const problems = validate(script, fixtures)
+        expect(paths(problems)).to.eql(['$.scenarios[0].flow[0].post.json.b', '$.scenarios[0].flow[1].loop[0].get.url'])
+        expect(problems[1].message).to.have.string('\'e\'')
+      })
+      it('does not report variables in scenarios that use processor functions', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }], processor: './customprocessor.js' },
+          scenarios: [{ flow: [{ function: 'testMethod' }, { get: { url: '/{{ a }}' } }] }],
+        }
+        expect(validate(script, fixtures)).to.eql([])
+      })
+      it('reports url paths without a config.target', () => {
+        const script = {
+          config: { phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: '/' } }, { get: { url: 'https://aws.amazon.com/' } }, { get: {} }] }],
+        }
+        expect(paths(validate(script, fixtures))).to.eql(['$.scenarios[0].flow[0].get.url', '$.scenarios[0].flow[2].get.url'])
+      })
+      it('accepts requests that give their url as a uri', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { uri: '/' } }] }],
+        }
+        expect(validate(script, fixtures)).to.eql([])
+        delete script.config.target
+        expect(paths(validate(script, fixtures))).to.eql(['$.scenarios[0].flow[0].get.uri'])
+      })
+      it('reports targets outside the given allowed targets', () => {
+        const script = {
+          config: { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] },
+          scenarios: [{ flow: [{ get: { url: 'https://www.thirdparty.com/' } }] }],
+        }
+        expect(validate(script, fixtures)).to.eql([])
+        expect(paths(validate(script, fixtures, ['aws.amazon.com']))).to.eql(['$.scenarios[0].flow[0].get.url'])
+      })
+      it('reports scripts without scenarios or flows', () => {
+        const config = { target: 'https://aws.amazon.com', phases: [{ duration: 1, arrivalRate: 1 }] }
+        expect(paths(validate({ config }, fixtures))).to.eql(['$.scenarios'])
+        expect(paths(validate({ config, scenarios: [{}] }, fixtures))).to.eql(['$.scenarios[0].flow'])
+      })
+    })
+  })
+})